@@ -0,0 +1,619 @@
+/**
+ * Tests Hub - Answer Storage
+ * Saves what the student types on a test page in IndexedDB as they go, keyed
+ * by the test id, and puts it back on the next visit. Also keeps a progress
+ * record per test (time spent, last visit, last score) for progress.html,
+ * from the first saved answer on: a test only opened is not started.
+ */
+
+const TestsHubAnswerStorage = {
+
+    // Configuration
+    config: {
+        dbName: 'tests-hub',
+        dbVersion: 2,
+        storeName: 'answers',
+        progressStoreName: 'progress',
+        // Fallback when IndexedDB is unavailable (private browsing on some phones)
+        localStoragePrefix: 'testsHubAnswers:',
+        progressPrefix: 'testsHubProgress:',
+        fieldSelector: 'input, textarea, select',
+        ignoredTypes: ['button', 'submit', 'reset', 'image', 'file', 'hidden', 'password'],
+        // Page chrome and correction fields are not answers
+        excludeSelector: '#correction, #correction-section, .Tests-Hub-header-container, .Tests-Hub-download-section, .Tests-Hub-score-panel, .Tests-Hub-answer-toolbar, [data-answers-ignore]',
+        saveDelay: 400,
+        // Time spent counts in ticks, only while the page is visible and the student active
+        tickInterval: 15000,
+        idleAfter: 5 * 60 * 1000,
+        timeFlushInterval: 60000
+    },
+
+    // UI strings, picked from the page's current language
+    translations: {
+        ar: {
+            clear: 'مسح إجاباتي',
+            confirmClear: 'هل تريد حذف كل إجاباتك في هذا الاختبار؟',
+            saving: 'جارٍ الحفظ...',
+            saved: 'تم حفظ الإجابات',
+            restored: 'تم استرجاع إجاباتك',
+            cleared: 'تم مسح الإجابات',
+            failed: 'تعذر حفظ الإجابات على هذا الجهاز'
+        },
+        fr: {
+            clear: 'Effacer mes réponses',
+            confirmClear: 'Effacer toutes vos réponses à ce test ?',
+            saving: 'Enregistrement...',
+            saved: 'Réponses enregistrées',
+            restored: 'Vos réponses ont été restaurées',
+            cleared: 'Réponses effacées',
+            failed: "Impossible d'enregistrer les réponses sur cet appareil"
+        },
+        en: {
+            clear: 'Clear my answers',
+            confirmClear: 'Delete all your answers to this test?',
+            saving: 'Saving...',
+            saved: 'Answers saved',
+            restored: 'Your answers were restored',
+            cleared: 'Answers cleared',
+            failed: 'Answers cannot be saved on this device'
+        }
+    },
+
+    testId: null,
+    dbRequest: null,
+    saveTimer: null,
+    restoring: false,
+    status: null,
+    savedAt: null,
+    progressQueue: Promise.resolve(),
+    // Settles once the saved answers are back in the fields
+    restoreRequest: null,
+    lastActivity: 0,
+    pendingTime: 0,
+    // When the page was opened, the first visit of a test started during it
+    openedAt: null,
+    // Whether the test has a progress record, i.e. an answer was saved once
+    started: false,
+
+    /**
+     * Get the page's current UI language
+     */
+    getLanguage: function() {
+        return TestsHubPage.getLanguage(this.translations);
+    },
+
+    /**
+     * Translate a UI string
+     */
+    t: function(key) {
+        return TestsHubPage.translate(this.translations, key);
+    },
+
+    /**
+     * Open the database once
+     * @returns {Promise<IDBDatabase|null>} null when IndexedDB cannot be used
+     */
+    openDatabase: function() {
+        if (!this.dbRequest) {
+            this.dbRequest = new Promise(resolve => {
+                if (!window.indexedDB) {
+                    resolve(null);
+                    return;
+                }
+                try {
+                    const request = indexedDB.open(this.config.dbName, this.config.dbVersion);
+                    request.onupgradeneeded = () => {
+                        const db = request.result;
+                        [this.config.storeName, this.config.progressStoreName].forEach(name => {
+                            if (!db.objectStoreNames.contains(name)) {
+                                db.createObjectStore(name, { keyPath: 'testId' });
+                            }
+                        });
+                    };
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => {
+                        console.warn('IndexedDB unavailable, using localStorage:', request.error);
+                        resolve(null);
+                    };
+                    request.onblocked = () => resolve(null);
+                } catch (error) {
+                    console.warn('IndexedDB unavailable, using localStorage:', error);
+                    resolve(null);
+                }
+            });
+        }
+        return this.dbRequest;
+    },
+
+    /**
+     * Run one request against a store (the answers store by default)
+     */
+    withStore: function(mode, action, storeName = this.config.storeName) {
+        return this.openDatabase().then(db => {
+            // Without IndexedDB the action reads or writes localStorage and returns the result
+            if (!db) return action(null);
+            return new Promise((resolve, reject) => {
+                const transaction = db.transaction(storeName, mode);
+                const request = action(transaction.objectStore(storeName));
+                transaction.oncomplete = () => resolve(request ? request.result : undefined);
+                transaction.onerror = () => reject(transaction.error);
+                transaction.onabort = () => reject(transaction.error);
+            });
+        });
+    },
+
+    /**
+     * Read the saved record of a test
+     * @returns {Promise<Object|null>} { testId, answers, updatedAt }
+     */
+    load: function(testId = this.testId) {
+        return this.withStore('readonly', store => {
+            if (store) return store.get(testId);
+            const saved = localStorage.getItem(this.config.localStoragePrefix + testId);
+            return saved ? JSON.parse(saved) : null;
+        }).then(record => record || null);
+    },
+
+    /**
+     * Write the record of a test
+     */
+    put: function(record) {
+        return this.withStore('readwrite', store => {
+            if (store) return store.put(record);
+            localStorage.setItem(this.config.localStoragePrefix + record.testId, JSON.stringify(record));
+            return null;
+        });
+    },
+
+    /**
+     * Delete the record of a test
+     */
+    remove: function(testId = this.testId) {
+        return this.withStore('readwrite', store => {
+            if (store) return store.delete(testId);
+            localStorage.removeItem(this.config.localStoragePrefix + testId);
+            return null;
+        });
+    },
+
+    /**
+     * Read every record of a store
+     * @param {string} storeName - answers or progress
+     * @returns {Promise<Object[]>}
+     */
+    getAll: function(storeName = this.config.storeName) {
+        const prefix = storeName === this.config.progressStoreName ? this.config.progressPrefix : this.config.localStoragePrefix;
+        return this.withStore('readonly', store => {
+            if (store) return store.getAll();
+            return Object.keys(localStorage)
+                .filter(key => key.startsWith(prefix))
+                .map(key => JSON.parse(localStorage.getItem(key)));
+        }, storeName).then(records => records || []);
+    },
+
+    /**
+     * Read the progress record of a test
+     * @returns {Promise<Object|null>} { testId, status, firstOpenedAt, lastOpenedAt, timeSpent, answered, score, maxScore, scoredAt }
+     */
+    getProgress: function(testId = this.testId) {
+        return this.withStore('readonly', store => {
+            if (store) return store.get(testId);
+            const saved = localStorage.getItem(this.config.progressPrefix + testId);
+            return saved ? JSON.parse(saved) : null;
+        }, this.config.progressStoreName).then(record => record || null);
+    },
+
+    /**
+     * Change the progress record of the current test; updates run one after the other
+     * @param {Object|Function} changes - Fields to set, or a function of the current record returning them
+     * @param {boolean} create - Start the record when the test has none yet
+     * @returns {Promise<Object|null>} The updated record, null when there was none to update
+     */
+    updateProgress: function(changes, create = true) {
+        this.progressQueue = this.progressQueue
+            .catch(() => {})
+            .then(() => this.getProgress())
+            .then(current => {
+                if (!current && !create) return null;
+                const base = current || {
+                    testId: this.testId,
+                    status: 'in-progress',
+                    firstOpenedAt: this.openedAt || Date.now(),
+                    lastOpenedAt: this.openedAt || Date.now(),
+                    title: document.title,
+                    url: window.location.pathname + window.location.search,
+                    timeSpent: 0,
+                    answered: 0
+                };
+                const record = { ...base, ...(typeof changes === 'function' ? changes(base) : changes) };
+                return this.withStore('readwrite', store => {
+                    if (store) return store.put(record);
+                    localStorage.setItem(this.config.progressPrefix + record.testId, JSON.stringify(record));
+                    return null;
+                }, this.config.progressStoreName).then(() => {
+                    this.started = true;
+                    return record;
+                });
+            });
+        this.progressQueue.catch(error => console.error('Saving progress failed:', error));
+        return this.progressQueue;
+    },
+
+    /**
+     * Add the active time counted since the last flush to the progress record
+     */
+    flushTime: function() {
+        // Time spent before the first answer counts once there is one
+        if (!this.pendingTime || !this.started) return this.progressQueue;
+        const time = this.pendingTime;
+        this.pendingTime = 0;
+        return this.updateProgress(record => ({ timeSpent: (record.timeSpent || 0) + time }));
+    },
+
+    /**
+     * Count time spent on the test: a tick counts when the page is visible and
+     * the student did something in the last few minutes
+     */
+    trackTime: function() {
+        this.lastActivity = Date.now();
+        const onActivity = () => {
+            this.lastActivity = Date.now();
+        };
+        ['input', 'change', 'keydown', 'pointerdown', 'scroll'].forEach(type => {
+            document.addEventListener(type, onActivity, { passive: true, capture: true });
+        });
+
+        setInterval(() => {
+            if (document.visibilityState !== 'visible') return;
+            if (Date.now() - this.lastActivity > this.config.idleAfter) return;
+            this.pendingTime += this.config.tickInterval;
+            if (this.pendingTime >= this.config.timeFlushInterval) this.flushTime();
+        }, this.config.tickInterval);
+    },
+
+    /**
+     * Record the score when the scoring engine grades the test; a test that
+     * still needs manual marking is completed without a mark
+     */
+    recordScore: function(result) {
+        if (!result || !result.max) return;
+        this.updateProgress({
+            status: 'completed',
+            score: result.score,
+            maxScore: result.maxScore,
+            scoredAt: result.gradedAt || Date.now()
+        });
+    },
+
+    /**
+     * Answer fields of the page, in document order
+     */
+    getFields: function() {
+        return Array.from(document.querySelectorAll(this.config.fieldSelector)).filter(field =>
+            !this.config.ignoredTypes.includes(field.type) && !field.closest(this.config.excludeSelector)
+        );
+    },
+
+    /**
+     * Stable key of a field: its id, its radio/checkbox group and position, or its position on the page
+     */
+    getFieldKey: function(field, index, fields) {
+        if (field.id) return `#${field.id}`;
+        if ((field.type === 'radio' || field.type === 'checkbox') && field.name) {
+            const group = fields.filter(other => other.type === field.type && other.name === field.name);
+            return `${field.type}:${field.name}:${group.indexOf(field)}`;
+        }
+        return `@${index}`;
+    },
+
+    /**
+     * Current value of a field
+     */
+    readField: function(field) {
+        if (field.type === 'radio' || field.type === 'checkbox') return field.checked;
+        if (field.tagName === 'SELECT' && field.multiple) {
+            return Array.from(field.selectedOptions).map(option => option.value);
+        }
+        return field.value;
+    },
+
+    /**
+     * Whether a field value is blank (unticked, empty, nothing selected)
+     */
+    isEmpty: function(value) {
+        return value === false || value === '' || (Array.isArray(value) && !value.length);
+    },
+
+    /**
+     * Put a saved value back in a field
+     */
+    writeField: function(field, value) {
+        if (field.type === 'radio' || field.type === 'checkbox') {
+            field.checked = Boolean(value);
+        } else if (field.tagName === 'SELECT' && field.multiple) {
+            Array.from(field.options).forEach(option => {
+                option.selected = Array.isArray(value) && value.includes(option.value);
+            });
+        } else {
+            field.value = value;
+        }
+        // Let page scripts (counters, auto-resize...) see the value
+        field.dispatchEvent(new Event(field.tagName === 'SELECT' || field.type === 'radio' || field.type === 'checkbox' ? 'change' : 'input', { bubbles: true }));
+    },
+
+    /**
+     * Collect the answers of the page
+     * @returns {Object} Field key -> value, only for fields the student touched
+     */
+    getAnswers: function() {
+        const fields = this.getFields();
+        const answers = {};
+        fields.forEach((field, index) => {
+            const value = this.readField(field);
+            if (!this.isEmpty(value)) answers[this.getFieldKey(field, index, fields)] = value;
+        });
+        return answers;
+    },
+
+    /**
+     * Save the answers now
+     * @returns {Promise}
+     */
+    save: function() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        const answers = this.getAnswers();
+        const record = {
+            testId: this.testId,
+            url: window.location.pathname + window.location.search,
+            title: document.title,
+            answers,
+            updatedAt: Date.now()
+        };
+
+        const write = Object.keys(answers).length ? this.put(record) : this.remove();
+        return write
+            .then(() => {
+                this.savedAt = record.updatedAt;
+                this.showStatus('saved');
+                const answered = Object.keys(answers).length;
+                this.updateProgress({ answered, answeredAt: record.updatedAt }, answered > 0)
+                    .then(() => this.flushTime(), () => {});
+                document.dispatchEvent(new CustomEvent('testshub:answers-saved', { detail: record }));
+            })
+            .catch(error => {
+                console.error('Saving answers failed:', error);
+                this.showStatus('failed');
+            });
+    },
+
+    /**
+     * Save a moment after the last keystroke
+     */
+    scheduleSave: function() {
+        if (this.restoring) return;
+        this.showStatus('saving');
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.save(), this.config.saveDelay);
+    },
+
+    /**
+     * Put the saved answers back in the page
+     * @returns {Promise<boolean>} Whether anything was restored
+     */
+    restore: function() {
+        return this.load().then(record => {
+            if (!record || !record.answers) return false;
+
+            const fields = this.getFields();
+            let restored = 0;
+            this.restoring = true;
+            fields.forEach((field, index) => {
+                const key = this.getFieldKey(field, index, fields);
+                if (key in record.answers) {
+                    this.writeField(field, record.answers[key]);
+                    restored++;
+                }
+            });
+            this.restoring = false;
+
+            if (restored) {
+                this.savedAt = record.updatedAt;
+                this.showStatus('restored');
+                document.dispatchEvent(new CustomEvent('testshub:answers-restored', { detail: record }));
+            }
+            return restored > 0;
+        }).catch(error => {
+            this.restoring = false;
+            console.error('Restoring answers failed:', error);
+            return false;
+        });
+    },
+
+    /**
+     * Empty every field and forget the saved answers
+     */
+    clear: function() {
+        clearTimeout(this.saveTimer);
+        this.restoring = true;
+        this.getFields().forEach(field => {
+            if (this.isEmpty(this.readField(field))) return;
+            this.writeField(field, field.type === 'radio' || field.type === 'checkbox' ? false : (field.multiple ? [] : ''));
+        });
+        this.restoring = false;
+
+        // Marks left by the scoring engine no longer match the page
+        document.querySelectorAll('.Tests-Hub-answer-correct, .Tests-Hub-answer-wrong').forEach(element => {
+            element.classList.remove('Tests-Hub-answer-correct', 'Tests-Hub-answer-wrong');
+        });
+
+        return this.remove()
+            .then(() => {
+                this.savedAt = null;
+                this.showStatus('cleared');
+                this.updateProgress({ answered: 0 }, false);
+                document.dispatchEvent(new CustomEvent('testshub:answers-cleared', { detail: { testId: this.testId } }));
+            })
+            .catch(error => {
+                console.error('Clearing answers failed:', error);
+                this.showStatus('failed');
+            });
+    },
+
+    /**
+     * Show the save state in the indicator
+     * @param {string} state - saving, saved, restored, cleared or failed
+     */
+    showStatus: function(state) {
+        if (!this.status) return;
+        let text = this.t(state);
+        if ((state === 'saved' || state === 'restored') && this.savedAt) {
+            const time = new Date(this.savedAt).toLocaleTimeString(document.documentElement.lang || undefined, { hour: '2-digit', minute: '2-digit' });
+            text = `${text} · ${time}`;
+        }
+        this.status.textContent = `${state === 'failed' ? '⚠️' : state === 'saving' ? '…' : '✓'} ${text}`;
+        this.status.dataset.state = state;
+        this.status.hidden = false;
+    },
+
+    /**
+     * Add the styles once
+     */
+    injectStyles: function() {
+        if (document.getElementById('answer-storage-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'answer-storage-styles';
+        style.textContent = `
+            .Tests-Hub-clear-answers-button { margin: 0 8px; }
+            .Tests-Hub-save-status { position: fixed; bottom: 16px; inset-inline-start: 16px; z-index: 1000; padding: 6px 14px; border-radius: 20px; font-size: 0.85rem; background: rgba(46, 139, 87, 0.92); color: white; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.2); pointer-events: none; }
+            .Tests-Hub-save-status[data-state="saving"] { background: rgba(108, 117, 125, 0.92); }
+            .Tests-Hub-save-status[data-state="failed"] { background: rgba(231, 76, 60, 0.92); }
+            @media print { .Tests-Hub-save-status, .Tests-Hub-clear-answers-button { display: none !important; } }
+        `;
+        document.head.appendChild(style);
+    },
+
+    /**
+     * Add the "clear my answers" button next to the correction button, and the indicator
+     */
+    addControls: function() {
+        if (document.getElementById('clearAnswers')) return;
+
+        const toggle = document.getElementById('toggleCorrection') || document.getElementById('toggleCorrectionBtn');
+        const button = document.createElement('button');
+        button.id = 'clearAnswers';
+        button.type = 'button';
+        button.className = toggle ? toggle.className : 'Tests-Hub-toggle-button';
+        button.classList.add('Tests-Hub-clear-answers-button');
+        button.textContent = this.t('clear');
+        button.addEventListener('click', () => {
+            if (window.confirm(this.t('confirmClear'))) this.clear();
+        });
+
+        if (toggle) {
+            toggle.parentNode.insertBefore(button, toggle);
+        } else {
+            (document.querySelector('.Tests-Hub-main-container, .Tests-Hub-content-container') || document.body).appendChild(button);
+        }
+
+        this.status = document.createElement('div');
+        this.status.className = 'Tests-Hub-save-status';
+        this.status.setAttribute('role', 'status');
+        this.status.hidden = true;
+        document.body.appendChild(this.status);
+    },
+
+    /**
+     * Refresh the labels after a language change
+     */
+    updateLabels: function() {
+        const button = document.getElementById('clearAnswers');
+        if (button) button.textContent = this.t('clear');
+        if (this.status && !this.status.hidden) this.showStatus(this.status.dataset.state);
+    },
+
+    /**
+     * Whether the page was loaded by the batch exporter (batch-export.js) in a hidden frame
+     */
+    isExportCopy: function() {
+        try {
+            return !!(window.frameElement && window.frameElement.hasAttribute('data-tests-hub-export'));
+        } catch (error) {
+            return false;
+        }
+    },
+
+    /**
+     * Start saving and restore what was saved
+     */
+    start: function() {
+        // An export copy only needs the answers: the student did not open the test
+        if (this.isExportCopy()) {
+            this.restoreRequest = this.restore();
+            return;
+        }
+
+        // Only a test already started gets the visit; the first saved answer starts it
+        this.openedAt = Date.now();
+        this.updateProgress({
+            lastOpenedAt: this.openedAt,
+            title: document.title,
+            url: window.location.pathname + window.location.search
+        }, false);
+        this.trackTime();
+        document.addEventListener('testshub:graded', event => this.recordScore(event.detail));
+
+        // Phones kill background tabs without warning: save as soon as the page is hidden
+        const flush = () => {
+            if (this.saveTimer) this.save();
+            this.flushTime();
+        };
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') flush();
+        });
+        window.addEventListener('pagehide', flush);
+
+        if (!this.getFields().length) return;
+
+        this.injectStyles();
+        this.addControls();
+
+        const onEdit = event => {
+            if (event.target.matches && event.target.matches(this.config.fieldSelector) && !event.target.closest(this.config.excludeSelector)) {
+                this.scheduleSave();
+            }
+        };
+        document.addEventListener('input', onEdit);
+        document.addEventListener('change', onEdit);
+
+        TestsHubPage.onLanguageChange(() => this.updateLabels());
+
+        this.restoreRequest = this.restore();
+        console.log('Tests Hub Answer Storage initialized');
+    },
+
+    /**
+     * Initialize on a test page; test.html builds its fields after loading the test.
+     * Other pages (progress.html) only use the storage methods.
+     */
+    init: function() {
+        this.testId = TestsHubPage.getTestId();
+        if (!/^test_/.test(this.testId)) return;
+        if (document.getElementById('testRoot') && !this.getFields().length) {
+            document.addEventListener('testshub:rendered', () => this.start(), { once: true });
+        } else {
+            this.start();
+        }
+    }
+};
+
+// Auto-initialize when DOM is ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => TestsHubAnswerStorage.init());
+} else {
+    TestsHubAnswerStorage.init();
+}
+
+// Make it globally available
+window.TestsHubAnswerStorage = TestsHubAnswerStorage;
@@ -0,0 +1,262 @@
+/**
+ * Tests Hub - App Bootstrap
+ * Included by every page: registers the service worker (sw.js) and loads its
+ * update banner (sw-update.js), shows whether the device is online in the
+ * page header, and on the home pages turns the "Install App" button and
+ * modal into the browser's install prompt (beforeinstallprompt).
+ */
+
+const TestsHubApp = {
+
+    // Configuration
+    config: {
+        workerUrl: '/sw.js',
+        updateBannerUrl: 'sw-update.js',
+        // How long "Back online" stays in the header
+        onlineDuration: 3000
+    },
+
+    // UI strings, picked from the page's current language
+    translations: {
+        ar: {
+            offline: 'دون اتصال',
+            offlineTitle: 'لا يوجد اتصال بالإنترنت: تبقى الاختبارات المحفوظة على هذا الجهاز متاحة',
+            online: 'عاد الاتصال',
+            onlineTitle: 'أنت متصل بالإنترنت من جديد'
+        },
+        fr: {
+            offline: 'Hors ligne',
+            offlineTitle: 'Pas de connexion : les tests enregistrés sur cet appareil restent disponibles',
+            online: 'De nouveau en ligne',
+            onlineTitle: 'La connexion est revenue'
+        },
+        en: {
+            offline: 'Offline',
+            offlineTitle: 'No connection: the tests saved on this device are still available',
+            online: 'Back online',
+            onlineTitle: 'The connection is back'
+        }
+    },
+
+    // Install prompt kept from beforeinstallprompt until the student asks for it
+    installPrompt: null,
+    // What the connection badge shows: 'offline', 'online' (just back) or null (hidden)
+    connection: null,
+    statusElement: null,
+    statusTimer: null,
+
+    /**
+     * Get the page's current UI language
+     */
+    getLanguage: function() {
+        return TestsHubPage.getLanguage(this.translations);
+    },
+
+    /**
+     * Translate a UI string
+     */
+    t: function(key) {
+        return TestsHubPage.translate(this.translations, key);
+    },
+
+    /**
+     * Register the service worker once the page has loaded, then load the update banner
+     */
+    registerWorker: function() {
+        if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+
+        const register = () => {
+            navigator.serviceWorker.register(this.config.workerUrl)
+                .then(registration => console.log('Service Worker registered:', registration.scope))
+                .catch(error => console.log('Service Worker registration failed:', error));
+            this.loadUpdateBanner();
+        };
+
+        if (document.readyState === 'complete') {
+            register();
+        } else {
+            window.addEventListener('load', register, { once: true });
+        }
+    },
+
+    /**
+     * Load sw-update.js, unless the page already has it
+     */
+    loadUpdateBanner: function() {
+        if (window.TestsHubUpdateBanner) return;
+
+        const script = document.createElement('script');
+        script.src = this.config.updateBannerUrl;
+        script.onerror = () => console.error('Failed to load the update banner from:', this.config.updateBannerUrl);
+        document.head.appendChild(script);
+    },
+
+    /**
+     * Whether the site runs as an installed app
+     */
+    isInstalled: function() {
+        return (window.matchMedia && window.matchMedia('(display-mode: standalone)').matches) ||
+            window.navigator.standalone === true;
+    },
+
+    /**
+     * Show or hide the "Install App" button of the home pages
+     */
+    updateInstallButton: function() {
+        const button = document.getElementById('installButton');
+        if (button) button.classList.toggle('hidden', !this.installPrompt || this.isInstalled());
+    },
+
+    /**
+     * Open or close the install modal of the home pages
+     */
+    setInstallModal: function(open) {
+        const modal = document.getElementById('installModal');
+        if (modal) modal.classList.toggle('active', open);
+    },
+
+    /**
+     * Show the browser's install prompt
+     */
+    install: function() {
+        this.setInstallModal(false);
+        if (!this.installPrompt) return;
+
+        const prompt = this.installPrompt;
+        // A prompt can only be shown once
+        this.installPrompt = null;
+        prompt.prompt();
+        prompt.userChoice
+            .then(choice => console.log('Install prompt:', choice.outcome))
+            .catch(() => {})
+            .then(() => this.updateInstallButton());
+    },
+
+    /**
+     * Wire the install button and modal; the button only shows when the browser offers to install
+     */
+    setupInstall: function() {
+        window.addEventListener('beforeinstallprompt', event => {
+            // Keep the prompt for the button instead of the browser's own banner
+            event.preventDefault();
+            this.installPrompt = event;
+            this.updateInstallButton();
+        });
+
+        window.addEventListener('appinstalled', () => {
+            this.installPrompt = null;
+            this.setInstallModal(false);
+            this.updateInstallButton();
+        });
+
+        const button = document.getElementById('installButton');
+        if (!button) return;
+        this.updateInstallButton();
+
+        button.addEventListener('click', () => {
+            if (document.getElementById('installModal')) {
+                this.setInstallModal(true);
+            } else {
+                this.install();
+            }
+        });
+        document.getElementById('installConfirm')?.addEventListener('click', () => this.install());
+        document.getElementById('installCancel')?.addEventListener('click', () => this.setInstallModal(false));
+    },
+
+    /**
+     * Put the connection badge in the page header (floating at the top of pages without one)
+     */
+    createStatus: function() {
+        const status = document.createElement('span');
+        status.className = 'Tests-Hub-connection-status';
+        status.setAttribute('role', 'status');
+        status.hidden = true;
+
+        const controls = document.querySelector('.Tests-Hub-header-controls');
+        if (controls) {
+            controls.insertBefore(status, controls.firstChild);
+        } else {
+            status.classList.add('is-floating');
+            document.body.appendChild(status);
+        }
+        return status;
+    },
+
+    /**
+     * Follow the connection: "Offline" while there is none, "Back online" for a moment when it returns
+     */
+    updateStatus: function() {
+        clearTimeout(this.statusTimer);
+        if (navigator.onLine) {
+            this.connection = 'online';
+            this.statusTimer = setTimeout(() => {
+                this.connection = null;
+                this.renderStatus();
+            }, this.config.onlineDuration);
+        } else {
+            this.connection = 'offline';
+        }
+        this.renderStatus();
+    },
+
+    /**
+     * Draw the connection badge in the page language
+     */
+    renderStatus: function() {
+        const status = this.statusElement;
+        if (!status) return;
+
+        status.hidden = !this.connection;
+        if (!this.connection) return;
+        status.classList.toggle('is-offline', this.connection === 'offline');
+        status.classList.toggle('is-online', this.connection === 'online');
+        status.textContent = `${this.connection === 'offline' ? '📴' : '🟢'} ${this.t(this.connection)}`;
+        status.title = this.t(`${this.connection}Title`);
+    },
+
+    /**
+     * Add the badge styles once
+     */
+    injectStyles: function() {
+        if (document.getElementById('app-bootstrap-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'app-bootstrap-styles';
+        style.textContent = `
+            .Tests-Hub-connection-status { display: inline-flex; align-items: center; gap: 6px; padding: 0.3rem 0.8rem; border-radius: 999px; font-size: 0.85rem; font-weight: 600; white-space: nowrap; }
+            .Tests-Hub-connection-status[hidden] { display: none; }
+            .Tests-Hub-connection-status.is-offline { background: #FEF3C7; color: #92400E; }
+            .Tests-Hub-connection-status.is-online { background: #D1FAE5; color: #065F46; }
+            .Tests-Hub-connection-status.is-floating { position: fixed; top: 12px; left: 50%; transform: translateX(-50%); z-index: 10000; box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15); }
+        `;
+        document.head.appendChild(style);
+    },
+
+    /**
+     * Set up the page
+     */
+    init: function() {
+        this.injectStyles();
+        this.registerWorker();
+        this.setupInstall();
+
+        this.statusElement = this.createStatus();
+        if (!navigator.onLine) this.connection = 'offline';
+        this.renderStatus();
+        window.addEventListener('online', () => this.updateStatus());
+        window.addEventListener('offline', () => this.updateStatus());
+
+        TestsHubPage.onLanguageChange(() => this.renderStatus());
+    }
+};
+
+// Auto-initialize when DOM is ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => TestsHubApp.init());
+} else {
+    TestsHubApp.init();
+}
+
+// Make it globally available
+window.TestsHubApp = TestsHubApp;
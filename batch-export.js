@@ -0,0 +1,727 @@
+/**
+ * Tests Hub - Batch Export
+ * Exports a selection of catalog.json (a year, a subject, a trimester) in one go.
+ * Each test page is loaded in a hidden frame and read the way its own download
+ * buttons read it, then the tests are bound into one PDF with a table of contents
+ * and bookmarks, or packed as a ZIP of PDF, ODT or DOCX files.
+ * Needs the document writers, zip-writer.js and downloading-utils.js.
+ */
+
+const TestsHubBatchExport = {
+
+    // Configuration
+    config: {
+        catalogUrl: 'catalog.json',
+        rootId: 'batchRoot',
+        contentSelector: '.Tests-Hub-main-container, .Tests-Hub-content-container',
+        // A test page is ready once its content is in the page; test.html shows a loading
+        // message in #testRoot until the renderer fills it and sets its lang
+        readySelector: '.Tests-Hub-test-header, .Tests-Hub-test-section',
+        loadingRootId: 'testRoot',
+        loadTimeout: 20000,
+        // Tests are laid out at a desktop width, as their download buttons see them
+        frameWidth: 1000,
+        formats: {
+            bundle: { writer: 'TestsHubPDFWriter', extension: 'pdf', dialog: 'PDF' },
+            pdf: { writer: 'TestsHubPDFWriter', extension: 'pdf', dialog: 'PDF' },
+            odt: { writer: 'TestsHubODTWriter', extension: 'odt', dialog: 'ODT' },
+            docx: { writer: 'TestsHubDOCXWriter', extension: 'docx', dialog: 'DOCX' }
+        }
+    },
+
+    // UI strings, picked from the page's current language
+    translations: {
+        ar: {
+            loading: 'جارٍ تحميل قائمة الاختبارات...',
+            loadFailed: 'تعذر تحميل قائمة الاختبارات.',
+            needsServer: 'يحمّل التصدير الجماعي صفحة كل اختبار، وهو ما لا تسمح به المتصفحات إلا إذا فُتح الموقع عبر http(s) وليس من ملف.',
+            year: 'المستوى',
+            subject: 'المادة',
+            trimester: 'الثلاثي',
+            allSubjects: 'كل المواد',
+            allTrimesters: 'كل الثلاثيات',
+            tests: 'الاختبارات ({selected} من {total})',
+            selectAll: 'تحديد الكل',
+            selectNone: 'إلغاء التحديد',
+            noTests: 'لا توجد اختبارات لهذا الاختيار.',
+            format: 'الملف',
+            bundle: 'ملف PDF واحد مع فهرس',
+            pdf: 'أرشيف ZIP لملفات PDF',
+            odt: 'أرشيف ZIP لملفات ODT',
+            docx: 'أرشيف ZIP لملفات Word (DOCX)',
+            export: 'تصدير',
+            cancel: 'إلغاء',
+            noneSelected: 'اختر اختبارًا واحدًا على الأقل.',
+            missingWriter: 'أداة إنشاء الملفات غير محمّلة.',
+            loadingTest: 'الاختبار {current} من {total}: {title}',
+            building: 'جارٍ إنشاء الملف...',
+            done: 'تم تصدير {count} اختبار.',
+            cancelled: 'أُلغي التصدير.',
+            failed: 'تعذر تصدير: {titles}',
+            exportFailed: 'تعذر إنشاء الملف.',
+            type1: 'فرض مراقبة',
+            type2: 'فرض تأليفي',
+            trimesters: { 1: 'الثلاثي الأول', 2: 'الثلاثي الثاني', 3: 'الثلاثي الثالث' },
+            levels: {
+                '7th': 'السنة السابعة أساسي',
+                '8th': 'السنة الثامنة أساسي',
+                '9th': 'السنة التاسعة أساسي',
+                '1st-secondary': 'السنة الأولى ثانوي',
+                '2nd-secondary': 'السنة الثانية ثانوي',
+                '3rd-secondary': 'السنة الثالثة ثانوي',
+                '4th-secondary': 'السنة الرابعة ثانوي'
+            },
+            subjects: {
+                arabic: 'اللغة العربية',
+                french: 'اللغة الفرنسية',
+                english: 'اللغة الإنجليزية',
+                maths: 'الرياضيات',
+                physics: 'العلوم الفيزيائية',
+                naturalSciences: 'علوم الحياة والأرض',
+                history: 'التاريخ',
+                geography: 'الجغرافيا',
+                islamic: 'التربية الإسلامية',
+                civicEducation: 'التربية المدنية',
+                technology: 'التكنولوجيا',
+                philosophy: 'الفلسفة'
+            }
+        },
+        fr: {
+            loading: 'Chargement de la liste des tests...',
+            loadFailed: 'Impossible de charger la liste des tests.',
+            needsServer: "L'export groupé charge la page de chaque test, ce que les navigateurs n'autorisent que si le site est servi en http(s), pas ouvert depuis un fichier.",
+            year: 'Niveau',
+            subject: 'Matière',
+            trimester: 'Trimestre',
+            allSubjects: 'Toutes les matières',
+            allTrimesters: 'Tous les trimestres',
+            tests: 'Tests ({selected} sur {total})',
+            selectAll: 'Tout sélectionner',
+            selectNone: 'Tout désélectionner',
+            noTests: 'Aucun test pour cette sélection.',
+            format: 'Fichier',
+            bundle: 'Un seul PDF avec une table des matières',
+            pdf: 'Archive ZIP de fichiers PDF',
+            odt: 'Archive ZIP de fichiers ODT',
+            docx: 'Archive ZIP de fichiers Word (DOCX)',
+            export: 'Exporter',
+            cancel: 'Annuler',
+            noneSelected: 'Sélectionnez au moins un test.',
+            missingWriter: "L'outil de création des fichiers n'est pas chargé.",
+            loadingTest: 'Test {current} sur {total} : {title}',
+            building: 'Création du fichier...',
+            done: '{count} test(s) exporté(s).',
+            cancelled: 'Export annulé.',
+            failed: 'Non exporté(s) : {titles}',
+            exportFailed: "Le fichier n'a pas pu être créé.",
+            type1: 'Devoir de contrôle',
+            type2: 'Devoir de synthèse',
+            trimesters: { 1: 'Premier Trimestre', 2: 'Deuxième Trimestre', 3: 'Troisième Trimestre' },
+            levels: {
+                '7th': '7ème Année de base',
+                '8th': '8ème Année de base',
+                '9th': '9ème Année de base',
+                '1st-secondary': '1ère Année secondaire',
+                '2nd-secondary': '2ème Année secondaire',
+                '3rd-secondary': '3ème Année secondaire',
+                '4th-secondary': '4ème Année secondaire'
+            },
+            subjects: {
+                arabic: 'Langue Arabe',
+                french: 'Langue Française',
+                english: 'Langue Anglaise',
+                maths: 'Mathématiques',
+                physics: 'Sciences Physiques',
+                naturalSciences: 'Sciences de la Vie et de la Terre',
+                history: 'Histoire',
+                geography: 'Géographie',
+                islamic: 'Éducation Islamique',
+                civicEducation: 'Éducation Civique',
+                technology: 'Technologie',
+                philosophy: 'Philosophie'
+            }
+        },
+        en: {
+            loading: 'Loading the list of tests...',
+            loadFailed: 'The list of tests could not be loaded.',
+            needsServer: 'Batch export loads the page of each test, which browsers only allow when the site is served over http(s), not opened from a file.',
+            year: 'Year',
+            subject: 'Subject',
+            trimester: 'Trimester',
+            allSubjects: 'All subjects',
+            allTrimesters: 'All trimesters',
+            tests: 'Tests ({selected} of {total})',
+            selectAll: 'Select all',
+            selectNone: 'Select none',
+            noTests: 'No tests match this selection.',
+            format: 'File',
+            bundle: 'One PDF with a table of contents',
+            pdf: 'ZIP archive of PDF files',
+            odt: 'ZIP archive of ODT files',
+            docx: 'ZIP archive of Word (DOCX) files',
+            export: 'Export',
+            cancel: 'Cancel',
+            noneSelected: 'Select at least one test.',
+            missingWriter: 'The file writer is not loaded.',
+            loadingTest: 'Test {current} of {total}: {title}',
+            building: 'Building the file...',
+            done: '{count} test(s) exported.',
+            cancelled: 'Export cancelled.',
+            failed: 'Not exported: {titles}',
+            exportFailed: 'The file could not be created.',
+            type1: 'Mid-term test',
+            type2: 'End-of-term test',
+            trimesters: { 1: 'First Trimester', 2: 'Second Trimester', 3: 'Third Trimester' },
+            levels: {
+                '7th': '7th Year',
+                '8th': '8th Year',
+                '9th': '9th Year',
+                '1st-secondary': '1st Year Secondary',
+                '2nd-secondary': '2nd Year Secondary',
+                '3rd-secondary': '3rd Year Secondary',
+                '4th-secondary': '4th Year Secondary'
+            },
+            subjects: {
+                arabic: 'Arabic Language',
+                french: 'French Language',
+                english: 'English Language',
+                maths: 'Mathematics',
+                physics: 'Physical Sciences',
+                naturalSciences: 'Natural Sciences',
+                history: 'History',
+                geography: 'Geography',
+                islamic: 'Islamic Education',
+                civicEducation: 'Civic Education',
+                technology: 'Technology',
+                philosophy: 'Philosophy'
+            }
+        }
+    },
+
+    catalog: null,
+    root: null,
+    // Current selection: filters from the page address, and the tests unticked in the list
+    filters: { year: '', subject: '', trimester: '' },
+    excluded: new Set(),
+    format: 'bundle',
+    // The export in progress, { cancelled }
+    running: null,
+
+    /**
+     * Get the page's current UI language
+     */
+    getLanguage: function() {
+        return TestsHubPage.getLanguage(this.translations);
+    },
+
+    /**
+     * Translate a UI string, filling {placeholders}
+     */
+    t: function(key, values) {
+        return TestsHubPage.translate(this.translations, key, values);
+    },
+
+    /**
+     * Create an element with a class name and optional text
+     */
+    createElement: function(tag, className, text) {
+        const element = document.createElement(tag);
+        if (className) element.className = className;
+        if (text !== undefined) element.textContent = text;
+        return element;
+    },
+
+    /**
+     * Fetch the catalog
+     * @returns {Promise<void>}
+     */
+    load: function() {
+        return fetch(this.config.catalogUrl)
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.json();
+            })
+            .then(data => {
+                this.catalog = data.tests || [];
+            });
+    },
+
+    /**
+     * Read the selection from the page address (batch-export.html?year=year9&subject=physics&trimester=1)
+     */
+    readFilters: function() {
+        const params = new URLSearchParams(window.location.search);
+        Object.keys(this.filters).forEach(name => {
+            this.filters[name] = params.get(name) || '';
+        });
+        if (!this.filters.year && this.catalog.length) this.filters.year = this.catalog[0].year;
+    },
+
+    /**
+     * Tests of the catalog that match the filters, in catalog order
+     */
+    getMatches: function() {
+        const { year, subject, trimester } = this.filters;
+        return this.catalog.filter(test => test.year === year &&
+            (!subject || test.subject === subject) &&
+            (!trimester || String(test.trimester) === trimester));
+    },
+
+    /**
+     * Tests that will be exported: the matches still ticked
+     */
+    getSelection: function() {
+        return this.getMatches().filter(test => !this.excluded.has(test.id));
+    },
+
+    /**
+     * Title of the selection, used for the merged PDF ("Physical Sciences - 9th Year - First Trimester")
+     */
+    describe: function() {
+        const strings = this.translations[this.getLanguage()];
+        const test = this.catalog.find(entry => entry.year === this.filters.year);
+        return [
+            this.filters.subject && (strings.subjects[this.filters.subject] || this.filters.subject),
+            test && (strings.levels[test.level] || test.level),
+            this.filters.trimester && strings.trimesters[this.filters.trimester]
+        ].filter(Boolean).join(' - ') || 'Tests Hub';
+    },
+
+    /**
+     * Name of the exported file, after the selection (year9_physics_trim1)
+     */
+    getFilename: function(extension) {
+        const { year, subject, trimester } = this.filters;
+        const name = [year, subject, trimester && `trim${trimester}`].filter(Boolean).join('_');
+        return `${name || 'tests'}.${extension}`;
+    },
+
+    /**
+     * Keep the page address in step with the selection, so it can be bookmarked
+     */
+    saveFilters: function() {
+        const params = new URLSearchParams();
+        Object.entries(this.filters).forEach(([name, value]) => {
+            if (value) params.set(name, value);
+        });
+        const query = params.toString();
+        history.replaceState(null, '', query ? `?${query}` : window.location.pathname);
+    },
+
+    /**
+     * A labelled select of a filter
+     * @param {Array} options - [value, label] pairs
+     */
+    renderFilter: function(name, options) {
+        const label = this.createElement('label', 'Tests-Hub-batch-field', this.t(name));
+        const select = this.createElement('select');
+        select.name = name;
+        options.forEach(([value, text]) => {
+            const option = this.createElement('option', null, text);
+            option.value = value;
+            option.selected = value === this.filters[name];
+            select.appendChild(option);
+        });
+        select.addEventListener('change', () => {
+            this.filters[name] = select.value;
+            if (name === 'year') {
+                const subjects = new Set(this.getMatches().map(test => test.subject));
+                if (!subjects.has(this.filters.subject)) this.filters.subject = '';
+            }
+            this.excluded.clear();
+            this.saveFilters();
+            this.render();
+        });
+        label.appendChild(select);
+        return label;
+    },
+
+    /**
+     * The year, subject and trimester filters, with the choices the catalog has
+     */
+    renderFilters: function() {
+        const strings = this.translations[this.getLanguage()];
+        const years = new Map();
+        this.catalog.forEach(test => {
+            if (!years.has(test.year)) years.set(test.year, strings.levels[test.level] || test.level);
+        });
+        const subjects = [...new Set(this.catalog.filter(test => test.year === this.filters.year).map(test => test.subject))];
+
+        const filters = this.createElement('div', 'Tests-Hub-batch-filters');
+        filters.append(
+            this.renderFilter('year', [...years]),
+            this.renderFilter('subject', [['', this.t('allSubjects')], ...subjects.map(subject => [subject, strings.subjects[subject] || subject])]),
+            this.renderFilter('trimester', [['', this.t('allTrimesters')], ...[1, 2, 3].map(trimester => [String(trimester), strings.trimesters[trimester]])])
+        );
+        return filters;
+    },
+
+    /**
+     * The tests of the selection, each with a checkbox
+     */
+    renderTests: function() {
+        const strings = this.translations[this.getLanguage()];
+        const matches = this.getMatches();
+        const fieldset = this.createElement('fieldset', 'Tests-Hub-batch-tests');
+        const legend = this.createElement('legend', null, this.t('tests', { selected: this.getSelection().length, total: matches.length }));
+        fieldset.appendChild(legend);
+
+        if (!matches.length) {
+            fieldset.appendChild(this.createElement('p', null, this.t('noTests')));
+            return fieldset;
+        }
+
+        const actions = this.createElement('div', 'Tests-Hub-batch-actions');
+        [['selectAll', () => this.excluded.clear()], ['selectNone', () => matches.forEach(test => this.excluded.add(test.id))]].forEach(([key, action]) => {
+            const button = this.createElement('button', 'Tests-Hub-batch-link', this.t(key));
+            button.type = 'button';
+            button.addEventListener('click', () => {
+                action();
+                this.render();
+            });
+            actions.appendChild(button);
+        });
+        fieldset.appendChild(actions);
+
+        const list = this.createElement('ul', 'Tests-Hub-batch-list');
+        matches.forEach(test => {
+            const item = this.createElement('li');
+            const label = this.createElement('label');
+            const checkbox = this.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = !this.excluded.has(test.id);
+            checkbox.addEventListener('change', () => {
+                if (checkbox.checked) this.excluded.delete(test.id);
+                else this.excluded.add(test.id);
+                legend.textContent = this.t('tests', { selected: this.getSelection().length, total: matches.length });
+            });
+
+            const details = [
+                !this.filters.subject && (strings.subjects[test.subject] || test.subject),
+                !this.filters.trimester && strings.trimesters[test.trimester],
+                `${test.type === 'Type1' ? strings.type1 : strings.type2} ${test.number}`
+            ].filter(Boolean).join(' • ');
+            label.append(checkbox, ' ', this.createElement('span', null, test.title || test.id), ' ',
+                this.createElement('span', 'Tests-Hub-test-details', details));
+            item.appendChild(label);
+            list.appendChild(item);
+        });
+        fieldset.appendChild(list);
+        return fieldset;
+    },
+
+    /**
+     * The choice between one merged PDF and a ZIP of files
+     */
+    renderFormats: function() {
+        const fieldset = this.createElement('fieldset', 'Tests-Hub-batch-formats');
+        fieldset.appendChild(this.createElement('legend', null, this.t('format')));
+        Object.keys(this.config.formats).forEach(format => {
+            const label = this.createElement('label', 'Tests-Hub-batch-choice');
+            const radio = this.createElement('input');
+            radio.type = 'radio';
+            radio.name = 'batchFormat';
+            radio.value = format;
+            radio.checked = format === this.format;
+            radio.addEventListener('change', () => {
+                this.format = format;
+            });
+            label.append(radio, ' ', this.t(format));
+            fieldset.appendChild(label);
+        });
+        return fieldset;
+    },
+
+    /**
+     * Render the whole exporter
+     */
+    render: function() {
+        if (!this.catalog) return;
+
+        const exportButton = this.createElement('button', 'Tests-Hub-batch-export', this.t('export'));
+        exportButton.type = 'button';
+        exportButton.addEventListener('click', () => this.run());
+        const cancelButton = this.createElement('button', 'Tests-Hub-batch-cancel', this.t('cancel'));
+        cancelButton.type = 'button';
+        cancelButton.hidden = true;
+        cancelButton.addEventListener('click', () => {
+            if (this.running) this.running.cancelled = true;
+        });
+
+        const progress = this.createElement('progress', 'Tests-Hub-batch-progress');
+        progress.hidden = true;
+        const status = this.createElement('p', 'Tests-Hub-batch-status');
+        status.setAttribute('role', 'status');
+        status.setAttribute('aria-live', 'polite');
+        this.controls = { exportButton, cancelButton, progress, status };
+
+        const footer = this.createElement('div', 'Tests-Hub-batch-actions');
+        footer.append(exportButton, cancelButton);
+
+        const content = [this.renderFilters(), this.renderTests(), this.renderFormats(), footer, progress, status];
+        if (window.location.protocol === 'file:') {
+            content.unshift(this.createElement('p', 'Tests-Hub-batch-note', this.t('needsServer')));
+        }
+        this.root.replaceChildren(...content);
+    },
+
+    /**
+     * Show where the export is
+     * @param {number} [value] - tests done, out of max; no bar when omitted
+     */
+    setStatus: function(text, value, max) {
+        const { progress, status } = this.controls;
+        status.textContent = text;
+        progress.hidden = value === undefined;
+        if (value !== undefined) {
+            progress.max = max;
+            progress.value = value;
+        }
+    },
+
+    /**
+     * Whether the test content is in a loaded page
+     */
+    isRendered: function(doc) {
+        const root = doc.getElementById(this.config.loadingRootId);
+        return root ? root.hasAttribute('lang') : !!doc.querySelector(this.config.readySelector);
+    },
+
+    /**
+     * Load a test page in a hidden frame, and wait until its content is on the page
+     * and the student's saved answers are back in it
+     * @returns {Promise<HTMLIFrameElement>}
+     */
+    loadTest: function(test) {
+        return new Promise((resolve, reject) => {
+            const frame = this.createElement('iframe', 'Tests-Hub-batch-frame');
+            // The page then restores the saved answers without counting as opened (answer-storage.js)
+            frame.setAttribute('data-tests-hub-export', '');
+            frame.setAttribute('aria-hidden', 'true');
+            frame.tabIndex = -1;
+            frame.style.width = `${this.config.frameWidth}px`;
+
+            let settled = false;
+            const started = Date.now();
+            const fail = error => {
+                if (settled) return;
+                settled = true;
+                frame.remove();
+                reject(error);
+            };
+            const check = () => {
+                if (settled) return;
+                let doc = null;
+                try {
+                    doc = frame.contentDocument;
+                } catch (error) {
+                    return fail(error);
+                }
+                if (!doc) return fail(new Error(`${test.file} could not be read`));
+
+                if (doc.readyState === 'complete' && this.isRendered(doc)) {
+                    settled = true;
+                    const storage = frame.contentWindow.TestsHubAnswerStorage;
+                    Promise.resolve(storage && storage.restoreRequest)
+                        .catch(error => console.warn('Saved answers not restored:', error))
+                        .then(() => resolve(frame));
+                } else if (Date.now() - started > this.config.loadTimeout) {
+                    fail(new Error(`${test.file} did not load in time`));
+                } else {
+                    setTimeout(check, 200);
+                }
+            };
+
+            frame.addEventListener('load', check, { once: true });
+            frame.addEventListener('error', () => fail(new Error(`${test.file} could not be loaded`)), { once: true });
+            setTimeout(() => fail(new Error(`${test.file} did not load in time`)), this.config.loadTimeout * 1.5);
+            frame.src = test.file;
+            document.body.appendChild(frame);
+        });
+    },
+
+    /**
+     * Export one test: its document model for the merged PDF, or its own file
+     * @returns {Promise<Object|Blob>}
+     */
+    exportTest: function(test, options) {
+        const writer = window[this.config.formats[this.format].writer];
+
+        return this.loadTest(test).then(frame => {
+            const doc = frame.contentDocument;
+            const page = frame.contentWindow;
+            const testOptions = {
+                ...options,
+                element: doc.querySelector(this.config.contentSelector) || doc.body,
+                title: test.title || doc.title
+            };
+            // A test whose correction is locked (a running exam) is exported without it
+            if (page.TestsHubDownloadingUtils && page.TestsHubDownloadingUtils.isCorrectionLocked()) {
+                testOptions.include = 'subject';
+            }
+
+            const work = this.format === 'bundle' ? writer.readModel(testOptions) : writer.build(testOptions);
+            return work.finally(() => frame.remove());
+        });
+    },
+
+    /**
+     * Put the exported tests together: one PDF, or a ZIP of their files
+     * @returns {Promise<Blob>}
+     */
+    assemble: function(results, options) {
+        if (this.format === 'bundle') {
+            return TestsHubPDFWriter.buildBundle(results.map(result => result.output), { ...options, title: this.describe() });
+        }
+
+        const extension = this.config.formats[this.format].extension;
+        return Promise.all(results.map(result => result.output.arrayBuffer().then(buffer => ({
+            name: `${result.test.id}.${extension}`,
+            data: new Uint8Array(buffer),
+            // PDF, ODT and DOCX files are compressed already
+            compress: false
+        })))).then(entries => TestsHubZipWriter.createArchive(entries, { type: 'application/zip' }));
+    },
+
+    /**
+     * Ask for the export options, then export the selected tests one after the other
+     * @returns {Promise<void>}
+     */
+    run: function() {
+        if (this.running) return Promise.resolve();
+        const tests = this.getSelection();
+        if (!tests.length) {
+            this.setStatus(this.t('noneSelected'));
+            return Promise.resolve();
+        }
+
+        const format = this.config.formats[this.format];
+        if (!window[format.writer] || !window.TestsHubDownloadingUtils ||
+            (this.format !== 'bundle' && !window.TestsHubZipWriter)) {
+            this.setStatus(this.t('missingWriter'));
+            return Promise.resolve();
+        }
+
+        return TestsHubDownloadingUtils.chooseExportOptions(format.dialog).then(options => {
+            if (!options) return;
+
+            const running = { cancelled: false };
+            const { exportButton, cancelButton } = this.controls;
+            this.running = running;
+            exportButton.disabled = true;
+            cancelButton.hidden = false;
+
+            const results = [];
+            const failed = [];
+            const chain = tests.reduce((previous, test, index) => previous.then(() => {
+                if (running.cancelled) return;
+                this.setStatus(this.t('loadingTest', { current: index + 1, total: tests.length, title: test.title || test.id }), index, tests.length);
+                return this.exportTest(test, options)
+                    .then(output => results.push({ test, output }))
+                    .catch(error => {
+                        console.warn(`Batch export of ${test.id} failed:`, error);
+                        failed.push(test);
+                    });
+            }), Promise.resolve());
+
+            return chain
+                .then(() => {
+                    if (running.cancelled) {
+                        this.setStatus(this.t('cancelled'));
+                        return;
+                    }
+                    if (!results.length) throw new Error('No test could be exported');
+
+                    this.setStatus(this.t('building'), tests.length, tests.length);
+                    return this.assemble(results, options).then(blob => {
+                        TestsHubDownloadingUtils.downloadBlob(blob, this.getFilename(this.format === 'bundle' ? 'pdf' : 'zip'));
+                        this.setStatus(this.t('done', { count: results.length }));
+                    });
+                })
+                .catch(error => {
+                    console.error('Batch export failed:', error);
+                    this.setStatus(this.t('exportFailed'));
+                })
+                .then(() => {
+                    if (failed.length) {
+                        const titles = failed.map(test => test.title || test.id).join(', ');
+                        this.controls.status.textContent += ` ${this.t('failed', { titles })}`;
+                    }
+                    this.running = null;
+                    exportButton.disabled = false;
+                    cancelButton.hidden = true;
+                });
+        });
+    },
+
+    /**
+     * Show a message in place of the exporter
+     */
+    showMessage: function(key) {
+        this.root.replaceChildren(this.createElement('p', 'Tests-Hub-text-center', this.t(key)));
+    },
+
+    /**
+     * Add the styles of the exporter
+     */
+    injectStyles: function() {
+        if (document.getElementById('batch-export-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'batch-export-styles';
+        style.textContent = `
+            .Tests-Hub-batch-filters { display: flex; flex-wrap: wrap; gap: 12px; margin-bottom: 16px; }
+            .Tests-Hub-batch-field { display: flex; flex-direction: column; gap: 4px; font-weight: 600; flex: 1 1 180px; }
+            .Tests-Hub-batch-field select { padding: 6px 8px; border-radius: 6px; font: inherit; font-weight: normal; }
+            .Tests-Hub-batch-tests, .Tests-Hub-batch-formats { background: rgba(255, 255, 255, 0.85); border: 1px solid #99F6E4; border-radius: 12px; margin: 0 0 16px; padding: 8px 16px 12px; }
+            .Tests-Hub-batch-tests legend, .Tests-Hub-batch-formats legend { font-weight: 700; padding: 0 4px; }
+            .Tests-Hub-batch-list { list-style: none; margin: 8px 0 0; padding: 0; max-height: 360px; overflow-y: auto; }
+            .Tests-Hub-batch-list li { padding: 4px 0; border-bottom: 1px solid rgba(0, 0, 0, 0.06); }
+            .Tests-Hub-batch-list label { cursor: pointer; }
+            .Tests-Hub-batch-list .Tests-Hub-test-details { font-size: 0.8rem; opacity: 0.75; }
+            .Tests-Hub-batch-choice { display: block; padding: 3px 0; cursor: pointer; }
+            .Tests-Hub-batch-actions { display: flex; flex-wrap: wrap; gap: 8px; margin-bottom: 12px; }
+            .Tests-Hub-batch-link { background: none; border: none; padding: 0; color: #0F766E; font: inherit; font-size: 0.9rem; cursor: pointer; text-decoration: underline; }
+            .Tests-Hub-batch-export, .Tests-Hub-batch-cancel { padding: 8px 20px; border-radius: 8px; border: 1px solid #0D9488; font: inherit; font-weight: 600; cursor: pointer; }
+            .Tests-Hub-batch-export { background: #0D9488; color: white; }
+            .Tests-Hub-batch-export:disabled { opacity: 0.6; cursor: wait; }
+            .Tests-Hub-batch-cancel { background: white; color: #0F766E; }
+            .Tests-Hub-batch-progress { width: 100%; height: 12px; }
+            .Tests-Hub-batch-status { min-height: 1.5em; }
+            .Tests-Hub-batch-note { padding: 10px 14px; border-radius: 8px; background: #FEF3C7; color: #92400E; }
+            .Tests-Hub-batch-frame { position: fixed; top: 0; left: -10000px; height: 800px; border: 0; visibility: hidden; }
+            .Tests-Hub-dark-theme .Tests-Hub-batch-tests, .Tests-Hub-dark-theme .Tests-Hub-batch-formats { background: rgba(19, 78, 74, 0.85); border-color: #14B8A6; }
+            .Tests-Hub-dark-theme .Tests-Hub-batch-link { color: #5EEAD4; }
+            .Tests-Hub-dark-theme .Tests-Hub-batch-cancel { background: transparent; color: #5EEAD4; }
+        `;
+        document.head.appendChild(style);
+    },
+
+    /**
+     * Load the catalog and render the exporter
+     */
+    init: function() {
+        this.root = document.getElementById(this.config.rootId);
+        if (!this.root) return Promise.resolve();
+        this.injectStyles();
+        this.showMessage('loading');
+
+        // Not during an export, which keeps its progress bar
+        TestsHubPage.onLanguageChange(() => {
+            if (!this.running) this.render();
+        });
+
+        return this.load()
+            .then(() => {
+                this.readFilters();
+                this.render();
+            })
+            .catch(error => {
+                console.error('Batch export failed to load:', error);
+                this.showMessage('loadFailed');
+            });
+    }
+};
+
+// Make it globally available
+window.TestsHubBatchExport = TestsHubBatchExport;
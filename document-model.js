@@ -0,0 +1,768 @@
+/**
+ * Tests Hub - Document Model
+ * Reads a test page into a format-neutral list of blocks (headings, paragraphs,
+ * answer lines, lists, tables) made of styled text runs, images and formulas.
+ * The ODT, DOCX and PDF writers turn this model into files.
+ */
+
+const TestsHubDocumentModel = {
+
+    // Configuration
+    config: {
+        contentSelector: '.Tests-Hub-main-container, .Tests-Hub-content-container',
+        correctionSelector: '.Tests-Hub-correction-section',
+        // Kept above the correction when only the correction is exported
+        headerSelector: '.Tests-Hub-test-header',
+        // Page furniture that does not belong in an exported document
+        skipSelector: 'script, style, noscript, template, button, audio, video, iframe, object, hr, ' +
+            '.Tests-Hub-download-section, .Tests-Hub-download-buttons, .Tests-Hub-correction-container, ' +
+            '.Tests-Hub-toggle-button, .Tests-Hub-exam-bar, .Tests-Hub-save-status, .Tests-Hub-score-panel, ' +
+            '.Tests-Hub-review-correction',
+        // Width available for content and tallest picture, in cm (A4 with 2cm margins)
+        textWidth: 17,
+        maxImageHeight: 12,
+        // Paper sizes offered for exported files, in cm
+        paperSizes: {
+            a4: { width: 21, height: 29.7 },
+            letter: { width: 21.59, height: 27.94 }
+        },
+        // Empty lines printed for an unanswered textarea (one per ~28px of its height)
+        answerLines: { min: 2, max: 10, default: 3, lineHeight: 28 },
+        answerDots: '……………………',
+        // Paragraph style for the content of a Tests-Hub-* block
+        classStyles: {
+            'Tests-Hub-test-header': 'header',
+            'Tests-Hub-instructions-container': 'instructions',
+            'Tests-Hub-instructions': 'instructions',
+            'Tests-Hub-question-container': 'question',
+            'Tests-Hub-question': 'question',
+            'Tests-Hub-text-passage': 'passage',
+            'Tests-Hub-image-container': 'figure',
+            'Tests-Hub-image-caption': 'caption',
+            'Tests-Hub-math-formula': 'formula',
+            'katex-display': 'formula',
+            'Tests-Hub-correction-answer': 'correction'
+        },
+        // Inline Tests-Hub-* classes that carry character formatting
+        classFlags: {
+            'Tests-Hub-question-number': { bold: true },
+            'Tests-Hub-points-badge': { italic: true },
+            'Tests-Hub-text-highlight': { highlight: true },
+            'Tests-Hub-text-bold': { bold: true },
+            'Tests-Hub-text-italic': { italic: true }
+        },
+        // Parts of a test that paginated writers keep on one page when they fit
+        groups: {
+            section: '.Tests-Hub-test-header, .Tests-Hub-test-section',
+            question: '.Tests-Hub-question, .Tests-Hub-question-container, .Tests-Hub-correction-answer'
+        },
+        imageTypes: {
+            'image/png': 'png',
+            'image/jpeg': 'jpg',
+            'image/gif': 'gif',
+            'image/svg+xml': 'svg',
+            'image/webp': 'webp',
+            'image/bmp': 'bmp'
+        }
+    },
+
+    blockTags: ['ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'CENTER', 'DD', 'DETAILS', 'DIV', 'DL', 'DT',
+        'FIELDSET', 'FIGCAPTION', 'FIGURE', 'FOOTER', 'FORM', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEADER',
+        'LEGEND', 'LI', 'MAIN', 'NAV', 'OL', 'P', 'PRE', 'SECTION', 'SUMMARY', 'TABLE', 'TEXTAREA', 'UL'],
+
+    rtlPattern: /[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF]/,
+    strongPattern: /[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF]|[A-Za-z\u00C0-\u024F]/,
+
+    /**
+     * Writing direction of a piece of text from its first strong character
+     * @returns {string|null} 'rtl', 'ltr' or null when the text has no letters
+     */
+    detectDirection: function(text) {
+        const match = String(text).match(this.strongPattern);
+        if (!match) return null;
+        return this.rtlPattern.test(match[0]) ? 'rtl' : 'ltr';
+    },
+
+    /**
+     * Direction of an element: an explicit dir inside the exported content,
+     * then its text, then the document direction
+     */
+    getDirection: function(element, text, ctx) {
+        for (let node = element; node && node !== ctx.root.parentNode; node = node.parentNode) {
+            const dir = node.getAttribute && node.getAttribute('dir');
+            if (dir === 'rtl' || dir === 'ltr') return dir;
+        }
+        return this.detectDirection(text) || ctx.dir;
+    },
+
+    /**
+     * Direction of the whole document: explicit dir on the content, else the script most letters use
+     */
+    getDocumentDirection: function(root) {
+        const explicit = root.closest('[dir]');
+        if (explicit && explicit !== root.ownerDocument.documentElement && /^(rtl|ltr)$/.test(explicit.getAttribute('dir'))) {
+            return explicit.getAttribute('dir');
+        }
+        const text = root.textContent;
+        const rtl = (text.match(/[\u0600-\u06FF\u0750-\u077F\uFB50-\uFDFF\uFE70-\uFEFF]/g) || []).length;
+        const ltr = (text.match(/[A-Za-z\u00C0-\u024F]/g) || []).length;
+        return rtl > ltr ? 'rtl' : 'ltr';
+    },
+
+    /**
+     * Language of the document for spell checking (Latin text in an Arabic test is taken as French)
+     */
+    getDocumentLanguage: function(root, dir) {
+        if (dir === 'rtl') return 'ar';
+        const holder = root.closest('[lang]');
+        const lang = holder ? holder.getAttribute('lang').slice(0, 2) : '';
+        return lang && lang !== 'ar' ? lang : 'fr';
+    },
+
+    /**
+     * Check whether an element is left out of the document
+     */
+    isSkipped: function(element, ctx) {
+        if (element.matches(this.config.correctionSelector)) return ctx.include === 'subject';
+        if (ctx.include === 'correction' && this.isSubjectOnly(element)) return true;
+        if (element.matches(this.config.skipSelector)) return true;
+        if (element.hidden || element.classList.contains('Tests-Hub-hidden')) return true;
+        if (element.getAttribute('aria-hidden') === 'true') return true;
+        return !!(element.style && element.style.display === 'none');
+    },
+
+    /**
+     * Check whether an element belongs to the subject alone: neither the test header
+     * nor the correction, and holding neither of them
+     */
+    isSubjectOnly: function(element) {
+        const kept = `${this.config.headerSelector}, ${this.config.correctionSelector}`;
+        return !element.closest(kept) && !element.querySelector(kept);
+    },
+
+    /**
+     * Check whether an element or one of its ancestors (up to the root) is left out
+     */
+    isExcluded: function(element, ctx) {
+        for (let node = element; node && node !== ctx.root; node = node.parentNode) {
+            if (node.nodeType === 1 && this.isSkipped(node, ctx)) return true;
+        }
+        return false;
+    },
+
+    /**
+     * Check whether an element starts its own paragraph(s)
+     */
+    isBlock: function(element) {
+        return this.blockTags.includes(element.tagName) ||
+            element.classList.contains('katex-display') ||
+            element.classList.contains('Tests-Hub-choice-option');
+    },
+
+    /**
+     * Paragraph style for the content of a block element
+     */
+    getBlockStyle: function(element, inherited) {
+        const className = Object.keys(this.config.classStyles).find(name => element.classList.contains(name));
+        return className ? this.config.classStyles[className] : inherited;
+    },
+
+    /**
+     * Character flags an inline element adds to its text
+     */
+    getFlags: function(element, flags) {
+        const result = { ...flags };
+        const tag = element.tagName;
+        if (tag === 'B' || tag === 'STRONG') result.bold = true;
+        if (tag === 'I' || tag === 'EM' || tag === 'CITE' || tag === 'VAR') result.italic = true;
+        if (tag === 'U' || tag === 'INS') result.underline = true;
+        if (tag === 'S' || tag === 'DEL' || tag === 'STRIKE') result.strike = true;
+        if (tag === 'MARK') result.highlight = true;
+        if (tag === 'SUP') result.sup = true;
+        if (tag === 'SUB') result.sub = true;
+
+        Object.keys(this.config.classFlags).forEach(name => {
+            if (element.classList.contains(name)) Object.assign(result, this.config.classFlags[name]);
+        });
+
+        const style = element.style;
+        if (style) {
+            if (style.fontWeight === 'bold' || parseInt(style.fontWeight, 10) >= 600) result.bold = true;
+            if (style.fontStyle === 'italic') result.italic = true;
+            if (/underline/.test(style.textDecoration)) result.underline = true;
+        }
+        return result;
+    },
+
+    /**
+     * Compare two sets of character flags
+     */
+    sameFlags: function(a, b) {
+        const keys = flags => Object.keys(flags || {}).filter(key => flags[key]).sort().join('+');
+        return keys(a) === keys(b);
+    },
+
+    /**
+     * Runs for a blank the student fills in on paper
+     */
+    blankRuns: function(value, width) {
+        if (value && value.trim()) return [{ text: value, flags: { answer: true }, keep: true }];
+        const length = width ? Math.max(4, Math.min(40, Math.round(width / 8))) : this.config.answerDots.length;
+        return [{ text: '…'.repeat(length), flags: {}, keep: true }];
+    },
+
+    /**
+     * Runs for a form control inside a paragraph; blank answers leave every control empty
+     */
+    controlRuns: function(element, ctx) {
+        const blank = ctx.answers === 'blank';
+        if (element.tagName === 'SELECT') {
+            const option = element.value && !blank ? element.options[element.selectedIndex] : null;
+            return this.blankRuns(option ? option.textContent : '');
+        }
+        if (element.tagName === 'TEXTAREA') {
+            return this.blankRuns(blank ? '' : element.value.replace(/\s+/g, ' '));
+        }
+
+        const type = (element.getAttribute('type') || 'text').toLowerCase();
+        if (type === 'radio' || type === 'checkbox') {
+            return [{ text: element.checked && !blank ? '☒ ' : '☐ ', flags: {}, keep: true }];
+        }
+        if (['hidden', 'button', 'submit', 'reset', 'image', 'file'].includes(type)) return [];
+        return this.blankRuns(blank ? '' : element.value, parseInt(element.style.width, 10) || 0);
+    },
+
+    /**
+     * Run for a KaTeX formula: its MathML (for writers that keep equations)
+     * and the same formula as text runs with superscripts and subscripts
+     */
+    mathRuns: function(element) {
+        const math = element.querySelector('math');
+        if (math) {
+            return [{ math, runs: this.normalizeRuns(this.mathNodeRuns(math, {})) }];
+        }
+        const annotation = element.querySelector('annotation');
+        return [{ text: (annotation || element).textContent, flags: {} }];
+    },
+
+    /**
+     * Linearize one MathML node into text runs
+     */
+    mathNodeRuns: function(node, flags) {
+        if (node.nodeType === 3) return [{ text: node.nodeValue, flags, keep: true }];
+        if (node.nodeType !== 1) return [];
+
+        const children = Array.from(node.children);
+        const child = (index, extra) => children[index] ? this.mathNodeRuns(children[index], { ...flags, ...extra }) : [];
+        const text = value => [{ text: value, flags, keep: true }];
+        // Parenthesize a fraction term or radicand longer than one symbol
+        const group = runs => {
+            const length = runs.reduce((total, run) => total + (run.text || '').trim().length, 0);
+            return length > 1 ? text('(').concat(runs, text(')')) : runs;
+        };
+
+        switch (node.localName) {
+            case 'annotation':
+            case 'annotation-xml':
+            case 'mphantom':
+                return [];
+            case 'semantics':
+                return child(0);
+            case 'mi': {
+                const value = node.textContent;
+                const italic = value.length === 1 && node.getAttribute('mathvariant') !== 'normal';
+                return [{ text: value, flags: { ...flags, italic: italic || flags.italic }, keep: true }];
+            }
+            case 'mo': {
+                const value = node.textContent;
+                return text(/^[=<>≤≥≠≈≡→⇒⇔∈∉⊂]$/.test(value) ? ` ${value} ` : value);
+            }
+            case 'mn':
+            case 'mtext':
+            case 'ms':
+                return text(node.textContent);
+            case 'mspace':
+                return text(' ');
+            case 'msup':
+                return child(0).concat(child(1, { sup: true, sub: false }));
+            case 'msub':
+                return child(0).concat(child(1, { sub: true, sup: false }));
+            case 'msubsup':
+                return child(0).concat(child(1, { sub: true, sup: false }), child(2, { sup: true, sub: false }));
+            case 'mover':
+            case 'munderover':
+                return child(0).concat(child(children.length - 1, { sup: true, sub: false }));
+            case 'munder':
+                return child(0).concat(child(1, { sub: true, sup: false }));
+            case 'mfrac':
+                return group(child(0)).concat(text('/'), group(child(1)));
+            case 'msqrt':
+                return text('√').concat(group(children.reduce((runs, item, index) => runs.concat(child(index)), [])));
+            case 'mroot':
+                return child(1, { sup: true, sub: false }).concat(text('√'), group(child(0)));
+            case 'mtable':
+                return children.reduce((runs, row, index) => runs.concat(index ? [{ lineBreak: true }] : [], child(index)), []);
+            case 'mtr':
+            case 'mlabeledtr':
+                return children.reduce((runs, cell, index) => runs.concat(index ? text('  ') : [], child(index)), []);
+            default:
+                return Array.from(node.childNodes).reduce((runs, item) => runs.concat(this.mathNodeRuns(item, flags)), []);
+        }
+    },
+
+    /**
+     * Runs for the inline content of an element
+     */
+    inlineRuns: function(element, flags, ctx) {
+        let runs = [];
+        element.childNodes.forEach(node => {
+            if (node.nodeType === 3) {
+                runs.push({ text: node.nodeValue, flags });
+            } else if (node.nodeType === 1) {
+                runs = runs.concat(this.elementRuns(node, flags, ctx));
+            }
+        });
+        return runs;
+    },
+
+    /**
+     * Runs for one inline element
+     */
+    elementRuns: function(element, flags, ctx) {
+        if (this.isSkipped(element, ctx)) return [];
+        if (element.classList.contains('katex')) return this.mathRuns(element);
+
+        switch (element.tagName) {
+            case 'BR':
+                return [{ lineBreak: true }];
+            case 'IMG':
+            case 'CANVAS':
+                return [this.imageRun(element, ctx)];
+            case 'INPUT':
+            case 'SELECT':
+            case 'TEXTAREA':
+                return this.controlRuns(element, ctx);
+            default:
+                return this.inlineRuns(element, this.getFlags(element, flags), ctx);
+        }
+    },
+
+    /**
+     * Run for an image sized to the space it sits in, or its description when it could not be read
+     */
+    imageRun: function(element, ctx) {
+        const image = ctx.images.get(element);
+        const alt = element.getAttribute('alt') || element.getAttribute('aria-label') || '';
+        if (!image) {
+            return alt ? { text: `[${alt}]`, flags: { italic: true } } : { text: '' };
+        }
+
+        const maxWidth = ctx.widths[ctx.widths.length - 1];
+        const scale = Math.min(1, maxWidth / image.width, this.config.maxImageHeight / image.height);
+        return { image, width: image.width * scale, height: image.height * scale, alt };
+    },
+
+    /**
+     * Collapse whitespace the way a browser does, trim the paragraph and
+     * merge neighbouring runs that share the same formatting
+     */
+    normalizeRuns: function(runs) {
+        const result = [];
+        const pushText = (text, flags) => {
+            const last = result[result.length - 1];
+            if (last && last.text !== undefined && this.sameFlags(last.flags, flags)) last.text += text;
+            else result.push({ text, flags });
+        };
+        let pendingSpace = false;
+        let started = false;
+        let endsWithSpace = false;
+
+        runs.forEach(run => {
+            if (run.lineBreak) {
+                result.push({ lineBreak: true });
+                started = pendingSpace = endsWithSpace = false;
+                return;
+            }
+            if (run.image || run.math) {
+                const text = run.math ? this.runsText(run.runs) : '';
+                if (pendingSpace && started && !endsWithSpace && !text.startsWith(' ')) pushText(' ', {});
+                result.push(run);
+                started = true;
+                pendingSpace = false;
+                endsWithSpace = text.endsWith(' ');
+                return;
+            }
+
+            let text = String(run.text || '');
+            if (!run.keep) {
+                text = text.replace(/[ \t\n\r\f]+/g, ' ');
+                if (text.startsWith(' ')) pendingSpace = true;
+                text = text.trim();
+            }
+            if (!text) return;
+
+            const flags = run.flags || {};
+            if (pendingSpace && started && !endsWithSpace && !text.startsWith(' ')) pushText(' ', flags);
+            pushText(text, flags);
+            started = true;
+            endsWithSpace = text.endsWith(' ');
+            pendingSpace = !run.keep && /[ \t\n\r\f]$/.test(run.text);
+        });
+
+        while (result.length && result[result.length - 1].lineBreak) result.pop();
+        return result;
+    },
+
+    /**
+     * Plain text of runs, used to guess the paragraph direction
+     */
+    runsText: function(runs) {
+        return runs.map(run => run.math ? this.runsText(run.runs) : (run.text || '')).join('');
+    },
+
+    /**
+     * Take the pending page break (set when the correction starts)
+     */
+    takePageBreak: function(ctx) {
+        const pageBreak = ctx.pendingBreak;
+        ctx.pendingBreak = false;
+        return pageBreak;
+    },
+
+    /**
+     * Paragraph or heading block from runs; null when there is nothing to show
+     */
+    paragraph: function(runs, style, element, ctx, level) {
+        const normalized = this.normalizeRuns(runs);
+        if (!normalized.some(run => run.image || run.math || (run.text && run.text.trim()))) return null;
+
+        const block = {
+            type: level ? 'heading' : 'paragraph',
+            style,
+            dir: this.getDirection(element, this.runsText(normalized), ctx),
+            pageBreak: this.takePageBreak(ctx),
+            runs: normalized
+        };
+        if (level) block.level = level;
+        return block;
+    },
+
+    /**
+     * Blocks for the children of a block element: inline content is gathered
+     * into paragraphs, nested blocks are read in turn
+     */
+    readChildren: function(element, ctx, style) {
+        let blocks = [];
+        let runs = [];
+        const flush = () => {
+            const block = this.paragraph(runs, style, element, ctx);
+            if (block) blocks.push(block);
+            runs = [];
+        };
+
+        element.childNodes.forEach(node => {
+            if (node.nodeType === 3) {
+                runs.push({ text: node.nodeValue, flags: {} });
+            } else if (node.nodeType === 1 && !this.isSkipped(node, ctx)) {
+                if (this.isBlock(node)) {
+                    flush();
+                    blocks = blocks.concat(this.readBlock(node, ctx, style));
+                } else {
+                    runs = runs.concat(this.elementRuns(node, {}, ctx));
+                }
+            }
+        });
+        flush();
+        return blocks;
+    },
+
+    /**
+     * Blocks for one block element
+     */
+    readBlock: function(element, ctx, style) {
+        const tag = element.tagName;
+
+        if (/^H[1-6]$/.test(tag)) {
+            const level = Math.min(parseInt(tag.charAt(1), 10), 4);
+            const block = this.paragraph(this.inlineRuns(element, {}, ctx), 'heading', element, ctx, level);
+            return block ? [block] : [];
+        }
+        if (tag === 'UL' || tag === 'OL') return this.readList(element, ctx);
+        if (tag === 'TABLE') return this.readTable(element, ctx);
+        if (tag === 'TEXTAREA') return this.readAnswer(element, ctx);
+        if (element.classList.contains('katex-display')) {
+            const block = this.paragraph(this.elementRuns(element.querySelector('.katex') || element, {}, ctx), 'formula', element, ctx);
+            return block ? [block] : [];
+        }
+
+        if (element.matches(this.config.correctionSelector) && ctx.include === 'all') {
+            // The correction starts on a new page after the subject
+            ctx.pendingBreak = true;
+        }
+        const blocks = this.readChildren(element, ctx, this.getBlockStyle(element, style));
+
+        // Mark where an exercise or a question starts (an exercise wins over its first question)
+        const group = Object.keys(this.config.groups).find(name => element.matches(this.config.groups[name]));
+        if (group && blocks.length && blocks[0].group !== 'section') blocks[0].group = group;
+        return blocks;
+    },
+
+    /**
+     * A student's written answer, or empty lines to answer on paper
+     */
+    readAnswer: function(element, ctx) {
+        const value = ctx.answers === 'blank' ? '' : element.value || '';
+        if (value.trim()) {
+            return value.split(/\r?\n/).map(line => ({
+                type: 'paragraph',
+                style: 'answer',
+                dir: this.getDirection(element, line, ctx),
+                pageBreak: this.takePageBreak(ctx),
+                runs: line ? [{ text: line, flags: {} }] : []
+            }));
+        }
+
+        const limits = this.config.answerLines;
+        const inCell = ctx.widths.length > 1;
+        const height = element.offsetHeight || parseInt(element.style.minHeight, 10) || 0;
+        let count = parseInt(element.getAttribute('rows'), 10) || (height ? Math.round(height / limits.lineHeight) : limits.default);
+        if (inCell) count = Math.min(count, 2);
+        count = Math.max(inCell ? 1 : limits.min, Math.min(limits.max, count));
+
+        return [{
+            type: 'answerLines',
+            count,
+            dir: this.getDirection(element, '', ctx),
+            pageBreak: this.takePageBreak(ctx)
+        }];
+    },
+
+    /**
+     * A bulleted or numbered list; each item holds its own blocks
+     */
+    readList: function(element, ctx) {
+        const items = [];
+        Array.from(element.children).forEach(item => {
+            if (this.isSkipped(item, ctx)) return;
+            items.push(item.tagName === 'LI'
+                ? this.readChildren(item, ctx, 'listItem')
+                : this.readBlock(item, ctx, 'listItem'));
+        });
+        return items.length ? [{ type: 'list', ordered: element.tagName === 'OL', items }] : [];
+    },
+
+    /**
+     * A table on a regular grid: merged cells (colspan/rowspan) keep their spans
+     * and the grid slots they cover are listed as covered cells
+     */
+    readTable: function(element, ctx) {
+        const rows = Array.from(element.rows).filter(row => !this.isSkipped(row, ctx));
+        if (!rows.length) return [];
+
+        // First pass: lay cells out on a grid to know the column count
+        const grid = [];
+        const layout = rows.map((row, r) => {
+            grid[r] = grid[r] || [];
+            const cells = [];
+            let c = 0;
+            Array.from(row.cells).forEach(cell => {
+                while (grid[r][c]) c++;
+                const item = {
+                    cell,
+                    row: r,
+                    column: c,
+                    colspan: Math.max(1, cell.colSpan || 1),
+                    rowspan: Math.min(Math.max(1, cell.rowSpan || 1), rows.length - r)
+                };
+                for (let rr = r; rr < r + item.rowspan; rr++) {
+                    grid[rr] = grid[rr] || [];
+                    for (let cc = c; cc < c + item.colspan; cc++) grid[rr][cc] = item;
+                }
+                cells.push(item);
+                c += item.colspan;
+            });
+            return cells;
+        });
+        const columns = Math.max(1, ...grid.map(row => row.length));
+        const width = ctx.widths[ctx.widths.length - 1];
+        const block = {
+            type: 'table',
+            dir: this.getDirection(element, element.textContent, ctx),
+            pageBreak: this.takePageBreak(ctx),
+            width,
+            columns,
+            rows: []
+        };
+
+        // Second pass: read the cells, grid slot by grid slot
+        ctx.widths.push(width / columns);
+        layout.forEach((cells, r) => {
+            const row = { header: rows[r].parentNode.tagName === 'THEAD', cells: [] };
+            for (let c = 0; c < columns; c++) {
+                const item = grid[r][c];
+                if (!item) {
+                    row.cells.push({ colspan: 1, rowspan: 1, heading: false, blocks: [] });
+                } else if (item.row === r && item.column === c) {
+                    const heading = item.cell.tagName === 'TH';
+                    item.model = {
+                        colspan: item.colspan,
+                        rowspan: item.rowspan,
+                        heading,
+                        blocks: this.readChildren(item.cell, ctx, heading ? 'tableHeading' : 'tableContents')
+                    };
+                    row.cells.push(item.model);
+                } else {
+                    row.cells.push({ covered: true, origin: item.model, sameRow: item.row === r, first: item.column === c });
+                }
+            }
+            block.rows.push(row);
+        });
+        ctx.widths.pop();
+        return [block];
+    },
+
+    /**
+     * Read an image or canvas as PNG through a canvas (fails for cross-origin or file:// images)
+     */
+    canvasBlob: function(element) {
+        return new Promise(resolve => {
+            try {
+                let canvas = element;
+                if (element.tagName === 'IMG') {
+                    if (!element.complete || !element.naturalWidth) return resolve(null);
+                    canvas = document.createElement('canvas');
+                    canvas.width = element.naturalWidth;
+                    canvas.height = element.naturalHeight;
+                    canvas.getContext('2d').drawImage(element, 0, 0);
+                }
+                canvas.toBlob(blob => resolve(blob), 'image/png');
+            } catch (error) {
+                resolve(null);
+            }
+        });
+    },
+
+    /**
+     * Load the bytes of an image or canvas; formats the target cannot hold are redrawn as PNG
+     * @returns {Promise<Blob|null>}
+     */
+    loadImage: function(element, types) {
+        if (element.tagName === 'CANVAS') return this.canvasBlob(element);
+
+        const src = element.currentSrc || element.src;
+        if (!src || typeof fetch !== 'function') return this.canvasBlob(element);
+        return fetch(src)
+            .then(response => {
+                if (!response.ok) throw new Error(`Image not found: ${src}`);
+                return response.blob();
+            })
+            .then(blob => !types || !blob.type || types.includes(blob.type) ? blob : this.canvasBlob(element))
+            .catch(() => this.canvasBlob(element));
+    },
+
+    /**
+     * Size of an image in cm, as laid out on the page when possible
+     */
+    getImageSize: function(element) {
+        const rect = element.getBoundingClientRect ? element.getBoundingClientRect() : { width: 0, height: 0 };
+        let width = rect.width;
+        let height = rect.height;
+        if (!width || !height) {
+            width = element.naturalWidth || parseInt(element.getAttribute('width'), 10) || element.width || 300;
+            height = element.naturalHeight || parseInt(element.getAttribute('height'), 10) || element.height || 200;
+        }
+        return { width: width * 2.54 / 96, height: height * 2.54 / 96 };
+    },
+
+    /**
+     * Load every picture of the content up front, so reading the page stays synchronous.
+     * Images are numbered in document order.
+     */
+    loadImages: function(ctx, types) {
+        const elements = Array.from(ctx.root.querySelectorAll('img, canvas'))
+            .filter(element => !this.isExcluded(element, ctx));
+
+        return Promise.all(elements.map(element => this.loadImage(element, types).then(blob => {
+            if (!blob || !blob.size) return null;
+            const src = element.tagName === 'IMG' ? (element.currentSrc || element.src) : '';
+            const fromName = (src.split(/[?#]/)[0].match(/\.(png|jpe?g|gif|svg|webp|bmp)$/i) || [])[1];
+            const extension = this.config.imageTypes[blob.type] || (fromName ? fromName.toLowerCase().replace('jpeg', 'jpg') : 'png');
+            const type = blob.type || Object.keys(this.config.imageTypes).find(key => this.config.imageTypes[key] === extension);
+            return blob.arrayBuffer().then(buffer => ({
+                element,
+                type,
+                extension,
+                bytes: new Uint8Array(buffer),
+                ...this.getImageSize(element)
+            }));
+        }).catch(error => {
+            console.warn('Image skipped in export:', error);
+            return null;
+        }))).then(images => {
+            images.filter(Boolean).forEach(image => {
+                image.id = ctx.images.size + 1;
+                ctx.images.set(image.element, image);
+                delete image.element;
+            });
+        });
+    },
+
+    /**
+     * Parts of the test an export holds: 'subject', 'all' (subject then correction)
+     * or 'correction'; without a choice, includeCorrection picks between the first two
+     */
+    getIncluded: function(options) {
+        if (['subject', 'all', 'correction'].includes(options.include)) return options.include;
+        return options.includeCorrection === false ? 'subject' : 'all';
+    },
+
+    /**
+     * Page of a writer with the paper and margins chosen for an export
+     * @param {Object} page - the writer's own page { width, height, margin, ... }
+     * @param {Object} options - { paper: 'a4' | 'letter', margin (mm) }
+     * @param {number} scale - writer units per cm (10 for a page in mm)
+     */
+    pageSetup: function(page, options = {}, scale = 1) {
+        const paper = this.config.paperSizes[options.paper];
+        const margin = parseFloat(options.margin);
+        return {
+            ...page,
+            width: paper ? paper.width * scale : page.width,
+            height: paper ? paper.height * scale : page.height,
+            margin: margin >= 0 ? margin / 10 * scale : page.margin
+        };
+    },
+
+    /**
+     * Read a test page into a document model
+     * @param {Object} options - { element, title, include, answers, includeCorrection, dir, lang, textWidth, imageTypes }
+     *   include: 'subject', 'all' or 'correction' (see getIncluded)
+     *   answers: 'student' keeps what the student typed, 'blank' prints empty answer lines
+     *   imageTypes: MIME types the target format can embed; other images are converted to PNG
+     * @returns {Promise<Object>} { title, dir, lang, blocks, images }
+     */
+    extract: function(options = {}) {
+        const root = options.element || document.querySelector(this.config.contentSelector) || document.body;
+        const dir = options.dir || this.getDocumentDirection(root);
+        const ctx = {
+            root,
+            dir,
+            include: this.getIncluded(options),
+            answers: options.answers === 'blank' ? 'blank' : 'student',
+            widths: [options.textWidth || this.config.textWidth],
+            pendingBreak: false,
+            images: new Map()
+        };
+
+        return this.loadImages(ctx, options.imageTypes).then(() => ({
+            title: options.title || root.ownerDocument.title,
+            dir,
+            lang: options.lang || this.getDocumentLanguage(root, dir),
+            blocks: this.readChildren(root, ctx, 'body'),
+            images: Array.from(ctx.images.values()).sort((a, b) => a.id - b.id)
+        }));
+    }
+};
+
+// Make it globally available
+window.TestsHubDocumentModel = TestsHubDocumentModel;
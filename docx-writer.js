@@ -0,0 +1,573 @@
+/**
+ * Tests Hub - DOCX Writer
+ * Turns a test page into an editable Word document (.docx, Office Open XML) in the browser,
+ * from the same document model as the ODT export: right-to-left paragraphs and tables for
+ * Arabic, merged table cells, embedded pictures and KaTeX formulas as Word equations (OMML).
+ * Needs zip-writer.js and document-model.js.
+ */
+
+const TestsHubDOCXWriter = {
+
+    // Configuration
+    config: {
+        mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        // A4 portrait, sizes in cm; an export can choose other paper, margins and font size
+        page: { width: 21, height: 29.7, margin: 2 },
+        fontFamily: 'Arial',
+        fontSize: 12,
+        // Picture formats every Word version shows; other images are converted to PNG
+        imageTypes: ['image/png', 'image/jpeg', 'image/gif', 'image/bmp'],
+        languages: { fr: 'fr-FR', en: 'en-US', ar: 'ar-TN' },
+        // Paragraph style for each paragraph style of the document model
+        styles: {
+            body: 'BodyText',
+            header: 'TestHeader',
+            instructions: 'Instructions',
+            question: 'Question',
+            passage: 'Passage',
+            figure: 'Figure',
+            caption: 'Caption',
+            formula: 'Formula',
+            answer: 'Answer',
+            answerLine: 'AnswerLine',
+            correction: 'Correction',
+            listItem: 'ListContents',
+            tableContents: 'TableContents',
+            tableHeading: 'TableHeading'
+        }
+    },
+
+    // Arabic (or Hebrew) text with the digits, spaces and punctuation between its words
+    // and the punctuation right after its last word
+    rtlRunPattern: /[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF](?:[^A-Za-z\u00C0-\u024F]*[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF])?[^\sA-Za-z\u00C0-\u024F0-9]*/g,
+
+    namespaces: 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" ' +
+        'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships" ' +
+        'xmlns:wp="http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing" ' +
+        'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" ' +
+        'xmlns:pic="http://schemas.openxmlformats.org/drawingml/2006/picture" ' +
+        'xmlns:m="http://schemas.openxmlformats.org/officeDocument/2006/math"',
+
+    /**
+     * Escape text for XML, dropping characters XML cannot hold
+     */
+    escape: function(text) {
+        return String(text)
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    },
+
+    /**
+     * Convert a length in cm to twentieths of a point (twips)
+     */
+    twips: function(value) {
+        return Math.round(value * 1440 / 2.54);
+    },
+
+    /**
+     * Convert a length in cm to English Metric Units (drawings)
+     */
+    emu: function(value) {
+        return Math.round(value * 360000);
+    },
+
+    /**
+     * Language tag (fr-FR) for a language code (fr)
+     */
+    languageTag: function(lang) {
+        return this.config.languages[lang] || lang;
+    },
+
+    /**
+     * Character properties for a set of flags; Arabic runs are marked
+     * right-to-left so Word shapes them with the complex-script font
+     */
+    runProperties: function(flags, rtl) {
+        const props = [];
+        if (flags.bold) props.push('<w:b/><w:bCs/>');
+        if (flags.italic) props.push('<w:i/><w:iCs/>');
+        if (flags.strike) props.push('<w:strike/>');
+        if (flags.answer) props.push('<w:color w:val="1F4E79"/>');
+        if (flags.underline || flags.answer) props.push(`<w:u w:val="${flags.answer ? 'dotted' : 'single'}"/>`);
+        if (flags.highlight) props.push('<w:shd w:val="clear" w:color="auto" w:fill="FFF3A3"/>');
+        if (flags.sup) props.push('<w:vertAlign w:val="superscript"/>');
+        else if (flags.sub) props.push('<w:vertAlign w:val="subscript"/>');
+        if (rtl) props.push('<w:rtl/>');
+        return props.length ? `<w:rPr>${props.join('')}</w:rPr>` : '';
+    },
+
+    /**
+     * Text runs, split into left-to-right and right-to-left pieces
+     */
+    textXML: function(text, flags) {
+        const pieces = [];
+        let last = 0;
+        text.replace(this.rtlRunPattern, (match, offset) => {
+            if (offset > last) pieces.push({ text: text.slice(last, offset), rtl: false });
+            pieces.push({ text: match, rtl: true });
+            last = offset + match.length;
+            return match;
+        });
+        if (last < text.length) pieces.push({ text: text.slice(last), rtl: false });
+
+        return pieces.map(piece => {
+            const content = piece.text.split('\t')
+                .map(part => part ? `<w:t xml:space="preserve">${this.escape(part)}</w:t>` : '')
+                .join('<w:tab/>');
+            return `<w:r>${this.runProperties(flags, piece.rtl)}${content}</w:r>`;
+        }).join('');
+    },
+
+    /**
+     * Embedded picture, inline with the text
+     */
+    imageXML: function(run, ctx) {
+        const image = run.image;
+        const id = ctx.drawingCount = ctx.drawingCount + 1;
+        const cx = this.emu(run.width);
+        const cy = this.emu(run.height);
+        const name = `image${image.id}.${image.extension}`;
+        return '<w:r><w:drawing><wp:inline distT="0" distB="0" distL="0" distR="0">' +
+            `<wp:extent cx="${cx}" cy="${cy}"/>` +
+            `<wp:docPr id="${id}" name="Image${image.id}" descr="${this.escape(run.alt || '')}"/>` +
+            '<wp:cNvGraphicFramePr><a:graphicFrameLocks noChangeAspect="1"/></wp:cNvGraphicFramePr>' +
+            '<a:graphic><a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/picture"><pic:pic>' +
+            `<pic:nvPicPr><pic:cNvPr id="0" name="${name}"/><pic:cNvPicPr/></pic:nvPicPr>` +
+            `<pic:blipFill><a:blip r:embed="rIdImage${image.id}"/><a:stretch><a:fillRect/></a:stretch></pic:blipFill>` +
+            `<pic:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom></pic:spPr>` +
+            '</pic:pic></a:graphicData></a:graphic></wp:inline></w:drawing></w:r>';
+    },
+
+    /**
+     * One math run; upright for numbers, operators, text and names longer than one letter
+     */
+    mathText: function(text, upright) {
+        const props = upright ? '<m:rPr><m:sty m:val="p"/></m:rPr>' : '';
+        return `<m:r>${props}<m:t xml:space="preserve">${this.escape(text)}</m:t></m:r>`;
+    },
+
+    /**
+     * Convert a MathML node to Office Math (OMML)
+     */
+    mathXML: function(node) {
+        if (node.nodeType !== 1) return '';
+
+        const children = Array.from(node.children);
+        const child = index => children[index] ? this.mathXML(children[index]) : '';
+        const all = () => children.map(item => this.mathXML(item)).join('');
+        const text = node.textContent;
+
+        switch (node.localName) {
+            case 'annotation':
+            case 'annotation-xml':
+            case 'mphantom':
+                return '';
+            case 'semantics':
+                return child(0);
+            case 'mi':
+                return this.mathText(text, text.length > 1 || node.getAttribute('mathvariant') === 'normal');
+            case 'mn':
+            case 'mo':
+            case 'mtext':
+            case 'ms':
+                return this.mathText(text, true);
+            case 'mspace':
+                return this.mathText(' ', true);
+            case 'msup':
+                return `<m:sSup><m:e>${child(0)}</m:e><m:sup>${child(1)}</m:sup></m:sSup>`;
+            case 'msub':
+                return `<m:sSub><m:e>${child(0)}</m:e><m:sub>${child(1)}</m:sub></m:sSub>`;
+            case 'msubsup':
+                return `<m:sSubSup><m:e>${child(0)}</m:e><m:sub>${child(1)}</m:sub><m:sup>${child(2)}</m:sup></m:sSubSup>`;
+            case 'mfrac': {
+                const bar = /^0(\.0*)?([a-z]+)?$/.test(node.getAttribute('linethickness') || '') ? '<m:fPr><m:type m:val="noBar"/></m:fPr>' : '';
+                return `<m:f>${bar}<m:num>${child(0)}</m:num><m:den>${child(1)}</m:den></m:f>`;
+            }
+            case 'msqrt':
+                return `<m:rad><m:radPr><m:degHide m:val="1"/></m:radPr><m:deg/><m:e>${all()}</m:e></m:rad>`;
+            case 'mroot':
+                return `<m:rad><m:deg>${child(1)}</m:deg><m:e>${child(0)}</m:e></m:rad>`;
+            case 'mover': {
+                const mark = children[1] ? children[1].textContent.trim() : '';
+                if (node.getAttribute('accent') !== 'true' || mark.length !== 1) {
+                    return `<m:limUpp><m:e>${child(0)}</m:e><m:lim>${child(1)}</m:lim></m:limUpp>`;
+                }
+                if (/^[\u00AF\u203E_\u0305]$/.test(mark)) {
+                    return `<m:bar><m:barPr><m:pos m:val="top"/></m:barPr><m:e>${child(0)}</m:e></m:bar>`;
+                }
+                return `<m:acc><m:accPr><m:chr m:val="${this.escape(mark)}"/></m:accPr><m:e>${child(0)}</m:e></m:acc>`;
+            }
+            case 'munder':
+                return `<m:limLow><m:e>${child(0)}</m:e><m:lim>${child(1)}</m:lim></m:limLow>`;
+            case 'munderover':
+                return `<m:limLow><m:e><m:limUpp><m:e>${child(0)}</m:e><m:lim>${child(2)}</m:lim></m:limUpp></m:e>` +
+                    `<m:lim>${child(1)}</m:lim></m:limLow>`;
+            case 'mtable':
+                return '<m:m>' + children.map(row => {
+                    const cells = Array.from(row.children).filter(cell => cell.localName === 'mtd');
+                    return `<m:mr>${cells.map(cell => `<m:e>${this.mathXML(cell)}</m:e>`).join('')}</m:mr>`;
+                }).join('') + '</m:m>';
+            default:
+                return all();
+        }
+    },
+
+    /**
+     * Serialize runs to paragraph content
+     */
+    runsXML: function(runs, ctx) {
+        return runs.map(run => {
+            if (run.math) return `<m:oMath>${this.mathXML(run.math)}</m:oMath>`;
+            if (run.image) return this.imageXML(run, ctx);
+            if (run.lineBreak) return '<w:r><w:br/></w:r>';
+            return run.text ? this.textXML(run.text, run.flags || {}) : '';
+        }).join('');
+    },
+
+    /**
+     * Paragraph properties; the direction is only written when it differs from the document
+     */
+    paragraphProperties: function(style, block, ctx, list) {
+        const props = [`<w:pStyle w:val="${style}"/>`];
+        if (block.pageBreak) props.push('<w:pageBreakBefore/>');
+        if (list && list.first) props.push(`<w:numPr><w:ilvl w:val="${list.level}"/><w:numId w:val="${list.id}"/></w:numPr>`);
+        if (block.dir && block.dir !== ctx.dir) props.push(block.dir === 'rtl' ? '<w:bidi/>' : '<w:bidi w:val="0"/>');
+        // Later paragraphs of a list item line up with its text
+        if (list && !list.first) props.push(`<w:ind w:left="${this.listIndent(list.level)}"/>`);
+        return `<w:pPr>${props.join('')}</w:pPr>`;
+    },
+
+    /**
+     * Text indent of a list level, in twips
+     */
+    listIndent: function(level) {
+        return this.twips(0.635 * (level + 2));
+    },
+
+    /**
+     * Write a list of model blocks; list carries the numbering of the enclosing list item
+     */
+    renderBlocks: function(blocks, ctx, list) {
+        let xml = '';
+        let previous = null;
+        blocks.forEach(block => {
+            // Word joins tables that follow each other into one
+            if (previous === 'table' && block.type === 'table') xml += '<w:p/>';
+            xml += this.renderBlock(block, ctx, list);
+            if (list && block.type !== 'list') list = { ...list, first: false };
+            previous = block.type;
+        });
+        return xml;
+    },
+
+    /**
+     * Write one model block
+     */
+    renderBlock: function(block, ctx, list) {
+        switch (block.type) {
+            case 'heading':
+                return `<w:p>${this.paragraphProperties(`Heading${block.level}`, block, ctx, list)}${this.runsXML(block.runs, ctx)}</w:p>`;
+            case 'paragraph':
+                return `<w:p>${this.paragraphProperties(this.config.styles[block.style], block, ctx, list)}${this.runsXML(block.runs, ctx)}</w:p>`;
+            case 'answerLines': {
+                let xml = '';
+                for (let i = 0; i < block.count; i++) {
+                    const line = { dir: block.dir, pageBreak: block.pageBreak && i === 0 };
+                    xml += `<w:p>${this.paragraphProperties('AnswerLine', line, ctx, i === 0 ? list : list && { ...list, first: false })}</w:p>`;
+                }
+                return xml;
+            }
+            case 'list':
+                return this.renderList(block, ctx, list ? list.level + 1 : 0);
+            case 'table':
+                return this.renderTable(block, ctx);
+            default:
+                return '';
+        }
+    },
+
+    /**
+     * Write a bulleted or numbered list; each list gets its own numbering so it starts at 1
+     */
+    renderList: function(block, ctx, level) {
+        ctx.lists.push(block.ordered);
+        const id = ctx.lists.length;
+        return block.items.map(blocks => {
+            const list = { id, level: Math.min(level, 4), first: true };
+            const content = this.renderBlocks(blocks, ctx, list);
+            return content || `<w:p>${this.paragraphProperties('ListContents', {}, ctx, list)}</w:p>`;
+        }).join('');
+    },
+
+    /**
+     * Write a table: merged cells become gridSpan and vMerge, header rows repeat on each page
+     */
+    renderTable: function(block, ctx) {
+        const column = this.twips(block.width / block.columns);
+        const props = ['<w:tblStyle w:val="TestsHubTable"/>'];
+        if (block.dir === 'rtl') props.push('<w:bidiVisual/>');
+        props.push(`<w:tblW w:w="${column * block.columns}" w:type="dxa"/>`, '<w:tblLayout w:type="fixed"/>');
+
+        let leading = true;
+        const rows = block.rows.map(row => {
+            leading = leading && row.header;
+            const cells = row.cells.map(cell => {
+                if (cell.covered && (cell.sameRow || !cell.first)) return '';
+
+                const origin = cell.covered ? cell.origin : cell;
+                const cellProps = [`<w:tcW w:w="${column * origin.colspan}" w:type="dxa"/>`];
+                if (origin.colspan > 1) cellProps.push(`<w:gridSpan w:val="${origin.colspan}"/>`);
+                if (cell.covered) cellProps.push('<w:vMerge/>');
+                else if (cell.rowspan > 1) cellProps.push('<w:vMerge w:val="restart"/>');
+                if (origin.heading) cellProps.push('<w:shd w:val="clear" w:color="auto" w:fill="E8F3EC"/>');
+
+                const style = origin.heading ? 'TableHeading' : 'TableContents';
+                let content = cell.covered ? '' : this.renderBlocks(cell.blocks, ctx);
+                // A cell always ends with a paragraph
+                if (!content.endsWith('</w:p>') && !content.endsWith('<w:p/>')) {
+                    content += `<w:p><w:pPr><w:pStyle w:val="${style}"/></w:pPr></w:p>`;
+                }
+                return `<w:tc><w:tcPr>${cellProps.join('')}</w:tcPr>${content}</w:tc>`;
+            });
+            const rowProps = leading ? '<w:trPr><w:tblHeader/></w:trPr>' : '';
+            return `<w:tr>${rowProps}${cells.join('')}</w:tr>`;
+        });
+
+        const pageBreak = block.pageBreak ? '<w:p><w:r><w:br w:type="page"/></w:r></w:p>' : '';
+        return `${pageBreak}<w:tbl><w:tblPr>${props.join('')}</w:tblPr>` +
+            `<w:tblGrid>${`<w:gridCol w:w="${column}"/>`.repeat(block.columns)}</w:tblGrid>` +
+            `${rows.join('')}</w:tbl>`;
+    },
+
+    /**
+     * Character properties of a named style
+     */
+    textProperties: function(props) {
+        const elements = [];
+        if (props.bold) elements.push('<w:b/><w:bCs/>');
+        if (props.italic) elements.push('<w:i/><w:iCs/>');
+        if (props.color) elements.push(`<w:color w:val="${props.color}"/>`);
+        if (props.size) elements.push(`<w:sz w:val="${props.size * 2}"/><w:szCs w:val="${props.size * 2}"/>`);
+        return elements.length ? `<w:rPr>${elements.join('')}</w:rPr>` : '';
+    },
+
+    /**
+     * One named paragraph style
+     */
+    paragraphStyle: function(id, name, basedOn, paragraph, text, next) {
+        return `<w:style w:type="paragraph" w:styleId="${id}"><w:name w:val="${name}"/>` +
+            (basedOn ? `<w:basedOn w:val="${basedOn}"/>` : '') +
+            (next ? `<w:next w:val="${next}"/>` : '') +
+            '<w:qFormat/>' +
+            (paragraph ? `<w:pPr>${paragraph}</w:pPr>` : '') +
+            this.textProperties(text) + '</w:style>';
+    },
+
+    /**
+     * word/styles.xml: document defaults, paragraph styles and the table style
+     */
+    stylesXML: function(ctx) {
+        const font = this.escape(this.config.fontFamily);
+        const size = ctx.fontSize * 2;
+        // Headings and captions keep their size relative to the body text
+        const scaled = value => Math.round(value * ctx.fontSize / this.config.fontSize * 2) / 2;
+        const western = this.languageTag(ctx.lang === 'ar' ? 'fr' : ctx.lang);
+        const green = '2E8B57';
+        const border = (side, value, width, color) => `<w:${side} w:val="${value}" w:sz="${width}" w:space="1" w:color="${color}"/>`;
+        const cellBorders = ['top', 'left', 'bottom', 'right', 'insideH', 'insideV'].map(side => border(side, 'single', 4, '000000')).join('');
+        const margins = value => ['top', 'left', 'bottom', 'right'].map(side => `<w:${side} w:w="${value}" w:type="dxa"/>`).join('');
+
+        const styles = [
+            '<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>',
+            this.paragraphStyle('BodyText', 'Body Text', 'Normal', '<w:spacing w:after="113" w:line="300" w:lineRule="auto"/>', {}),
+            this.paragraphStyle('Heading', 'Heading', 'Normal', '<w:keepNext/><w:spacing w:before="238" w:after="119"/>', { bold: true, color: green }, 'BodyText'),
+            this.paragraphStyle('Heading1', 'heading 1', 'Heading', '<w:jc w:val="center"/><w:outlineLvl w:val="0"/>', { size: scaled(18) }, 'BodyText'),
+            this.paragraphStyle('Heading2', 'heading 2', 'Heading', `<w:pBdr>${border('bottom', 'single', 8, green)}</w:pBdr><w:outlineLvl w:val="1"/>`, { size: scaled(15) }, 'BodyText'),
+            this.paragraphStyle('Heading3', 'heading 3', 'Heading', '<w:outlineLvl w:val="2"/>', { size: scaled(13) }, 'BodyText'),
+            this.paragraphStyle('Heading4', 'heading 4', 'Heading', '<w:outlineLvl w:val="3"/>', { size: scaled(12) }, 'BodyText'),
+            this.paragraphStyle('TestHeader', 'Test Header', 'BodyText', '<w:spacing w:after="57"/><w:jc w:val="center"/>', {}),
+            this.paragraphStyle('Instructions', 'Instructions', 'BodyText',
+                `<w:pBdr>${border('left', 'single', 16, green)}</w:pBdr><w:shd w:val="clear" w:color="auto" w:fill="F0F7F0"/>`, { italic: true }),
+            this.paragraphStyle('Question', 'Question', 'BodyText', '<w:spacing w:before="85"/>', {}),
+            this.paragraphStyle('Passage', 'Passage', 'BodyText', '<w:ind w:left="283" w:right="283"/><w:jc w:val="both"/>', {}),
+            this.paragraphStyle('Figure', 'Figure', 'Normal', '<w:spacing w:before="113" w:after="57"/><w:jc w:val="center"/>', {}),
+            this.paragraphStyle('Caption', 'caption', 'Normal', '<w:spacing w:after="170"/><w:jc w:val="center"/>', { italic: true, size: scaled(10), color: '666666' }),
+            this.paragraphStyle('Formula', 'Formula', 'BodyText', '<w:jc w:val="center"/>', {}),
+            // The "between" border draws a line under every answer line of a group, not only the last
+            this.paragraphStyle('AnswerLine', 'Answer Line', 'Normal',
+                `<w:pBdr>${border('bottom', 'dotted', 4, '808080')}${border('between', 'dotted', 4, '808080')}</w:pBdr><w:spacing w:before="255" w:after="0"/>`, {}),
+            this.paragraphStyle('Answer', 'Answer', 'BodyText', '', { color: '1F4E79' }),
+            this.paragraphStyle('Correction', 'Correction', 'BodyText', '<w:spacing w:before="57"/>', {}),
+            this.paragraphStyle('ListContents', 'List Contents', 'BodyText', '<w:spacing w:after="57"/>', {}),
+            this.paragraphStyle('TableContents', 'Table Contents', 'Normal', '', {}),
+            this.paragraphStyle('TableHeading', 'Table Heading', 'TableContents', '<w:jc w:val="center"/>', { bold: true }),
+            '<w:style w:type="table" w:default="1" w:styleId="TableNormal"><w:name w:val="Normal Table"/><w:uiPriority w:val="99"/><w:semiHidden/>' +
+                '<w:tblPr><w:tblInd w:w="0" w:type="dxa"/><w:tblCellMar><w:top w:w="0" w:type="dxa"/><w:left w:w="108" w:type="dxa"/>' +
+                '<w:bottom w:w="0" w:type="dxa"/><w:right w:w="108" w:type="dxa"/></w:tblCellMar></w:tblPr></w:style>',
+            '<w:style w:type="table" w:styleId="TestsHubTable"><w:name w:val="Tests Hub Table"/><w:basedOn w:val="TableNormal"/>' +
+                `<w:tblPr><w:tblBorders>${cellBorders}</w:tblBorders><w:tblCellMar>${margins(57)}</w:tblCellMar></w:tblPr></w:style>`
+        ];
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            `<w:styles ${this.namespaces}>` +
+            '<w:docDefaults><w:rPrDefault><w:rPr>' +
+            `<w:rFonts w:ascii="${font}" w:hAnsi="${font}" w:eastAsia="${font}" w:cs="${font}"/>` +
+            `<w:sz w:val="${size}"/><w:szCs w:val="${size}"/><w:lang w:val="${western}" w:bidi="ar-TN"/>` +
+            '</w:rPr></w:rPrDefault>' +
+            `<w:pPrDefault><w:pPr>${ctx.dir === 'rtl' ? '<w:bidi/>' : ''}</w:pPr></w:pPrDefault></w:docDefaults>` +
+            styles.join('') +
+            '</w:styles>';
+    },
+
+    /**
+     * word/numbering.xml: one bullet and one numbered definition, and an instance per list
+     */
+    numberingXML: function(ctx) {
+        const definition = (id, ordered) => {
+            let levels = '';
+            for (let level = 0; level < 5; level++) {
+                const format = ordered ? (level === 1 ? 'lowerLetter' : 'decimal') : 'bullet';
+                const text = ordered ? `%${level + 1}.` : (level === 1 ? '◦' : '•');
+                levels += `<w:lvl w:ilvl="${level}"><w:start w:val="1"/><w:numFmt w:val="${format}"/><w:lvlText w:val="${text}"/><w:lvlJc w:val="left"/>` +
+                    `<w:pPr><w:ind w:left="${this.listIndent(level)}" w:hanging="${this.twips(0.635)}"/></w:pPr></w:lvl>`;
+            }
+            return `<w:abstractNum w:abstractNumId="${id}"><w:multiLevelType w:val="hybridMultilevel"/>${levels}</w:abstractNum>`;
+        };
+        const instances = ctx.lists.map((ordered, index) =>
+            `<w:num w:numId="${index + 1}"><w:abstractNumId w:val="${ordered ? 1 : 0}"/>` +
+            (ordered ? '<w:lvlOverride w:ilvl="0"><w:startOverride w:val="1"/></w:lvlOverride>' : '') + '</w:num>');
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            `<w:numbering ${this.namespaces}>${definition(0, false)}${definition(1, true)}${instances.join('')}</w:numbering>`;
+    },
+
+    /**
+     * word/document.xml: the body and the page setup
+     */
+    documentXML: function(body, ctx) {
+        const page = ctx.page;
+        const margin = this.twips(page.margin);
+        // The document ends with a paragraph, never with a table
+        const content = body.endsWith('</w:p>') || body.endsWith('<w:p/>') ? body : `${body}<w:p/>`;
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            `<w:document ${this.namespaces}><w:body>${content}` +
+            `<w:sectPr><w:pgSz w:w="${this.twips(page.width)}" w:h="${this.twips(page.height)}"/>` +
+            `<w:pgMar w:top="${margin}" w:right="${margin}" w:bottom="${margin}" w:left="${margin}" w:header="709" w:footer="709" w:gutter="0"/>` +
+            `${ctx.dir === 'rtl' ? '<w:bidi/>' : ''}</w:sectPr>` +
+            '</w:body></w:document>';
+    },
+
+    /**
+     * [Content_Types].xml: media type of every part of the package
+     */
+    contentTypesXML: function(ctx) {
+        const defaults = { rels: 'application/vnd.openxmlformats-package.relationships+xml', xml: 'application/xml' };
+        ctx.images.forEach(image => {
+            defaults[image.extension] = image.type;
+        });
+        const override = (part, type) => `<Override PartName="${part}" ContentType="${type}"/>`;
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+            Object.keys(defaults).map(extension => `<Default Extension="${extension}" ContentType="${defaults[extension]}"/>`).join('') +
+            override('/word/document.xml', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml') +
+            override('/word/styles.xml', 'application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml') +
+            override('/word/numbering.xml', 'application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml') +
+            override('/docProps/core.xml', 'application/vnd.openxmlformats-package.core-properties+xml') +
+            override('/docProps/app.xml', 'application/vnd.openxmlformats-officedocument.extended-properties+xml') +
+            '</Types>';
+    },
+
+    /**
+     * A relationships part
+     */
+    relationshipsXML: function(relationships) {
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            relationships.map(rel => `<Relationship Id="${rel.id}" Type="${rel.type}" Target="${rel.target}"/>`).join('') +
+            '</Relationships>';
+    },
+
+    /**
+     * docProps/core.xml: title, language and creation date
+     */
+    coreXML: function(ctx) {
+        const date = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" ' +
+            'xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" ' +
+            'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">' +
+            `<dc:title>${this.escape(ctx.title)}</dc:title>` +
+            '<dc:creator>Tests Hub</dc:creator>' +
+            `<dc:language>${this.languageTag(ctx.lang)}</dc:language>` +
+            `<dcterms:created xsi:type="dcterms:W3CDTF">${date}</dcterms:created>` +
+            `<dcterms:modified xsi:type="dcterms:W3CDTF">${date}</dcterms:modified>` +
+            '</cp:coreProperties>';
+    },
+
+    /**
+     * docProps/app.xml: the application that wrote the file
+     */
+    appXML: function() {
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<Properties xmlns="http://schemas.openxmlformats.org/officeDocument/2006/extended-properties"><Application>Tests Hub</Application></Properties>';
+    },
+
+    /**
+     * Build a .docx file from a test page
+     * @param {Object} options - { element, title, include, answers, includeCorrection, dir, lang,
+     *   paper, margin (mm), fontSize (pt) }
+     * @returns {Promise<Blob>}
+     */
+    build: function(options = {}) {
+        if (typeof TestsHubZipWriter === 'undefined' || typeof TestsHubDocumentModel === 'undefined') {
+            return Promise.reject(new Error('zip-writer.js and document-model.js must be loaded'));
+        }
+
+        const page = TestsHubDocumentModel.pageSetup(this.config.page, options);
+        return TestsHubDocumentModel.extract({
+            ...options,
+            textWidth: page.width - 2 * page.margin,
+            imageTypes: this.config.imageTypes
+        }).then(model => {
+            const ctx = {
+                dir: model.dir,
+                lang: model.lang,
+                title: model.title,
+                images: model.images,
+                page,
+                fontSize: options.fontSize || this.config.fontSize,
+                lists: [],
+                drawingCount: 0
+            };
+            const body = this.renderBlocks(model.blocks, ctx);
+            const officeDocument = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+            const imagePath = image => `media/image${image.id}.${image.extension}`;
+
+            const entries = [
+                { name: '[Content_Types].xml', data: this.contentTypesXML(ctx) },
+                { name: '_rels/.rels', data: this.relationshipsXML([
+                    { id: 'rId1', type: `${officeDocument}/officeDocument`, target: 'word/document.xml' },
+                    { id: 'rId2', type: 'http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties', target: 'docProps/core.xml' },
+                    { id: 'rId3', type: `${officeDocument}/extended-properties`, target: 'docProps/app.xml' }
+                ]) },
+                { name: 'word/document.xml', data: this.documentXML(body, ctx) },
+                { name: 'word/_rels/document.xml.rels', data: this.relationshipsXML([
+                    { id: 'rIdStyles', type: `${officeDocument}/styles`, target: 'styles.xml' },
+                    { id: 'rIdNumbering', type: `${officeDocument}/numbering`, target: 'numbering.xml' }
+                ].concat(ctx.images.map(image => ({ id: `rIdImage${image.id}`, type: `${officeDocument}/image`, target: imagePath(image) })))) },
+                { name: 'word/styles.xml', data: this.stylesXML(ctx) },
+                { name: 'word/numbering.xml', data: this.numberingXML(ctx) },
+                { name: 'docProps/core.xml', data: this.coreXML(ctx) },
+                { name: 'docProps/app.xml', data: this.appXML() }
+            ].concat(ctx.images.map(image => ({ name: `word/${imagePath(image)}`, data: image.bytes, compress: false })));
+
+            return TestsHubZipWriter.createArchive(entries, { type: this.config.mimeType });
+        });
+    }
+};
+
+// Make it globally available
+window.TestsHubDOCXWriter = TestsHubDOCXWriter;
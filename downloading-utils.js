@@ -10,15 +10,225 @@ const TestsHubDownloadingUtils = {
         pdfAPI: '/api/generate-pdf',
         odtAPI: '/api/generate-odt',
         pngAPI: '/api/generate-png',
+        // Answer of the generators (netlify/functions/) to a GET, checked once per page
+        apiService: 'tests-hub-export',
+        mimeTypes: {
+            pdf: 'application/pdf',
+            odt: 'application/vnd.oasis.opendocument.text',
+            docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+            png: 'image/png'
+        },
+        // Part of the progress bar each stage of an export covers, in percent
+        progressStages: {
+            preparing: [0, 5],
+            server: [5, 95],
+            reading: [5, 20],
+            layout: [20, 90],
+            capture: [5, 40],
+            pages: [40, 90],
+            saving: [95, 95],
+            done: [100, 100]
+        },
         fallbackText: 'Test content download',
         version: '1.2.0',
-        // Local library paths
+        correctionSelector: '.Tests-Hub-correction-section',
+        headerSelector: '.Tests-Hub-test-header',
+        // Buttons and menus of the page, left out of captures and snapshots
+        captureExcludeSelector: '.Tests-Hub-download-buttons, .Tests-Hub-header-controls, .Tests-Hub-toggle-correction-btn, .Tests-Hub-language-selector, .Tests-Hub-theme-toggle, .Tests-Hub-back-button, .Tests-Hub-print-button, .Tests-Hub-pdf-button, .Tests-Hub-image-save-button',
+        // Choices of the export dialog; the last ones used are remembered on the device
+        exportOptionsKey: 'testsHubExportOptions',
+        exportDefaults: {
+            include: 'all',
+            answers: 'student',
+            paper: 'a4',
+            margin: 20,
+            fontSize: 12
+        },
+        margins: [10, 15, 20, 25],
+        fontSizes: [10, 11, 12, 14, 16],
+        // Local library paths, loaded in this order on the first export
         libPaths: {
             jsPDF: 'lib/jspdf.umd.min.js',
-            html2canvas: 'lib/html2canvas.min.js'
+            html2canvas: 'lib/html2canvas.min.js',
+            zipWriter: 'zip-writer.js',
+            documentModel: 'document-model.js',
+            odtWriter: 'odt-writer.js',
+            docxWriter: 'docx-writer.js',
+            pdfText: 'pdf-text.js',
+            pdfWriter: 'pdf-writer.js'
+        },
+        // Global each library defines, so that the ones a page already has are not loaded again
+        libGlobals: {
+            jsPDF: 'jspdf',
+            html2canvas: 'html2canvas',
+            zipWriter: 'TestsHubZipWriter',
+            documentModel: 'TestsHubDocumentModel',
+            odtWriter: 'TestsHubODTWriter',
+            docxWriter: 'TestsHubDOCXWriter',
+            pdfText: 'TestsHubPDFText',
+            pdfWriter: 'TestsHubPDFWriter'
         }
     },
     
+    // UI strings of the export dialog, progress panel, buttons and notifications, picked from
+    // the page's current language
+    translations: {
+        ar: {
+            title: 'تصدير بصيغة {format}',
+            include: 'المحتوى',
+            subject: 'الموضوع فقط',
+            all: 'الموضوع والتصحيح',
+            correction: 'التصحيح فقط',
+            correctionLocked: 'يُفتح التصحيح بعد تسليم الإجابات',
+            answers: 'الإجابات',
+            student: 'تضمين إجابات التلميذ',
+            blank: 'أسطر فارغة للإجابة على الورق',
+            page: 'الصفحة',
+            paper: 'حجم الورق',
+            a4: 'A4',
+            letter: 'Letter',
+            margin: 'الهوامش',
+            fontSize: 'حجم الخط',
+            cancel: 'إلغاء',
+            download: 'تنزيل',
+            exporting: 'جارٍ التصدير بصيغة {format}',
+            preparing: 'تحضير…',
+            server: 'الإنشاء على الخادم…',
+            reading: 'قراءة الاختبار…',
+            layout: 'ترتيب الصفحات…',
+            capture: 'التقاط الصفحة…',
+            pages: 'إضافة الصفحات…',
+            saving: 'حفظ الملف…',
+            done: 'تم',
+            pageOf: 'الصفحة {page} من {pages}',
+            pageNumber: 'الصفحة {page}',
+            generated: 'تاريخ الإنشاء: {date}',
+            testId: 'معرّف الاختبار: {id}',
+            cancelled: 'أُلغي التصدير',
+            generating: 'جارٍ الإنشاء…',
+            downloaded: 'تم تنزيل ملف {format}',
+            pngSaved: 'حُفظت الصورة بصيغة PNG',
+            htmlInstead: 'نُزّل الملف بصيغة HTML بدلاً من {format}',
+            failed: 'تعذّر إنشاء ملف {format}: {error}'
+        },
+        fr: {
+            title: 'Exporter en {format}',
+            include: 'Contenu',
+            subject: 'Sujet seul',
+            all: 'Sujet et correction',
+            correction: 'Correction seule',
+            correctionLocked: 'La correction sera disponible après avoir rendu la copie',
+            answers: 'Réponses',
+            student: "Inclure les réponses de l'élève",
+            blank: 'Lignes vides pour répondre sur papier',
+            page: 'Page',
+            paper: 'Format du papier',
+            a4: 'A4',
+            letter: 'Lettre US',
+            margin: 'Marges',
+            fontSize: 'Taille du texte',
+            cancel: 'Annuler',
+            download: 'Télécharger',
+            exporting: 'Export en {format}',
+            preparing: 'Préparation…',
+            server: 'Création sur le serveur…',
+            reading: 'Lecture du devoir…',
+            layout: 'Mise en page…',
+            capture: 'Capture de la page…',
+            pages: 'Ajout des pages…',
+            saving: 'Enregistrement du fichier…',
+            done: 'Terminé',
+            pageOf: 'Page {page} sur {pages}',
+            pageNumber: 'Page {page}',
+            cancelled: 'Export annulé',
+            generated: 'Créé le {date}',
+            testId: 'Identifiant du test : {id}',
+            generating: 'Création…',
+            downloaded: 'Fichier {format} téléchargé',
+            pngSaved: 'Image enregistrée en PNG',
+            htmlInstead: 'Téléchargé en HTML au lieu de {format}',
+            failed: 'Impossible de créer le fichier {format} : {error}'
+        },
+        en: {
+            title: 'Export as {format}',
+            include: 'Content',
+            subject: 'Subject only',
+            all: 'Subject and correction',
+            correction: 'Correction only',
+            correctionLocked: 'The correction unlocks once the answers are submitted',
+            answers: 'Answers',
+            student: "Include the student's answers",
+            blank: 'Blank answer lines to fill in on paper',
+            page: 'Page',
+            paper: 'Paper size',
+            a4: 'A4',
+            letter: 'Letter',
+            margin: 'Margins',
+            fontSize: 'Font size',
+            cancel: 'Cancel',
+            download: 'Download',
+            exporting: 'Exporting as {format}',
+            preparing: 'Preparing…',
+            server: 'Generating on the server…',
+            reading: 'Reading the test…',
+            layout: 'Laying out the pages…',
+            capture: 'Capturing the page…',
+            pages: 'Adding the pages…',
+            saving: 'Saving the file…',
+            done: 'Done',
+            pageOf: 'Page {page} of {pages}',
+            pageNumber: 'Page {page}',
+            cancelled: 'Export cancelled',
+            generated: 'Generated: {date}',
+            testId: 'Test ID: {id}',
+            generating: 'Generating…',
+            downloaded: '{format} downloaded',
+            pngSaved: 'Picture saved as PNG',
+            htmlInstead: 'Downloaded as an HTML file instead of {format}',
+            failed: 'Could not create the {format} file: {error}'
+        }
+    },
+    
+    // Loading of the libraries and writers, started by the first export (loadLibraries)
+    librariesRequest: null,
+    
+    /**
+     * Get the page's current UI language
+     */
+    getLanguage: function() {
+        return TestsHubPage.getLanguage(this.translations);
+    },
+    
+    /**
+     * Translate a UI string, filling {placeholders}
+     */
+    t: function(key, values) {
+        return TestsHubPage.translate(this.translations, key, values);
+    },
+    
+    /**
+     * Date and time of an export, in the page language
+     */
+    formatDate: function(date) {
+        const lang = this.getLanguage();
+        return date.toLocaleString(lang === 'ar' ? 'ar-TN' : lang, {
+            day: 'numeric',
+            month: 'long',
+            year: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    },
+    
+    /**
+     * Direction of the test text, for the PDF lines
+     */
+    getTextDirection: function() {
+        const container = document.querySelector('.Tests-Hub-main-container, .Tests-Hub-content-container');
+        return document.documentElement.dir === 'rtl' ||
+            (container && container.closest('[dir="rtl"]')) ? 'rtl' : 'ltr';
+    },
+    
     /**
      * Check if we're running locally (file:// protocol)
      */
@@ -26,113 +236,304 @@ const TestsHubDownloadingUtils = {
         return window.location.protocol === 'file:';
     },
     
+    // Checks of the server generators already made, by API path
+    serverChecks: {},
+    
+    /**
+     * Check whether a server generator answers (never for local files)
+     * @returns {Promise<boolean>}
+     */
+    checkServer: function(api) {
+        if (this.isLocalFileProtocol() || !api || typeof fetch === 'undefined') return Promise.resolve(false);
+        if (!this.serverChecks[api]) {
+            this.serverChecks[api] = fetch(api, { headers: { 'Accept': 'application/json' } })
+                .then(response => {
+                    const type = response.headers.get('Content-Type') || '';
+                    return response.ok && type.includes('application/json') ? response.json() : null;
+                })
+                .then(status => !!(status && status.service === this.config.apiService && status.available))
+                .catch(() => false);
+        }
+        return this.serverChecks[api];
+    },
+    
+    /**
+     * HTML of the page as the student sees it, for the server generators: answers written
+     * into the fields' attributes, canvases as pictures, no scripts, and the export choices
+     * applied (a locked correction is never sent)
+     */
+    getPageSnapshot: function(options) {
+        const clone = document.documentElement.cloneNode(true);
+        
+        const fields = document.querySelectorAll('input, textarea, select');
+        clone.querySelectorAll('input, textarea, select').forEach((field, index) => {
+            const source = fields[index];
+            if (!source) return;
+            const type = (field.getAttribute('type') || '').toLowerCase();
+            if (type === 'radio' || type === 'checkbox') {
+                if (source.checked) field.setAttribute('checked', '');
+                else field.removeAttribute('checked');
+            } else if (field.tagName === 'SELECT') {
+                Array.from(field.options).forEach((option, i) => {
+                    if (source.options[i] && source.options[i].selected) option.setAttribute('selected', '');
+                    else option.removeAttribute('selected');
+                });
+            } else if (field.tagName === 'TEXTAREA') {
+                field.textContent = source.value;
+            } else if (type !== 'file') {
+                field.setAttribute('value', source.value);
+            }
+        });
+        
+        const canvases = document.querySelectorAll('canvas');
+        clone.querySelectorAll('canvas').forEach((canvas, index) => {
+            try {
+                const image = document.createElement('img');
+                image.src = canvases[index].toDataURL('image/png');
+                image.width = canvases[index].width;
+                image.height = canvases[index].height;
+                canvas.replaceWith(image);
+            } catch (error) {
+                // A canvas with pictures from elsewhere cannot be read: it is left empty
+            }
+        });
+        
+        clone.querySelectorAll(`script, noscript, ${this.config.captureExcludeSelector}`).forEach(element => element.remove());
+        this.prepareCapture(clone, options);
+        
+        return '<!DOCTYPE html>\n' + clone.outerHTML;
+    },
+    
+    /**
+     * Have a server generator make the file
+     * @param {string} api - Path of the generator
+     * @param {string} type - MIME type of the file it answers
+     * @param {AbortSignal} signal - cancels the request
+     * @returns {Promise<Blob>}
+     */
+    requestServerFile: function(api, options, type, signal) {
+        return fetch(api, {
+            method: 'POST',
+            signal,
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                html: this.getPageSnapshot(options),
+                filename: options.filename,
+                testId: options.testId,
+                title: options.title,
+                options: {
+                    include: options.include,
+                    answers: options.answers,
+                    paper: options.paper,
+                    margin: options.margin,
+                    fontSize: options.fontSize
+                }
+            })
+        })
+        .then(response => {
+            if (response.ok && (response.headers.get('Content-Type') || '').startsWith(type)) {
+                return response.blob();
+            }
+            throw new Error(`Server generation failed (${response.status})`);
+        });
+    },
+    
+    /**
+     * Export the page in one format without downloading it: the server generator when the
+     * site has one, else the browser. Progress is sent as 'progress' events on the job and
+     * as testshub:export-start, testshub:export-progress and testshub:export-end events on
+     * the document, so that page scripts can follow any export.
+     * @param {string} format - 'pdf', 'odt', 'docx' or 'png'
+     * @param {Object} options - as for the download functions, plus signal (an AbortSignal
+     *   that cancels the export) and onProgress (called with each progress detail)
+     * @returns {Object} the job: an EventTarget ('progress' and 'end' events) with result
+     *   (Promise<Blob>), progress ({ stage, page, pages, percent }), signal and abort()
+     */
+    export: function(format, options = {}) {
+        const job = this.createJob(format.toLowerCase(), options);
+        const finalOptions = { ...options };
+        // A locked correction never leaves the page
+        if (this.isCorrectionLocked()) finalOptions.include = 'subject';
+        
+        const generate = {
+            pdf: 'generateClientSidePDF',
+            odt: 'generateClientSideODT',
+            docx: 'generateClientSideDOCX',
+            png: 'generateClientSidePNG'
+        }[job.format];
+        const api = { pdf: this.config.pdfAPI, odt: this.config.odtAPI, png: this.config.pngAPI }[job.format];
+        
+        // The libraries and writers are only loaded for files made in the browser
+        const generateHere = () => this.loadLibraries().then(() => {
+            job.check();
+            return this[generate](finalOptions, job);
+        });
+        
+        document.dispatchEvent(new CustomEvent('testshub:export-start', { detail: { format: job.format, job } }));
+        job.result = Promise.resolve().then(() => {
+            if (!generate) throw new Error(`Unknown export format: ${format}`);
+            job.report('preparing');
+            return this.checkServer(api);
+        }).then(available => {
+            job.check();
+            if (!available) return generateHere();
+            
+            job.report('server');
+            return this.requestServerFile(api, finalOptions, this.config.mimeTypes[job.format], job.signal).catch(error => {
+                if (error.name === 'AbortError') throw error;
+                console.warn(`${job.format.toUpperCase()} server generation failed, trying client-side:`, error);
+                return generateHere();
+            });
+        }).then(blob => {
+            job.check();
+            job.report('done');
+            job.end('done', { blob });
+            return blob;
+        }, error => {
+            job.end(error.name === 'AbortError' ? 'cancelled' : 'failed', { error });
+            throw error;
+        });
+        // Callers may follow the events only
+        job.result.catch(() => {});
+        return job;
+    },
+    
+    /**
+     * A new export job: its abort signal (also aborted by options.signal), its progress and
+     * the events it sends
+     */
+    createJob: function(format, options) {
+        const controller = new AbortController();
+        const job = new EventTarget();
+        job.format = format;
+        job.signal = controller.signal;
+        job.abort = () => controller.abort();
+        job.progress = { stage: 'preparing', page: 0, pages: 0, percent: 0 };
+        
+        if (options.signal) {
+            if (options.signal.aborted) controller.abort();
+            else options.signal.addEventListener('abort', () => controller.abort(), { once: true });
+        }
+        
+        // Throw an AbortError once the export is cancelled
+        job.check = () => {
+            if (job.signal.aborted) throw new DOMException('Export cancelled', 'AbortError');
+        };
+        
+        // Move to a stage; fraction is the part of the stage done, page and pages the pages written
+        job.report = (stage, values = {}) => {
+            const [start, end] = this.config.progressStages[stage] || [job.progress.percent, job.progress.percent];
+            job.progress = {
+                stage,
+                page: values.page !== undefined ? values.page : job.progress.page,
+                pages: values.pages !== undefined ? values.pages : job.progress.pages,
+                percent: Math.round(start + (end - start) * Math.min(values.fraction || 0, 1))
+            };
+            const detail = { format, ...job.progress };
+            job.dispatchEvent(new CustomEvent('progress', { detail }));
+            document.dispatchEvent(new CustomEvent('testshub:export-progress', { detail }));
+            if (options.onProgress) options.onProgress(detail);
+        };
+        
+        // status is 'done', 'cancelled' or 'failed'
+        job.end = (status, values) => {
+            const detail = { format, status, ...values };
+            job.dispatchEvent(new CustomEvent('end', { detail }));
+            document.dispatchEvent(new CustomEvent('testshub:export-end', { detail }));
+        };
+        
+        return job;
+    },
+    
+    /**
+     * Export a file and download it, with the progress panel and a notification
+     * @param {string} format - 'pdf', 'odt', 'docx' or 'png'
+     * @returns {Promise<Blob|null>} the file, null when the export was cancelled or failed
+     */
+    download: function(format, options) {
+        const type = format.toUpperCase();
+        this.showLoading(type);
+        const job = this.export(format, options);
+        this.showProgress(job, type);
+        
+        return job.result.then(blob => {
+            if (blob.type.startsWith('text/html')) {
+                this.downloadBlob(blob, options.filename.replace(/\.[a-z]+$/, '.html'));
+                this.showNotification(this.t('htmlInstead', { format: type }), 'info');
+            } else {
+                this.downloadBlob(blob, options.filename);
+                this.showNotification(type === 'PNG' ? this.t('pngSaved') : this.t('downloaded', { format: type }), 'success');
+            }
+            return blob;
+        }).catch(error => {
+            if (error.name === 'AbortError') {
+                this.showNotification(this.t('cancelled'), 'info');
+            } else {
+                console.error(`${type} generation failed:`, error);
+                this.showNotification(this.t('failed', { format: type, error: error.message }), 'error');
+            }
+            return null;
+        }).finally(() => this.hideLoading(type));
+    },
+    
     /**
      * Download content as PDF
      * @param {Object} options - Download options
+     * @returns {Promise<Blob|null>}
      */
     downloadAsPDF: function(options = {}) {
         const defaultOptions = {
             filename: `test_${Date.now()}.pdf`,
             title: 'Test',
-            content: document.documentElement.outerHTML,
+            element: null,
+            includeCorrection: !this.isCorrectionLocked(),
             testId: 'unknown',
             useCanvas: true
         };
         
-        const finalOptions = { ...defaultOptions, ...options };
-        
-        // Show loading state
-        this.showLoading('PDF');
-        
-        // Always use client-side generation for local files
-        if (this.isLocalFileProtocol() || !this.config.pdfAPI || this.config.pdfAPI === '/api/generate-pdf') {
-            console.log('Using client-side PDF generation (local file or no API configured)');
-            this.generateClientSidePDF(finalOptions);
-        } else {
-            // Try server API first if available
-            fetch(this.config.pdfAPI, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    html: finalOptions.content,
-                    filename: finalOptions.filename,
-                    testId: finalOptions.testId,
-                    title: finalOptions.title
-                })
-            })
-            .then(response => {
-                if (response.ok) {
-                    return response.blob();
-                }
-                throw new Error('Server PDF generation failed');
-            })
-            .then(blob => {
-                this.downloadBlob(blob, finalOptions.filename);
-                this.hideLoading('PDF');
-            })
-            .catch(error => {
-                console.warn('PDF server generation failed, trying client-side:', error);
-                this.generateClientSidePDF(finalOptions);
-            });
-        }
+        return this.download('pdf', { ...defaultOptions, ...options });
     },
     
     /**
      * Download content as ODT
      * @param {Object} options - Download options
+     * @returns {Promise<Blob|null>}
      */
     downloadAsODT: function(options = {}) {
         const defaultOptions = {
             filename: `test_${Date.now()}.odt`,
             title: 'Test',
-            content: this.extractTextContent(),
+            element: null,
+            includeCorrection: !this.isCorrectionLocked(),
             testId: 'unknown'
         };
         
-        const finalOptions = { ...defaultOptions, ...options };
-        
-        // Show loading state
-        this.showLoading('ODT');
-        
-        // Always use fallback for local files
-        if (this.isLocalFileProtocol() || !this.config.odtAPI || this.config.odtAPI === '/api/generate-odt') {
-            this.fallbackToHTMLODT(finalOptions);
-        } else {
-            // Try server API first if available
-            fetch(this.config.odtAPI, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    content: finalOptions.content,
-                    filename: finalOptions.filename,
-                    testId: finalOptions.testId,
-                    title: finalOptions.title
-                })
-            })
-            .then(response => {
-                if (response.ok) {
-                    return response.blob();
-                }
-                throw new Error('Server ODT generation failed');
-            })
-            .then(blob => {
-                this.downloadBlob(blob, finalOptions.filename);
-                this.hideLoading('ODT');
-            })
-            .catch(error => {
-                console.warn('ODT server generation failed:', error);
-                this.fallbackToHTMLODT(finalOptions);
-            });
-        }
+        return this.download('odt', { ...defaultOptions, ...options });
+    },
+    
+    /**
+     * Download content as DOCX (Word), always generated in the browser
+     * @param {Object} options - Download options
+     * @returns {Promise<Blob|null>}
+     */
+    downloadAsDOCX: function(options = {}) {
+        const defaultOptions = {
+            filename: `test_${Date.now()}.docx`,
+            title: 'Test',
+            element: null,
+            includeCorrection: !this.isCorrectionLocked(),
+            testId: 'unknown'
+        };
+        
+        return this.download('docx', { ...defaultOptions, ...options });
     },
     
     /**
      * Download content as PNG image
      * @param {Object} options - Download options
+     * @returns {Promise<Blob|null>}
      */
     downloadAsPNG: function(options = {}) {
         const defaultOptions = {
@@ -141,59 +542,158 @@ const TestsHubDownloadingUtils = {
             testId: 'unknown'
         };
         
-        const finalOptions = { ...defaultOptions, ...options };
-        
-        // Show loading state
-        this.showLoading('PNG');
-        
-        // Check if html2canvas is available
-        if (typeof html2canvas !== 'undefined') {
-            this.generateClientSidePNG(finalOptions);
-        } else {
-            this.hideLoading('PNG');
-            this.showNotification('PNG generation requires html2canvas library', 'error');
-        }
+        return this.download('png', { ...defaultOptions, ...options });
     },
     
     /**
-     * Generate PDF using client-side library (jsPDF + html2canvas)
+     * Generate PDF using client-side library: a vector PDF (pdf-writer.js), else
+     * a capture of the page (html2canvas), else a text PDF
+     * @returns {Promise<Blob>}
      */
-    generateClientSidePDF: function(options) {
+    generateClientSidePDF: function(options, job) {
         // Check if libraries are available
-        if (typeof html2canvas !== 'undefined' && (typeof jspdf !== 'undefined' || window.jspdf)) {
-            if (options.useCanvas !== false) {
-                this.generatePDFWithCanvas(options);
-            } else {
-                this.generateTextPDF(options);
-            }
-        } else if (typeof jspdf !== 'undefined' || window.jspdf) {
-            this.generateTextPDF(options);
-        } else {
+        if (typeof jspdf === 'undefined' && !window.jspdf) {
             console.warn('PDF libraries not available, falling back to HTML');
-            this.fallbackToHTML(options);
+            return this.fallbackToHTML(options);
+        } else if (typeof TestsHubPDFWriter !== 'undefined') {
+            return this.generateVectorPDF(options, job);
+        } else if (typeof html2canvas !== 'undefined' && options.useCanvas !== false) {
+            return this.generatePDFWithCanvas(options, job);
         }
+        return this.generateTextPDF(options, job);
     },
     
     /**
-     * Generate PDF using html2canvas to capture the page as an image - FIXED VERSION
+     * Generate a PDF with selectable text, tables and pictures from the page content (pdf-writer.js)
+     * @returns {Promise<Blob>}
      */
-    generatePDFWithCanvas: function(options) {
-        this.showNotification('Generating high-quality PDF...', 'info');
-        
-        // Use the main container for better results
-        const targetElement = document.querySelector('.Tests-Hub-main-container') || document.body;
-        
-        // Create a temporary container for the clone
+    generateVectorPDF: function(options, job) {
+        return TestsHubPDFWriter.build({
+            ...this.getWriterOptions(options),
+            signal: job.signal,
+            onProgress: progress => job.report(progress.stage, progress)
+        }).catch(error => {
+            if (error.name === 'AbortError') throw error;
+            console.error('Vector PDF generation failed:', error);
+            if (typeof html2canvas !== 'undefined' && options.useCanvas !== false) {
+                return this.generatePDFWithCanvas(options, job);
+            }
+            return this.generateTextPDF(options, job);
+        });
+    },
+    
+    /**
+     * Off-screen container for the copy of the page html2canvas captures; it is removed
+     * as soon as the export is cancelled
+     */
+    createCaptureContainer: function(job) {
         const tempContainer = document.createElement('div');
         tempContainer.style.position = 'fixed';
         tempContainer.style.left = '-9999px';
         tempContainer.style.top = '0';
         tempContainer.style.zIndex = '-1000';
-        tempContainer.style.opacity = '0';
         document.body.appendChild(tempContainer);
+        job.signal.addEventListener('abort', () => this.removeCaptureContainer(tempContainer), { once: true });
+        return tempContainer;
+    },
+    
+    /**
+     * Remove the off-screen container of a capture, if it is still there
+     */
+    removeCaptureContainer: function(tempContainer) {
+        if (tempContainer.parentNode) {
+            tempContainer.parentNode.removeChild(tempContainer);
+        }
+    },
+    
+    /**
+     * Let the browser update the screen (the progress bar) between two steps of an export
+     */
+    pause: function() {
+        return new Promise(resolve => setTimeout(resolve, 0));
+    },
+    
+    /**
+     * Wait for the pictures of a copy of the page, replacing the ones that fail to load,
+     * and for the fonts (KaTeX's among them); gives up after 3 seconds
+     */
+    waitForImages: function(clone) {
+        const images = Array.from(clone.querySelectorAll('img'));
+        const loading = images.map(img => new Promise(resolve => {
+            // Handle local file paths for images
+            if (this.isLocalFileProtocol() && img.src.startsWith('file://')) {
+                // For local files, we need to handle CORS issues
+                img.crossOrigin = 'anonymous';
+            }
+            
+            if (img.complete) {
+                resolve();
+                return;
+            }
+            img.onload = resolve;
+            img.onerror = () => {
+                // If image fails to load, replace with placeholder
+                const placeholder = document.createElement('div');
+                placeholder.textContent = `[Image: ${img.alt || 'Figure'}]`;
+                placeholder.style.border = '1px dashed #ccc';
+                placeholder.style.padding = '10px';
+                placeholder.style.textAlign = 'center';
+                placeholder.style.backgroundColor = '#f5f5f5';
+                if (img.parentNode) img.parentNode.replaceChild(placeholder, img);
+                resolve();
+            };
+        }));
+        
+        if (document.fonts) loading.push(document.fonts.ready);
+        
+        return Promise.race([
+            Promise.all(loading),
+            new Promise(resolve => setTimeout(resolve, 3000))
+        ]);
+    },
+    
+    /**
+     * Copy of a part of the page for html2canvas: without the page's buttons and menus,
+     * with its canvases drawn again (copies of a canvas are blank), without the MathML
+     * KaTeX hides next to each formula (html2canvas would draw it), and with the export
+     * choices applied
+     */
+    getCleanCloneForCapture: function(element, options = {}) {
+        const clone = element.cloneNode(true);
+        
+        const canvases = element.querySelectorAll('canvas');
+        clone.querySelectorAll('canvas').forEach((canvas, index) => {
+            const source = canvases[index];
+            const context = canvas.getContext('2d');
+            if (!source || !context || !source.width || !source.height) return;
+            canvas.width = source.width;
+            canvas.height = source.height;
+            context.drawImage(source, 0, 0);
+        });
+        
+        clone.querySelectorAll(`.katex-mathml, ${this.config.captureExcludeSelector}`).forEach(el => el.remove());
+        this.prepareCapture(clone, options);
+        
+        return clone;
+    },
+    
+    /**
+     * Generate PDF using html2canvas to capture the page as an image - FIXED VERSION
+     * @returns {Promise<Blob>}
+     */
+    generatePDFWithCanvas: function(options, job) {
+        job.check();
+        job.report('capture');
+        
+        // Use the main container for better results
+        const targetElement = options.element || document.querySelector('.Tests-Hub-main-container') || document.body;
+        
+        // Create a temporary container for the clone
+        const tempContainer = this.createCaptureContainer(job);
+        tempContainer.style.opacity = '0';
         
-        // Clone the element
-        const clone = targetElement.cloneNode(true);
+        // Clone the element, with the chosen parts of the test
+        const clone = this.getCleanCloneForCapture(targetElement, options);
         
         // Apply styling to the clone
         clone.style.width = targetElement.offsetWidth + 'px';
@@ -203,7 +703,7 @@ const TestsHubDownloadingUtils = {
         
         // Remove interactive elements from the clone
         const elementsToRemove = clone.querySelectorAll(
-            'button, input[type="radio"], .Tests-Hub-download-buttons, .Tests-Hub-toggle-button, .Tests-Hub-language-selector, .Tests-Hub-theme-toggle, .Tests-Hub-back-button'
+            'button, input[type="radio"], .Tests-Hub-toggle-button'
         );
         
         elementsToRemove.forEach(el => el.remove());
@@ -227,65 +727,30 @@ const TestsHubDownloadingUtils = {
         tempContainer.appendChild(clone);
         
         // Ensure all images have loaded or have a fallback
-        const images = clone.querySelectorAll('img');
-        let imagesLoaded = 0;
-        const totalImages = images.length;
-        
-        const checkImagesAndCapture = () => {
-            imagesLoaded++;
-            if (imagesLoaded >= totalImages) {
-                setTimeout(() => this.captureAndGeneratePDF(tempContainer, clone, options), 100);
-            }
-        };
-        
-        if (totalImages === 0) {
-            // No images, proceed immediately
-            setTimeout(() => this.captureAndGeneratePDF(tempContainer, clone, options), 100);
-        } else {
-            images.forEach(img => {
-                // Handle local file paths for images
-                if (this.isLocalFileProtocol() && img.src.startsWith('file://')) {
-                    // For local files, we need to handle CORS issues
-                    img.crossOrigin = 'anonymous';
-                }
+        return this.waitForImages(clone)
+            .then(() => this.pause())
+            .then(() => this.captureAndGeneratePDF(tempContainer, clone, options, job))
+            .catch(error => {
+                this.removeCaptureContainer(tempContainer);
+                if (error.name === 'AbortError') throw error;
+                console.error('Canvas generation failed:', error);
                 
-                if (img.complete) {
-                    checkImagesAndCapture();
-                } else {
-                    img.onload = checkImagesAndCapture;
-                    img.onerror = () => {
-                        // If image fails to load, replace with placeholder
-                        const placeholder = document.createElement('div');
-                        placeholder.textContent = `[Image: ${img.alt || 'Figure'}]`;
-                        placeholder.style.border = '1px dashed #ccc';
-                        placeholder.style.padding = '10px';
-                        placeholder.style.textAlign = 'center';
-                        placeholder.style.backgroundColor = '#f5f5f5';
-                        img.parentNode.replaceChild(placeholder, img);
-                        checkImagesAndCapture();
-                    };
-                }
+                // Fall back to text PDF
+                return this.generateTextPDF(options, job);
             });
-            
-            // Timeout after 3 seconds in case images don't load
-            setTimeout(() => {
-                this.captureAndGeneratePDF(tempContainer, clone, options);
-            }, 3000);
-        }
     },
     
     /**
      * Helper function to capture clone and generate PDF - FIXED VERSION
+     * The capture is cut into pages, so that long tests are not cropped
+     * @returns {Promise<Blob>}
      */
-    captureAndGeneratePDF: function(tempContainer, clone, options) {
+    captureAndGeneratePDF: function(tempContainer, clone, options, job) {
+        job.check();
         if (!tempContainer.parentNode || !clone.parentNode) {
-            console.error('Clone was removed before capture');
-            this.generateTextPDF(options);
-            return;
+            return Promise.reject(new Error('Clone was removed before capture'));
         }
         
-        const self = this;
-        
         // Configure html2canvas options
         const canvasOptions = {
             scale: 1.5, // Good balance between quality and file size
@@ -311,222 +776,211 @@ const TestsHubDownloadingUtils = {
             }
         };
         
-        html2canvas(clone, canvasOptions).then(canvas => {
+        return html2canvas(clone, canvasOptions).then(canvas => {
             // Clean up the temporary container
-            if (tempContainer.parentNode) {
-                document.body.removeChild(tempContainer);
-            }
-            
-            const imgData = canvas.toDataURL('image/jpeg', 0.9);
-            const imgWidth = canvas.width;
-            const imgHeight = canvas.height;
-            
-            // Calculate PDF dimensions (A4: 210x297mm)
-            const pdfWidth = 190; // Width in mm with margins
-            const pdfHeight = (imgHeight * pdfWidth) / imgWidth;
+            this.removeCaptureContainer(tempContainer);
+            job.check();
             
-            // Create PDF
+            // Create PDF on the chosen paper
             const jsPDF = window.jspdf ? window.jspdf.jsPDF : jspdf.jsPDF;
             const doc = new jsPDF({
-                orientation: pdfHeight > 280 ? 'portrait' : 'portrait',
+                orientation: 'portrait',
                 unit: 'mm',
-                format: 'a4'
+                format: options.paper || 'a4'
             });
+            const pageWidth = doc.internal.pageSize.getWidth();
+            const pageHeight = doc.internal.pageSize.getHeight();
+            const margin = options.margin >= 0 ? options.margin : 10;
             
-            // Add title page
-            doc.setFontSize(18);
-            doc.setFont('helvetica', 'bold');
-            doc.text(options.title, 105, 20, { align: 'center' });
-            
-            doc.setFontSize(12);
-            doc.setFont('helvetica', 'normal');
-            doc.text(`Generated: ${new Date().toLocaleDateString()}`, 105, 30, { align: 'center' });
-            doc.text(`Test ID: ${options.testId}`, 105, 35, { align: 'center' });
-            
-            // Add a new page for the content
-            doc.addPage();
-            
-            // Add image to PDF (centered with margins)
-            const xPos = 10; // Left margin
-            const yPos = 10; // Top margin
-            const contentWidth = pdfWidth;
-            const contentHeight = pdfHeight;
-            
-            doc.addImage(imgData, 'JPEG', xPos, yPos, contentWidth, contentHeight, '', 'MEDIUM');
-            
-            // Add page numbers
-            const pageCount = doc.internal.getNumberOfPages();
-            for (let i = 1; i <= pageCount; i++) {
-                doc.setPage(i);
-                doc.setFontSize(10);
-                doc.setFont('helvetica', 'italic');
-                doc.text(`Page ${i} of ${pageCount}`, 105, 287, { align: 'center' });
-            }
-            
-            // Save PDF
-            doc.save(options.filename);
-            self.hideLoading('PDF');
-            self.showNotification('PDF generated successfully!', 'success');
+            // Calculate PDF dimensions: the capture fills the page width, and each page
+            // takes the height left above the page number
+            const pdfWidth = pageWidth - 2 * margin;
+            const sliceHeight = pageHeight - 2 * margin - 5;
+            const slicePixels = Math.max(1, Math.floor(canvas.width * sliceHeight / pdfWidth));
+            const pages = Math.ceil(canvas.height / slicePixels);
             
-        }).catch(error => {
-            console.error('Canvas generation failed:', error);
+            // The title page and page numbers are text: with the bundled fonts when they
+            // load (pdf-text.js), else helvetica, which has no Arabic
+            let text = null;
+            const dir = this.getTextDirection();
+            const drawText = (content, y, size, bold) => {
+                if (text && text.families.length) {
+                    TestsHubPDFText.drawLine(text, content, { x: margin, y, width: pdfWidth, dir, align: 'center', size, bold });
+                    return;
+                }
+                doc.setFontSize(size);
+                doc.setFont('helvetica', bold ? 'bold' : 'normal');
+                doc.text(content, pageWidth / 2, y, { align: 'center' });
+            };
+            const fonts = typeof TestsHubPDFText !== 'undefined'
+                ? TestsHubPDFText.prepare(doc).catch(() => null)
+                : Promise.resolve(null);
             
-            // Clean up the temporary container on error
-            if (tempContainer.parentNode) {
-                document.body.removeChild(tempContainer);
-            }
+            // Add the capture, one page-high slice per page
+            const addSlice = index => {
+                job.check();
+                const top = index * slicePixels;
+                const slice = document.createElement('canvas');
+                slice.width = canvas.width;
+                slice.height = Math.min(slicePixels, canvas.height - top);
+                const context = slice.getContext('2d');
+                context.fillStyle = '#ffffff';
+                context.fillRect(0, 0, slice.width, slice.height);
+                context.drawImage(canvas, 0, top, canvas.width, slice.height, 0, 0, slice.width, slice.height);
+                
+                doc.addPage();
+                doc.addImage(slice.toDataURL('image/jpeg', 0.9), 'JPEG', margin, margin, pdfWidth,
+                    slice.height * pdfWidth / canvas.width, '', 'MEDIUM');
+                job.report('pages', { page: index + 1, pages, fraction: (index + 1) / pages });
+                return index + 1 < pages ? this.pause().then(() => addSlice(index + 1)) : null;
+            };
             
-            // Fall back to text PDF
-            self.generateTextPDF(options);
+            return fonts.then(loaded => {
+                text = loaded;
+                job.check();
+                
+                // Add title page
+                drawText(options.title, 20, 18, true);
+                drawText(this.t('generated', { date: this.formatDate(new Date()) }), 30, 12, false);
+                drawText(this.t('testId', { id: options.testId }), 36, 12, false);
+                
+                return addSlice(0);
+            }).then(() => {
+                job.report('saving');
+                
+                // Add page numbers
+                const pageCount = doc.internal.getNumberOfPages();
+                for (let i = 1; i <= pageCount; i++) {
+                    doc.setPage(i);
+                    drawText(this.t('pageOf', { page: i, pages: pageCount }), pageHeight - 10, 10, false);
+                }
+                
+                return doc.output('blob');
+            });
         });
     },
     
     /**
-     * Generate text-based PDF (fallback) - IMPROVED VERSION
+     * Generate text-based PDF (fallback) with the bundled Unicode fonts (pdf-text.js):
+     * Arabic is shaped and right-to-left pages are laid out from the right margin
+     * @returns {Promise<Blob>}
      */
-    generateTextPDF: function(options) {
-        try {
-            this.showNotification('Generating text-based PDF...', 'info');
+    generateTextPDF: function(options, job) {
+        if (typeof TestsHubPDFText === 'undefined') {
+            console.error('Text PDF generation requires pdf-text.js');
+            return this.fallbackToHTML(options);
+        }
+        
+        job.check();
+        job.report('layout');
+        
+        const jsPDF = window.jspdf ? window.jspdf.jsPDF : jspdf.jsPDF;
+        const doc = new jsPDF({
+            orientation: 'portrait',
+            unit: 'mm',
+            format: options.paper || 'a4'
+        });
+        
+        return TestsHubPDFText.prepare(doc).then(text => {
+            job.check();
+            if (!text.families.length) {
+                console.warn('PDF fonts not found in ' + TestsHubPDFText.config.fontPath + ', using helvetica (no Arabic)');
+            }
             
-            const jsPDF = window.jspdf ? window.jspdf.jsPDF : jspdf.jsPDF;
-            const doc = new jsPDF({
-                orientation: 'portrait',
-                unit: 'mm',
-                format: 'a4'
-            });
+            const margin = options.margin >= 0 ? options.margin : 20;
+            const pageHeight = doc.internal.pageSize.getHeight();
+            const pageWidth = doc.internal.pageSize.getWidth() - 2 * margin;
+            // Sizes below are for 11pt text; the chosen font size scales them all
+            const scale = (options.fontSize || 11) / 11;
+            let yPos = margin;
+            const dir = this.getTextDirection();
             
-            let yPos = 20;
-            const margin = 20;
-            const pageWidth = 210 - 2 * margin;
+            // Write wrapped lines, starting a new page when the bottom is reached
+            const write = (content, size, bold, lineHeight) => {
+                const style = { size: size * scale, bold };
+                TestsHubPDFText.wrap(text, content, pageWidth, style).forEach(line => {
+                    if (yPos > pageHeight - margin - 7) {
+                        doc.addPage();
+                        yPos = margin;
+                    }
+                    TestsHubPDFText.drawLine(text, line, { x: margin, y: yPos, width: pageWidth, dir, ...style });
+                    yPos += lineHeight * scale;
+                });
+            };
             
             // Add title
-            doc.setFontSize(18);
-            doc.setFont('helvetica', 'bold');
-            const titleLines = doc.splitTextToSize(options.title, pageWidth);
-            doc.text(titleLines, margin, yPos);
-            yPos += titleLines.length * 7 + 10;
+            write(options.title, 18, true, 7);
+            yPos += 10;
             
             // Add metadata
-            doc.setFontSize(10);
-            doc.setFont('helvetica', 'normal');
-            doc.text(`Generated: ${new Date().toLocaleDateString()} ${new Date().toLocaleTimeString()}`, margin, yPos);
+            write(this.t('generated', { date: this.formatDate(new Date()) }), 10, false, 5);
+            write(this.t('testId', { id: options.testId }), 10, false, 5);
             yPos += 5;
-            doc.text(`Test ID: ${options.testId}`, margin, yPos);
-            yPos += 10;
             
             // Add separator
             doc.setDrawColor(46, 139, 87);
             doc.setLineWidth(0.5);
-            doc.line(margin, yPos, 210 - margin, yPos);
+            doc.line(margin, yPos, margin + pageWidth, yPos);
             yPos += 10;
             
-            // Get structured content
-            const sections = this.extractStructuredContent();
-            
-            // Add each section
-            sections.forEach(section => {
-                // Check if we need a new page
-                if (yPos > 270) {
-                    doc.addPage();
-                    yPos = 20;
-                }
-                
-                // Section header
+            // Add each section of the structured content
+            this.extractStructuredContent(options).forEach(section => {
                 if (section.type === 'header') {
-                    doc.setFontSize(14);
-                    doc.setFont('helvetica', 'bold');
-                    const lines = doc.splitTextToSize(section.content, pageWidth);
-                    doc.text(lines, margin, yPos);
-                    yPos += lines.length * 7 + 5;
-                }
-                // Question
-                else if (section.type === 'question') {
-                    doc.setFontSize(12);
-                    doc.setFont('helvetica', 'bold');
-                    const questionText = doc.splitTextToSize(section.content, pageWidth);
-                    doc.text(questionText, margin, yPos);
-                    yPos += questionText.length * 6 + 5;
-                }
-                // Table
-                else if (section.type === 'table') {
-                    // Simple table representation
-                    doc.setFontSize(10);
-                    doc.setFont('courier', 'normal');
-                    const tableLines = section.content.split('\n');
-                    
-                    for (let line of tableLines) {
-                        if (yPos > 270) {
-                            doc.addPage();
-                            yPos = 20;
-                        }
-                        doc.text(line, margin, yPos);
-                        yPos += 5;
-                    }
+                    write(section.content, 14, true, 7);
                     yPos += 5;
-                    doc.setFont('helvetica');
-                }
-                // Regular text
-                else {
-                    doc.setFontSize(11);
-                    doc.setFont('helvetica', 'normal');
-                    const lines = doc.splitTextToSize(section.content, pageWidth);
-                    
-                    for (let i = 0; i < lines.length; i++) {
-                        if (yPos > 270) {
-                            doc.addPage();
-                            yPos = 20;
-                        }
-                        doc.text(lines[i], margin, yPos);
-                        yPos += 6;
-                    }
+                } else if (section.type === 'question') {
+                    write(section.content, 12, true, 6);
+                    yPos += 5;
+                } else if (section.type === 'table') {
+                    // One line per row, cells separated by |
+                    write(section.content, 10, false, 5);
+                    yPos += 5;
+                } else {
+                    write(section.content, 11, false, 6);
                     yPos += 3;
                 }
             });
             
             // Add footer
             const pageCount = doc.internal.getNumberOfPages();
+            job.report('saving', { page: pageCount, pages: pageCount });
             for (let i = 1; i <= pageCount; i++) {
                 doc.setPage(i);
-                doc.setFontSize(8);
-                doc.setFont('helvetica', 'italic');
-                doc.text(`Page ${i} of ${pageCount} - Tests Hub`, 105, 287, { align: 'center' });
+                TestsHubPDFText.drawLine(text, `${this.t('pageOf', { page: i, pages: pageCount })} - Tests Hub`, {
+                    x: margin, y: pageHeight - Math.min(10, margin / 2), width: pageWidth, align: 'center', size: 8, bold: false
+                });
             }
             
-            doc.save(options.filename);
-            this.hideLoading('PDF');
-            this.showNotification('PDF generated (text format)', 'success');
-            
-        } catch (error) {
+            return doc.output('blob');
+        }).catch(error => {
+            if (error.name === 'AbortError') throw error;
             console.error('Text PDF generation failed:', error);
-            this.fallbackToHTML(options);
-        }
+            return this.fallbackToHTML(options);
+        });
     },
     
     /**
      * Generate PNG using html2canvas - FIXED VERSION
+     * @returns {Promise<Blob>}
      */
-    generateClientSidePNG: function(options) {
-        const targetElement = options.element;
+    generateClientSidePNG: function(options, job) {
+        if (typeof html2canvas === 'undefined') {
+            return Promise.reject(new Error('PNG generation requires html2canvas library'));
+        }
+        job.report('capture');
+        const targetElement = options.element || document.querySelector('.Tests-Hub-main-container') || document.body;
         
         // Create a temporary container
-        const tempContainer = document.createElement('div');
-        tempContainer.style.position = 'fixed';
-        tempContainer.style.left = '-9999px';
-        tempContainer.style.top = '0';
-        tempContainer.style.zIndex = '-1000';
-        document.body.appendChild(tempContainer);
+        const tempContainer = this.createCaptureContainer(job);
         
-        // Clone the element
-        const clone = targetElement.cloneNode(true);
+        // Clone the element, with the chosen parts of the test
+        const clone = this.getCleanCloneForCapture(targetElement, options);
         clone.style.width = targetElement.offsetWidth + 'px';
         clone.style.backgroundColor = '#ffffff';
         
-        // Remove download buttons from clone
-        clone.querySelectorAll('.Tests-Hub-download-buttons').forEach(el => el.remove());
-        
         tempContainer.appendChild(clone);
         
-        html2canvas(clone, {
+        return this.waitForImages(clone).then(() => html2canvas(clone, {
             scale: 1.5,
             useCORS: true,
             logging: false,
@@ -535,49 +989,46 @@ const TestsHubDownloadingUtils = {
             foreignObjectRendering: true,
             width: clone.scrollWidth,
             height: clone.scrollHeight
-        }).then(canvas => {
+        })).then(canvas => {
             // Clean up
-            if (tempContainer.parentNode) {
-                document.body.removeChild(tempContainer);
-            }
+            this.removeCaptureContainer(tempContainer);
+            job.check();
+            job.report('saving');
             
-            canvas.toBlob(blob => {
-                if (blob) {
-                    this.downloadBlob(blob, options.filename);
-                    this.hideLoading('PNG');
-                    this.showNotification('Screenshot saved as PNG!', 'success');
-                } else {
-                    throw new Error('Failed to create blob from canvas');
-                }
-            }, 'image/png', 1.0);
-        }).catch(error => {
+            return new Promise((resolve, reject) => {
+                canvas.toBlob(blob => {
+                    if (blob) resolve(blob);
+                    else reject(new Error('Failed to create blob from canvas'));
+                }, 'image/png', 1.0);
+            });
+        }, error => {
             // Clean up on error
-            if (tempContainer.parentNode) {
-                document.body.removeChild(tempContainer);
-            }
-            
-            console.error('html2canvas failed:', error);
-            this.hideLoading('PNG');
-            this.showNotification('Failed to generate PNG: ' + error.message, 'error');
+            this.removeCaptureContainer(tempContainer);
+            throw error;
         });
     },
-    
+
     /**
      * Extract structured content for text PDF
+     * @param {Object} options - { include, includeCorrection, answers } as for the other formats
      */
-    extractStructuredContent: function() {
+    extractStructuredContent: function(options = {}) {
         const sections = [];
-        const mainContainer = document.querySelector('.Tests-Hub-main-container');
+        const mainContainer = document.querySelector('.Tests-Hub-main-container, .Tests-Hub-content-container');
         
         if (!mainContainer) {
             sections.push({ type: 'text', content: this.config.fallbackText });
             return sections;
         }
         
-        // Get all relevant sections
-        const contentElements = mainContainer.querySelectorAll(
-            '.Tests-Hub-test-header, .Tests-Hub-test-section, .Tests-Hub-instructions, .Tests-Hub-correction-section:not(.Tests-Hub-hidden)'
-        );
+        // Get all relevant sections: the subject, the correction or both
+        const include = options.include || (options.includeCorrection === false ? 'subject' : 'all');
+        const selectors = {
+            subject: '.Tests-Hub-test-header, .Tests-Hub-test-section, .Tests-Hub-instructions',
+            all: '.Tests-Hub-test-header, .Tests-Hub-test-section, .Tests-Hub-instructions, .Tests-Hub-correction-section',
+            correction: '.Tests-Hub-test-header, .Tests-Hub-correction-section'
+        };
+        const contentElements = mainContainer.querySelectorAll(selectors[include] || selectors.all);
         
         contentElements.forEach(element => {
             // Skip download buttons container
@@ -588,6 +1039,13 @@ const TestsHubDownloadingUtils = {
             // Remove unwanted elements
             clone.querySelectorAll('button, input, textarea, .Tests-Hub-download-buttons, .Tests-Hub-toggle-button').forEach(el => el.remove());
             
+            // Formulas as one line of text instead of the KaTeX markup and its TeX source
+            if (typeof TestsHubPDFText !== 'undefined') {
+                clone.querySelectorAll('.katex').forEach(formula => {
+                    formula.replaceWith(document.createTextNode(TestsHubPDFText.mathText(formula)));
+                });
+            }
+            
             // Get element type
             let type = 'text';
             if (element.classList.contains('Tests-Hub-test-header')) {
@@ -614,8 +1072,9 @@ const TestsHubDownloadingUtils = {
                         let rowText = '| ';
                         cells.forEach(cell => {
                             const textarea = cell.querySelector('textarea');
-                            const content = textarea ? (textarea.value || '______') : cell.textContent.trim();
-                            rowText += content.padEnd(20, ' ') + ' | ';
+                            const answer = textarea && options.answers !== 'blank' ? textarea.value : '';
+                            const content = textarea ? (answer || '______') : cell.textContent.trim();
+                            rowText += content + ' | ';
                         });
                         tableText += rowText + '\n';
                     });
@@ -640,235 +1099,45 @@ const TestsHubDownloadingUtils = {
     },
     
     /**
-     * Fallback to downloading as HTML for ODT
-     */
-    fallbackToHTMLODT: function(options) {
-        try {
-            // Create a better formatted HTML version
-            const htmlContent = `
-<!DOCTYPE html>
-<html>
-<head>
-    <meta charset="UTF-8">
-    <title>${options.title}</title>
-    <style>
-        body { font-family: Arial, sans-serif; line-height: 1.6; margin: 40px; }
-        h1 { color: #2E8B57; text-align: center; }
-        h2 { color: #3CB371; border-bottom: 2px solid #3CB371; padding-bottom: 5px; }
-        h3 { color: #4CAF50; }
-        .question { margin: 20px 0; padding-left: 15px; }
-        .question-number { font-weight: bold; color: #2E8B57; }
-        table { border-collapse: collapse; width: 100%; margin: 15px 0; }
-        th, td { border: 1px solid #ddd; padding: 10px; text-align: center; }
-        th { background-color: #2E8B57; color: white; }
-        tr:nth-child(even) { background-color: #f9f9f9; }
-        .instructions { background-color: #f0f7f0; padding: 15px; border-left: 4px solid #2E8B57; margin: 15px 0; }
-        .correction { background-color: #f0f7f0; padding: 15px; margin: 15px 0; border: 1px solid #27ae60; }
-        .formula { font-family: 'Times New Roman', serif; font-style: italic; text-align: center; margin: 10px 0; }
-        .image-container { text-align: center; margin: 20px 0; }
-        .image-caption { font-style: italic; color: #666; margin-top: 5px; }
-    </style>
-</head>
-<body>
-    <h1>${options.title}</h1>
-    <p><strong>Generated:</strong> ${new Date().toLocaleDateString()} ${new Date().toLocaleTimeString()}</p>
-    <p><strong>Test ID:</strong> ${options.testId}</p>
-    <hr>
-    <div>${this.generateHTMLContent()}</div>
-</body>
-</html>`;
-            
-            const htmlBlob = new Blob([htmlContent], { 
-                type: 'text/html' 
-            });
-            this.downloadBlob(htmlBlob, options.filename.replace('.odt', '.html'));
-            this.hideLoading('ODT');
-            this.showNotification('Downloaded as HTML (ODT not available)', 'info');
-        } catch (fallbackError) {
-            console.error('Fallback failed:', fallbackError);
-            const textBlob = new Blob([options.content], { type: 'text/plain' });
-            const textFilename = options.filename.replace('.odt', '.txt');
-            this.downloadBlob(textBlob, textFilename);
-            this.hideLoading('ODT');
-            this.showNotification('Downloaded as text file (.txt)', 'info');
-        }
-    },
-    
-    /**
-     * Fallback to downloading as HTML
-     */
-    fallbackToHTML: function(options) {
-        const htmlBlob = new Blob([options.content], { type: 'text/html' });
-        const htmlFilename = options.filename.replace('.pdf', '.html');
-        this.downloadBlob(htmlBlob, htmlFilename);
-        this.hideLoading('PDF');
-        this.showNotification('Downloaded as HTML file instead of PDF', 'info');
-    },
-    
-    /**
-     * Extract better formatted content from page
+     * Generate an editable ODT file in the browser (odt-writer.js)
+     * @returns {Promise<Blob>}
      */
-    extractBetterFormattedContent: function() {
-        // Get main content areas
-        const mainContainer = document.querySelector('.Tests-Hub-main-container');
-        if (!mainContainer) {
-            return this.extractFormattedContent();
+    generateClientSideODT: function(options, job) {
+        if (typeof TestsHubODTWriter === 'undefined') {
+            return Promise.reject(new Error('ODT generation requires odt-writer.js'));
         }
         
-        // Clone the container to avoid modifying the original
-        const clone = mainContainer.cloneNode(true);
-        
-        // Remove elements we don't want in text
-        clone.querySelectorAll('.Tests-Hub-download-buttons, button, .Tests-Hub-toggle-button, .Tests-Hub-header-container, .Tests-Hub-footer-container').forEach(el => el.remove());
-        
-        // Replace textareas with placeholder text
-        clone.querySelectorAll('textarea').forEach(el => {
-            const placeholder = document.createElement('span');
-            placeholder.textContent = el.value || '____________';
-            placeholder.style.color = '#666';
-            el.parentNode.replaceChild(placeholder, el);
-        });
-        
-        // Replace radio buttons with [V/F]
-        clone.querySelectorAll('.Tests-Hub-true-false').forEach(el => {
-            const labels = el.querySelectorAll('label');
-            const questionText = el.textContent.replace(/\s+/g, ' ').trim();
-            el.textContent = questionText;
-        });
-        
-        // Process tables for text representation
-        clone.querySelectorAll('table').forEach(table => {
-            const rows = table.querySelectorAll('tr');
-            let tableText = '\n';
-            
-            rows.forEach(row => {
-                const cells = row.querySelectorAll('th, td');
-                let rowText = '';
-                cells.forEach(cell => {
-                    // Get cell content, handling textareas
-                    let cellContent = '';
-                    const textarea = cell.querySelector('textarea');
-                    if (textarea) {
-                        cellContent = textarea.value || '______';
-                    } else {
-                        cellContent = cell.textContent.trim();
-                    }
-                    rowText += cellContent + ' | ';
-                });
-                tableText += rowText.slice(0, -2) + '\n';
-            });
-            
-            // Replace table with text representation
-            const tableContainer = document.createElement('div');
-            tableContainer.textContent = tableText;
-            table.parentNode.replaceChild(tableContainer, table);
-        });
-        
-        // Process images
-        clone.querySelectorAll('.Tests-Hub-image-container').forEach(imgContainer => {
-            const img = imgContainer.querySelector('img');
-            const caption = imgContainer.querySelector('.Tests-Hub-image-caption');
-            const imgText = `[IMAGE: ${img ? img.alt || 'Figure' : 'Figure'} - ${caption ? caption.textContent : ''}]`;
-            imgContainer.textContent = imgText;
+        job.report('reading');
+        return TestsHubODTWriter.build(this.getWriterOptions(options)).then(blob => {
+            job.report('saving');
+            return blob;
         });
-        
-        // Get text content with proper line breaks
-        let content = clone.textContent
-            .replace(/\s+/g, ' ')
-            .replace(/([.!?])\s+/g, '$1\n')
-            .replace(/\n\s*\n\s*\n/g, '\n\n') // Remove multiple empty lines
-            .trim();
-        
-        // Add some formatting markers
-        content = content
-            .replace(/Partie/g, '\n\n=== $& ===\n')
-            .replace(/Exercice/g, '\n\n--- $& ---\n')
-            .replace(/Question \d+/g, '\n$&\n')
-            .replace(/\d°\)/g, '\n$&\n');
-        
-        return content || this.config.fallbackText;
     },
     
     /**
-     * Generate HTML content for fallback downloads
+     * Generate an editable Word file in the browser (docx-writer.js)
+     * @returns {Promise<Blob>}
      */
-    generateHTMLContent: function() {
-        const mainContainer = document.querySelector('.Tests-Hub-main-container');
-        if (!mainContainer) return '';
-        
-        const clone = mainContainer.cloneNode(true);
-        
-        // Clean up the clone
-        clone.querySelectorAll('.Tests-Hub-download-buttons, button, .Tests-Hub-toggle-button, .Tests-Hub-header-container, .Tests-Hub-footer-container').forEach(el => el.remove());
+    generateClientSideDOCX: function(options, job) {
+        if (typeof TestsHubDOCXWriter === 'undefined') {
+            return Promise.reject(new Error('DOCX generation requires docx-writer.js'));
+        }
         
-        // Preserve tables and images in HTML
-        return clone.innerHTML;
-    },
-    
-    /**
-     * Extract formatted content from page (original method)
-     */
-    extractFormattedContent: function() {
-        // Get main content areas
-        const contentElements = [
-            '.Tests-Hub-test-header',
-            '.Tests-Hub-test-section',
-            '.Tests-Hub-instructions',
-            '.Tests-Hub-correction-section:not(.Tests-Hub-hidden)'
-        ];
-        
-        let content = '';
-        
-        contentElements.forEach(selector => {
-            document.querySelectorAll(selector).forEach(element => {
-                // Clone element to avoid modifying original
-                const clone = element.cloneNode(true);
-                
-                // Remove elements we don't want in text
-                clone.querySelectorAll('.Tests-Hub-download-buttons, button, .Tests-Hub-toggle-button').forEach(el => el.remove());
-                
-                // Replace textareas with placeholder
-                clone.querySelectorAll('textarea').forEach(el => {
-                    const placeholder = document.createElement('span');
-                    placeholder.textContent = '____________';
-                    placeholder.style.color = '#666';
-                    el.parentNode.replaceChild(placeholder, el);
-                });
-                
-                // Replace radio buttons with [V/F]
-                clone.querySelectorAll('.Tests-Hub-true-false').forEach(el => {
-                    const text = el.textContent.replace(/\s+/g, ' ').trim();
-                    content += text + '\n';
-                });
-                
-                // Get text content with proper line breaks
-                const text = clone.textContent
-                    .replace(/\s+/g, ' ')
-                    .replace(/([.!?])\s+/g, '$1\n')
-                    .trim();
-                
-                if (text) {
-                    content += text + '\n\n';
-                }
-            });
+        job.report('reading');
+        return TestsHubDOCXWriter.build(this.getWriterOptions(options)).then(blob => {
+            job.report('saving');
+            return blob;
         });
-        
-        // Clean up the content
-        content = content
-            .replace(/\n\s*\n\s*\n/g, '\n\n') // Remove multiple empty lines
-            .replace(/Tableau:/g, '\nTableau:\n')
-            .replace(/Question \d+/g, '\n$&\n');
-        
-        return content || this.config.fallbackText;
     },
     
     /**
-     * Extract text content from page
+     * Fallback to downloading as HTML
+     * @returns {Promise<Blob>} options.content, else the page as it is when the export runs
      */
-    extractTextContent: function() {
-        return this.extractBetterFormattedContent();
+    fallbackToHTML: function(options) {
+        return Promise.resolve(new Blob([options.content || this.getPageSnapshot(options)], { type: 'text/html' }));
     },
-    
+
     /**
      * Download blob as file
      */
@@ -883,27 +1152,31 @@ const TestsHubDownloadingUtils = {
         URL.revokeObjectURL(url);
     },
     
+    /**
+     * Button of a download type ('PDF' is #downloadPdf)
+     */
+    getDownloadButton: function(type) {
+        return document.getElementById(`download${type.charAt(0)}${type.slice(1).toLowerCase()}`);
+    },
+    
     /**
      * Show loading state for a download type
      */
     showLoading: function(type) {
-        const button = document.getElementById(`download${type}`);
+        const button = this.getDownloadButton(type);
         if (button) {
             const originalHTML = button.innerHTML;
-            button.innerHTML = `<span>⏳</span><span>Generating...</span>`;
+            button.innerHTML = `<span>⏳</span><span>${this.t('generating')}</span>`;
             button.disabled = true;
             button.dataset.originalHTML = originalHTML;
         }
-        
-        // Also show a toast notification
-        this.showNotification(`Generating ${type} file...`, 'info');
     },
     
     /**
      * Hide loading state
      */
     hideLoading: function(type) {
-        const button = document.getElementById(`download${type}`);
+        const button = this.getDownloadButton(type);
         if (button && button.dataset.originalHTML) {
             button.innerHTML = button.dataset.originalHTML;
             button.disabled = false;
@@ -911,6 +1184,50 @@ const TestsHubDownloadingUtils = {
         }
     },
     
+    /**
+     * Show the progress of an export: its stage, a progress bar, the pages written
+     * and a button to cancel it; the panel goes when the export ends
+     * @param {Object} job - as returned by export
+     * @param {string} type - 'PDF', 'ODT', 'DOCX' or 'PNG'
+     */
+    showProgress: function(job, type) {
+        this.injectStyles();
+        
+        const panel = document.createElement('div');
+        panel.className = 'Tests-Hub-export-progress';
+        panel.dir = this.getLanguage() === 'ar' ? 'rtl' : 'ltr';
+        panel.setAttribute('role', 'status');
+        panel.innerHTML = `
+            <div class="Tests-Hub-export-progress-title">${this.t('exporting', { format: type })}</div>
+            <progress max="100" value="0"></progress>
+            <div class="Tests-Hub-export-progress-status">
+                <span class="Tests-Hub-export-progress-stage">${this.t('preparing')}</span>
+                <span class="Tests-Hub-export-progress-pages"></span>
+            </div>
+            <button type="button" class="Tests-Hub-export-progress-cancel">${this.t('cancel')}</button>
+        `;
+        document.body.appendChild(panel);
+        
+        const bar = panel.querySelector('progress');
+        const stage = panel.querySelector('.Tests-Hub-export-progress-stage');
+        const pages = panel.querySelector('.Tests-Hub-export-progress-pages');
+        const cancel = panel.querySelector('.Tests-Hub-export-progress-cancel');
+        
+        job.addEventListener('progress', event => {
+            const progress = event.detail;
+            bar.value = progress.percent;
+            stage.textContent = this.t(progress.stage);
+            pages.textContent = progress.pages
+                ? this.t('pageOf', { page: progress.page, pages: progress.pages })
+                : (progress.page ? this.t('pageNumber', { page: progress.page }) : '');
+        });
+        job.addEventListener('end', () => panel.remove());
+        cancel.addEventListener('click', () => {
+            cancel.disabled = true;
+            job.abort();
+        });
+    },
+    
     /**
      * Show notification/toast
      */
@@ -922,6 +1239,7 @@ const TestsHubDownloadingUtils = {
         // Create notification
         const notification = document.createElement('div');
         notification.id = 'download-notification';
+        notification.dir = this.getLanguage() === 'ar' ? 'rtl' : 'ltr';
         notification.style.cssText = `
             position: fixed;
             top: 20px;
@@ -973,16 +1291,257 @@ const TestsHubDownloadingUtils = {
         }
     },
     
+    /**
+     * Check whether the correction is locked (running exam, or practice before submission);
+     * a locked correction is left out of exported files
+     */
+    isCorrectionLocked: function() {
+        const toggle = document.getElementById('toggleCorrection') || document.getElementById('toggleCorrectionBtn');
+        return !!(toggle && toggle.disabled);
+    },
+    
+    /**
+     * Export choices saved on this device, over the defaults
+     */
+    loadExportOptions: function() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.config.exportOptionsKey));
+            return { ...this.config.exportDefaults, ...saved };
+        } catch (error) {
+            return { ...this.config.exportDefaults };
+        }
+    },
+    
+    /**
+     * Remember the export choices for the next download
+     */
+    saveExportOptions: function(choice) {
+        try {
+            localStorage.setItem(this.config.exportOptionsKey, JSON.stringify(choice));
+        } catch (error) {
+            console.warn('Export options not saved:', error);
+        }
+    },
+    
+    /**
+     * Ask which parts of the test to export, with the student's answers or blank
+     * answer lines, and the page setup (not for PNG, a capture of the screen)
+     * @param {string} format - 'PDF', 'ODT', 'DOCX' or 'PNG'
+     * @returns {Promise<Object|null>} { include, answers, paper, margin, fontSize }, null when cancelled
+     */
+    chooseExportOptions: function(format) {
+        const existing = document.querySelector('.Tests-Hub-export-overlay');
+        if (existing) existing.remove();
+        this.injectStyles();
+        
+        const saved = this.loadExportOptions();
+        const locked = this.isCorrectionLocked();
+        if (locked) saved.include = 'subject';
+        
+        const radio = (name, value) => `<label class="Tests-Hub-export-choice"><input type="radio" name="${name}" value="${value}"` +
+            `${saved[name] === value ? ' checked' : ''}${locked && name === 'include' && value !== 'subject' ? ' disabled' : ''}> ${this.t(value)}</label>`;
+        const select = (name, values, unit) => `<label class="Tests-Hub-export-field">${this.t(name)}<select name="${name}">` +
+            values.map(value => `<option value="${value}"${String(saved[name]) === String(value) ? ' selected' : ''}>${unit ? `${value} ${unit}` : this.t(value)}</option>`).join('') +
+            '</select></label>';
+        
+        const overlay = document.createElement('div');
+        overlay.className = 'Tests-Hub-export-overlay';
+        overlay.dir = this.getLanguage() === 'ar' ? 'rtl' : 'ltr';
+        overlay.innerHTML = `
+            <form class="Tests-Hub-export-dialog" role="dialog" aria-modal="true" aria-labelledby="exportDialogTitle">
+                <h2 id="exportDialogTitle">${this.t('title', { format })}</h2>
+                <fieldset>
+                    <legend>${this.t('include')}</legend>
+                    ${['subject', 'all', 'correction'].map(value => radio('include', value)).join('')}
+                    ${locked ? `<p class="Tests-Hub-export-note">🔒 ${this.t('correctionLocked')}</p>` : ''}
+                </fieldset>
+                <fieldset>
+                    <legend>${this.t('answers')}</legend>
+                    ${['student', 'blank'].map(value => radio('answers', value)).join('')}
+                </fieldset>
+                ${format === 'PNG' ? '' : `<fieldset>
+                    <legend>${this.t('page')}</legend>
+                    ${select('paper', ['a4', 'letter'])}
+                    ${select('margin', this.config.margins, 'mm')}
+                    ${select('fontSize', this.config.fontSizes, 'pt')}
+                </fieldset>`}
+                <div class="Tests-Hub-export-actions">
+                    <button type="button" class="Tests-Hub-export-cancel">${this.t('cancel')}</button>
+                    <button type="submit" class="Tests-Hub-export-submit">${this.t('download')}</button>
+                </div>
+            </form>
+        `;
+        
+        const previousFocus = document.activeElement;
+        document.body.appendChild(overlay);
+        const form = overlay.querySelector('form');
+        (form.querySelector('input:checked:not(:disabled)') || form.querySelector('.Tests-Hub-export-submit')).focus();
+        
+        return new Promise(resolve => {
+            const close = result => {
+                document.removeEventListener('keydown', onKeydown);
+                overlay.remove();
+                if (previousFocus && previousFocus.focus) previousFocus.focus();
+                resolve(result);
+            };
+            const onKeydown = event => {
+                if (event.key === 'Escape') close(null);
+            };
+            
+            document.addEventListener('keydown', onKeydown);
+            overlay.addEventListener('click', event => {
+                if (event.target === overlay) close(null);
+            });
+            form.querySelector('.Tests-Hub-export-cancel').addEventListener('click', () => close(null));
+            form.addEventListener('submit', event => {
+                event.preventDefault();
+                const data = new FormData(form);
+                const choice = { ...saved };
+                ['include', 'answers', 'paper'].forEach(name => {
+                    if (data.has(name)) choice[name] = data.get(name);
+                });
+                ['margin', 'fontSize'].forEach(name => {
+                    if (data.has(name)) choice[name] = parseFloat(data.get(name));
+                });
+                this.saveExportOptions(choice);
+                close(choice);
+            });
+        });
+    },
+    
+    /**
+     * Add the styles of the export dialog and progress panel
+     */
+    injectStyles: function() {
+        if (document.getElementById('export-dialog-styles')) return;
+        
+        const style = document.createElement('style');
+        style.id = 'export-dialog-styles';
+        style.textContent = `
+            .Tests-Hub-export-overlay { position: fixed; inset: 0; z-index: 10001; display: flex; align-items: center; justify-content: center; padding: 16px; background: rgba(0, 0, 0, 0.45); }
+            .Tests-Hub-export-dialog { width: 100%; max-width: 420px; max-height: 100%; overflow-y: auto; padding: 20px 24px; border-radius: 12px; background: white; color: #222; box-shadow: 0 10px 30px rgba(0, 0, 0, 0.3); font-size: 0.95rem; }
+            .Tests-Hub-export-dialog h2 { margin: 0 0 12px; font-size: 1.2rem; color: #2E8B57; }
+            .Tests-Hub-export-dialog fieldset { margin: 0 0 12px; padding: 8px 12px; border: 1px solid #d5e5da; border-radius: 8px; }
+            .Tests-Hub-export-dialog legend { padding: 0 4px; font-weight: 600; }
+            .Tests-Hub-export-choice { display: block; padding: 3px 0; cursor: pointer; }
+            .Tests-Hub-export-choice:has(input:disabled) { opacity: 0.5; cursor: not-allowed; }
+            .Tests-Hub-export-field { display: flex; justify-content: space-between; align-items: center; gap: 12px; padding: 3px 0; }
+            .Tests-Hub-export-field select { min-width: 110px; padding: 3px 6px; font: inherit; }
+            .Tests-Hub-export-note { margin: 6px 0 0; font-size: 0.85rem; color: #b45309; }
+            .Tests-Hub-export-actions { display: flex; justify-content: flex-end; gap: 8px; }
+            .Tests-Hub-export-actions button { padding: 7px 16px; border-radius: 6px; border: 1px solid #2E8B57; font: inherit; cursor: pointer; }
+            .Tests-Hub-export-cancel { background: white; color: #2E8B57; }
+            .Tests-Hub-export-submit { background: #2E8B57; color: white; }
+            .Tests-Hub-dark-theme .Tests-Hub-export-dialog { background: #1e2a24; color: #e8f0eb; }
+            .Tests-Hub-dark-theme .Tests-Hub-export-dialog fieldset { border-color: #3b5447; }
+            .Tests-Hub-dark-theme .Tests-Hub-export-cancel { background: transparent; color: #7fd1a1; }
+            .Tests-Hub-export-progress { position: fixed; bottom: 20px; inset-inline-end: 20px; z-index: 10000; width: 280px; max-width: calc(100% - 40px); padding: 14px 16px; border-radius: 10px; background: white; color: #222; box-shadow: 0 6px 20px rgba(0, 0, 0, 0.25); font-size: 0.9rem; }
+            .Tests-Hub-export-progress-title { margin-bottom: 8px; font-weight: 600; color: #2E8B57; }
+            .Tests-Hub-export-progress progress { width: 100%; height: 10px; accent-color: #2E8B57; }
+            .Tests-Hub-export-progress-status { display: flex; justify-content: space-between; gap: 8px; margin: 6px 0 10px; font-size: 0.85rem; color: #555; }
+            .Tests-Hub-export-progress-cancel { display: block; margin-inline-start: auto; padding: 5px 14px; border-radius: 6px; border: 1px solid #2E8B57; background: white; color: #2E8B57; font: inherit; cursor: pointer; }
+            .Tests-Hub-export-progress-cancel:disabled { opacity: 0.5; cursor: default; }
+            .Tests-Hub-dark-theme .Tests-Hub-export-progress { background: #1e2a24; color: #e8f0eb; }
+            .Tests-Hub-dark-theme .Tests-Hub-export-progress-status { color: #b8c9bf; }
+            .Tests-Hub-dark-theme .Tests-Hub-export-progress-cancel { background: transparent; color: #7fd1a1; }
+        `;
+        document.head.appendChild(style);
+    },
+    
+    /**
+     * Apply the export choices to a copy of the page before it is captured as an image:
+     * keep the subject, the correction or both, and empty the fields for a blank sheet
+     */
+    prepareCapture: function(clone, options) {
+        const include = options.include || (options.includeCorrection === false ? 'subject' : 'all');
+        const correction = this.config.correctionSelector;
+        
+        clone.querySelectorAll(correction).forEach(section => {
+            if (include === 'subject') {
+                section.remove();
+            } else {
+                section.classList.remove('Tests-Hub-hidden');
+                section.hidden = false;
+                section.style.display = '';
+            }
+        });
+        
+        if (include === 'correction') {
+            // Only the test header and the correction, with the elements that hold them
+            const kept = `${this.config.headerSelector}, ${correction}`;
+            clone.querySelectorAll('*').forEach(element => {
+                if (clone.contains(element) && !element.closest(kept) && !element.querySelector(kept)) {
+                    element.remove();
+                }
+            });
+        }
+        
+        if (options.answers === 'blank') {
+            // Properties for the copy html2canvas makes, attributes for the serialized one
+            clone.querySelectorAll('input, textarea, select').forEach(field => {
+                const type = (field.getAttribute('type') || '').toLowerCase();
+                if (type === 'radio' || type === 'checkbox') {
+                    field.checked = false;
+                    field.removeAttribute('checked');
+                } else if (field.tagName === 'SELECT') {
+                    field.querySelectorAll('option').forEach(option => option.removeAttribute('selected'));
+                    field.value = '';
+                } else if (!['hidden', 'button', 'submit', 'reset', 'image'].includes(type)) {
+                    field.value = '';
+                    field.removeAttribute('value');
+                    if (field.tagName === 'TEXTAREA') field.textContent = '';
+                }
+            });
+        }
+    },
+    
+    /**
+     * Options the document writers take from a download's options
+     */
+    getWriterOptions: function(options) {
+        return {
+            element: options.element,
+            title: options.title,
+            includeCorrection: options.includeCorrection,
+            include: options.include,
+            answers: options.answers,
+            paper: options.paper,
+            margin: options.margin,
+            fontSize: options.fontSize
+        };
+    },
+    
+    /**
+     * Add the DOCX button next to the ODT one (the PDF one on pages without it),
+     * in the same style: the hand-written test pages only have PDF, ODT and PNG buttons
+     */
+    addDocxButton: function() {
+        if (document.getElementById('downloadDocx')) return;
+        const model = document.getElementById('downloadOdt') || document.getElementById('downloadPdf');
+        if (!model) return;
+
+        const button = model.cloneNode(false);
+        button.id = 'downloadDocx';
+        button.removeAttribute('title');
+        button.removeAttribute('data-i18n-title');
+        // No data-i18n: the page translations have no DOCX entry, and format names stay as they are
+        button.innerHTML = '<span>📘</span><span>DOCX</span>';
+        model.after(button);
+    },
+    
     /**
      * Initialize download buttons on a page
      * @param {Object} testInfo - Test information
      */
     initDownloadButtons: function(testInfo = {}) {
+        this.addDocxButton();
+
         const defaultTestInfo = {
-            id: window.location.pathname.split('/').pop().replace('.html', ''),
+            id: TestsHubPage.getTestId(),
             title: document.title,
-            content: document.documentElement.outerHTML,
-            element: document.querySelector('.Tests-Hub-main-container') || document.body
+            element: document.querySelector('.Tests-Hub-main-container') ||
+                document.querySelector('.Tests-Hub-content-container') ||
+                document.body
         };
         
         const finalTestInfo = { ...defaultTestInfo, ...testInfo };
@@ -991,11 +1550,16 @@ const TestsHubDownloadingUtils = {
         const pdfButton = document.getElementById('downloadPdf');
         if (pdfButton) {
             pdfButton.addEventListener('click', () => {
-                this.downloadAsPDF({
-                    content: finalTestInfo.content,
-                    filename: `${finalTestInfo.id || 'test'}_${Date.now()}.pdf`,
-                    title: finalTestInfo.title,
-                    testId: finalTestInfo.id
+                this.chooseExportOptions('PDF').then(choice => {
+                    if (!choice) return;
+                    this.downloadAsPDF({
+                        content: finalTestInfo.content,
+                        filename: `${finalTestInfo.id || 'test'}_${Date.now()}.pdf`,
+                        title: finalTestInfo.title,
+                        testId: finalTestInfo.id,
+                        element: finalTestInfo.element,
+                        ...choice
+                    });
                 });
             });
         }
@@ -1004,10 +1568,32 @@ const TestsHubDownloadingUtils = {
         const odtButton = document.getElementById('downloadOdt');
         if (odtButton) {
             odtButton.addEventListener('click', () => {
-                this.downloadAsODT({
-                    filename: `${finalTestInfo.id || 'test'}_${Date.now()}.odt`,
-                    title: finalTestInfo.title,
-                    testId: finalTestInfo.id
+                this.chooseExportOptions('ODT').then(choice => {
+                    if (!choice) return;
+                    this.downloadAsODT({
+                        filename: `${finalTestInfo.id || 'test'}_${Date.now()}.odt`,
+                        title: finalTestInfo.title,
+                        testId: finalTestInfo.id,
+                        element: finalTestInfo.element,
+                        ...choice
+                    });
+                });
+            });
+        }
+        
+        // DOCX Button
+        const docxButton = document.getElementById('downloadDocx');
+        if (docxButton) {
+            docxButton.addEventListener('click', () => {
+                this.chooseExportOptions('DOCX').then(choice => {
+                    if (!choice) return;
+                    this.downloadAsDOCX({
+                        filename: `${finalTestInfo.id || 'test'}_${Date.now()}.docx`,
+                        title: finalTestInfo.title,
+                        testId: finalTestInfo.id,
+                        element: finalTestInfo.element,
+                        ...choice
+                    });
                 });
             });
         }
@@ -1016,10 +1602,14 @@ const TestsHubDownloadingUtils = {
         const pngButton = document.getElementById('downloadPng');
         if (pngButton) {
             pngButton.addEventListener('click', () => {
-                this.downloadAsPNG({
-                    filename: `${finalTestInfo.id || 'test'}_${Date.now()}.png`,
-                    testId: finalTestInfo.id,
-                    element: finalTestInfo.element
+                this.chooseExportOptions('PNG').then(choice => {
+                    if (!choice) return;
+                    this.downloadAsPNG({
+                        filename: `${finalTestInfo.id || 'test'}_${Date.now()}.png`,
+                        testId: finalTestInfo.id,
+                        element: finalTestInfo.element,
+                        ...choice
+                    });
                 });
             });
         }
@@ -1028,60 +1618,34 @@ const TestsHubDownloadingUtils = {
     },
     
     /**
-     * Load required libraries dynamically
+     * Load the libraries and writers the page does not have yet, once: all of them are
+     * requested together and run in the order of config.libPaths
+     * @returns {Promise<void>} resolved when they have loaded or failed to (the exports
+     *   then fall back to what is there); a later call retries the ones that failed
      */
     loadLibraries: function() {
-        return new Promise((resolve) => {
-            let loadedCount = 0;
-            const totalLibraries = 2;
-            
-            const checkAllLoaded = () => {
-                loadedCount++;
-                if (loadedCount === totalLibraries) {
-                    console.log('All libraries loaded');
-                    resolve();
-                }
-            };
-            
-            // Load jsPDF if not already loaded
-            if (typeof jspdf === 'undefined' && !window.jspdf) {
-                const script = document.createElement('script');
-                script.src = this.config.libPaths.jsPDF;
-                script.onload = () => {
-                    console.log('jsPDF loaded');
-                    checkAllLoaded();
-                };
-                script.onerror = () => {
-                    console.error('Failed to load jsPDF from:', this.config.libPaths.jsPDF);
-                    checkAllLoaded();
-                };
-                document.head.appendChild(script);
-            } else {
-                loadedCount++;
-            }
-            
-            // Load html2canvas if not already loaded
-            if (typeof html2canvas === 'undefined') {
-                const script = document.createElement('script');
-                script.src = this.config.libPaths.html2canvas;
-                script.onload = () => {
-                    console.log('html2canvas loaded');
-                    checkAllLoaded();
-                };
-                script.onerror = () => {
-                    console.error('Failed to load html2canvas from:', this.config.libPaths.html2canvas);
-                    checkAllLoaded();
-                };
-                document.head.appendChild(script);
-            } else {
-                loadedCount++;
-            }
-            
-            // If both already loaded
-            if (loadedCount === totalLibraries) {
+        if (this.librariesRequest) return this.librariesRequest;
+        
+        const names = Object.keys(this.config.libPaths)
+            .filter(name => !window[this.config.libGlobals[name]]);
+        let failed = false;
+        this.librariesRequest = Promise.all(names.map(name => new Promise(resolve => {
+            const script = document.createElement('script');
+            script.src = this.config.libPaths[name];
+            // Scripts added by a script run as soon as they load unless told otherwise
+            script.async = false;
+            script.onload = () => resolve();
+            script.onerror = () => {
+                console.error(`Failed to load ${name} from:`, this.config.libPaths[name]);
+                failed = true;
                 resolve();
-            }
+            };
+            document.head.appendChild(script);
+        }))).then(() => {
+            if (failed) this.librariesRequest = null;
+            else if (names.length) console.log('All libraries loaded');
         });
+        return this.librariesRequest;
     },
     
     /**
@@ -1093,64 +1657,21 @@ const TestsHubDownloadingUtils = {
     }
 };
 
-// Auto-initialize when DOM is ready
-// Auto-initialize when DOM is ready with error handling for local files
+// Auto-initialize when DOM is ready; the libraries wait for the first export
+const initDownloadingUtils = () => {
+    // Check if we're on a test page by looking for download buttons
+    if (document.getElementById('downloadPdf') || 
+        document.getElementById('downloadOdt') || 
+        document.getElementById('downloadDocx') || 
+        document.getElementById('downloadPng')) {
+        TestsHubDownloadingUtils.initDownloadButtons();
+    }
+};
+
 if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', async () => {
-        try {
-            // Check if we're running locally
-            if (window.location.protocol === 'file:') {
-                console.log('Running locally - using simplified initialization');
-                // Skip library loading if they're already included in HTML
-                if (!window.jspdf && typeof jspdf === 'undefined') {
-                    console.warn('jsPDF not loaded - PDF generation may be limited');
-                }
-                if (typeof html2canvas === 'undefined') {
-                    console.warn('html2canvas not loaded - image-based PDF/PNG generation unavailable');
-                }
-            } else {
-                await TestsHubDownloadingUtils.loadLibraries();
-            }
-            
-            // Check if we're on a test page by looking for download buttons
-            if (document.getElementById('downloadPdf') || 
-                document.getElementById('downloadOdt') || 
-                document.getElementById('downloadPng')) {
-                TestsHubDownloadingUtils.initDownloadButtons();
-            }
-        } catch (error) {
-            console.error('Initialization failed:', error);
-            // Still try to initialize buttons even if libraries fail
-            if (document.getElementById('downloadPdf') || 
-                document.getElementById('downloadOdt') || 
-                document.getElementById('downloadPng')) {
-                TestsHubDownloadingUtils.initDownloadButtons();
-            }
-        }
-    });
+    document.addEventListener('DOMContentLoaded', initDownloadingUtils);
 } else {
-    (async () => {
-        try {
-            if (window.location.protocol === 'file:') {
-                console.log('Running locally - using simplified initialization');
-            } else {
-                await TestsHubDownloadingUtils.loadLibraries();
-            }
-            
-            if (document.getElementById('downloadPdf') || 
-                document.getElementById('downloadOdt') || 
-                document.getElementById('downloadPng')) {
-                TestsHubDownloadingUtils.initDownloadButtons();
-            }
-        } catch (error) {
-            console.error('Initialization failed:', error);
-            if (document.getElementById('downloadPdf') || 
-                document.getElementById('downloadOdt') || 
-                document.getElementById('downloadPng')) {
-                TestsHubDownloadingUtils.initDownloadButtons();
-            }
-        }
-    })();
+    initDownloadingUtils();
 }
 
 // Make it globally available
@@ -0,0 +1,533 @@
+/**
+ * Tests Hub - Exam Mode
+ * Lets the student sit a test under exam conditions: a countdown from the
+ * duration in the test header, warnings as time runs out, answers locked when
+ * time is up, and the correction kept locked until the answers are submitted.
+ */
+
+const TestsHubExamMode = {
+
+    // Configuration
+    config: {
+        headerSelector: '.Tests-Hub-test-header, .Tests-Hub-presentation-card',
+        toggleSelector: '#toggleCorrection, #toggleCorrectionBtn',
+        correctionSelector: '#correction, #correction-section',
+        storagePrefix: 'testsHubExam:',
+        // Minutes left at which the student is warned; a header can set its own
+        // with data-exam-warnings="15,5,1"
+        warnings: [10, 5, 1],
+        tickInterval: 1000
+    },
+
+    // UI strings, picked from the page's current language
+    translations: {
+        ar: {
+            start: 'بدء الامتحان',
+            confirmStart: 'لديك {duration} لإنجاز هذا الاختبار. يبقى التصحيح مغلقًا حتى تسلّم إجاباتك. هل تريد البدء؟',
+            submit: 'تسليم الإجابات',
+            confirmSubmit: 'هل تريد تسليم إجاباتك الآن؟ لن تتمكن من تعديلها بعد التسليم.',
+            remaining: 'الوقت المتبقي',
+            warning: 'بقيت {minutes} دقائق',
+            lastMinute: 'بقيت دقيقة واحدة',
+            expired: 'انتهى الوقت، تم قفل إجاباتك',
+            submitted: 'تم التسليم بعد {elapsed}',
+            correctionLocked: 'يُفتح التصحيح بعد تسليم الإجابات',
+            unlock: 'الخروج من وضع الامتحان',
+            hours: 'س',
+            minutes: 'د'
+        },
+        fr: {
+            start: "Commencer l'examen",
+            confirmStart: 'Vous avez {duration} pour ce test. La correction reste verrouillée jusqu\'à ce que vous rendiez vos réponses. Commencer ?',
+            submit: 'Rendre ma copie',
+            confirmSubmit: 'Rendre vos réponses maintenant ? Vous ne pourrez plus les modifier.',
+            remaining: 'Temps restant',
+            warning: 'Plus que {minutes} minutes',
+            lastMinute: 'Plus qu\'une minute',
+            expired: 'Temps écoulé, vos réponses sont verrouillées',
+            submitted: 'Copie rendue après {elapsed}',
+            correctionLocked: 'La correction sera disponible après avoir rendu la copie',
+            unlock: "Quitter le mode examen",
+            hours: 'h',
+            minutes: 'min'
+        },
+        en: {
+            start: 'Start timed exam',
+            confirmStart: 'You have {duration} for this test. The correction stays locked until you submit your answers. Start now?',
+            submit: 'Submit my answers',
+            confirmSubmit: 'Submit your answers now? You will not be able to change them.',
+            remaining: 'Time left',
+            warning: '{minutes} minutes left',
+            lastMinute: 'One minute left',
+            expired: 'Time is up, your answers are locked',
+            submitted: 'Submitted after {elapsed}',
+            correctionLocked: 'The correction unlocks once you submit your answers',
+            unlock: 'Leave exam mode',
+            hours: 'h',
+            minutes: 'min'
+        }
+    },
+
+    // Labels of the duration line in the header, in the three languages of the library
+    durationLabel: /^(المد[ّ]?ة|التوقيت|الزمن|الوقت|Dur[ée]e|Duration|Time allotted|Time)$/i,
+
+    testId: null,
+    durationMinutes: null,
+    warnings: null,
+    exam: null,
+    timer: null,
+    lastRemaining: null,
+    bar: null,
+
+    /**
+     * Get the page's current UI language
+     */
+    getLanguage: function() {
+        return TestsHubPage.getLanguage(this.translations);
+    },
+
+    /**
+     * Translate a UI string, filling {placeholders}
+     */
+    t: function(key, values) {
+        return TestsHubPage.translate(this.translations, key, values);
+    },
+
+    /**
+     * Read a duration such as "1h30", "2 heures", "ساعة ونصف" or "60 دقيقة"
+     * (scripts/lib/test-page.js reads the catalog durations with it too)
+     * @returns {number|null} Minutes
+     */
+    parseDuration: function(text) {
+        if (!text) return null;
+        const value = String(text).replace(/[٠-٩]/g, digit => String(digit.charCodeAt(0) - 0x0660)).replace(/ـ/g, '').toLowerCase();
+        // "ساعة ونصف", "1 heure et quart": a fraction added to the hours
+        const fraction = /(ونصف|et demie|and a half)/.test(value) ? 30 : /(وربع|et quart|and a quarter)/.test(value) ? 15 : 0;
+        let match;
+
+        // "1h30", "2 h": the h stands alone, it is not the start of "heure" or "hour"
+        if ((match = /(\d+)\s*h(?![a-zé])\s*(\d+)?/.exec(value))) {
+            return Number(match[1]) * 60 + Number(match[2] || 0);
+        }
+
+        const minutes = /(\d+)\s*(دقيقة|دقائق|دق|minutes?|mn|min)/.exec(value);
+        const extra = minutes ? Number(minutes[1]) : 0;
+        if ((match = /(\d+)\s*(heures?|hours?|ساعات|ساعة|ساعتان)/.exec(value))) {
+            return Number(match[1]) * 60 + fraction + extra;
+        }
+        // "نصف ساعة", "une demi-heure": less than an hour
+        if (/(^|\s)نصف\s*(ال)?ساعة|demi-heure|half an hour/.test(value)) return 30;
+        if (/(^|\s)ربع\s*(ال)?ساعة|quart d'heure|quarter of an hour/.test(value)) return 15;
+        // An hour word without a number: "ساعتان" is two hours, "ساعة و30 دقيقة" or "une heure" one
+        if (/ساعتان|ساعتين/.test(value)) return 120 + fraction + extra;
+        if (/ساعة|heure|hour/.test(value)) return 60 + fraction + extra;
+        return minutes ? extra : null;
+    },
+
+    /**
+     * Duration of the test in minutes: data-duration-minutes on the header,
+     * else the "Duration: ..." line of the header
+     */
+    getDuration: function() {
+        const header = document.querySelector(this.config.headerSelector);
+        if (!header) return null;
+        const given = Number(header.dataset.durationMinutes);
+        if (given > 0) return given;
+
+        const lines = Array.from(header.children).map(child => child.textContent.replace(/\s+/g, ' ').trim());
+        for (const line of lines) {
+            for (const segment of line.split(/\s+[-–—|·]\s+|\s*\|\s*/)) {
+                const labelled = /^([^:：]{2,25}?)\s*[:：]\s*(.*)$/.exec(segment.replace(/^[^\p{L}\p{N}]+/u, ''));
+                if (labelled && this.durationLabel.test(labelled[1].trim())) {
+                    const minutes = this.parseDuration(labelled[2]);
+                    if (minutes) return minutes;
+                }
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Warning thresholds in minutes, largest first
+     */
+    getWarnings: function() {
+        const header = document.querySelector(this.config.headerSelector);
+        const given = header && header.dataset.examWarnings;
+        const warnings = given ? given.split(',').map(Number).filter(value => value > 0) : this.config.warnings;
+        return warnings.slice().sort((a, b) => b - a);
+    },
+
+    /**
+     * "1 h 30 min", "45 min"
+     */
+    formatDuration: function(ms) {
+        const minutes = Math.max(1, Math.round(ms / 60000));
+        const hours = Math.floor(minutes / 60);
+        if (!hours) return `${minutes} ${this.t('minutes')}`;
+        return minutes % 60
+            ? `${hours} ${this.t('hours')} ${String(minutes % 60).padStart(2, '0')} ${this.t('minutes')}`
+            : `${hours} ${this.t('hours')}`;
+    },
+
+    /**
+     * Countdown display, "1:05:09" or "04:59"
+     */
+    formatClock: function(ms) {
+        const seconds = Math.max(0, Math.ceil(ms / 1000));
+        const pad = value => String(value).padStart(2, '0');
+        const hours = Math.floor(seconds / 3600);
+        const rest = `${pad(Math.floor(seconds % 3600 / 60))}:${pad(seconds % 60)}`;
+        return hours ? `${hours}:${rest}` : rest;
+    },
+
+    /**
+     * Exam state of the test, kept across reloads
+     */
+    loadState: function() {
+        try {
+            return JSON.parse(localStorage.getItem(this.config.storagePrefix + this.testId));
+        } catch (error) {
+            return null;
+        }
+    },
+
+    saveState: function() {
+        if (this.exam) {
+            localStorage.setItem(this.config.storagePrefix + this.testId, JSON.stringify(this.exam));
+        } else {
+            localStorage.removeItem(this.config.storagePrefix + this.testId);
+        }
+    },
+
+    /**
+     * Answer fields of the page
+     */
+    getFields: function() {
+        if (window.TestsHubAnswerStorage) {
+            return window.TestsHubAnswerStorage.getFields();
+        }
+        return Array.from(document.querySelectorAll('input, textarea, select'))
+            .filter(field => !field.closest('#correction, #correction-section, .Tests-Hub-header-container, .Tests-Hub-download-section'));
+    },
+
+    /**
+     * Lock or unlock the answer fields
+     */
+    setFieldsLocked: function(locked) {
+        if (locked) {
+            this.getFields().forEach(field => {
+                if (field.disabled) return;
+                field.disabled = true;
+                field.dataset.examLocked = 'true';
+            });
+        } else {
+            document.querySelectorAll('[data-exam-locked]').forEach(field => {
+                field.disabled = false;
+                delete field.dataset.examLocked;
+            });
+        }
+    },
+
+    /**
+     * Whether the correction block is on screen
+     */
+    isCorrectionVisible: function() {
+        const correction = document.querySelector(this.config.correctionSelector);
+        return !!correction && !correction.classList.contains('Tests-Hub-hidden') && window.getComputedStyle(correction).display !== 'none';
+    },
+
+    /**
+     * Lock or unlock the correction toggle and the "check my answers" button
+     */
+    setCorrectionLocked: function(locked) {
+        const toggle = document.querySelector(this.config.toggleSelector);
+        if (toggle) {
+            if (locked && this.isCorrectionVisible()) toggle.click();
+            toggle.disabled = locked;
+            toggle.title = locked ? this.t('correctionLocked') : '';
+        }
+        const check = document.getElementById('checkAnswers');
+        if (check) check.disabled = locked;
+    },
+
+    /**
+     * Time left in the running exam, in ms
+     */
+    getRemaining: function() {
+        return this.exam.startedAt + this.exam.durationMinutes * 60000 - Date.now();
+    },
+
+    /**
+     * Start the exam
+     */
+    start: function() {
+        this.exam = {
+            startedAt: Date.now(),
+            durationMinutes: this.durationMinutes,
+            finishedAt: null,
+            elapsed: null,
+            expired: false
+        };
+        this.saveState();
+        this.resume();
+        document.dispatchEvent(new CustomEvent('testshub:exam-started', { detail: { ...this.exam } }));
+    },
+
+    /**
+     * Show the countdown for a running exam and lock the correction
+     */
+    resume: function() {
+        this.setCorrectionLocked(true);
+        this.lastRemaining = this.getRemaining();
+        this.render();
+        this.tick();
+        this.timer = setInterval(() => this.tick(), this.config.tickInterval);
+    },
+
+    /**
+     * Update the countdown, warn at the thresholds, end the exam when time is up
+     */
+    tick: function() {
+        const remaining = this.getRemaining();
+        if (remaining <= 0) {
+            this.finish(true);
+            return;
+        }
+
+        // Warn once when a threshold is crossed (not again after a reload)
+        const crossed = this.warnings.filter(minutes => this.lastRemaining > minutes * 60000 && remaining <= minutes * 60000);
+        if (crossed.length) this.warn(crossed[crossed.length - 1]);
+        this.lastRemaining = remaining;
+
+        const clock = this.bar.querySelector('.Tests-Hub-exam-clock');
+        clock.textContent = this.formatClock(remaining);
+        const last = this.warnings[this.warnings.length - 1];
+        this.bar.dataset.state = remaining <= (last || 1) * 60000 ? 'danger' : (remaining <= (this.warnings[0] || 0) * 60000 ? 'warning' : 'running');
+    },
+
+    /**
+     * Show a time warning
+     */
+    warn: function(minutes) {
+        const message = this.bar.querySelector('.Tests-Hub-exam-message');
+        message.textContent = minutes === 1 ? this.t('lastMinute') : this.t('warning', { minutes });
+        message.hidden = false;
+        clearTimeout(this.warningTimer);
+        this.warningTimer = setTimeout(() => {
+            message.hidden = true;
+        }, 8000);
+        if (navigator.vibrate) navigator.vibrate(200);
+        document.dispatchEvent(new CustomEvent('testshub:exam-warning', { detail: { minutes } }));
+    },
+
+    /**
+     * End the exam: on submission, or when time is up
+     * @param {boolean} expired - Time ran out
+     */
+    finish: function(expired) {
+        if (!this.exam || this.exam.finishedAt) return;
+        clearInterval(this.timer);
+        this.timer = null;
+
+        const finishedAt = Math.min(Date.now(), this.exam.startedAt + this.exam.durationMinutes * 60000);
+        this.exam.finishedAt = finishedAt;
+        this.exam.elapsed = finishedAt - this.exam.startedAt;
+        this.exam.expired = expired;
+        this.saveState();
+
+        // Keep what was typed until the last second
+        if (window.TestsHubAnswerStorage && window.TestsHubAnswerStorage.testId) {
+            window.TestsHubAnswerStorage.save();
+        }
+        this.setFieldsLocked(true);
+        this.setCorrectionLocked(false);
+
+        if (window.TestsHubAnswerStorage && window.TestsHubAnswerStorage.testId) {
+            window.TestsHubAnswerStorage.updateProgress({
+                examElapsed: this.exam.elapsed,
+                examDurationMinutes: this.exam.durationMinutes,
+                examExpired: expired,
+                examFinishedAt: finishedAt
+            });
+        }
+        this.render();
+        // practice-mode.js grades the answers and shows the correction next to each exercise
+        document.dispatchEvent(new CustomEvent('testshub:exam-finished', { detail: { ...this.exam } }));
+    },
+
+    /**
+     * Leave exam mode after the exam: unlock the answers
+     */
+    exit: function() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.exam = null;
+        this.saveState();
+        this.setFieldsLocked(false);
+        this.setCorrectionLocked(false);
+        this.render();
+        document.dispatchEvent(new CustomEvent('testshub:exam-exited'));
+    },
+
+    /**
+     * Draw the start button, or the exam bar with the countdown
+     */
+    render: function() {
+        const startButton = document.getElementById('startExam');
+        if (startButton) startButton.hidden = !!this.exam;
+
+        if (!this.exam) {
+            if (this.bar) this.bar.remove();
+            this.bar = null;
+            return;
+        }
+
+        if (!this.bar) {
+            this.bar = document.createElement('div');
+            this.bar.className = 'Tests-Hub-exam-bar';
+            this.bar.setAttribute('role', 'timer');
+            this.bar.innerHTML = `
+                <span class="Tests-Hub-exam-label"></span>
+                <span class="Tests-Hub-exam-clock"></span>
+                <button type="button" class="Tests-Hub-exam-action"></button>
+                <div class="Tests-Hub-exam-message" role="alert" hidden></div>
+            `;
+            this.bar.querySelector('.Tests-Hub-exam-action').addEventListener('click', () => {
+                if (!this.exam.finishedAt) {
+                    if (window.confirm(this.t('confirmSubmit'))) this.finish(false);
+                } else {
+                    this.exit();
+                }
+            });
+            document.body.appendChild(this.bar);
+        }
+
+        const finished = !!this.exam.finishedAt;
+        this.bar.dataset.state = finished ? (this.exam.expired ? 'expired' : 'submitted') : this.bar.dataset.state || 'running';
+        this.bar.querySelector('.Tests-Hub-exam-label').textContent = finished
+            ? (this.exam.expired ? this.t('expired') : this.t('submitted', { elapsed: this.formatDuration(this.exam.elapsed) }))
+            : this.t('remaining');
+        this.bar.querySelector('.Tests-Hub-exam-clock').hidden = finished;
+        this.bar.querySelector('.Tests-Hub-exam-action').textContent = finished ? this.t('unlock') : this.t('submit');
+        if (finished) this.bar.querySelector('.Tests-Hub-exam-message').hidden = true;
+    },
+
+    /**
+     * Add the "Start timed exam" button next to the correction toggle
+     */
+    addStartButton: function() {
+        if (document.getElementById('startExam')) return;
+
+        const toggle = document.querySelector(this.config.toggleSelector);
+        const button = document.createElement('button');
+        button.id = 'startExam';
+        button.type = 'button';
+        button.className = toggle ? toggle.className : 'Tests-Hub-toggle-button';
+        button.classList.add('Tests-Hub-exam-start-button');
+        button.textContent = `⏱ ${this.t('start')}`;
+        button.addEventListener('click', () => {
+            if (window.confirm(this.t('confirmStart', { duration: this.formatDuration(this.durationMinutes * 60000) }))) {
+                this.start();
+            }
+        });
+
+        if (toggle) {
+            toggle.parentNode.insertBefore(button, toggle);
+        } else {
+            (document.querySelector('.Tests-Hub-main-container, .Tests-Hub-content-container') || document.body).appendChild(button);
+        }
+    },
+
+    /**
+     * Refresh labels when the page language changes
+     */
+    updateLabels: function() {
+        const button = document.getElementById('startExam');
+        if (button) button.textContent = `⏱ ${this.t('start')}`;
+        if (this.exam) {
+            // The page may have rewritten the toggle's title along with its text
+            if (!this.exam.finishedAt) this.setCorrectionLocked(true);
+            this.render();
+        }
+    },
+
+    /**
+     * Add the styles of the exam bar
+     */
+    injectStyles: function() {
+        if (document.getElementById('exam-mode-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'exam-mode-styles';
+        style.textContent = `
+            .Tests-Hub-exam-start-button { margin: 0 8px; }
+            .Tests-Hub-exam-bar { position: fixed; top: 12px; inset-inline-end: 12px; z-index: 1001; display: flex; flex-wrap: wrap; align-items: center; gap: 10px; max-width: calc(100% - 24px); padding: 8px 14px; border-radius: 24px; background: rgba(13, 148, 136, 0.95); color: white; box-shadow: 0 4px 14px rgba(0, 0, 0, 0.25); font-size: 0.95rem; }
+            .Tests-Hub-exam-bar[data-state="warning"] { background: rgba(217, 119, 6, 0.95); }
+            .Tests-Hub-exam-bar[data-state="danger"], .Tests-Hub-exam-bar[data-state="expired"] { background: rgba(220, 38, 38, 0.95); }
+            .Tests-Hub-exam-bar[data-state="submitted"] { background: rgba(46, 139, 87, 0.95); }
+            .Tests-Hub-exam-clock { font-weight: 700; font-size: 1.2rem; font-variant-numeric: tabular-nums; direction: ltr; }
+            .Tests-Hub-exam-action { border: 1px solid rgba(255, 255, 255, 0.6); background: rgba(255, 255, 255, 0.15); color: inherit; padding: 4px 12px; border-radius: 16px; cursor: pointer; font: inherit; }
+            .Tests-Hub-exam-action:hover { background: rgba(255, 255, 255, 0.3); }
+            .Tests-Hub-exam-message { flex-basis: 100%; font-weight: 600; }
+            [data-exam-locked] { cursor: not-allowed; opacity: 0.75; }
+            button:disabled#toggleCorrection, button:disabled#toggleCorrectionBtn, button:disabled#checkAnswers { opacity: 0.5; cursor: not-allowed; }
+            @media print { .Tests-Hub-exam-bar, .Tests-Hub-exam-start-button { display: none !important; } }
+        `;
+        document.head.appendChild(style);
+    },
+
+    /**
+     * Offer the exam on a test page whose header gives a duration
+     */
+    setup: function() {
+        this.durationMinutes = this.getDuration();
+        const saved = this.loadState();
+        if (!this.durationMinutes && !saved) return;
+
+        this.warnings = this.getWarnings();
+        this.injectStyles();
+        if (this.durationMinutes) this.addStartButton();
+
+        TestsHubPage.onLanguageChange(() => this.updateLabels());
+
+        // An exam started before a reload goes on, or ends if its time ran out meanwhile
+        if (saved) {
+            this.exam = saved;
+            if (saved.finishedAt) {
+                this.setFieldsLocked(true);
+                this.render();
+            } else {
+                this.resume();
+            }
+        }
+        console.log('Tests Hub Exam Mode initialized');
+    },
+
+    /**
+     * Initialize on a test page; test.html builds its header after loading the test
+     */
+    init: function() {
+        this.testId = TestsHubPage.getTestId();
+        if (!/^test_/.test(this.testId)) return;
+        if (document.getElementById('testRoot') && !document.querySelector(this.config.headerSelector)) {
+            document.addEventListener('testshub:rendered', () => this.setup(), { once: true });
+        } else {
+            this.setup();
+        }
+    }
+};
+
+if (typeof document !== 'undefined') {
+    // Auto-initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => TestsHubExamMode.init());
+    } else {
+        TestsHubExamMode.init();
+    }
+
+    // Make it globally available
+    window.TestsHubExamMode = TestsHubExamMode;
+} else if (typeof module !== 'undefined') {
+    // scripts/lib/test-page.js reads the catalog durations with the same rules
+    module.exports = TestsHubExamMode;
+}
@@ -0,0 +1,9 @@
+/**
+ * Tests Hub - /api/generate-odt
+ * Answers the page snapshot the download buttons send with an ODT file, written by odt-writer.js.
+ * See scripts/lib/export-service.js.
+ */
+
+const { createHandler } = require('../../scripts/lib/export-service');
+
+exports.handler = createHandler('odt');
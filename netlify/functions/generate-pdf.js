@@ -0,0 +1,9 @@
+/**
+ * Tests Hub - /api/generate-pdf
+ * Answers the page snapshot the download buttons send with a PDF file, written by pdf-writer.js.
+ * See scripts/lib/export-service.js.
+ */
+
+const { createHandler } = require('../../scripts/lib/export-service');
+
+exports.handler = createHandler('pdf');
@@ -0,0 +1,468 @@
+/**
+ * Tests Hub - ODT Writer
+ * Turns a test page into an editable OpenDocument Text file (.odt) in the browser:
+ * headings, questions, tables, images, answer lines and the correction,
+ * with right-to-left paragraphs for Arabic. Needs zip-writer.js and document-model.js.
+ */
+
+const TestsHubODTWriter = {
+
+    // Configuration
+    config: {
+        mimeType: 'application/vnd.oasis.opendocument.text',
+        // A4 portrait, sizes in cm; an export can choose other paper, margins and font size
+        page: { width: 21, height: 29.7, margin: 2 },
+        fontFamily: 'Arial',
+        fontSize: 12,
+        // Named paragraph style for each paragraph style of the document model
+        styles: {
+            body: 'Text_20_body',
+            header: 'Test_20_Header',
+            instructions: 'Instructions',
+            question: 'Question',
+            passage: 'Passage',
+            figure: 'Figure',
+            caption: 'Caption',
+            formula: 'Formula',
+            answer: 'Answer',
+            answerLine: 'Answer_20_Line',
+            correction: 'Correction',
+            listItem: 'List_20_Contents',
+            tableContents: 'Table_20_Contents',
+            tableHeading: 'Table_20_Heading'
+        }
+    },
+
+    // Named styles whose paragraphs stay centered whatever their direction
+    centeredStyles: ['Heading_20_1', 'Test_20_Header', 'Figure', 'Caption', 'Formula', 'Table_20_Heading'],
+
+    /**
+     * Escape text for XML, dropping characters XML cannot hold
+     */
+    escape: function(text) {
+        return String(text)
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    },
+
+    /**
+     * Escape text, keeping runs of spaces and tabs; leading spaces are kept
+     * too unless the text continues a line (inside)
+     */
+    escapePreserved: function(text, inside) {
+        return this.escape(text)
+            .replace(/\t/g, '<text:tab/>')
+            .replace(inside ? /^ {2,}/ : /^ +/, spaces => `<text:s text:c="${spaces.length}"/>`)
+            .replace(/ {2,}/g, spaces => ` <text:s text:c="${spaces.length - 1}"/>`);
+    },
+
+    /**
+     * Format a length in cm
+     */
+    cm: function(value) {
+        return `${Number(value.toFixed(3))}cm`;
+    },
+
+    /**
+     * Register (once) an automatic text style for a set of character flags
+     */
+    getTextStyle: function(flags, ctx) {
+        const keys = Object.keys(flags).filter(key => flags[key]).sort();
+        if (!keys.length) return null;
+        const key = keys.join('+');
+        if (!ctx.textStyles.has(key)) {
+            const props = [];
+            if (flags.bold) props.push('fo:font-weight="bold" style:font-weight-asian="bold" style:font-weight-complex="bold"');
+            if (flags.italic) props.push('fo:font-style="italic" style:font-style-asian="italic" style:font-style-complex="italic"');
+            if (flags.underline) props.push('style:text-underline-style="solid" style:text-underline-width="auto" style:text-underline-color="font-color"');
+            if (flags.strike) props.push('style:text-line-through-style="solid"');
+            if (flags.highlight) props.push('fo:background-color="#fff3a3"');
+            if (flags.answer) props.push('fo:color="#1f4e79" style:text-underline-style="dotted" style:text-underline-width="auto" style:text-underline-color="font-color"');
+            if (flags.sup) props.push('style:text-position="super 58%"');
+            else if (flags.sub) props.push('style:text-position="sub 58%"');
+
+            const name = `T${ctx.textStyles.size + 1}`;
+            ctx.textStyles.set(key, {
+                name,
+                xml: `<style:style style:name="${name}" style:family="text"><style:text-properties ${props.join(' ')}/></style:style>`
+            });
+        }
+        return ctx.textStyles.get(key).name;
+    },
+
+    /**
+     * Style name for a paragraph: the named style itself, or an automatic
+     * variant when the paragraph runs against the document direction or starts a page
+     */
+    getParagraphStyle: function(parent, dir, pageBreak, ctx) {
+        if (dir === ctx.dir && !pageBreak) return parent;
+
+        const key = `${parent}|${dir}|${pageBreak}`;
+        if (!ctx.paragraphStyles.has(key)) {
+            const props = [];
+            if (pageBreak) props.push('fo:break-before="page"');
+            if (dir !== ctx.dir) {
+                props.push(`style:writing-mode="${dir === 'rtl' ? 'rl-tb' : 'lr-tb'}"`);
+                if (!this.centeredStyles.includes(parent)) props.push('fo:text-align="start"');
+            }
+            const name = `P${ctx.paragraphStyles.size + 1}`;
+            ctx.paragraphStyles.set(key, {
+                name,
+                xml: `<style:style style:name="${name}" style:family="paragraph" style:parent-style-name="${parent}">` +
+                    `<style:paragraph-properties ${props.join(' ')}/></style:style>`
+            });
+        }
+        return ctx.paragraphStyles.get(key).name;
+    },
+
+    /**
+     * Embedded picture, as a character of its paragraph
+     */
+    imageXML: function(run) {
+        const image = run.image;
+        const title = run.alt ? `<svg:title>${this.escape(run.alt)}</svg:title>` : '';
+        return `<draw:frame draw:style-name="fr1" draw:name="Image${image.id}" text:anchor-type="as-char" ` +
+            `svg:width="${this.cm(run.width)}" svg:height="${this.cm(run.height)}" draw:z-index="0">` +
+            `<draw:image xlink:href="${this.imagePath(image)}" xlink:type="simple" xlink:show="embed" xlink:actuate="onLoad"/>` +
+            `${title}</draw:frame>`;
+    },
+
+    /**
+     * Path of a picture inside the package
+     */
+    imagePath: function(image) {
+        return `Pictures/image${image.id}.${image.extension}`;
+    },
+
+    /**
+     * Serialize runs to paragraph content; formulas are written as their
+     * text form, with exponents and indices as superscript/subscript
+     */
+    serializeRuns: function(runs, ctx) {
+        // Segments of the same character style are merged into one span
+        const segments = [];
+        const push = (style, xml) => {
+            const last = segments[segments.length - 1];
+            if (last && last.style === style) last.xml += xml;
+            else segments.push({ style, xml });
+        };
+        let lineStart = true;
+
+        const write = run => {
+            if (run.math) {
+                run.runs.forEach(write);
+            } else if (run.image) {
+                push(null, this.imageXML(run));
+                lineStart = false;
+            } else if (run.lineBreak) {
+                push(null, '<text:line-break/>');
+                lineStart = true;
+            } else if (run.text) {
+                push(this.getTextStyle(run.flags || {}, ctx), this.escapePreserved(run.text, !lineStart));
+                lineStart = false;
+            }
+        };
+        runs.forEach(write);
+
+        return segments.map(segment => segment.style
+            ? `<text:span text:style-name="${segment.style}">${segment.xml}</text:span>`
+            : segment.xml).join('');
+    },
+
+    /**
+     * Write a list of model blocks
+     */
+    renderBlocks: function(blocks, ctx) {
+        return blocks.map(block => this.renderBlock(block, ctx)).join('');
+    },
+
+    /**
+     * Write one model block
+     */
+    renderBlock: function(block, ctx) {
+        switch (block.type) {
+            case 'heading': {
+                const name = this.getParagraphStyle(`Heading_20_${block.level}`, block.dir, block.pageBreak, ctx);
+                return `<text:h text:style-name="${name}" text:outline-level="${block.level}">${this.serializeRuns(block.runs, ctx)}</text:h>`;
+            }
+            case 'paragraph': {
+                const name = this.getParagraphStyle(this.config.styles[block.style], block.dir, block.pageBreak, ctx);
+                return `<text:p text:style-name="${name}">${this.serializeRuns(block.runs, ctx)}</text:p>`;
+            }
+            case 'answerLines':
+                return this.renderAnswerLines(block, ctx);
+            case 'list':
+                return this.renderList(block, ctx);
+            case 'table':
+                return this.renderTable(block, ctx);
+            default:
+                return '';
+        }
+    },
+
+    /**
+     * Write ruled lines to answer on paper
+     */
+    renderAnswerLines: function(block, ctx) {
+        let xml = '';
+        for (let i = 0; i < block.count; i++) {
+            xml += `<text:p text:style-name="${this.getParagraphStyle('Answer_20_Line', block.dir, block.pageBreak && i === 0, ctx)}"/>`;
+        }
+        return xml;
+    },
+
+    /**
+     * Write a bulleted or numbered list
+     */
+    renderList: function(block, ctx) {
+        const style = block.ordered ? 'List_20_Number' : 'List_20_Bullet';
+        const items = block.items.map(blocks => {
+            const content = this.renderBlocks(blocks, ctx);
+            return `<text:list-item>${content || '<text:p text:style-name="List_20_Contents"/>'}</text:list-item>`;
+        });
+        return `<text:list text:style-name="${style}">${items.join('')}</text:list>`;
+    },
+
+    /**
+     * Write a table, keeping merged cells (colspan/rowspan) and header rows
+     */
+    renderTable: function(block, ctx) {
+        const index = ctx.tableCount = ctx.tableCount + 1;
+        const name = `Table${index}`;
+        const props = [`style:width="${this.cm(block.width)}"`, 'table:align="margins"'];
+        if (block.pageBreak) props.push('fo:break-before="page"');
+        if (block.dir === 'rtl') props.push('style:writing-mode="rl-tb"');
+        ctx.tableStyles.push(
+            `<style:style style:name="${name}" style:family="table"><style:table-properties ${props.join(' ')}/></style:style>`,
+            `<style:style style:name="${name}.A" style:family="table-column"><style:table-column-properties style:column-width="${this.cm(block.width / block.columns)}"/></style:style>`
+        );
+
+        const headerRows = [];
+        const bodyRows = [];
+        block.rows.forEach(row => {
+            const cells = row.cells.map(cell => {
+                if (cell.covered) return '<table:covered-table-cell/>';
+                const spans = (cell.colspan > 1 ? ` table:number-columns-spanned="${cell.colspan}"` : '') +
+                    (cell.rowspan > 1 ? ` table:number-rows-spanned="${cell.rowspan}"` : '');
+                const paragraphs = cell.heading ? 'Table_20_Heading' : 'Table_20_Contents';
+                const content = this.renderBlocks(cell.blocks, ctx) || `<text:p text:style-name="${paragraphs}"/>`;
+                return `<table:table-cell table:style-name="${cell.heading ? 'TableHeadingCell' : 'TableCell'}" office:value-type="string"${spans}>${content}</table:table-cell>`;
+            });
+            (row.header ? headerRows : bodyRows).push(`<table:table-row>${cells.join('')}</table:table-row>`);
+        });
+
+        const header = headerRows.length ? `<table:table-header-rows>${headerRows.join('')}</table:table-header-rows>` : '';
+        return `<table:table table:name="${name}" table:style-name="${name}">` +
+            `<table:table-column table:style-name="${name}.A" table:number-columns-repeated="${block.columns}"/>` +
+            `${header}${bodyRows.join('')}</table:table>`;
+    },
+
+    /**
+     * Text properties for western, Asian and complex (Arabic) scripts at once
+     */
+    textProperties: function(props) {
+        const attributes = [];
+        if (props.size) attributes.push(`fo:font-size="${props.size}pt" style:font-size-asian="${props.size}pt" style:font-size-complex="${props.size}pt"`);
+        if (props.bold) attributes.push('fo:font-weight="bold" style:font-weight-asian="bold" style:font-weight-complex="bold"');
+        if (props.italic) attributes.push('fo:font-style="italic" style:font-style-asian="italic" style:font-style-complex="italic"');
+        if (props.color) attributes.push(`fo:color="${props.color}"`);
+        return attributes.length ? `<style:text-properties ${attributes.join(' ')}/>` : '';
+    },
+
+    /**
+     * One named paragraph style
+     */
+    paragraphStyle: function(name, displayName, parent, paragraph, text, extra = '') {
+        const display = displayName ? ` style:display-name="${displayName}"` : '';
+        const parentName = parent ? ` style:parent-style-name="${parent}"` : '';
+        const properties = paragraph ? `<style:paragraph-properties ${paragraph}/>` : '';
+        return `<style:style style:name="${name}"${display} style:family="paragraph"${parentName} style:class="text"${extra}>` +
+            `${properties}${this.textProperties(text)}</style:style>`;
+    },
+
+    /**
+     * Bullet or number list style
+     */
+    listStyle: function(name, displayName, numbered) {
+        let levels = '';
+        for (let level = 1; level <= 5; level++) {
+            const indent = this.cm(0.635 * (level + 1));
+            const alignment = '<style:list-level-properties text:list-level-position-and-space-mode="label-alignment">' +
+                `<style:list-level-label-alignment text:label-followed-by="listtab" text:list-tab-stop-position="${indent}" fo:text-indent="-0.635cm" fo:margin-left="${indent}"/>` +
+                '</style:list-level-properties>';
+            levels += numbered
+                ? `<text:list-level-style-number text:level="${level}" style:num-suffix="." style:num-format="${level === 2 ? 'a' : '1'}">${alignment}</text:list-level-style-number>`
+                : `<text:list-level-style-bullet text:level="${level}" text:bullet-char="${level === 2 ? '◦' : '•'}">${alignment}</text:list-level-style-bullet>`;
+        }
+        return `<text:list-style style:name="${name}" style:display-name="${displayName}">${levels}</text:list-style>`;
+    },
+
+    namespaces: 'xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0" ' +
+        'xmlns:style="urn:oasis:names:tc:opendocument:xmlns:style:1.0" ' +
+        'xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0" ' +
+        'xmlns:table="urn:oasis:names:tc:opendocument:xmlns:table:1.0" ' +
+        'xmlns:draw="urn:oasis:names:tc:opendocument:xmlns:drawing:1.0" ' +
+        'xmlns:fo="urn:oasis:names:tc:opendocument:xmlns:xsl-fo-compatible:1.0" ' +
+        'xmlns:xlink="http://www.w3.org/1999/xlink" ' +
+        'xmlns:dc="http://purl.org/dc/elements/1.1/" ' +
+        'xmlns:meta="urn:oasis:names:tc:opendocument:xmlns:meta:1.0" ' +
+        'xmlns:svg="urn:oasis:names:tc:opendocument:xmlns:svg-compatible:1.0"',
+
+    fontFaces: function() {
+        const font = this.escape(this.config.fontFamily);
+        return `<office:font-face-decls><style:font-face style:name="${font}" svg:font-family="&apos;${font}&apos;" style:font-family-generic="swiss" style:font-pitch="variable"/></office:font-face-decls>`;
+    },
+
+    /**
+     * styles.xml: page layout, default text properties and the named styles
+     */
+    stylesXML: function(ctx) {
+        const font = this.escape(this.config.fontFamily);
+        const size = ctx.fontSize;
+        const page = ctx.page;
+        // Headings and captions keep their size relative to the body text
+        const scaled = value => Math.round(value * size / this.config.fontSize * 2) / 2;
+        const writingMode = ctx.dir === 'rtl' ? 'rl-tb' : 'lr-tb';
+        const western = ctx.lang === 'ar' ? 'fr' : ctx.lang;
+        const green = '#2e8b57';
+
+        const styles = [
+            '<style:default-style style:family="paragraph">' +
+                `<style:paragraph-properties style:writing-mode="${writingMode}" style:tab-stop-distance="1.25cm"/>` +
+                `<style:text-properties style:font-name="${font}" fo:font-size="${size}pt" fo:language="${western}" fo:country="none" ` +
+                `style:font-name-asian="${font}" style:font-size-asian="${size}pt" ` +
+                `style:font-name-complex="${font}" style:font-size-complex="${size}pt" style:language-complex="ar" style:country-complex="TN"/>` +
+                '</style:default-style>',
+            '<style:default-style style:family="graphic"><style:graphic-properties style:wrap="none" style:vertical-pos="middle" style:vertical-rel="text"/></style:default-style>',
+            this.paragraphStyle('Standard', null, null, '', {}),
+            this.paragraphStyle('Text_20_body', 'Text body', 'Standard', 'fo:margin-top="0cm" fo:margin-bottom="0.2cm" fo:line-height="125%"', {}),
+            this.paragraphStyle('Heading', null, 'Standard', 'fo:margin-top="0.42cm" fo:margin-bottom="0.21cm" fo:keep-with-next="always"', { bold: true, color: green }, ' style:next-style-name="Text_20_body"'),
+            this.paragraphStyle('Heading_20_1', 'Heading 1', 'Heading', 'fo:text-align="center"', { size: scaled(18) }, ' style:default-outline-level="1"'),
+            this.paragraphStyle('Heading_20_2', 'Heading 2', 'Heading', `fo:padding-bottom="0.08cm" fo:border-bottom="1pt solid ${green}"`, { size: scaled(15) }, ' style:default-outline-level="2"'),
+            this.paragraphStyle('Heading_20_3', 'Heading 3', 'Heading', '', { size: scaled(13) }, ' style:default-outline-level="3"'),
+            this.paragraphStyle('Heading_20_4', 'Heading 4', 'Heading', '', { size: scaled(12) }, ' style:default-outline-level="4"'),
+            this.paragraphStyle('Test_20_Header', 'Test Header', 'Text_20_body', 'fo:text-align="center" fo:margin-bottom="0.1cm"', {}),
+            this.paragraphStyle('Instructions', null, 'Text_20_body', `fo:background-color="#f0f7f0" fo:padding="0.15cm" fo:border-left="2pt solid ${green}" style:join-border="true"`, { italic: true }),
+            this.paragraphStyle('Question', null, 'Text_20_body', 'fo:margin-top="0.15cm"', {}),
+            this.paragraphStyle('Passage', null, 'Text_20_body', 'fo:text-align="justify" fo:margin-left="0.5cm" fo:margin-right="0.5cm"', {}),
+            this.paragraphStyle('Figure', null, 'Standard', 'fo:text-align="center" fo:margin-top="0.2cm" fo:margin-bottom="0.1cm"', {}),
+            this.paragraphStyle('Caption', null, 'Standard', 'fo:text-align="center" fo:margin-bottom="0.3cm"', { italic: true, size: scaled(10), color: '#666666' }),
+            this.paragraphStyle('Formula', null, 'Text_20_body', 'fo:text-align="center"', {}),
+            this.paragraphStyle('Answer_20_Line', 'Answer Line', 'Standard', 'fo:margin-top="0.45cm" fo:margin-bottom="0cm" fo:padding="0cm" fo:border-bottom="0.5pt dotted #808080" style:join-border="false"', {}),
+            this.paragraphStyle('Answer', null, 'Text_20_body', '', { color: '#1f4e79' }),
+            this.paragraphStyle('Correction', null, 'Text_20_body', 'fo:margin-top="0.1cm"', {}),
+            this.paragraphStyle('List_20_Contents', 'List Contents', 'Text_20_body', 'fo:margin-bottom="0.1cm"', {}),
+            this.paragraphStyle('Table_20_Contents', 'Table Contents', 'Standard', '', {}),
+            this.paragraphStyle('Table_20_Heading', 'Table Heading', 'Table_20_Contents', 'fo:text-align="center"', { bold: true }),
+            this.listStyle('List_20_Bullet', 'List Bullet', false),
+            this.listStyle('List_20_Number', 'List Number', true)
+        ];
+
+        return '<?xml version="1.0" encoding="UTF-8"?>' +
+            `<office:document-styles ${this.namespaces} office:version="1.2">` +
+            this.fontFaces() +
+            `<office:styles>${styles.join('')}</office:styles>` +
+            '<office:automatic-styles>' +
+            `<style:page-layout style:name="pm1"><style:page-layout-properties fo:page-width="${this.cm(page.width)}" fo:page-height="${this.cm(page.height)}" ` +
+            `style:print-orientation="portrait" fo:margin-top="${this.cm(page.margin)}" fo:margin-bottom="${this.cm(page.margin)}" ` +
+            `fo:margin-left="${this.cm(page.margin)}" fo:margin-right="${this.cm(page.margin)}" style:writing-mode="${writingMode}"/></style:page-layout>` +
+            '</office:automatic-styles>' +
+            '<office:master-styles><style:master-page style:name="Standard" style:page-layout-name="pm1"/></office:master-styles>' +
+            '</office:document-styles>';
+    },
+
+    /**
+     * content.xml: automatic styles collected while writing, then the body
+     */
+    contentXML: function(body, ctx) {
+        const automatic = [
+            '<style:style style:name="TableCell" style:family="table-cell"><style:table-cell-properties fo:padding="0.1cm" fo:border="0.5pt solid #000000"/></style:style>',
+            '<style:style style:name="TableHeadingCell" style:family="table-cell"><style:table-cell-properties fo:padding="0.1cm" fo:border="0.5pt solid #000000" fo:background-color="#e8f3ec"/></style:style>',
+            '<style:style style:name="fr1" style:family="graphic"><style:graphic-properties style:vertical-pos="middle" style:vertical-rel="text" fo:border="none"/></style:style>'
+        ].concat(
+            ctx.tableStyles,
+            Array.from(ctx.paragraphStyles.values()).map(style => style.xml),
+            Array.from(ctx.textStyles.values()).map(style => style.xml)
+        );
+
+        return '<?xml version="1.0" encoding="UTF-8"?>' +
+            `<office:document-content ${this.namespaces} office:version="1.2">` +
+            this.fontFaces() +
+            `<office:automatic-styles>${automatic.join('')}</office:automatic-styles>` +
+            `<office:body><office:text>${body || '<text:p text:style-name="Text_20_body"/>'}</office:text></office:body>` +
+            '</office:document-content>';
+    },
+
+    /**
+     * meta.xml: title, language and creation date
+     */
+    metaXML: function(ctx) {
+        const date = new Date().toISOString().replace(/\.\d+Z$/, '');
+        return '<?xml version="1.0" encoding="UTF-8"?>' +
+            `<office:document-meta ${this.namespaces} office:version="1.2"><office:meta>` +
+            '<meta:generator>Tests Hub</meta:generator>' +
+            `<dc:title>${this.escape(ctx.title)}</dc:title>` +
+            `<dc:language>${ctx.lang}</dc:language>` +
+            `<meta:creation-date>${date}</meta:creation-date><dc:date>${date}</dc:date>` +
+            '</office:meta></office:document-meta>';
+    },
+
+    /**
+     * META-INF/manifest.xml: every file of the package with its media type
+     */
+    manifestXML: function(ctx) {
+        const entry = (path, type) => `<manifest:file-entry manifest:full-path="${path}" manifest:media-type="${type}"/>`;
+        const images = ctx.images.map(image => entry(this.imagePath(image), image.type));
+        return '<?xml version="1.0" encoding="UTF-8"?>' +
+            '<manifest:manifest xmlns:manifest="urn:oasis:names:tc:opendocument:xmlns:manifest:1.0" manifest:version="1.2">' +
+            `<manifest:file-entry manifest:full-path="/" manifest:version="1.2" manifest:media-type="${this.config.mimeType}"/>` +
+            [entry('content.xml', 'text/xml'), entry('styles.xml', 'text/xml'), entry('meta.xml', 'text/xml')].concat(images).join('') +
+            '</manifest:manifest>';
+    },
+
+    /**
+     * Build an .odt file from a test page
+     * @param {Object} options - { element, title, include, answers, includeCorrection, dir, lang,
+     *   paper, margin (mm), fontSize (pt) }
+     * @returns {Promise<Blob>}
+     */
+    build: function(options = {}) {
+        if (typeof TestsHubZipWriter === 'undefined' || typeof TestsHubDocumentModel === 'undefined') {
+            return Promise.reject(new Error('zip-writer.js and document-model.js must be loaded'));
+        }
+
+        const page = TestsHubDocumentModel.pageSetup(this.config.page, options);
+        return TestsHubDocumentModel.extract({ ...options, textWidth: page.width - 2 * page.margin }).then(model => {
+            const ctx = {
+                dir: model.dir,
+                lang: model.lang,
+                title: model.title,
+                images: model.images,
+                page,
+                fontSize: options.fontSize || this.config.fontSize,
+                paragraphStyles: new Map(),
+                textStyles: new Map(),
+                tableStyles: [],
+                tableCount: 0
+            };
+            const body = this.renderBlocks(model.blocks, ctx);
+            const entries = [
+                // The first entry, stored uncompressed, identifies the file type
+                { name: 'mimetype', data: this.config.mimeType, compress: false },
+                { name: 'content.xml', data: this.contentXML(body, ctx) },
+                { name: 'styles.xml', data: this.stylesXML(ctx) },
+                { name: 'meta.xml', data: this.metaXML(ctx) }
+            ].concat(
+                ctx.images.map(image => ({ name: this.imagePath(image), data: image.bytes, compress: false })),
+                [{ name: 'META-INF/manifest.xml', data: this.manifestXML(ctx) }]
+            );
+            return TestsHubZipWriter.createArchive(entries, { type: this.config.mimeType });
+        });
+    }
+};
+
+// Make it globally available
+window.TestsHubODTWriter = TestsHubODTWriter;
@@ -0,0 +1,476 @@
+/**
+ * Tests Hub - Offline Packs
+ * "Make available offline" buttons of the home pages, for a year (subjects
+ * modal), a subject (subject cards) or a trimester (trimesters modal). The
+ * service worker (sw.js) caches the tests of the pack, taken from
+ * catalog.json, with the pictures and sounds asset-manifest.json lists for
+ * them. A button shows the size of its pack, the download progress, then a
+ * badge; clicking it again removes the pack from the device.
+ */
+
+const TestsHubOfflinePacks = {
+
+    // Configuration
+    config: {
+        catalogUrl: 'catalog.json',
+        manifestUrl: 'asset-manifest.json',
+        workerUrl: '/sw.js',
+        messageDuration: 4000
+    },
+
+    // UI strings, picked from the page's current language
+    translations: {
+        ar: {
+            download: 'تنزيل للاستعمال دون اتصال',
+            downloadSize: 'تنزيل للاستعمال دون اتصال ({size})',
+            downloading: 'جارٍ التنزيل... {percent}%',
+            progress: 'جارٍ تنزيل {done} من {total} ملفات ({loaded} من {size})',
+            available: 'متاح دون اتصال',
+            availableSize: 'متاح دون اتصال ({size}) - انقر للحذف',
+            confirmRemove: 'حذف هذه الاختبارات من هذا الجهاز؟ ستحتاج إلى الاتصال بالإنترنت لفتحها من جديد. تُحذف أيضًا الحزم التي تتضمّنها.',
+            downloaded: 'أصبحت الاختبارات متاحة دون اتصال ({size})',
+            partial: 'تعذّر تنزيل {count} ملفات، ستتم إعادة المحاولة لاحقًا',
+            removed: 'تم حذف الاختبارات من هذا الجهاز',
+            failed: 'تعذّر التنزيل: {error}',
+            unsupported: 'هذا المتصفح لا يدعم الاستعمال دون اتصال',
+            kilobytes: '{value} ك.ب',
+            megabytes: '{value} م.ب'
+        },
+        fr: {
+            download: 'Rendre disponible hors ligne',
+            downloadSize: 'Rendre disponible hors ligne ({size})',
+            downloading: 'Téléchargement... {percent} %',
+            progress: 'Téléchargement de {done} fichiers sur {total} ({loaded} sur {size})',
+            available: 'Disponible hors ligne',
+            availableSize: 'Disponible hors ligne ({size}) - cliquer pour supprimer',
+            confirmRemove: 'Supprimer ces tests de cet appareil ? Il faudra une connexion pour les rouvrir. Les packs qui les contiennent sont aussi supprimés.',
+            downloaded: 'Tests disponibles hors ligne ({size})',
+            partial: "{count} fichiers n'ont pas pu être téléchargés, nouvel essai plus tard",
+            removed: 'Tests supprimés de cet appareil',
+            failed: 'Téléchargement impossible : {error}',
+            unsupported: "Ce navigateur ne permet pas l'utilisation hors ligne",
+            kilobytes: '{value} Ko',
+            megabytes: '{value} Mo'
+        },
+        en: {
+            download: 'Make available offline',
+            downloadSize: 'Make available offline ({size})',
+            downloading: 'Downloading... {percent}%',
+            progress: 'Downloading {done} of {total} files ({loaded} of {size})',
+            available: 'Available offline',
+            availableSize: 'Available offline ({size}) - click to remove',
+            confirmRemove: 'Remove these tests from this device? Opening them will need a connection again. Packs that include them are removed too.',
+            downloaded: 'Tests available offline ({size})',
+            partial: '{count} files could not be downloaded, they will be tried again later',
+            removed: 'Tests removed from this device',
+            failed: 'Could not download the tests: {error}',
+            unsupported: 'This browser cannot keep tests for offline use',
+            kilobytes: '{value} KB',
+            megabytes: '{value} MB'
+        }
+    },
+
+    catalogRequest: null,
+    manifestRequest: null,
+    // Cached packs as the service worker reports them: id -> { tests, size, complete }
+    packs: {},
+    // Downloads running from this page: pack id -> { done, total, loaded, size }
+    downloads: new Map(),
+    // Buttons on the page: element -> { element, filter, label }
+    controls: new Map(),
+    observer: null,
+
+    /**
+     * Get the page's current UI language
+     */
+    getLanguage: function() {
+        return TestsHubPage.getLanguage(this.translations);
+    },
+
+    /**
+     * Translate a UI string, filling in {placeholders}
+     */
+    t: function(key, values) {
+        return TestsHubPage.translate(this.translations, key, values);
+    },
+
+    /**
+     * Whether the browser can run the service worker that keeps the packs
+     */
+    isSupported: function() {
+        return 'serviceWorker' in navigator && typeof MessageChannel !== 'undefined' && location.protocol !== 'file:';
+    },
+
+    /**
+     * Format a number of bytes as KB or MB
+     */
+    formatSize: function(bytes) {
+        if (bytes < 1024 * 1024) {
+            return this.t('kilobytes', { value: bytes > 0 ? Math.max(1, Math.round(bytes / 1024)) : 0 });
+        }
+        return this.t('megabytes', { value: (bytes / 1024 / 1024).toFixed(1) });
+    },
+
+    /**
+     * Load the tests catalog, from the home page when it has already loaded it
+     * @returns {Promise<Object[]>}
+     */
+    loadCatalog: function() {
+        if (typeof loadCatalog === 'function') {
+            return loadCatalog();
+        }
+        if (!this.catalogRequest) {
+            this.catalogRequest = fetch(this.config.catalogUrl)
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.json();
+                })
+                .then(catalog => Array.isArray(catalog.tests) ? catalog.tests : [])
+                .catch(error => {
+                    console.warn('Tests catalog could not be loaded:', error);
+                    this.catalogRequest = null;
+                    return [];
+                });
+        }
+        return this.catalogRequest;
+    },
+
+    /**
+     * Load the asset manifest, for the size of each pack; without it sizes are not shown
+     * @returns {Promise<Object|null>}
+     */
+    loadManifest: function() {
+        if (!this.manifestRequest) {
+            this.manifestRequest = fetch(this.config.manifestUrl)
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.json();
+                })
+                .catch(error => {
+                    console.warn('Asset manifest could not be loaded:', error);
+                    this.manifestRequest = null;
+                    return null;
+                });
+        }
+        return this.manifestRequest;
+    },
+
+    /**
+     * Pack id of a year, subject or trimester, e.g. "7th/maths/trim1"
+     * @param {Object} filter - { level, subject, trimester }
+     */
+    getPackId: function(filter) {
+        return [filter.level, filter.subject, filter.trimester ? `trim${filter.trimester}` : null]
+            .filter(Boolean)
+            .join('/');
+    },
+
+    /**
+     * Catalog ids of the tests of a year, subject or trimester
+     */
+    getTests: function(catalog, filter) {
+        return catalog
+            .filter(test => test.level === filter.level &&
+                (!filter.subject || test.subject === filter.subject) &&
+                (!filter.trimester || test.trimester === Number(filter.trimester)))
+            .map(test => test.id);
+    },
+
+    /**
+     * Size of the test pages, pictures and sounds of a list of tests
+     */
+    getSize: function(manifest, tests) {
+        if (!manifest || !manifest.tests) return null;
+        const sizes = new Map((manifest.content || []).map(file => [file.url, file.size]));
+        const urls = new Set(tests.flatMap(id => manifest.tests[id] || []));
+        return [...urls].reduce((total, url) => total + (sizes.get(url) || 0), 0);
+    },
+
+    /**
+     * Whether every test of a list is in a pack fully cached
+     */
+    isCached: function(tests) {
+        const cached = new Set();
+        Object.values(this.packs).forEach(pack => {
+            if (pack.complete) pack.tests.forEach(id => cached.add(id));
+        });
+        return tests.length > 0 && tests.every(id => cached.has(id));
+    },
+
+    /**
+     * Get the active service worker, registering it when the page has not
+     * @returns {Promise<ServiceWorker>}
+     */
+    getWorker: function() {
+        return navigator.serviceWorker.getRegistration()
+            .then(registration => registration || navigator.serviceWorker.register(this.config.workerUrl))
+            .then(() => navigator.serviceWorker.ready)
+            .then(registration => registration.active);
+    },
+
+    /**
+     * Send a message to the service worker and wait for its answer
+     * @param {Object} message - { type, ... }
+     * @param {Function} onProgress - Called with the progress messages
+     * @returns {Promise<Object>} The final answer: { type: 'done', packs, ... }
+     */
+    send: function(message, onProgress) {
+        return this.getWorker().then(worker => new Promise((resolve, reject) => {
+            const channel = new MessageChannel();
+            channel.port1.onmessage = event => {
+                const answer = event.data || {};
+                if (answer.type === 'progress') {
+                    if (onProgress) onProgress(answer);
+                } else if (answer.type === 'error') {
+                    reject(new Error(answer.error));
+                } else {
+                    if (answer.packs) this.packs = answer.packs;
+                    resolve(answer);
+                }
+            };
+            worker.postMessage(message, [channel.port2]);
+        }));
+    },
+
+    /**
+     * Ask the service worker which packs are cached, then update the buttons
+     */
+    refresh: function() {
+        if (!this.isSupported()) return Promise.resolve();
+        // Without a worker yet, nothing is cached
+        return navigator.serviceWorker.getRegistration()
+            .then(registration => registration && registration.active ? this.send({ type: 'GET_PACKS' }) : null)
+            .catch(error => console.warn('Offline packs could not be read:', error))
+            .then(() => this.renderAll());
+    },
+
+    /**
+     * Cache the tests of a year, subject or trimester
+     */
+    download: function(filter) {
+        const id = this.getPackId(filter);
+        if (this.downloads.has(id)) return Promise.resolve();
+
+        this.downloads.set(id, { done: 0, total: 0, loaded: 0, size: 0 });
+        this.renderAll();
+
+        return this.loadCatalog()
+            .then(catalog => this.send({ type: 'CACHE_PACK', pack: { id, tests: this.getTests(catalog, filter) } }, progress => {
+                this.downloads.set(id, progress);
+                this.renderAll();
+            }))
+            .then(answer => {
+                const pack = this.packs[id];
+                if (answer.failed) {
+                    this.notify(this.t('partial', { count: answer.failed }), 'warning');
+                } else {
+                    this.notify(this.t('downloaded', { size: this.formatSize(pack ? pack.size : 0) }), 'success');
+                }
+            })
+            .catch(error => {
+                console.error('Offline pack could not be cached:', error);
+                this.notify(this.t('failed', { error: error.message }), 'error');
+            })
+            .then(() => {
+                this.downloads.delete(id);
+                this.renderAll();
+            });
+    },
+
+    /**
+     * Remove the tests of a year, subject or trimester: every pack that has one of them
+     */
+    remove: function(filter) {
+        return this.loadCatalog().then(catalog => {
+            const tests = new Set(this.getTests(catalog, filter));
+            const ids = Object.keys(this.packs).filter(id => this.packs[id].tests.some(test => tests.has(test)));
+            return ids.reduce((previous, id) => previous.then(() => this.send({ type: 'REMOVE_PACK', id })), Promise.resolve());
+        }).then(() => {
+            this.notify(this.t('removed'), 'info');
+        }).catch(error => {
+            console.error('Offline pack could not be removed:', error);
+            this.notify(this.t('failed', { error: error.message }), 'error');
+        }).then(() => this.renderAll());
+    },
+
+    /**
+     * Download or remove the pack of a button
+     */
+    toggle: function(control) {
+        if (!this.isSupported()) {
+            this.notify(this.t('unsupported'), 'warning');
+            return;
+        }
+        if (this.downloads.has(this.getPackId(control.filter))) return;
+
+        this.loadCatalog().then(catalog => {
+            if (!this.isCached(this.getTests(catalog, control.filter))) {
+                this.download(control.filter);
+            } else if (window.confirm(this.t('confirmRemove'))) {
+                this.remove(control.filter);
+            }
+        });
+    },
+
+    /**
+     * Turn an element into the offline button of a year, subject or trimester
+     * @param {HTMLElement} element - Button placeholder (the ⬇️ of a trimester item)
+     * @param {Object} filter - { level, subject, trimester }
+     * @param {Object} options - { label: show the full label, not only the size }
+     */
+    attach: function(element, filter, options = {}) {
+        if (!element) return;
+        const known = this.controls.get(element);
+        const control = known || { element };
+        control.filter = filter;
+        control.label = !!options.label;
+
+        if (!known) {
+            this.controls.set(element, control);
+            element.classList.add('Tests-Hub-offline-pack');
+            element.setAttribute('role', 'button');
+            element.tabIndex = 0;
+            // The item or card around the button opens its own modal
+            element.addEventListener('click', event => {
+                event.preventDefault();
+                event.stopPropagation();
+                this.toggle(control);
+            });
+            element.addEventListener('keydown', event => {
+                if (event.key !== 'Enter' && event.key !== ' ') return;
+                event.preventDefault();
+                event.stopPropagation();
+                this.toggle(control);
+            });
+        }
+        this.render(control);
+    },
+
+    /**
+     * Show the state of a button: size to download, progress or badge
+     */
+    render: function(control) {
+        Promise.all([this.loadCatalog(), this.loadManifest()]).then(([catalog, manifest]) => {
+            const element = control.element;
+            const tests = this.getTests(catalog, control.filter);
+            const progress = this.downloads.get(this.getPackId(control.filter));
+            const size = this.getSize(manifest, tests);
+            const sizeText = size !== null ? this.formatSize(size) : '';
+
+            // Nothing to download for trimesters without tests yet
+            element.hidden = tests.length === 0;
+            element.classList.toggle('is-cached', !progress && this.isCached(tests));
+            element.classList.toggle('is-downloading', !!progress);
+
+            let icon, text, title;
+            if (progress) {
+                const percent = progress.size ? Math.floor(progress.loaded / progress.size * 100) : 0;
+                icon = '⏳';
+                text = this.t('downloading', { percent });
+                // Until the worker has compared the files, the number to download is not known
+                title = !progress.total ? text : this.t('progress', {
+                    done: progress.done,
+                    total: progress.total,
+                    loaded: this.formatSize(progress.loaded),
+                    size: this.formatSize(progress.size)
+                });
+            } else if (this.isCached(tests)) {
+                icon = '✅';
+                text = this.t('available');
+                title = this.t('availableSize', { size: sizeText });
+            } else {
+                icon = '⬇️';
+                title = sizeText ? this.t('downloadSize', { size: sizeText }) : this.t('download');
+                text = control.label ? title : sizeText;
+            }
+
+            const iconElement = document.createElement('span');
+            iconElement.className = 'Tests-Hub-offline-pack-icon';
+            iconElement.textContent = icon;
+            const textElement = document.createElement('span');
+            textElement.className = 'Tests-Hub-offline-pack-text';
+            textElement.textContent = text;
+            element.replaceChildren(iconElement, textElement);
+            element.title = title;
+            element.setAttribute('aria-label', title);
+        });
+    },
+
+    /**
+     * Update every button still on the page
+     */
+    renderAll: function() {
+        this.controls.forEach((control, element) => {
+            if (element.isConnected) {
+                this.render(control);
+            } else {
+                this.controls.delete(element);
+            }
+        });
+    },
+
+    /**
+     * Show a short message at the bottom of the page
+     */
+    notify: function(message, type = 'info') {
+        const existing = document.getElementById('offline-pack-notification');
+        if (existing) existing.remove();
+
+        const notification = document.createElement('div');
+        notification.id = 'offline-pack-notification';
+        notification.className = `Tests-Hub-offline-pack-notification ${type}`;
+        notification.dir = this.getLanguage() === 'ar' ? 'rtl' : 'ltr';
+        notification.setAttribute('role', 'status');
+        notification.textContent = message;
+        document.body.appendChild(notification);
+
+        setTimeout(() => notification.remove(), this.config.messageDuration);
+    },
+
+    /**
+     * Add the button styles once
+     */
+    injectStyles: function() {
+        if (document.getElementById('offline-packs-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'offline-packs-styles';
+        style.textContent = `
+            .Tests-Hub-offline-pack { display: inline-flex; align-items: center; gap: 0.3rem; flex-shrink: 0; padding: 0.25rem 0.6rem; border-radius: 999px; background: rgba(0, 0, 0, 0.05); color: #2c3e50; font-size: 0.8rem; font-weight: 600; cursor: pointer; white-space: nowrap; }
+            .Tests-Hub-offline-pack:hover, .Tests-Hub-offline-pack:focus { background: rgba(0, 0, 0, 0.1); outline: none; }
+            .Tests-Hub-offline-pack.is-cached { background: #e8f8ef; color: #1e8449; }
+            .Tests-Hub-offline-pack.is-downloading { cursor: progress; }
+            .Tests-Hub-offline-pack-icon { font-size: 1rem; }
+            .Tests-Hub-subject-card-offline, .Tests-Hub-subjects-modal-offline { margin-top: 0.8rem; }
+            .dark-theme .Tests-Hub-offline-pack { background: rgba(255, 255, 255, 0.1); color: #e6e6e6; }
+            .dark-theme .Tests-Hub-offline-pack.is-cached { background: #1e5631; color: #d5f5e3; }
+            .Tests-Hub-offline-pack-notification { position: fixed; left: 50%; bottom: 20px; transform: translateX(-50%); max-width: 90%; padding: 12px 20px; border-radius: 8px; background: #3498db; color: white; font-weight: 600; z-index: 10000; box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15); }
+            .Tests-Hub-offline-pack-notification.success { background: #2E8B57; }
+            .Tests-Hub-offline-pack-notification.warning { background: #f39c12; }
+            .Tests-Hub-offline-pack-notification.error { background: #e74c3c; }
+        `;
+        document.head.appendChild(style);
+    },
+
+    /**
+     * Set up the styles, read the cached packs and follow language changes
+     */
+    init: function() {
+        this.injectStyles();
+        this.refresh();
+
+        this.observer = TestsHubPage.onLanguageChange(() => this.renderAll());
+
+        console.log('Tests Hub Offline Packs initialized');
+    }
+};
+
+// Auto-initialize when DOM is ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => TestsHubOfflinePacks.init());
+} else {
+    TestsHubOfflinePacks.init();
+}
+
+// Make it globally available
+window.TestsHubOfflinePacks = TestsHubOfflinePacks;
@@ -0,0 +1,63 @@
+/**
+ * Tests Hub - Page Helpers
+ * Shared by the page scripts, and loaded before them: the UI language the
+ * page is shown in, its translated strings, and the id of the test on the
+ * page that keys the saved answers, the exam and practice state and the
+ * exported files.
+ */
+
+const TestsHubPage = {
+
+    /**
+     * Get the page's current UI language, among those of a translations table
+     * @param {Object} translations - Strings by language: { ar: {...}, fr: {...}, en: {...} }
+     * @returns {string} Language code, 'en' when the page's is not in the table
+     */
+    getLanguage: function(translations) {
+        if (typeof currentLanguage !== 'undefined' && translations[currentLanguage]) {
+            return currentLanguage;
+        }
+        const saved = localStorage.getItem('testsHubLanguage');
+        if (saved && translations[saved]) {
+            return saved;
+        }
+        const lang = document.documentElement.lang;
+        return translations[lang] ? lang : 'en';
+    },
+
+    /**
+     * Translate a UI string from a translations table, filling in {placeholders}
+     * @param {Object} translations - Strings by language
+     * @param {string} key - String name; falls back to the English string
+     * @param {Object} values - Placeholder values
+     */
+    translate: function(translations, key, values = {}) {
+        const text = translations[this.getLanguage(translations)][key] || translations.en[key];
+        return text.replace(/\{(\w+)\}/g, (match, name) => values[name] !== undefined ? values[name] : match);
+    },
+
+    /**
+     * Get the id of the current test: the file name for hand-written pages,
+     * or "test_" + ?id= for pages rendered by test.html
+     */
+    getTestId: function() {
+        const renderedId = new URLSearchParams(window.location.search).get('id');
+        if (renderedId) return `test_${renderedId}`;
+        return window.location.pathname.split('/').pop().replace('.html', '');
+    },
+
+    /**
+     * Call a function whenever the page language changes
+     * @returns {MutationObserver} To stop following it
+     */
+    onLanguageChange: function(callback) {
+        // Pages switch language by rewriting <html lang> (and the scripts read it back
+        // through getLanguage), so watching that attribute catches every switch
+        const observer = new MutationObserver(() => callback());
+        observer.observe(document.documentElement, { attributes: true, attributeFilter: ['lang'] });
+        return observer;
+    }
+};
+
+// Make it globally available
+window.TestsHubPage = TestsHubPage;
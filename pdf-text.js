@@ -0,0 +1,424 @@
+/**
+ * Tests Hub - PDF Text
+ * Unicode text for jsPDF: embeds the bundled fonts from lib/fonts, picks a font for
+ * each character (Arabic, Latin, math symbols), breaks styled text into lines and lays
+ * mixed Arabic/Latin lines out right-to-left or left-to-right. jsPDF shapes the Arabic
+ * letters of each piece itself. Used by the text PDF and by pdf-writer.js.
+ */
+
+const TestsHubPDFText = {
+
+    // Configuration
+    config: {
+        fontPath: 'lib/fonts/',
+        // Tried in order for every character: text (Arabic and Latin), then symbols and math.
+        // Optional italic and bolditalic files can be listed too.
+        fonts: [
+            { family: 'Amiri', normal: 'Amiri-Regular.ttf', bold: 'Amiri-Bold.ttf' },
+            { family: 'DejaVuSans', normal: 'DejaVuSans.ttf', bold: 'DejaVuSans-Bold.ttf' }
+        ],
+        // Built-in jsPDF font used when none of the bundled fonts could be loaded (Latin only)
+        fallbackFamily: 'helvetica',
+        highlightColor: '#fff3a3',
+        superscripts: { '0': '⁰', '1': '¹', '2': '²', '3': '³', '4': '⁴', '5': '⁵', '6': '⁶', '7': '⁷', '8': '⁸', '9': '⁹', '+': '⁺', '-': '⁻', '−': '⁻', '=': '⁼', '(': '⁽', ')': '⁾', 'n': 'ⁿ', 'i': 'ⁱ' },
+        subscripts: { '0': '₀', '1': '₁', '2': '₂', '3': '₃', '4': '₄', '5': '₅', '6': '₆', '7': '₇', '8': '₈', '9': '₉', '+': '₊', '-': '₋', '−': '₋', '=': '₌', '(': '₍', ')': '₎', 'a': 'ₐ', 'e': 'ₑ', 'i': 'ᵢ', 'j': 'ⱼ', 'k': 'ₖ', 'n': 'ₙ', 'p': 'ₚ', 'x': 'ₓ' }
+    },
+
+    rtlPattern: /[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF]/,
+    ltrPattern: /[A-Za-z\u00C0-\u024F0-9]/,
+
+    // Points to millimetres
+    pt: 25.4 / 72,
+
+    // Font files already fetched, shared by every document of the page
+    fontFiles: null,
+
+    /**
+     * Base64 of an ArrayBuffer, as jsPDF's virtual file system expects
+     */
+    toBase64: function(buffer) {
+        const bytes = new Uint8Array(buffer);
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    },
+
+    /**
+     * Fetch the bundled font files once; files that cannot be fetched are left out
+     * @returns {Promise<Array>} [{ family, style, file, data }]
+     */
+    loadFonts: function() {
+        if (!this.fontFiles) {
+            const entries = [];
+            this.config.fonts.forEach(font => ['normal', 'bold', 'italic', 'bolditalic'].forEach(style => {
+                if (font[style]) entries.push({ family: font.family, style, file: font[style] });
+            }));
+
+            this.fontFiles = Promise.all(entries.map(entry => fetch(this.config.fontPath + entry.file)
+                .then(response => {
+                    if (!response.ok) throw new Error(`Font not found: ${entry.file}`);
+                    return response.arrayBuffer();
+                })
+                .then(buffer => ({ ...entry, data: this.toBase64(buffer) }))
+                .catch(error => {
+                    console.warn('PDF font not available:', error);
+                    return null;
+                })
+            )).then(files => {
+                const loaded = files.filter(Boolean);
+                // Try again next time when nothing could be fetched (offline, file://)
+                if (!loaded.length) this.fontFiles = null;
+                return loaded;
+            });
+        }
+        return this.fontFiles;
+    },
+
+    /**
+     * Embed the bundled fonts in a jsPDF document
+     * @returns {Promise<Object>} Text context for the other methods; its families
+     *   list is empty when no font could be loaded
+     */
+    prepare: function(doc) {
+        return this.loadFonts().then(files => {
+            const styles = {};
+            files.forEach(entry => {
+                doc.addFileToVFS(entry.file, entry.data);
+                doc.addFont(entry.file, entry.family, entry.style, 'Identity-H');
+                (styles[entry.family] = styles[entry.family] || []).push(entry.style);
+            });
+            const families = this.config.fonts
+                .map(font => font.family)
+                .filter(family => styles[family] && styles[family].includes('normal'));
+            return { doc, families, styles, glyphs: new Map() };
+        });
+    },
+
+    /**
+     * Set the font of a piece of text, with the closest face the family has
+     * @param {Object} style - { size, bold, italic, sup, sub }
+     */
+    setFont: function(ctx, family, style) {
+        const faces = ctx.styles[family];
+        const wanted = `${style.bold ? 'bold' : ''}${style.italic ? 'italic' : ''}` || 'normal';
+        const face = !faces ? wanted : [wanted, style.bold ? 'bold' : 'normal', 'normal'].find(name => faces.includes(name));
+        ctx.doc.setFont(family, face);
+        ctx.doc.setFontSize(style.sup || style.sub ? style.size * 0.65 : style.size);
+    },
+
+    /**
+     * First bundled font that has a glyph for a character, or null
+     */
+    fontFor: function(ctx, char) {
+        if (!ctx.glyphs.has(char)) {
+            const code = char.charCodeAt(0);
+            const family = ctx.families.find(name => {
+                const font = ctx.doc.getFont(name, 'normal');
+                return !!(font.metadata && font.metadata.cmap && font.metadata.cmap.unicode.codeMap[code]);
+            });
+            ctx.glyphs.set(char, family || null);
+        }
+        return ctx.glyphs.get(char);
+    },
+
+    /**
+     * Split text into pieces of one font; spaces stay with the piece they are in
+     * and characters no font has (emoji) are dropped
+     */
+    pieces: function(ctx, text) {
+        if (!ctx.families.length) return text ? [{ text, family: this.config.fallbackFamily }] : [];
+
+        const pieces = [];
+        Array.from(text).forEach(char => {
+            const last = pieces[pieces.length - 1];
+            if (/\s/.test(char) && last) {
+                last.text += char;
+                return;
+            }
+            const family = this.fontFor(ctx, char.length > 1 ? '' : char) || (/\s/.test(char) ? ctx.families[0] : null);
+            if (!family) return;
+            if (last && last.family === family) last.text += char;
+            else pieces.push({ text: char, family });
+        });
+        return pieces;
+    },
+
+    /**
+     * Width of a piece of text in one style
+     */
+    measure: function(ctx, text, style) {
+        return this.pieces(ctx, text).reduce((total, piece) => {
+            this.setFont(ctx, piece.family, style);
+            return total + ctx.doc.getTextWidth(piece.text);
+        }, 0);
+    },
+
+    /**
+     * Split styled text into words measured in their fonts. A word remembers the width
+     * of the space before it and its direction (null for punctuation and symbols);
+     * line breaks and inline objects such as images are tokens too.
+     * @param {Array} segments - [{ text, style }], { lineBreak: true } or { object: { width, height, draw(x, baseline) } }
+     */
+    tokens: function(ctx, segments) {
+        const tokens = [];
+        let word = null;
+        let space = 0;
+
+        segments.forEach(segment => {
+            if (segment.lineBreak || segment.object) {
+                tokens.push(segment.object ? { object: segment.object, width: segment.object.width, space, dir: null } : { lineBreak: true });
+                word = null;
+                space = 0;
+                return;
+            }
+            String(segment.text).split(/(\s+)/).forEach(part => {
+                if (!part) return;
+                if (/^\s/.test(part)) {
+                    word = null;
+                    space = this.measure(ctx, ' ', segment.style);
+                    return;
+                }
+                if (!word) {
+                    word = { pieces: [], text: '', width: 0, space };
+                    tokens.push(word);
+                    space = 0;
+                }
+                this.pieces(ctx, part).forEach(piece => {
+                    piece.style = segment.style;
+                    this.setFont(ctx, piece.family, piece.style);
+                    piece.width = ctx.doc.getTextWidth(piece.text);
+                    word.pieces.push(piece);
+                    word.text += piece.text;
+                    word.width += piece.width;
+                });
+            });
+        });
+
+        return tokens.filter(token => !token.pieces || token.pieces.length).map(token => {
+            if (token.pieces) {
+                token.dir = this.rtlPattern.test(token.text) ? 'rtl' : (this.ltrPattern.test(token.text) ? 'ltr' : null);
+            }
+            return token;
+        });
+    },
+
+    /**
+     * Break tokens into lines that fit a width; a line break token ends a line
+     * (an empty one when two follow each other)
+     */
+    breakLines: function(tokens, width) {
+        const lines = [];
+        let line = [];
+        let lineWidth = 0;
+        tokens.forEach(token => {
+            if (token.lineBreak) {
+                lines.push(line);
+                line = [];
+                lineWidth = 0;
+                return;
+            }
+            const added = (line.length ? token.space : 0) + token.width;
+            if (line.length && lineWidth + added > width) {
+                lines.push(line);
+                line = [token];
+                lineWidth = token.width;
+            } else {
+                line.push(token);
+                lineWidth += added;
+            }
+        });
+        if (line.length) lines.push(line);
+        return lines;
+    },
+
+    /**
+     * Width of a line of tokens
+     */
+    lineWidth: function(line) {
+        return line.reduce((total, token, index) => total + token.width + (index ? token.space : 0), 0);
+    },
+
+    /**
+     * Height of a line of tokens: the tallest text or object above the baseline and
+     * the deepest text below it
+     * @param {Object} style - Text style of an empty line
+     */
+    lineBox: function(line, style) {
+        let ascent = 0;
+        let descent = 0;
+        const text = size => {
+            ascent = Math.max(ascent, size * this.pt * 0.95);
+            descent = Math.max(descent, size * this.pt * 0.3);
+        };
+        if (!line.length) text(style.size);
+        line.forEach(token => {
+            if (token.object) ascent = Math.max(ascent, token.object.height);
+            else token.pieces.forEach(piece => text(piece.style.size));
+        });
+        return { ascent, descent, height: ascent + descent };
+    },
+
+    /**
+     * Direction runs of a line, in the order they are drawn from left to right:
+     * punctuation takes the direction of the words around it and the runs follow
+     * the line direction. Each run lists its tokens in reading order.
+     */
+    directionRuns: function(line, dir) {
+        const strong = (from, step) => {
+            for (let i = from; i >= 0 && i < line.length; i += step) {
+                if (line[i].dir) return line[i].dir;
+            }
+            return null;
+        };
+        const runs = [];
+        line.forEach((token, index) => {
+            let tokenDir = token.dir;
+            if (!tokenDir) {
+                const before = strong(index - 1, -1);
+                tokenDir = before && before === strong(index + 1, 1) ? before : dir;
+            }
+            const last = runs[runs.length - 1];
+            if (last && last.dir === tokenDir) last.indexes.push(index);
+            else runs.push({ dir: tokenDir, indexes: [index] });
+        });
+        return dir === 'rtl' ? runs.reverse() : runs;
+    },
+
+    /**
+     * Draw a piece of text on a baseline with its decorations
+     */
+    drawPiece: function(ctx, piece, x, y) {
+        const doc = ctx.doc;
+        const style = piece.style;
+        const size = style.size * this.pt;
+        const color = style.color || '#000000';
+        let baseline = y;
+        if (style.sup) baseline -= size * 0.35;
+        else if (style.sub) baseline += size * 0.15;
+
+        if (style.highlight) {
+            doc.setFillColor(this.config.highlightColor);
+            doc.rect(x, y - size * 0.8, piece.width, size * 1.05, 'F');
+        }
+        this.setFont(ctx, piece.family, style);
+        doc.setTextColor(color);
+        doc.text(piece.text, x, baseline);
+
+        if (style.underline || style.strike) {
+            doc.setDrawColor(color);
+            doc.setLineWidth(0.2);
+            if (style.underline === 'dotted') doc.setLineDashPattern([0.4, 0.6], 0);
+            const lineY = style.strike ? baseline - size * 0.28 : baseline + size * 0.15;
+            doc.line(x, lineY, x + piece.width, lineY);
+            doc.setLineDashPattern([], 0);
+        }
+    },
+
+    /**
+     * Draw a line of tokens. Right-to-left lines start from the right edge.
+     * @param {Object} options - { x, y (baseline), width, dir, align: 'start' | 'center' | 'end' }
+     */
+    drawTokens: function(ctx, line, options) {
+        const total = this.lineWidth(line);
+        let cursor = options.x;
+        if (options.align === 'center') cursor += (options.width - total) / 2;
+        else if ((options.align === 'end') !== (options.dir === 'rtl')) cursor += options.width - total;
+
+        let previous = null;
+        this.directionRuns(line, options.dir).forEach(run => {
+            // Neighbouring words of one font and style become one piece, so the PDF text reads as phrases
+            const items = [];
+            run.indexes.forEach(index => {
+                const token = line[index];
+                const piece = token.pieces && token.pieces.length === 1 ? token.pieces[0] : null;
+                const last = items[items.length - 1];
+                if (last && last.piece && piece && last.piece.family === piece.family && last.piece.style === piece.style) {
+                    last.piece = { ...last.piece, text: `${last.piece.text} ${piece.text}`, width: last.piece.width + token.space + piece.width };
+                } else {
+                    items.push({ index, token, piece });
+                }
+            });
+            if (run.dir === 'rtl') items.reverse();
+
+            items.forEach(item => {
+                if (previous) cursor += line[Math.max(item.index, previous.index)].space;
+                previous = item;
+                if (item.piece) {
+                    this.drawPiece(ctx, item.piece, cursor, options.y);
+                    cursor += item.piece.width;
+                } else if (item.token.object) {
+                    item.token.object.draw(cursor, options.y);
+                    cursor += item.token.width;
+                } else {
+                    (item.token.dir === 'rtl' ? item.token.pieces.slice().reverse() : item.token.pieces).forEach(piece => {
+                        this.drawPiece(ctx, piece, cursor, options.y);
+                        cursor += piece.width;
+                    });
+                }
+            });
+        });
+        ctx.doc.setTextColor('#000000');
+    },
+
+    /**
+     * Break plain text in one style into lines that fit a width; line breaks in the text are kept
+     * @returns {Array<string>}
+     */
+    wrap: function(ctx, text, width, style) {
+        const lines = [];
+        String(text).split('\n').forEach(paragraph => {
+            this.breakLines(this.tokens(ctx, [{ text: paragraph, style }]), width)
+                .forEach(line => lines.push(line.map(token => token.text).join(' ')));
+        });
+        return lines;
+    },
+
+    /**
+     * Draw one line of plain text
+     * @param {Object} options - { x, y, width, dir, align, size, bold, color }
+     */
+    drawLine: function(ctx, text, options) {
+        const tokens = this.tokens(ctx, [{ text, style: { size: options.size, bold: options.bold, color: options.color } }]);
+        this.drawTokens(ctx, tokens, options);
+    },
+
+    /**
+     * Plain-text form of a KaTeX formula: exponents and indices as Unicode
+     * superscripts and subscripts when they exist, ^ and _ otherwise
+     */
+    mathText: function(element) {
+        if (typeof TestsHubDocumentModel === 'undefined') {
+            return (element.querySelector('.katex-html') || element).textContent;
+        }
+
+        // Text of the formula with its exponents and indices, consecutive runs of one kind merged
+        const parts = [];
+        const collect = runs => runs.forEach(run => {
+            if (run.math) return collect(run.runs);
+            const flags = run.flags || {};
+            const kind = flags.sup ? 'sup' : (flags.sub ? 'sub' : 'text');
+            const value = run.lineBreak ? ' ' : (run.text || '');
+            const last = parts[parts.length - 1];
+            if (last && last.kind === kind) last.text += value;
+            else parts.push({ kind, text: value });
+        });
+        collect(TestsHubDocumentModel.mathRuns(element));
+
+        const script = (value, map, mark) => Array.from(value).every(char => map[char])
+            ? Array.from(value).map(char => map[char]).join('')
+            : `${mark}${value.length > 1 ? `(${value})` : value}`;
+        const text = parts.map(part => {
+            const value = part.kind === 'text' ? part.text : part.text.replace(/\s+/g, '');
+            if (part.kind === 'sup') return script(value, this.config.superscripts, '^');
+            if (part.kind === 'sub') return script(value, this.config.subscripts, '_');
+            return value;
+        }).join('');
+
+        return text.replace(/\s+/g, ' ').trim();
+    }
+};
+
+// Make it globally available
+window.TestsHubPDFText = TestsHubPDFText;
@@ -0,0 +1,644 @@
+/**
+ * Tests Hub - PDF Writer
+ * Writes a test page as a vector PDF with jsPDF: selectable text in the bundled fonts,
+ * tables with borders, answer lines and embedded pictures, laid out from the same
+ * document model as the ODT and DOCX files. An exercise (or a question) that does not
+ * fit at the bottom of a page starts on the next one instead of being cut. Several tests
+ * can be bound into one file with a table of contents and bookmarks (buildBundle).
+ * Needs jsPDF, document-model.js and pdf-text.js.
+ */
+
+const TestsHubPDFWriter = {
+
+    // Configuration
+    config: {
+        // A4 portrait, sizes in mm; an export can choose other paper, margins and font size
+        page: { width: 210, height: 297, margin: 20, footer: 10 },
+        fontSize: 11,
+        colors: {
+            heading: '#2e8b57',
+            answer: '#1f4e79',
+            border: '#000000',
+            headingCell: '#e8f3ec',
+            answerLine: '#808080',
+            footer: '#666666'
+        },
+        // Text style and spacing (mm) for each paragraph style of the document model
+        styles: {
+            body: { after: 2 },
+            heading: { bold: true, color: '#2e8b57', before: 4, after: 2 },
+            header: { align: 'center', after: 1 },
+            instructions: { italic: true, background: '#f0f7f0', border: '#2e8b57', padding: 1.5 },
+            question: { before: 1.5, after: 2 },
+            passage: { indent: 5, after: 2 },
+            figure: { align: 'center', before: 2, after: 1 },
+            caption: { align: 'center', italic: true, size: 10, color: '#666666', after: 3 },
+            formula: { align: 'center', after: 2 },
+            answer: { color: '#1f4e79', after: 2 },
+            correction: { before: 1, after: 2 },
+            listItem: { after: 1 },
+            tableContents: { size: 10, after: 0.5 },
+            tableHeading: { size: 10, bold: true, align: 'center', after: 0.5 }
+        },
+        // Font size of each heading level; level 1 is centered, level 2 underlined
+        headingSizes: { 1: 18, 2: 15, 3: 13, 4: 12 },
+        answerLineHeight: 8,
+        listIndent: 6,
+        cellPadding: 1.2,
+        minRowHeight: 7,
+        // Width of the page numbers in the table of contents of a bundle
+        contentsNumberWidth: 12,
+        // Pictures jsPDF embeds as they are; others are redrawn as PNG
+        imageTypes: ['image/png', 'image/jpeg']
+    },
+
+    /**
+     * Text style and spacing of a paragraph or heading
+     */
+    getParagraphStyle: function(block, ctx) {
+        const style = { ...this.config.styles[block.style] };
+        // Every size follows the font size chosen for the export
+        style.size = (style.size || this.config.fontSize) * ctx.scale;
+        if (block.type === 'heading') {
+            style.size = this.config.headingSizes[block.level] * ctx.scale;
+            if (block.level === 1) style.align = 'center';
+            if (block.level === 2) style.rule = this.config.colors.heading;
+        }
+        return style;
+    },
+
+    /**
+     * Text segments for pdf-text.js from model runs; formulas are written as their
+     * text form, with exponents and indices as superscript/subscript
+     */
+    segments: function(runs, style, ctx) {
+        const segments = [];
+        const add = run => {
+            if (run.math) {
+                run.runs.forEach(add);
+            } else if (run.lineBreak) {
+                segments.push({ lineBreak: true });
+            } else if (run.image) {
+                segments.push({ object: this.imageObject(run, ctx) });
+            } else if (run.text) {
+                const flags = run.flags || {};
+                segments.push({
+                    text: run.text,
+                    style: {
+                        size: style.size,
+                        bold: style.bold || flags.bold,
+                        italic: style.italic || flags.italic,
+                        underline: flags.answer ? 'dotted' : flags.underline,
+                        strike: flags.strike,
+                        highlight: flags.highlight,
+                        sup: flags.sup,
+                        sub: flags.sub,
+                        color: flags.answer ? this.config.colors.answer : style.color
+                    }
+                });
+            }
+        };
+        runs.forEach(add);
+        return segments;
+    },
+
+    /**
+     * Inline picture, drawn standing on the baseline
+     */
+    imageObject: function(run, ctx) {
+        const image = run.image;
+        const width = run.width * 10;
+        const height = run.height * 10;
+        return {
+            width,
+            height,
+            draw: (x, baseline) => ctx.doc.addImage(image.bytes, image.type === 'image/jpeg' ? 'JPEG' : 'PNG',
+                x, baseline - height, width, height, `image${ctx.part}_${image.id}`)
+        };
+    },
+
+    /**
+     * Lay a list of model blocks out as slices: pieces of content of a known height
+     * that pages are never cut through (a line of text, an answer line, a table row)
+     * @returns {Array} [{ height, draw(x, y), group, pageBreak, keepWithNext, baseline }]
+     */
+    layoutBlocks: function(blocks, width, ctx) {
+        return blocks.reduce((slices, block) => {
+            const blockSlices = this.layoutBlock(block, width, ctx);
+            if (blockSlices.length) {
+                if (block.group) blockSlices[0].group = block.group;
+                if (block.pageBreak) blockSlices[0].pageBreak = true;
+            }
+            return slices.concat(blockSlices);
+        }, []);
+    },
+
+    /**
+     * Lay one model block out
+     */
+    layoutBlock: function(block, width, ctx) {
+        switch (block.type) {
+            case 'heading':
+            case 'paragraph':
+                return this.layoutParagraph(block, width, ctx);
+            case 'answerLines':
+                return this.layoutAnswerLines(block, width, ctx);
+            case 'list':
+                return this.layoutList(block, width, ctx);
+            case 'table':
+                return this.layoutTable(block, width, ctx);
+            default:
+                return [];
+        }
+    },
+
+    /**
+     * One slice per line of a paragraph; spacing, background and borders of the
+     * paragraph are drawn with its first and last lines
+     */
+    layoutParagraph: function(block, width, ctx) {
+        const style = this.getParagraphStyle(block, ctx);
+        const inset = (style.indent || 0) + (style.padding || 0) + (style.border ? 1 : 0);
+        const tokens = TestsHubPDFText.tokens(ctx.text, this.segments(block.runs, style, ctx));
+        const lines = TestsHubPDFText.breakLines(tokens, width - 2 * inset);
+
+        return lines.map((line, index) => {
+            const box = TestsHubPDFText.lineBox(line, style);
+            const first = index === 0;
+            const last = index === lines.length - 1;
+            const top = first ? (style.before || 0) + (style.padding || 0) : 0;
+            const bottom = last ? (style.padding || 0) + (style.rule ? 1.5 : 0) + (style.after || 0) : 0;
+
+            return {
+                height: top + box.height + bottom,
+                baseline: top + box.ascent,
+                keepWithNext: block.type === 'heading',
+                draw: (x, y) => {
+                    const doc = ctx.doc;
+                    const boxTop = y + (first ? style.before || 0 : 0);
+                    const boxBottom = y + top + box.height + (last ? style.padding || 0 : 0);
+                    const left = x + (style.indent || 0);
+                    const right = x + width - (style.indent || 0);
+
+                    if (style.background) {
+                        doc.setFillColor(style.background);
+                        doc.rect(left, boxTop, right - left, boxBottom - boxTop, 'F');
+                    }
+                    if (style.border) {
+                        doc.setDrawColor(style.border);
+                        doc.setLineWidth(0.7);
+                        const edge = block.dir === 'rtl' ? right : left;
+                        doc.line(edge, boxTop, edge, boxBottom);
+                    }
+                    TestsHubPDFText.drawTokens(ctx.text, line, {
+                        x: x + inset,
+                        y: y + top + box.ascent,
+                        width: width - 2 * inset,
+                        dir: block.dir,
+                        align: style.align
+                    });
+                    if (last && style.rule) {
+                        doc.setDrawColor(style.rule);
+                        doc.setLineWidth(0.35);
+                        doc.line(left, boxBottom + 1, right, boxBottom + 1);
+                    }
+                }
+            };
+        });
+    },
+
+    /**
+     * Dotted lines to answer on paper
+     */
+    layoutAnswerLines: function(block, width, ctx) {
+        const height = this.config.answerLineHeight;
+        return Array.from({ length: block.count }, () => ({
+            height,
+            baseline: height - 1.5,
+            draw: (x, y) => {
+                const doc = ctx.doc;
+                doc.setDrawColor(this.config.colors.answerLine);
+                doc.setLineWidth(0.2);
+                doc.setLineDashPattern([0.4, 0.8], 0);
+                doc.line(x, y + height - 1, x + width, y + height - 1);
+                doc.setLineDashPattern([], 0);
+            }
+        }));
+    },
+
+    /**
+     * Items of a list, indented, with the bullet or number beside their first line
+     */
+    layoutList: function(block, width, ctx) {
+        const indent = this.config.listIndent;
+        const slices = [];
+
+        block.items.forEach((blocks, index) => {
+            const itemSlices = this.layoutBlocks(blocks, width - indent, ctx);
+            if (!itemSlices.length) return;
+            const dir = (blocks[0] && blocks[0].dir) || ctx.dir;
+            const marker = block.ordered ? `${index + 1}.` : '•';
+
+            itemSlices.forEach((slice, position) => slices.push({
+                ...slice,
+                draw: (x, y) => {
+                    slice.draw(dir === 'rtl' ? x : x + indent, y);
+                    if (position > 0) return;
+                    TestsHubPDFText.drawLine(ctx.text, marker, {
+                        x: dir === 'rtl' ? x + width - indent : x,
+                        y: y + (slice.baseline || slice.height * 0.75),
+                        width: indent - 1,
+                        dir,
+                        size: this.config.fontSize * ctx.scale
+                    });
+                }
+            }));
+        });
+        return slices;
+    },
+
+    /**
+     * Rows of a table with their borders; rows joined by merged cells stay together
+     * and header rows are repeated when the table goes on to a new page
+     */
+    layoutTable: function(block, width, ctx) {
+        const padding = this.config.cellPadding;
+        const columnWidth = width / block.columns;
+        const rtl = block.dir === 'rtl';
+
+        // Lay every cell out at the width of the columns it spans
+        const cells = [];
+        block.rows.forEach((row, r) => row.cells.forEach((cell, c) => {
+            if (cell.covered) return;
+            const slices = this.layoutBlocks(cell.blocks, cell.colspan * columnWidth - 2 * padding, ctx);
+            cells.push({ cell, row: r, column: c, slices, height: slices.reduce((total, slice) => total + slice.height, 0) + 2 * padding });
+        }));
+
+        // Each row fits its cells; the last row of a merged cell grows to fit it
+        const heights = block.rows.map(() => this.config.minRowHeight);
+        cells.filter(item => item.cell.rowspan === 1).forEach(item => {
+            heights[item.row] = Math.max(heights[item.row], item.height);
+        });
+        cells.filter(item => item.cell.rowspan > 1).forEach(item => {
+            const end = item.row + item.cell.rowspan - 1;
+            const spanned = heights.slice(item.row, end + 1).reduce((total, height) => total + height, 0);
+            if (item.height > spanned) heights[end] += item.height - spanned;
+        });
+
+        const drawCell = (item, x, y) => {
+            const doc = ctx.doc;
+            const cellWidth = item.cell.colspan * columnWidth;
+            const cellHeight = heights.slice(item.row, item.row + item.cell.rowspan).reduce((total, height) => total + height, 0);
+            const cellX = rtl ? x + width - item.column * columnWidth - cellWidth : x + item.column * columnWidth;
+
+            doc.setDrawColor(this.config.colors.border);
+            doc.setLineWidth(0.2);
+            if (item.cell.heading) doc.setFillColor(this.config.colors.headingCell);
+            doc.rect(cellX, y, cellWidth, cellHeight, item.cell.heading ? 'FD' : 'S');
+
+            let top = y + padding;
+            item.slices.forEach(slice => {
+                slice.draw(cellX + padding, top);
+                top += slice.height;
+            });
+        };
+
+        // Bands of rows that merged cells tie together
+        const slices = [];
+        let start = 0;
+        let end = 0;
+        block.rows.forEach((row, r) => {
+            cells.filter(item => item.row === r).forEach(item => {
+                end = Math.max(end, item.row + item.cell.rowspan - 1);
+            });
+            if (r < end) return;
+
+            const first = start;
+            const offsets = [];
+            let height = 0;
+            for (let i = first; i <= r; i++) {
+                offsets[i] = height;
+                height += heights[i];
+            }
+            const bandCells = cells.filter(item => item.row >= first && item.row <= r);
+            slices.push({
+                height,
+                header: block.rows.slice(first, r + 1).every(bandRow => bandRow.header),
+                draw: (x, y) => bandCells.forEach(item => drawCell(item, x, y + offsets[item.row]))
+            });
+            start = end = r + 1;
+        });
+
+        const headers = slices.filter(slice => slice.header);
+        slices.forEach(slice => {
+            if (!slice.header && headers.length) slice.repeat = headers;
+        });
+        if (slices.length) slices[slices.length - 1].height += 3;
+        return slices;
+    },
+
+    /**
+     * Put the slices on pages: a page break, an exercise or a question that does not fit
+     * (but would on an empty page), a heading that would end a page or a slice that
+     * does not fit starts a new page
+     * @returns {Promise} resolved once every slice is drawn; the browser gets a turn after
+     *   each new page (see pause)
+     */
+    paginate: function(slices, ctx) {
+        const page = ctx.page;
+        const top = page.margin;
+        const bottom = page.height - page.margin;
+        let y = top;
+
+        const fits = height => y + height <= bottom + 0.01;
+        const newPage = () => {
+            ctx.doc.addPage();
+            y = top;
+        };
+        // Height from a slice to the start of the next group of the same or a higher level
+        const groupHeight = (index, level) => {
+            let height = slices[index].height;
+            for (let i = index + 1; i < slices.length; i++) {
+                const slice = slices[i];
+                if (slice.pageBreak || slice.group === 'section' || (level === 'question' && slice.group === 'question')) break;
+                height += slice.height;
+            }
+            return height;
+        };
+
+        const drawSlice = (slice, index) => {
+            const next = slices[index + 1];
+            if (slice.pageBreak && y > top) newPage();
+
+            if (slice.group && y > top) {
+                const levels = slice.group === 'section' ? ['section', 'question'] : ['question'];
+                for (const level of levels) {
+                    const height = groupHeight(index, level);
+                    if (fits(height)) break;
+                    if (height <= bottom - top) {
+                        newPage();
+                        break;
+                    }
+                }
+            }
+            if (y > top && slice.keepWithNext && next && !fits(slice.height + next.height)) newPage();
+            if (y > top && !fits(slice.height)) newPage();
+
+            if (y === top && slice.repeat) {
+                slice.repeat.forEach(header => {
+                    header.draw(page.margin, y);
+                    y += header.height;
+                });
+            }
+            slice.draw(page.margin, y);
+            y += slice.height;
+        };
+
+        let index = 0;
+        const drawFrom = () => {
+            const pages = ctx.doc.internal.getNumberOfPages();
+            while (index < slices.length) {
+                drawSlice(slices[index], index);
+                index++;
+                if (ctx.doc.internal.getNumberOfPages() !== pages) {
+                    return this.pause(ctx, index / slices.length).then(drawFrom);
+                }
+            }
+            return this.pause(ctx, 1);
+        };
+        return drawFrom();
+    },
+
+    /**
+     * Report the pages laid out so far (options.onProgress) and let the browser update the
+     * screen; rejects with an AbortError once options.signal is aborted
+     * @param {number} fraction - part of the test laid out, from 0 to 1
+     */
+    pause: function(ctx, fraction) {
+        if (ctx.signal && ctx.signal.aborted) {
+            return Promise.reject(new DOMException('Export cancelled', 'AbortError'));
+        }
+        if (ctx.onProgress) {
+            ctx.onProgress({ stage: 'layout', page: ctx.doc.internal.getNumberOfPages(), fraction });
+        }
+        return new Promise(resolve => setTimeout(resolve, 0));
+    },
+
+    /**
+     * Page numbers at the bottom of every page
+     */
+    addFooters: function(ctx) {
+        const page = ctx.page;
+        const count = ctx.doc.internal.getNumberOfPages();
+        for (let i = 1; i <= count; i++) {
+            ctx.doc.setPage(i);
+            TestsHubPDFText.drawLine(ctx.text, `Page ${i} of ${count} - Tests Hub`, {
+                x: page.margin,
+                // Inside the bottom margin, however narrow it was chosen
+                y: page.height - Math.min(page.footer, page.margin / 2),
+                width: page.width - 2 * page.margin,
+                align: 'center',
+                size: 8,
+                color: this.config.colors.footer
+            });
+        }
+    },
+
+    /**
+     * Page of an export: the chosen paper and margins, in mm
+     */
+    getPage: function(options = {}) {
+        return TestsHubDocumentModel.pageSetup(this.config.page, options, 10);
+    },
+
+    /**
+     * Read a test page into the document model, at the text width of the chosen page
+     * @param {Object} options - as for build
+     * @returns {Promise<Object>} the document model
+     */
+    readModel: function(options = {}) {
+        const page = this.getPage(options);
+        return TestsHubDocumentModel.extract({
+            ...options,
+            textWidth: (page.width - 2 * page.margin) / 10,
+            imageTypes: this.config.imageTypes
+        });
+    },
+
+    /**
+     * A new jsPDF document with the fonts loaded, and the state the layout shares
+     * @returns {Promise<Object>} { doc, text, page, scale, signal, onProgress }
+     */
+    createDocument: function(options = {}) {
+        const jsPDF = window.jspdf ? window.jspdf.jsPDF : (typeof jspdf !== 'undefined' ? jspdf.jsPDF : null);
+        if (!jsPDF || typeof TestsHubDocumentModel === 'undefined' || typeof TestsHubPDFText === 'undefined') {
+            return Promise.reject(new Error('jsPDF, document-model.js and pdf-text.js must be loaded'));
+        }
+
+        const page = this.getPage(options);
+        const doc = new jsPDF({ orientation: 'portrait', unit: 'mm', format: [page.width, page.height], compress: true });
+        return TestsHubPDFText.prepare(doc).then(text => ({
+            doc,
+            text,
+            page,
+            scale: (options.fontSize || this.config.fontSize) / this.config.fontSize,
+            signal: options.signal,
+            onProgress: options.onProgress
+        }));
+    },
+
+    /**
+     * Lay a document model out from the current page, which must be empty
+     * @param {number} part - position of the test in a bundle, to keep picture names apart
+     * @returns {Promise}
+     */
+    writeModel: function(model, ctx, part = 0) {
+        const modelCtx = { ...ctx, dir: model.dir, part };
+        return this.paginate(this.layoutBlocks(model.blocks, ctx.page.width - 2 * ctx.page.margin, modelCtx), modelCtx);
+    },
+
+    /**
+     * Build a PDF file from a test page
+     * @param {Object} options - { element, title, include, answers, includeCorrection, dir, lang,
+     *   paper, margin (mm), fontSize (pt), signal (AbortSignal), onProgress }; onProgress gets
+     *   { stage: 'reading' | 'layout' | 'saving', page, pages, fraction }
+     * @returns {Promise<Blob>}
+     */
+    build: function(options = {}) {
+        const report = progress => options.onProgress && options.onProgress(progress);
+        return this.createDocument(options).then(ctx => {
+            report({ stage: 'reading' });
+            return this.readModel(options).then(model => this.writeModel(model, ctx).then(() => {
+                const pages = ctx.doc.internal.getNumberOfPages();
+                report({ stage: 'saving', page: pages, pages });
+                this.addFooters(ctx);
+                ctx.doc.setProperties({ title: model.title, creator: 'Tests Hub' });
+                return ctx.doc.output('blob');
+            }));
+        });
+    },
+
+    /**
+     * Title of a bookmark: jsPDF writes bookmark titles byte for byte, so Arabic
+     * and accented titles are given as UTF-16 with a byte order mark
+     */
+    outlineTitle: function(title) {
+        let bytes = '\u00FE\u00FF';
+        for (let i = 0; i < title.length; i++) {
+            const code = title.charCodeAt(i);
+            bytes += String.fromCharCode(code >> 8, code & 0xFF);
+        }
+        return bytes;
+    },
+
+    /**
+     * Place the table of contents: the bundle title, then one entry per test with
+     * the title wrapped beside a column for its page number
+     * @returns {Object} { title, dir, style, pages, entries: [{ page, y, lines, lineHeight }] }
+     */
+    layoutContents: function(models, title, dir, ctx) {
+        const page = ctx.page;
+        const width = page.width - 2 * page.margin;
+        const style = { size: this.config.fontSize * ctx.scale };
+        const lineHeight = style.size * TestsHubPDFText.pt * 1.4;
+        const bottom = page.height - page.margin;
+        let current = 1;
+        let y = page.margin + this.config.headingSizes[1] * ctx.scale * TestsHubPDFText.pt * 2.5;
+
+        const entries = models.map(model => {
+            const lines = TestsHubPDFText.wrap(ctx.text, model.title, width - this.config.contentsNumberWidth, style);
+            const height = lines.length * lineHeight + 2;
+            if (y + height > bottom) {
+                current++;
+                y = page.margin;
+            }
+            const entry = { page: current, y, lines, lineHeight };
+            y += height;
+            return entry;
+        });
+        return { title, dir, style, entries, pages: current };
+    },
+
+    /**
+     * Draw the table of contents on its pages, each entry linked to its test
+     */
+    drawContents: function(contents, starts, ctx) {
+        const page = ctx.page;
+        const width = page.width - 2 * page.margin;
+        const numberWidth = this.config.contentsNumberWidth;
+        const rtl = contents.dir === 'rtl';
+
+        ctx.doc.setPage(1);
+        TestsHubPDFText.drawLine(ctx.text, contents.title, {
+            x: page.margin,
+            y: page.margin + this.config.headingSizes[1] * ctx.scale * TestsHubPDFText.pt,
+            width,
+            dir: contents.dir,
+            align: 'center',
+            size: this.config.headingSizes[1] * ctx.scale,
+            bold: true,
+            color: this.config.colors.heading
+        });
+
+        contents.entries.forEach((entry, index) => {
+            ctx.doc.setPage(entry.page);
+            entry.lines.forEach((line, position) => {
+                const baseline = entry.y + (position + 0.8) * entry.lineHeight;
+                TestsHubPDFText.drawLine(ctx.text, line, {
+                    x: rtl ? page.margin + numberWidth : page.margin,
+                    y: baseline,
+                    width: width - numberWidth,
+                    dir: contents.dir,
+                    ...contents.style
+                });
+                if (position > 0) return;
+                TestsHubPDFText.drawLine(ctx.text, String(starts[index]), {
+                    x: rtl ? page.margin : page.margin + width - numberWidth,
+                    y: baseline,
+                    width: numberWidth,
+                    dir: contents.dir,
+                    align: 'end',
+                    ...contents.style
+                });
+            });
+            ctx.doc.link(page.margin, entry.y, width, entry.lines.length * entry.lineHeight, { pageNumber: starts[index] });
+        });
+    },
+
+    /**
+     * Build one PDF from several tests: a table of contents linked to the tests,
+     * each test from a new page, and a bookmark per test
+     * @param {Object[]} models - document models of the tests (readModel), in order
+     * @param {Object} options - { title, dir, paper, margin (mm), fontSize (pt), signal, onProgress }
+     * @returns {Promise<Blob>}
+     */
+    buildBundle: function(models, options = {}) {
+        return this.createDocument(options).then(ctx => {
+            const title = options.title || 'Tests Hub';
+            const dir = options.dir || (models.length ? models[0].dir : 'ltr');
+            const contents = this.layoutContents(models, title, dir, ctx);
+            for (let i = 1; i < contents.pages; i++) ctx.doc.addPage();
+
+            // One test after the other, each from a new page
+            const starts = [];
+            return models.reduce((previous, model, index) => previous.then(() => {
+                ctx.doc.addPage();
+                starts.push(ctx.doc.internal.getNumberOfPages());
+                return this.writeModel(model, ctx, index + 1);
+            }), Promise.resolve()).then(() => ({ ctx, title, contents, starts }));
+        }).then(({ ctx, title, contents, starts }) => {
+            this.drawContents(contents, starts, ctx);
+            if (ctx.doc.outline) {
+                models.forEach((model, index) => {
+                    ctx.doc.outline.add(null, this.outlineTitle(model.title), { pageNumber: starts[index] });
+                });
+            }
+            this.addFooters(ctx);
+            ctx.doc.setProperties({ title, creator: 'Tests Hub' });
+            return ctx.doc.output('blob');
+        });
+    }
+};
+
+// Make it globally available
+window.TestsHubPDFWriter = TestsHubPDFWriter;
@@ -0,0 +1,532 @@
+/**
+ * Tests Hub - Practice Mode
+ * Keeps the correction locked until the student submits their answers, then
+ * shows the correction exercise by exercise next to the student's answers,
+ * marked right or wrong where the page has an answer key.
+ * Turned on by a link with ?practice, by data-practice-mode on the <body>,
+ * and after every timed exam (exam-mode.js).
+ */
+
+const TestsHubPracticeMode = {
+
+    // Configuration
+    config: {
+        param: 'practice',
+        storagePrefix: 'testsHubPractice:',
+        toggleSelector: '#toggleCorrection, #toggleCorrectionBtn',
+        correctionSelector: '#correction, #correction-section',
+        // Exercise blocks: the classic layout, then the card layout's plain <section>s
+        sectionSelector: '.Tests-Hub-test-section, .Tests-Hub-card > section',
+        excludeSelector: '#correction, #correction-section, .Tests-Hub-test-header, .Tests-Hub-presentation-card',
+        headingSelector: 'h2, h3',
+        partHeadingSelector: 'h3'
+    },
+
+    // UI strings, picked from the page's current language
+    translations: {
+        ar: {
+            submit: 'تسليم الإجابات',
+            confirmSubmit: 'هل تريد تسليم إجاباتك الآن؟ سيتم قفلها وعرض التصحيح.',
+            correctionLocked: 'يُفتح التصحيح بعد تسليم الإجابات',
+            correction: 'التصحيح',
+            show: 'عرض تصحيح هذا التمرين',
+            hide: 'إخفاء التصحيح',
+            retry: 'إعادة المحاولة',
+            confirmRetry: 'إعادة المحاولة؟ تبقى إجاباتك ويُقفل التصحيح من جديد.'
+        },
+        fr: {
+            submit: 'Rendre ma copie',
+            confirmSubmit: 'Rendre vos réponses maintenant ? Elles seront verrouillées et la correction affichée.',
+            correctionLocked: 'La correction sera disponible après avoir rendu la copie',
+            correction: 'Correction',
+            show: 'Voir la correction de cet exercice',
+            hide: 'Masquer la correction',
+            retry: 'Recommencer',
+            confirmRetry: 'Recommencer ? Vos réponses sont conservées et la correction est de nouveau verrouillée.'
+        },
+        en: {
+            submit: 'Submit my answers',
+            confirmSubmit: 'Submit your answers now? They will be locked and the correction shown.',
+            correctionLocked: 'The correction unlocks once you submit your answers',
+            correction: 'Correction',
+            show: 'Show the correction of this exercise',
+            hide: 'Hide the correction',
+            retry: 'Try again',
+            confirmRetry: 'Try again? Your answers are kept and the correction is locked again.'
+        }
+    },
+
+    // Ordinal words in exercise headings ("التمرين الثاني", "Exercice premier"), folded by normalize()
+    ordinals: {
+        'الاول': 1, 'الثاني': 2, 'الثالث': 3, 'الرابع': 4, 'الخامس': 5, 'السادس': 6,
+        premier: 1, deuxieme: 2, troisieme: 3, quatrieme: 4, cinquieme: 5,
+        first: 1, second: 2, third: 3, fourth: 4, fifth: 5
+    },
+
+    testId: null,
+    enabled: false,
+    state: null,
+    result: null,
+
+    /**
+     * Get the page's current UI language
+     */
+    getLanguage: function() {
+        return TestsHubPage.getLanguage(this.translations);
+    },
+
+    /**
+     * Translate a UI string
+     */
+    t: function(key) {
+        return TestsHubPage.translate(this.translations, key);
+    },
+
+    /**
+     * Practice state of the test, kept across reloads: { practice, submittedAt }
+     */
+    loadState: function() {
+        try {
+            return JSON.parse(localStorage.getItem(this.config.storagePrefix + this.testId));
+        } catch (error) {
+            return null;
+        }
+    },
+
+    saveState: function() {
+        localStorage.setItem(this.config.storagePrefix + this.testId, JSON.stringify(this.state));
+    },
+
+    /**
+     * Fold a heading for comparison: lower case, no accents or diacritics,
+     * no "(4 points)", no punctuation
+     */
+    normalize: function(text) {
+        return String(text || '')
+            .normalize('NFKD')
+            .toLowerCase()
+            .replace(/[\u0300-\u036f\u064b-\u065f\u0670]/g, '')
+            .replace(/\([^)]*\)/g, ' ')
+            .replace(/[^\p{L}\p{N}]+/gu, ' ')
+            .trim();
+    },
+
+    /**
+     * What a heading numbers: "I- Compréhension" -> r:i, "التمرين الثاني" -> e:2,
+     * "الجزء الأول" -> p:1, "1) ..." -> n:1
+     * @returns {string|null}
+     */
+    identify: function(heading) {
+        const text = this.normalize(heading);
+        const number = word => /^\d+$/.test(word) ? Number(word) : this.ordinals[word];
+        let match;
+        if ((match = /^(?:partie |part )?([ivx]+) /.exec(`${text} `))) return `r:${match[1]}`;
+        if ((match = /(?:تمرين|exercice|exercise|ex) (?:(?:n|no|رقم|عدد) ?)?(\S+)/.exec(text)) && number(match[1])) return `e:${number(match[1])}`;
+        if ((match = /(?:الجزء|القسم) (\S+)/.exec(text)) && number(match[1])) return `p:${number(match[1])}`;
+        if ((match = /^(\d+) /.exec(`${text} `))) return `n:${match[1]}`;
+        return null;
+    },
+
+    /**
+     * Exercise blocks of the test (not the header, the instructions or the correction)
+     */
+    getSections: function() {
+        return Array.from(document.querySelectorAll(this.config.sectionSelector))
+            .filter(section => !section.closest(this.config.excludeSelector) && !section.parentNode.closest(this.config.sectionSelector))
+            .map(section => {
+                const heading = section.querySelector(this.config.headingSelector);
+                return {
+                    element: section,
+                    heading: heading ? heading.textContent : '',
+                    id: heading ? this.identify(heading.textContent) : null,
+                    hasFields: !!section.querySelector('input, textarea, select')
+                };
+            });
+    },
+
+    /**
+     * Split the correction at its exercise headings; without headings, each
+     * block of the correction is a part named by its first words ("التمرين 1:")
+     * @returns {Object[]} { heading, id, nodes }
+     */
+    getCorrectionParts: function() {
+        const correction = document.querySelector(this.config.correctionSelector);
+        if (!correction) return [];
+
+        const headings = Array.from(correction.querySelectorAll(this.config.partHeadingSelector));
+        if (!headings.length) {
+            return Array.from(correction.children)
+                .filter(block => !/^H[12]$/.test(block.tagName) && block.textContent.trim())
+                .map(block => {
+                    const heading = block.textContent.trim().split('\n')[0].slice(0, 80);
+                    return { heading, id: this.identify(heading), nodes: [block] };
+                });
+        }
+
+        return headings.map(heading => {
+            const nodes = [heading];
+            let next = heading.nextElementSibling;
+            while (next && !next.matches(this.config.partHeadingSelector)) {
+                nodes.push(next);
+                next = next.nextElementSibling;
+            }
+            return { heading: heading.textContent, id: this.identify(heading.textContent), nodes };
+        });
+    },
+
+    /**
+     * Pair correction parts with exercise blocks: by numbering ("II-", "Exercice 2"),
+     * else in order when there are as many parts as blocks with answer fields,
+     * else all of them with the only block that has answer fields (an essay subject).
+     * A part that matches nothing joins the part before it ("الصرف" after "الجزء الثاني").
+     * @returns {Map<Element, Object[]>} Exercise block -> correction parts
+     */
+    matchParts: function(parts, sections) {
+        const pairs = new Map();
+        let previous = null;
+
+        parts.forEach(part => {
+            const section = part.id && sections.find(candidate => candidate.id === part.id);
+            if (section) {
+                if (!pairs.has(section.element)) pairs.set(section.element, []);
+                pairs.get(section.element).push(part);
+                previous = section.element;
+            } else if (previous) {
+                pairs.get(previous).push(part);
+            }
+        });
+        if (pairs.size) return pairs;
+
+        const answerable = sections.filter(section => section.hasFields);
+        if (answerable.length && answerable.length === parts.length) {
+            answerable.forEach((section, index) => pairs.set(section.element, [parts[index]]));
+        } else if (answerable.length === 1 && parts.length) {
+            pairs.set(answerable[0].element, parts);
+        }
+        return pairs;
+    },
+
+    /**
+     * Copy correction nodes for the side panel (ids dropped, canvas drawings kept)
+     */
+    cloneNodes: function(nodes) {
+        const fragment = document.createDocumentFragment();
+        nodes.forEach(node => {
+            const clone = node.cloneNode(true);
+            const sources = node.tagName === 'CANVAS' ? [node] : Array.from(node.querySelectorAll('canvas'));
+            const copies = clone.tagName === 'CANVAS' ? [clone] : Array.from(clone.querySelectorAll('canvas'));
+            copies.forEach((canvas, index) => {
+                try {
+                    canvas.getContext('2d').drawImage(sources[index], 0, 0);
+                } catch (error) {
+                    // An empty canvas only loses the figure
+                }
+            });
+            clone.removeAttribute('id');
+            clone.querySelectorAll('[id]').forEach(element => element.removeAttribute('id'));
+            fragment.appendChild(clone);
+        });
+        return fragment;
+    },
+
+    /**
+     * Lock or unlock the correction toggle and the "check my answers" button
+     */
+    setCorrectionLocked: function(locked) {
+        const toggle = document.querySelector(this.config.toggleSelector);
+        if (toggle) {
+            const correction = document.querySelector(this.config.correctionSelector);
+            if (locked && correction && !correction.classList.contains('Tests-Hub-hidden') && window.getComputedStyle(correction).display !== 'none') {
+                toggle.click();
+            }
+            toggle.disabled = locked;
+            toggle.title = locked ? this.t('correctionLocked') : '';
+        }
+        const check = document.getElementById('checkAnswers');
+        if (check) check.disabled = locked;
+    },
+
+    /**
+     * Lock or unlock the answer fields
+     */
+    setFieldsLocked: function(locked) {
+        if (locked) {
+            const fields = window.TestsHubAnswerStorage ? window.TestsHubAnswerStorage.getFields() : [];
+            fields.forEach(field => {
+                if (field.disabled) return;
+                field.disabled = true;
+                field.dataset.reviewLocked = 'true';
+            });
+        } else {
+            document.querySelectorAll('[data-review-locked]').forEach(field => {
+                field.disabled = false;
+                delete field.dataset.reviewLocked;
+            });
+        }
+    },
+
+    /**
+     * Submit the answers: lock them, grade them, show the review
+     */
+    submit: function() {
+        if (window.TestsHubAnswerStorage && window.TestsHubAnswerStorage.testId) {
+            window.TestsHubAnswerStorage.save();
+        }
+        this.state = { practice: this.enabled, submittedAt: Date.now() };
+        this.saveState();
+        this.setFieldsLocked(true);
+        this.showReview();
+        document.dispatchEvent(new CustomEvent('testshub:answers-submitted', { detail: { ...this.state } }));
+    },
+
+    /**
+     * Grade the page if it has an answer key and put the correction next to each exercise
+     */
+    showReview: function() {
+        this.setCorrectionLocked(false);
+        this.updateButtons();
+
+        const engine = window.TestsHubScoringEngine;
+        this.result = engine && engine.answerKey ? engine.grade() : null;
+        if (this.result) engine.renderResults(this.result);
+
+        if (document.querySelector('.Tests-Hub-review-pair')) {
+            this.updateScores();
+            return;
+        }
+
+        const pairs = this.matchParts(this.getCorrectionParts(), this.getSections());
+        pairs.forEach((parts, section) => {
+            const pair = document.createElement('div');
+            pair.className = 'Tests-Hub-review-pair';
+            section.parentNode.insertBefore(pair, section);
+            pair.appendChild(section);
+
+            const panel = document.createElement('div');
+            panel.className = 'Tests-Hub-review-correction';
+            panel.innerHTML = `
+                <div class="Tests-Hub-review-header">
+                    <span class="Tests-Hub-review-title"></span>
+                    <span class="Tests-Hub-review-score" hidden></span>
+                </div>
+                <button type="button" class="Tests-Hub-review-toggle"></button>
+                <div class="Tests-Hub-review-content" hidden></div>
+            `;
+            parts.forEach(part => panel.querySelector('.Tests-Hub-review-content').appendChild(this.cloneNodes(part.nodes)));
+            panel.querySelector('.Tests-Hub-review-toggle').addEventListener('click', () => {
+                const content = panel.querySelector('.Tests-Hub-review-content');
+                content.hidden = !content.hidden;
+                this.updateLabels();
+            });
+            pair.appendChild(panel);
+        });
+
+        this.updateScores();
+        this.updateLabels();
+    },
+
+    /**
+     * Show each exercise's score in its correction panel
+     */
+    updateScores: function() {
+        const format = value => String(value).replace('.', this.getLanguage() === 'en' ? '.' : ',');
+        document.querySelectorAll('.Tests-Hub-review-pair').forEach(pair => {
+            const badge = pair.querySelector('.Tests-Hub-review-score');
+            const section = this.result && this.result.sections.find(item => pair.contains(item.element));
+            badge.hidden = !section || !section.autoMax;
+            if (section) badge.textContent = `${format(section.earned)} / ${format(section.autoMax)}`;
+        });
+    },
+
+    /**
+     * Put the exercises back in place and unlock the answers
+     */
+    clearReview: function() {
+        document.querySelectorAll('.Tests-Hub-review-pair').forEach(pair => {
+            const section = pair.firstElementChild;
+            pair.parentNode.insertBefore(section, pair);
+            pair.remove();
+        });
+        const panel = document.getElementById('scorePanel');
+        if (panel) panel.remove();
+        if (window.TestsHubScoringEngine) window.TestsHubScoringEngine.clearMarks();
+        this.result = null;
+        this.setFieldsLocked(false);
+    },
+
+    /**
+     * Take the test again: keep the answers, drop the review, lock the correction
+     */
+    retry: function() {
+        this.clearReview();
+        this.state = { practice: true, submittedAt: null };
+        this.saveState();
+        this.setCorrectionLocked(true);
+        this.updateButtons();
+    },
+
+    /**
+     * Back to the state before an exam: practice flow if the page asks for it, else none
+     */
+    reset: function() {
+        this.clearReview();
+        if (this.enabled) {
+            this.retry();
+        } else {
+            this.state = null;
+            localStorage.removeItem(this.config.storagePrefix + this.testId);
+        }
+    },
+
+    /**
+     * Show "Submit" before submission and "Try again" after; a timed exam has its own Submit
+     */
+    updateButtons: function() {
+        const submitted = !!(this.state && this.state.submittedAt);
+        const exam = window.TestsHubExamMode && window.TestsHubExamMode.exam;
+        const submit = document.getElementById('submitAnswers');
+        const retry = document.getElementById('retryTest');
+        if (submit) submit.hidden = submitted || !!(exam && !exam.finishedAt);
+        if (retry) retry.hidden = !submitted;
+    },
+
+    /**
+     * Add the Submit and Try again buttons next to the correction toggle
+     */
+    addButtons: function() {
+        if (document.getElementById('submitAnswers')) return;
+
+        const toggle = document.querySelector(this.config.toggleSelector);
+        [
+            ['submitAnswers', 'submit', () => {
+                if (window.confirm(this.t('confirmSubmit'))) this.submit();
+            }],
+            ['retryTest', 'retry', () => {
+                if (window.confirm(this.t('confirmRetry'))) this.retry();
+            }]
+        ].forEach(([id, key, onClick]) => {
+            const button = document.createElement('button');
+            button.id = id;
+            button.type = 'button';
+            button.className = toggle ? toggle.className : 'Tests-Hub-toggle-button';
+            button.classList.add('Tests-Hub-practice-button');
+            button.dataset.label = key;
+            button.textContent = this.t(key);
+            button.addEventListener('click', onClick);
+
+            if (toggle) {
+                toggle.parentNode.insertBefore(button, toggle);
+            } else {
+                (document.querySelector('.Tests-Hub-main-container, .Tests-Hub-content-container') || document.body).appendChild(button);
+            }
+        });
+        this.updateButtons();
+    },
+
+    /**
+     * Refresh labels when the page language changes
+     */
+    updateLabels: function() {
+        document.querySelectorAll('.Tests-Hub-practice-button').forEach(button => {
+            button.textContent = this.t(button.dataset.label);
+        });
+        document.querySelectorAll('.Tests-Hub-review-correction').forEach(panel => {
+            panel.querySelector('.Tests-Hub-review-title').textContent = this.t('correction');
+            panel.querySelector('.Tests-Hub-review-toggle').textContent = panel.querySelector('.Tests-Hub-review-content').hidden ? this.t('show') : this.t('hide');
+        });
+        if (this.state && !this.state.submittedAt) this.setCorrectionLocked(true);
+        this.updateScores();
+    },
+
+    /**
+     * Add the styles of the review
+     */
+    injectStyles: function() {
+        if (document.getElementById('practice-mode-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'practice-mode-styles';
+        style.textContent = `
+            .Tests-Hub-practice-button { margin: 0 8px; }
+            .Tests-Hub-review-pair { display: grid; grid-template-columns: minmax(0, 3fr) minmax(0, 2fr); gap: 16px; align-items: start; margin-bottom: 20px; }
+            .Tests-Hub-review-pair > :first-child { margin-bottom: 0; }
+            .Tests-Hub-review-correction { position: sticky; top: 12px; max-height: calc(100vh - 24px); overflow-y: auto; padding: 14px 16px; border-radius: 10px; border: 1px solid #2E8B57; background: rgba(46, 139, 87, 0.06); }
+            .Tests-Hub-review-header { display: flex; justify-content: space-between; align-items: center; gap: 8px; margin-bottom: 8px; font-weight: 700; color: #2E8B57; }
+            .Tests-Hub-review-score { padding: 2px 10px; border-radius: 12px; background: #2E8B57; color: white; direction: ltr; white-space: nowrap; }
+            .Tests-Hub-review-toggle { border: 1px solid #2E8B57; background: transparent; color: #2E8B57; padding: 4px 12px; border-radius: 16px; cursor: pointer; font: inherit; }
+            .Tests-Hub-review-content { margin-top: 10px; }
+            [data-review-locked] { cursor: not-allowed; }
+            button:disabled#toggleCorrection, button:disabled#toggleCorrectionBtn, button:disabled#checkAnswers { opacity: 0.5; cursor: not-allowed; }
+            @media (max-width: 900px) { .Tests-Hub-review-pair { grid-template-columns: 1fr; } .Tests-Hub-review-correction { position: static; max-height: none; } }
+            @media print { .Tests-Hub-practice-button, .Tests-Hub-review-toggle { display: none !important; } }
+        `;
+        document.head.appendChild(style);
+    },
+
+    /**
+     * Start the practice flow, or show the review of a submitted test
+     */
+    setup: function() {
+        this.enabled = new URLSearchParams(window.location.search).has(this.config.param) || document.body.hasAttribute('data-practice-mode');
+        this.state = this.loadState();
+        // A link with ?practice keeps the test in practice mode on later visits
+        if (this.state && this.state.practice) this.enabled = true;
+        if (!this.state && this.enabled) {
+            this.state = { practice: true, submittedAt: null };
+            this.saveState();
+        }
+
+        // A timed exam ends in the same review
+        document.addEventListener('testshub:exam-finished', () => {
+            this.injectStyles();
+            this.state = { practice: this.enabled, submittedAt: Date.now() };
+            this.saveState();
+            this.showReview();
+        });
+        document.addEventListener('testshub:exam-started', () => {
+            this.reset();
+            this.updateButtons();
+        });
+        document.addEventListener('testshub:exam-exited', () => this.reset());
+
+        if (!this.state) return;
+
+        this.injectStyles();
+        if (this.enabled) this.addButtons();
+
+        TestsHubPage.onLanguageChange(() => this.updateLabels());
+
+        if (this.state.submittedAt) {
+            this.setFieldsLocked(true);
+            // Grade what the student wrote, once it is back in the fields
+            const restored = window.TestsHubAnswerStorage && window.TestsHubAnswerStorage.restoreRequest;
+            Promise.resolve(restored).then(() => this.showReview());
+        } else {
+            this.setCorrectionLocked(true);
+        }
+        console.log('Tests Hub Practice Mode initialized');
+    },
+
+    /**
+     * Initialize on a test page; test.html builds its content after loading the test
+     */
+    init: function() {
+        this.testId = TestsHubPage.getTestId();
+        if (!/^test_/.test(this.testId)) return;
+        if (document.getElementById('testRoot') && !document.querySelector(this.config.correctionSelector + ' > *')) {
+            document.addEventListener('testshub:rendered', () => this.setup(), { once: true });
+        } else {
+            this.setup();
+        }
+    }
+};
+
+// Auto-initialize when DOM is ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => TestsHubPracticeMode.init());
+} else {
+    TestsHubPracticeMode.init();
+}
+
+// Make it globally available
+window.TestsHubPracticeMode = TestsHubPracticeMode;
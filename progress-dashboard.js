@@ -0,0 +1,503 @@
+/**
+ * Tests Hub - Progress Dashboard
+ * Lists every test of catalog.json with what the student did on it (status,
+ * last score, time spent, last visit), from the progress records kept by
+ * answer-storage.js. Grouped by year, subject and trimester like the home pages.
+ */
+
+const TestsHubProgressDashboard = {
+
+    // Configuration
+    config: {
+        catalogUrl: 'catalog.json',
+        rootId: 'progressRoot',
+        // Averages are shown on the scale of the Tunisian mark sheet
+        scale: 20
+    },
+
+    // UI strings, picked from the page's current language
+    translations: {
+        ar: {
+            loading: 'جارٍ تحميل التقدّم...',
+            loadFailed: 'تعذر تحميل قائمة الاختبارات.',
+            summaryTests: 'اختبار',
+            summaryStarted: 'بدأت',
+            summaryCompleted: 'أنهيت',
+            summaryAverage: 'المعدل',
+            summaryTime: 'الوقت الإجمالي',
+            average: 'المعدل',
+            scored: 'مُقيّم',
+            test: 'الاختبار',
+            status: 'الحالة',
+            score: 'آخر عدد',
+            time: 'الوقت',
+            date: 'التاريخ',
+            notStarted: 'لم يبدأ',
+            inProgress: 'قيد الإنجاز',
+            completed: 'مكتمل',
+            none: '—',
+            lessThanMinute: 'أقل من دقيقة',
+            hours: 'س',
+            minutes: 'د',
+            type1: 'فرض مراقبة',
+            type2: 'فرض تأليفي',
+            trimesters: { 1: 'الثلاثي الأول', 2: 'الثلاثي الثاني', 3: 'الثلاثي الثالث' },
+            levels: {
+                '7th': 'السنة السابعة أساسي',
+                '8th': 'السنة الثامنة أساسي',
+                '9th': 'السنة التاسعة أساسي',
+                '1st-secondary': 'السنة الأولى ثانوي',
+                '2nd-secondary': 'السنة الثانية ثانوي',
+                '3rd-secondary': 'السنة الثالثة ثانوي',
+                '4th-secondary': 'السنة الرابعة ثانوي'
+            },
+            subjects: {
+                arabic: 'اللغة العربية',
+                french: 'اللغة الفرنسية',
+                english: 'اللغة الإنجليزية',
+                maths: 'الرياضيات',
+                physics: 'العلوم الفيزيائية',
+                naturalSciences: 'علوم الحياة والأرض',
+                history: 'التاريخ',
+                geography: 'الجغرافيا',
+                islamic: 'التربية الإسلامية',
+                civicEducation: 'التربية المدنية',
+                technology: 'التكنولوجيا',
+                philosophy: 'الفلسفة'
+            }
+        },
+        fr: {
+            loading: 'Chargement de la progression...',
+            loadFailed: 'Impossible de charger la liste des tests.',
+            summaryTests: 'tests',
+            summaryStarted: 'commencés',
+            summaryCompleted: 'terminés',
+            summaryAverage: 'Moyenne',
+            summaryTime: 'Temps total',
+            average: 'Moyenne',
+            scored: 'noté(s)',
+            test: 'Test',
+            status: 'État',
+            score: 'Dernière note',
+            time: 'Temps',
+            date: 'Date',
+            notStarted: 'Non commencé',
+            inProgress: 'En cours',
+            completed: 'Terminé',
+            none: '—',
+            lessThanMinute: "moins d'une minute",
+            hours: 'h',
+            minutes: 'min',
+            type1: 'Devoir de contrôle',
+            type2: 'Devoir de synthèse',
+            trimesters: { 1: 'Premier Trimestre', 2: 'Deuxième Trimestre', 3: 'Troisième Trimestre' },
+            levels: {
+                '7th': '7ème Année de base',
+                '8th': '8ème Année de base',
+                '9th': '9ème Année de base',
+                '1st-secondary': '1ère Année secondaire',
+                '2nd-secondary': '2ème Année secondaire',
+                '3rd-secondary': '3ème Année secondaire',
+                '4th-secondary': '4ème Année secondaire'
+            },
+            subjects: {
+                arabic: 'Langue Arabe',
+                french: 'Langue Française',
+                english: 'Langue Anglaise',
+                maths: 'Mathématiques',
+                physics: 'Sciences Physiques',
+                naturalSciences: 'Sciences de la Vie et de la Terre',
+                history: 'Histoire',
+                geography: 'Géographie',
+                islamic: 'Éducation Islamique',
+                civicEducation: 'Éducation Civique',
+                technology: 'Technologie',
+                philosophy: 'Philosophie'
+            }
+        },
+        en: {
+            loading: 'Loading your progress...',
+            loadFailed: 'The list of tests could not be loaded.',
+            summaryTests: 'tests',
+            summaryStarted: 'started',
+            summaryCompleted: 'completed',
+            summaryAverage: 'Average',
+            summaryTime: 'Total time',
+            average: 'Average',
+            scored: 'scored',
+            test: 'Test',
+            status: 'Status',
+            score: 'Last score',
+            time: 'Time spent',
+            date: 'Date',
+            notStarted: 'Not started',
+            inProgress: 'In progress',
+            completed: 'Completed',
+            none: '—',
+            lessThanMinute: 'less than a minute',
+            hours: 'h',
+            minutes: 'min',
+            type1: 'Mid-term test',
+            type2: 'End-of-term test',
+            trimesters: { 1: 'First Trimester', 2: 'Second Trimester', 3: 'Third Trimester' },
+            levels: {
+                '7th': '7th Year',
+                '8th': '8th Year',
+                '9th': '9th Year',
+                '1st-secondary': '1st Year Secondary',
+                '2nd-secondary': '2nd Year Secondary',
+                '3rd-secondary': '3rd Year Secondary',
+                '4th-secondary': '4th Year Secondary'
+            },
+            subjects: {
+                arabic: 'Arabic Language',
+                french: 'French Language',
+                english: 'English Language',
+                maths: 'Mathematics',
+                physics: 'Physical Sciences',
+                naturalSciences: 'Natural Sciences',
+                history: 'History',
+                geography: 'Geography',
+                islamic: 'Islamic Education',
+                civicEducation: 'Civic Education',
+                technology: 'Technology',
+                philosophy: 'Philosophy'
+            }
+        }
+    },
+
+    catalog: null,
+    progress: null,
+    root: null,
+
+    /**
+     * Get the page's current UI language
+     */
+    getLanguage: function() {
+        return TestsHubPage.getLanguage(this.translations);
+    },
+
+    /**
+     * Translate a UI string
+     */
+    t: function(key) {
+        return TestsHubPage.translate(this.translations, key);
+    },
+
+    /**
+     * Create an element with a class name and optional text
+     */
+    createElement: function(tag, className, text) {
+        const element = document.createElement(tag);
+        if (className) element.className = className;
+        if (text !== undefined) element.textContent = text;
+        return element;
+    },
+
+    /**
+     * Fetch the catalog and read the progress records
+     * @returns {Promise<void>}
+     */
+    load: function() {
+        const catalog = fetch(this.config.catalogUrl)
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.json();
+            });
+        const progress = window.TestsHubAnswerStorage
+            ? TestsHubAnswerStorage.getAll(TestsHubAnswerStorage.config.progressStoreName).catch(error => {
+                console.warn('Progress records could not be read:', error);
+                return [];
+            })
+            : Promise.resolve([]);
+
+        return Promise.all([catalog, progress]).then(([data, records]) => {
+            this.catalog = data.tests || [];
+            this.progress = new Map(records.map(record => [record.testId, record]));
+        });
+    },
+
+    /**
+     * Progress record of a catalog entry (records are keyed by page id, test_<id>)
+     */
+    getRecord: function(test) {
+        return this.progress.get(`test_${test.id}`) || null;
+    },
+
+    /**
+     * not-started, in-progress or completed
+     */
+    getStatus: function(record) {
+        // Older versions also kept a record for tests only opened, with nothing answered
+        if (!record || (record.status !== 'completed' && !record.answered && !record.examFinishedAt)) return 'not-started';
+        return record.status === 'completed' ? 'completed' : 'in-progress';
+    },
+
+    /**
+     * Score of a record on the dashboard scale, or null when never graded
+     */
+    getMark: function(record) {
+        if (!record || typeof record.score !== 'number' || !record.maxScore) return null;
+        return record.score / record.maxScore * this.config.scale;
+    },
+
+    /**
+     * Format a number the way the test pages do ("13,5" in Arabic and French)
+     */
+    formatNumber: function(value) {
+        const text = String(Math.round(value * 100) / 100);
+        return this.getLanguage() === 'en' ? text : text.replace('.', ',');
+    },
+
+    /**
+     * "13,5/20"
+     */
+    formatMark: function(mark) {
+        return mark === null ? this.t('none') : `${this.formatNumber(mark)}/${this.config.scale}`;
+    },
+
+    /**
+     * "1 h 05 min", "12 min"
+     */
+    formatDuration: function(ms) {
+        if (!ms) return this.t('none');
+        const minutes = Math.floor(ms / 60000);
+        if (!minutes) return this.t('lessThanMinute');
+        const hours = Math.floor(minutes / 60);
+        if (!hours) return `${minutes} ${this.t('minutes')}`;
+        return `${hours} ${this.t('hours')} ${String(minutes % 60).padStart(2, '0')} ${this.t('minutes')}`;
+    },
+
+    /**
+     * Date in the page language
+     */
+    formatDate: function(timestamp) {
+        if (!timestamp) return this.t('none');
+        const lang = this.getLanguage();
+        return new Date(timestamp).toLocaleDateString(lang === 'ar' ? 'ar-TN' : lang, {
+            day: 'numeric',
+            month: 'short',
+            year: 'numeric'
+        });
+    },
+
+    /**
+     * Totals of a list of catalog entries
+     * @returns {Object} { tests, started, completed, scored, average, time }
+     */
+    summarize: function(tests) {
+        const stats = { tests: tests.length, started: 0, completed: 0, scored: 0, average: null, time: 0 };
+        let total = 0;
+        tests.forEach(test => {
+            const record = this.getRecord(test);
+            const status = this.getStatus(record);
+            if (status === 'not-started') return;
+            stats.started++;
+            if (status === 'completed') stats.completed++;
+            stats.time += record.timeSpent || 0;
+            const mark = this.getMark(record);
+            if (mark !== null) {
+                stats.scored++;
+                total += mark;
+            }
+        });
+        if (stats.scored) stats.average = total / stats.scored;
+        return stats;
+    },
+
+    /**
+     * Catalog entries by level, subject, then trimester, in catalog order
+     */
+    group: function(tests) {
+        const levels = new Map();
+        tests.forEach(test => {
+            if (!levels.has(test.level)) levels.set(test.level, new Map());
+            const subjects = levels.get(test.level);
+            if (!subjects.has(test.subject)) subjects.set(test.subject, new Map());
+            const trimesters = subjects.get(test.subject);
+            if (!trimesters.has(test.trimester)) trimesters.set(test.trimester, []);
+            trimesters.get(test.trimester).push(test);
+        });
+        return levels;
+    },
+
+    /**
+     * Totals over the whole catalog
+     */
+    renderSummary: function(stats) {
+        const summary = this.createElement('div', 'Tests-Hub-progress-summary');
+        [
+            [stats.tests, this.t('summaryTests')],
+            [stats.started, this.t('summaryStarted')],
+            [stats.completed, this.t('summaryCompleted')],
+            [this.formatMark(stats.average), this.t('summaryAverage')],
+            [this.formatDuration(stats.time), this.t('summaryTime')]
+        ].forEach(([value, label]) => {
+            const item = this.createElement('div', 'Tests-Hub-progress-stat');
+            item.appendChild(this.createElement('div', 'Tests-Hub-progress-stat-value', String(value)));
+            item.appendChild(this.createElement('div', 'Tests-Hub-progress-stat-label', label));
+            summary.appendChild(item);
+        });
+        return summary;
+    },
+
+    /**
+     * One table row per test
+     */
+    renderRow: function(test) {
+        const record = this.getRecord(test);
+        const status = this.getStatus(record);
+        const row = this.createElement('tr', 'Tests-Hub-progress-row');
+        row.dataset.status = status;
+
+        const name = this.createElement('td');
+        const link = this.createElement('a', 'Tests-Hub-progress-link', test.title);
+        link.href = test.file;
+        name.appendChild(link);
+        name.appendChild(this.createElement('div', 'Tests-Hub-test-details',
+            [`${this.t(test.type === 'Type1' ? 'type1' : 'type2')} ${test.number}`, test.school].filter(Boolean).join(' · ')));
+        row.appendChild(name);
+
+        const statusCell = this.createElement('td');
+        statusCell.appendChild(this.createElement('span', `Tests-Hub-progress-status ${status}`,
+            this.t({ 'not-started': 'notStarted', 'in-progress': 'inProgress', completed: 'completed' }[status])));
+        row.appendChild(statusCell);
+
+        row.appendChild(this.createElement('td', null, this.formatMark(this.getMark(record))));
+        row.appendChild(this.createElement('td', null, this.formatDuration(record && record.timeSpent)));
+        row.appendChild(this.createElement('td', null, this.formatDate(record && (record.scoredAt || record.lastOpenedAt))));
+        return row;
+    },
+
+    /**
+     * Table of the tests of one trimester
+     */
+    renderTrimester: function(trimester, tests) {
+        const section = this.createElement('div', 'Tests-Hub-progress-trimester');
+        section.appendChild(this.createElement('h4', 'Tests-Hub-heading-subsection', this.translations[this.getLanguage()].trimesters[trimester]));
+
+        const table = this.createElement('table', 'Tests-Hub-table Tests-Hub-progress-table');
+        const head = this.createElement('tr');
+        ['test', 'status', 'score', 'time', 'date'].forEach(key => head.appendChild(this.createElement('th', null, this.t(key))));
+        table.appendChild(this.createElement('thead')).appendChild(head);
+        const body = this.createElement('tbody');
+        tests.forEach(test => body.appendChild(this.renderRow(test)));
+        table.appendChild(body);
+
+        section.appendChild(table);
+        return section;
+    },
+
+    /**
+     * Collapsible group with its totals in the title; open when the student started something in it
+     * @param {string} key - Level, or level/subject, naming the group across renders
+     * @param {Map} openGroups - Groups of the previous render: key -> whether the student left it open
+     */
+    renderGroup: function(className, key, title, tests, openGroups) {
+        const stats = this.summarize(tests);
+        const details = this.createElement('details', className);
+        details.dataset.group = key;
+        details.open = openGroups.has(key) ? openGroups.get(key) : stats.started > 0;
+
+        const summary = this.createElement('summary');
+        summary.appendChild(this.createElement('span', 'Tests-Hub-progress-group-title', title));
+        const parts = [`${stats.completed}/${stats.tests} ${this.t('summaryCompleted')}`];
+        if (stats.average !== null) {
+            parts.push(`${this.t('average')} ${this.formatMark(stats.average)} (${stats.scored} ${this.t('scored')})`);
+        }
+        summary.appendChild(this.createElement('span', 'Tests-Hub-progress-group-stats', parts.join(' · ')));
+        details.appendChild(summary);
+        return details;
+    },
+
+    /**
+     * Render the whole dashboard
+     */
+    render: function() {
+        if (!this.catalog) return;
+        const strings = this.translations[this.getLanguage()];
+        const content = [this.renderSummary(this.summarize(this.catalog))];
+        // A new language must not close the groups the student opened, nor open the ones they closed
+        const openGroups = new Map(Array.from(this.root.querySelectorAll('details[data-group]'), details => [details.dataset.group, details.open]));
+
+        this.group(this.catalog).forEach((subjects, level) => {
+            const levelTests = [].concat(...[...subjects.values()].map(trimesters => [].concat(...trimesters.values())));
+            const levelGroup = this.renderGroup('Tests-Hub-progress-level', level, strings.levels[level] || level, levelTests, openGroups);
+
+            subjects.forEach((trimesters, subject) => {
+                const subjectTests = [].concat(...trimesters.values());
+                const subjectGroup = this.renderGroup('Tests-Hub-progress-subject', `${level}/${subject}`,
+                    strings.subjects[subject] || subject, subjectTests, openGroups);
+                trimesters.forEach((tests, trimester) => subjectGroup.appendChild(this.renderTrimester(trimester, tests)));
+                levelGroup.appendChild(subjectGroup);
+            });
+            content.push(levelGroup);
+        });
+
+        this.root.replaceChildren(...content);
+    },
+
+    /**
+     * Show a message in place of the dashboard
+     */
+    showMessage: function(key) {
+        this.root.replaceChildren(this.createElement('p', 'Tests-Hub-text-center', this.t(key)));
+    },
+
+    /**
+     * Add the styles of the dashboard
+     */
+    injectStyles: function() {
+        if (document.getElementById('progress-dashboard-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'progress-dashboard-styles';
+        style.textContent = `
+            .Tests-Hub-progress-summary { display: grid; grid-template-columns: repeat(auto-fit, minmax(120px, 1fr)); gap: 12px; margin-bottom: 24px; }
+            .Tests-Hub-progress-stat { background: rgba(255, 255, 255, 0.85); border-radius: 12px; padding: 14px; text-align: center; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.08); }
+            .Tests-Hub-progress-stat-value { font-size: 1.5rem; font-weight: 700; color: #0D9488; }
+            .Tests-Hub-progress-stat-label { font-size: 0.85rem; opacity: 0.8; }
+            .Tests-Hub-progress-level, .Tests-Hub-progress-subject { background: rgba(255, 255, 255, 0.85); border-radius: 12px; margin-bottom: 12px; padding: 4px 16px; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.08); }
+            .Tests-Hub-progress-subject { background: rgba(240, 253, 250, 0.9); box-shadow: none; border: 1px solid #99F6E4; }
+            .Tests-Hub-progress-level > summary, .Tests-Hub-progress-subject > summary { cursor: pointer; padding: 10px 0; display: flex; flex-wrap: wrap; gap: 4px 12px; align-items: baseline; }
+            .Tests-Hub-progress-level > summary { font-size: 1.2rem; }
+            .Tests-Hub-progress-group-title { font-weight: 700; }
+            .Tests-Hub-progress-group-stats { font-size: 0.85rem; opacity: 0.8; }
+            .Tests-Hub-progress-trimester { margin: 8px 0 16px; overflow-x: auto; }
+            .Tests-Hub-progress-table { width: 100%; }
+            .Tests-Hub-progress-table td, .Tests-Hub-progress-table th { white-space: nowrap; }
+            .Tests-Hub-progress-table td:first-child { white-space: normal; min-width: 200px; }
+            .Tests-Hub-progress-link { color: #0F766E; font-weight: 600; text-decoration: none; }
+            .Tests-Hub-progress-link:hover { text-decoration: underline; }
+            .Tests-Hub-progress-table .Tests-Hub-test-details { font-size: 0.8rem; opacity: 0.75; }
+            .Tests-Hub-progress-status { display: inline-block; padding: 2px 10px; border-radius: 12px; font-size: 0.8rem; background: #E5E7EB; color: #374151; }
+            .Tests-Hub-progress-status.in-progress { background: #FEF3C7; color: #92400E; }
+            .Tests-Hub-progress-status.completed { background: #D1FAE5; color: #065F46; }
+            .Tests-Hub-dark-theme .Tests-Hub-progress-stat, .Tests-Hub-dark-theme .Tests-Hub-progress-level { background: rgba(19, 78, 74, 0.85); }
+            .Tests-Hub-dark-theme .Tests-Hub-progress-subject { background: rgba(15, 118, 110, 0.5); border-color: #14B8A6; }
+            .Tests-Hub-dark-theme .Tests-Hub-progress-stat-value, .Tests-Hub-dark-theme .Tests-Hub-progress-link { color: #5EEAD4; }
+        `;
+        document.head.appendChild(style);
+    },
+
+    /**
+     * Load and render the dashboard
+     */
+    init: function() {
+        this.root = document.getElementById(this.config.rootId);
+        if (!this.root) return Promise.resolve();
+        this.injectStyles();
+
+        TestsHubPage.onLanguageChange(() => this.render());
+
+        return this.load()
+            .then(() => this.render())
+            .catch(error => {
+                console.error('Progress dashboard failed:', error);
+                this.showMessage('loadFailed');
+            });
+    }
+};
+
+// Make it globally available
+window.TestsHubProgressDashboard = TestsHubProgressDashboard;
@@ -0,0 +1,540 @@
+/**
+ * Tests Hub - Scoring Engine
+ * Grades a student's answers against the page's answer key and shows the score out of 20,
+ * or the auto-graded points alone when part of the test needs manual marking
+ */
+
+const TestsHubScoringEngine = {
+
+    // Configuration
+    config: {
+        answerKeyId: 'answerKey',
+        maxScore: 20,
+        // Scores are rounded to the nearest quarter point, like paper marking
+        rounding: 0.25,
+        sectionSelector: '.Tests-Hub-test-section',
+        questionSelector: '.Tests-Hub-question-container, .Tests-Hub-question',
+        badgeSelector: '.Tests-Hub-points-badge',
+        headingSelector: 'h2, h3'
+    },
+
+    // UI strings, picked from the page's current language
+    translations: {
+        ar: {
+            check: 'تصحيح إجاباتي',
+            title: 'النتيجة',
+            total: 'المجموع',
+            section: 'التمرين',
+            other: 'أسئلة أخرى',
+            autoTotal: 'مجموع الأسئلة المصححة آليا',
+            notGraded: 'بدون تصحيح آلي',
+            manual: 'نقاط تحتاج إلى تصحيح يدوي',
+            noKey: 'لا يوجد مفتاح إجابات لهذا الاختبار'
+        },
+        fr: {
+            check: 'Vérifier mes réponses',
+            title: 'Résultat',
+            total: 'Total',
+            section: 'Exercice',
+            other: 'Autres questions',
+            autoTotal: 'Total corrigé automatiquement',
+            notGraded: 'Non corrigé automatiquement',
+            manual: 'points à corriger manuellement',
+            noKey: "Aucun corrigé automatique pour ce test"
+        },
+        en: {
+            check: 'Check my answers',
+            title: 'Score',
+            total: 'Total',
+            section: 'Exercise',
+            other: 'Other questions',
+            autoTotal: 'Auto-graded total',
+            notGraded: 'Not auto-graded',
+            manual: 'points need manual marking',
+            noKey: 'No answer key available for this test'
+        }
+    },
+
+    answerKey: null,
+    lastResult: null,
+
+    /**
+     * Get the page's current UI language
+     */
+    getLanguage: function() {
+        return TestsHubPage.getLanguage(this.translations);
+    },
+
+    /**
+     * Translate a UI string
+     */
+    t: function(key) {
+        return TestsHubPage.translate(this.translations, key);
+    },
+
+    /**
+     * Load the answer key from <script type="application/json" id="answerKey">
+     * or from window.TestsHubAnswerKey
+     */
+    loadAnswerKey: function() {
+        if (window.TestsHubAnswerKey) {
+            this.answerKey = window.TestsHubAnswerKey;
+            return this.answerKey;
+        }
+
+        const element = document.getElementById(this.config.answerKeyId);
+        if (!element) return null;
+
+        try {
+            this.answerKey = JSON.parse(element.textContent);
+        } catch (error) {
+            console.error('Invalid answer key:', error);
+            this.answerKey = null;
+        }
+
+        return this.answerKey;
+    },
+
+    /**
+     * Read a point value from text such as "3 نقاط", "1.5 pts" or "(4 marks)"
+     */
+    parsePoints: function(text) {
+        if (!text) return null;
+
+        const match = text
+            .replace(/[\u0660-\u0669]/g, d => String(d.charCodeAt(0) - 0x0660))
+            .match(/(\d+(?:[.,]\d+)?)\s*(?:نقاط|نقطة|نقطتان|points?|pts?|marks?)/i);
+
+        return match ? parseFloat(match[1].replace(',', '.')) : null;
+    },
+
+    /**
+     * Get the maximum points of a section from its badges or its heading
+     */
+    getSectionMaxPoints: function(section) {
+        const badges = section.querySelectorAll(this.config.badgeSelector);
+        if (badges.length > 0) {
+            let total = 0;
+            badges.forEach(badge => {
+                total += this.parsePoints(badge.textContent) || 0;
+            });
+            return total;
+        }
+
+        const heading = section.querySelector(this.config.headingSelector);
+        return heading ? this.parsePoints(heading.textContent) : null;
+    },
+
+    /**
+     * Find the inputs an answer key entry refers to
+     */
+    getInputs: function(entry) {
+        if (entry.selector) {
+            const all = Array.from(document.querySelectorAll(entry.selector));
+            return typeof entry.index === 'number' ? all.slice(entry.index, entry.index + 1) : all;
+        }
+
+        if (entry.name) {
+            return Array.from(document.getElementsByName(entry.name));
+        }
+
+        if (entry.type === 'text' || entry.type === 'number') {
+            const all = Array.from(document.querySelectorAll('.Tests-Hub-answer-input'));
+            return typeof entry.index === 'number' ? all.slice(entry.index, entry.index + 1) : [];
+        }
+
+        return [];
+    },
+
+    /**
+     * Normalize free text for comparison
+     */
+    normalizeText: function(text, caseSensitive) {
+        let result = String(text)
+            .replace(/[\u2018\u2019\u02BC]/g, "'")
+            .replace(/[\u2010-\u2015]/g, '-')
+            // Arabic diacritics and tatweel never change the expected answer
+            .replace(/[\u064B-\u0652\u0640]/g, '')
+            .replace(/\s+/g, ' ')
+            .replace(/[.;!?]+$/, '')
+            .trim();
+
+        return caseSensitive ? result : result.toLowerCase();
+    },
+
+    /**
+     * Parse a number typed by a student ("3,5", "٣٫٥", "1 000")
+     */
+    parseNumber: function(text) {
+        const cleaned = String(text)
+            .replace(/[\u0660-\u0669]/g, d => String(d.charCodeAt(0) - 0x0660))
+            .replace(/[\u066B,]/g, '.')
+            .replace(/\s+/g, '');
+
+        return cleaned === '' || isNaN(cleaned) ? null : parseFloat(cleaned);
+    },
+
+    /**
+     * Get the option index of the checked choice inputs
+     */
+    getCheckedIndexes: function(inputs) {
+        const indexes = [];
+        inputs.forEach((input, index) => {
+            if (input.checked) indexes.push(index);
+        });
+        return indexes;
+    },
+
+    /**
+     * Check one answer key entry against the inputs
+     * @returns {Object} { answered, correct }
+     */
+    checkEntry: function(entry, inputs) {
+        const accepted = Array.isArray(entry.answer) ? entry.answer : [entry.answer];
+
+        switch (entry.type) {
+            case 'radio': {
+                const checked = inputs.find(input => input.checked);
+                if (!checked) return { answered: false, correct: false };
+                const index = inputs.indexOf(checked);
+                return {
+                    answered: true,
+                    correct: accepted.some(a => typeof a === 'number' ? a === index : a === checked.value)
+                };
+            }
+
+            case 'checkbox': {
+                const checked = this.getCheckedIndexes(inputs);
+                const expected = accepted.map(a => typeof a === 'number' ? a : inputs.findIndex(i => i.value === a));
+                return {
+                    answered: checked.length > 0,
+                    correct: checked.length === expected.length && expected.every(i => checked.includes(i))
+                };
+            }
+
+            case 'select': {
+                const value = inputs[0] ? inputs[0].value : '';
+                return {
+                    answered: value !== '',
+                    correct: value !== '' && accepted.some(a => String(a) === value)
+                };
+            }
+
+            case 'number': {
+                const value = inputs[0] ? this.parseNumber(inputs[0].value) : null;
+                const tolerance = entry.tolerance || 0;
+                return {
+                    answered: value !== null,
+                    correct: value !== null && accepted.some(a => Math.abs(value - a) <= tolerance)
+                };
+            }
+
+            case 'text':
+            default: {
+                const raw = inputs[0] ? inputs[0].value : '';
+                const value = this.normalizeText(raw, entry.caseSensitive);
+                const variants = entry.accept || accepted;
+                return {
+                    answered: value !== '',
+                    correct: value !== '' && variants.some(v => this.normalizeText(v, entry.caseSensitive) === value)
+                };
+            }
+        }
+    },
+
+    /**
+     * Get the points an entry is worth: explicit, or its question's badge shared between entries
+     */
+    getEntryPoints: function(entry, inputs, entries) {
+        if (typeof entry.points === 'number') return entry.points;
+
+        const question = inputs[0] && inputs[0].closest(this.config.questionSelector);
+        const badge = question && question.querySelector(this.config.badgeSelector);
+        const badgePoints = badge ? this.parsePoints(badge.textContent) : null;
+
+        if (badgePoints === null) return 1;
+
+        const siblings = entries.filter(other => other.question === question).length || 1;
+        return badgePoints / siblings;
+    },
+
+    /**
+     * Mark an input as right or wrong
+     */
+    markInputs: function(inputs, check) {
+        inputs.forEach(input => {
+            const target = input.type === 'radio' || input.type === 'checkbox' ? (input.closest('label') || input) : input;
+            target.classList.remove('Tests-Hub-answer-correct', 'Tests-Hub-answer-wrong');
+            if (check.answered) {
+                target.classList.add(check.correct ? 'Tests-Hub-answer-correct' : 'Tests-Hub-answer-wrong');
+            }
+        });
+    },
+
+    /**
+     * Clear right/wrong marks
+     */
+    clearMarks: function() {
+        document.querySelectorAll('.Tests-Hub-answer-correct, .Tests-Hub-answer-wrong').forEach(el => {
+            el.classList.remove('Tests-Hub-answer-correct', 'Tests-Hub-answer-wrong');
+        });
+    },
+
+    /**
+     * Round a score the way teachers do
+     */
+    round: function(value) {
+        const step = this.config.rounding;
+        return Math.round(value / step) * step;
+    },
+
+    /**
+     * Grade the page
+     * @param {Object} options - { mark: true } to mark inputs right/wrong
+     * @returns {Object|null} Result with per-section and total scores; score is null
+     * when some points need manual marking
+     */
+    grade: function(options = {}) {
+        const key = this.answerKey || this.loadAnswerKey();
+        if (!key || !Array.isArray(key.questions)) return null;
+
+        const mark = options.mark !== false;
+        const maxScore = key.maxScore || this.config.maxScore;
+        const sectionList = Array.from(document.querySelectorAll(this.config.sectionSelector));
+
+        // Resolve inputs and questions first so badge points can be shared
+        const entries = key.questions.map(entry => {
+            const inputs = this.getInputs(entry);
+            return {
+                entry,
+                inputs,
+                question: inputs[0] ? inputs[0].closest(this.config.questionSelector) : null,
+                section: inputs[0] ? inputs[0].closest(this.config.sectionSelector) : null
+            };
+        });
+
+        const sections = new Map();
+        const questions = [];
+
+        entries.forEach(item => {
+            if (item.inputs.length === 0) {
+                console.warn('Answer key entry matches no input:', item.entry);
+                return;
+            }
+
+            const check = this.checkEntry(item.entry, item.inputs);
+            const points = this.getEntryPoints(item.entry, item.inputs, entries);
+            const earned = check.correct ? points : 0;
+
+            if (mark) this.markInputs(item.inputs, check);
+
+            if (!sections.has(item.section)) {
+                sections.set(item.section, { earned: 0, autoMax: 0 });
+            }
+            const sectionScore = sections.get(item.section);
+            sectionScore.earned += earned;
+            sectionScore.autoMax += points;
+
+            questions.push({
+                id: item.entry.id || null,
+                type: item.entry.type,
+                answered: check.answered,
+                correct: check.correct,
+                points,
+                earned,
+                inputs: item.inputs
+            });
+        });
+
+        // Every section that carries points counts towards the total, even if not auto-gradable
+        const sectionResults = [];
+        sectionList.forEach((section, index) => {
+            const declared = this.getSectionMaxPoints(section);
+            const scored = sections.get(section);
+            if (!declared && !scored) return;
+
+            const heading = section.querySelector(this.config.headingSelector);
+            const max = declared || scored.autoMax;
+            sectionResults.push({
+                index,
+                element: section,
+                title: heading ? heading.textContent.trim() : `${this.t('section')} ${sectionResults.length + 1}`,
+                earned: scored ? scored.earned : 0,
+                autoMax: scored ? Math.min(scored.autoMax, max) : 0,
+                max
+            });
+        });
+
+        // Inputs outside every exercise are graded together, out of their own points
+        const unsectioned = sections.get(null);
+        if (unsectioned) {
+            sectionResults.push({
+                index: -1,
+                element: null,
+                title: this.t('other'),
+                earned: unsectioned.earned,
+                autoMax: unsectioned.autoMax,
+                max: unsectioned.autoMax
+            });
+        }
+
+        const earned = sectionResults.reduce((sum, s) => sum + s.earned, 0);
+        const max = sectionResults.reduce((sum, s) => sum + s.max, 0);
+        const autoMax = sectionResults.reduce((sum, s) => sum + s.autoMax, 0);
+
+        const result = {
+            sections: sectionResults,
+            questions,
+            earned,
+            max,
+            autoMax,
+            manualMax: max - autoMax,
+            // A mark out of 20 only means something when every point was checked
+            score: max > 0 && autoMax >= max ? this.round(earned / max * maxScore) : null,
+            maxScore,
+            gradedAt: Date.now()
+        };
+
+        this.lastResult = result;
+        document.dispatchEvent(new CustomEvent('testshub:graded', { detail: result }));
+
+        return result;
+    },
+
+    /**
+     * Render the per-exercise and total score panel
+     */
+    renderResults: function(result) {
+        let panel = document.getElementById('scorePanel');
+        if (!panel) {
+            panel = document.createElement('div');
+            panel.id = 'scorePanel';
+            panel.className = 'Tests-Hub-score-panel';
+
+            const anchor = this.getButtonContainer();
+            if (anchor) {
+                anchor.parentNode.insertBefore(panel, anchor.nextSibling);
+            } else {
+                (document.querySelector('.Tests-Hub-main-container, .Tests-Hub-content-container') || document.body).appendChild(panel);
+            }
+        }
+
+        if (!result) {
+            panel.innerHTML = `<p>${this.t('noKey')}</p>`;
+            return;
+        }
+
+        const format = value => String(this.round(value)).replace('.', this.getLanguage() === 'en' ? '.' : ',');
+
+        // Exercises with unkeyed questions are scored out of their auto-graded points only
+        const rows = result.sections.map(section => `
+            <tr>
+                <td>${section.title}</td>
+                <td>${section.autoMax > 0 ? `${format(section.earned)} / ${format(section.autoMax)}` : this.t('notGraded')}</td>
+            </tr>
+        `).join('');
+
+        const total = result.score === null
+            ? `<td>${this.t('autoTotal')}</td><td>${format(result.earned)} / ${format(result.autoMax)}</td>`
+            : `<td>${this.t('total')}</td><td>${format(result.score)} / ${result.maxScore}</td>`;
+
+        panel.innerHTML = `
+            <h3>${this.t('title')}</h3>
+            <table class="Tests-Hub-score-table">
+                ${rows}
+                <tr class="Tests-Hub-score-total">${total}</tr>
+            </table>
+            ${result.manualMax > 0 ? `<p class="Tests-Hub-score-note">${format(result.manualMax)} ${this.t('manual')}</p>` : ''}
+        `;
+    },
+
+    /**
+     * Get the container holding the correction toggle button
+     */
+    getButtonContainer: function() {
+        const toggle = document.getElementById('toggleCorrection');
+        return toggle ? toggle.parentNode : null;
+    },
+
+    /**
+     * Add the "Check my answers" button next to the correction toggle
+     */
+    addCheckButton: function() {
+        if (document.getElementById('checkAnswers')) return;
+
+        const toggle = document.getElementById('toggleCorrection');
+        const button = document.createElement('button');
+        button.id = 'checkAnswers';
+        button.type = 'button';
+        button.className = toggle ? toggle.className : 'Tests-Hub-toggle-button';
+        button.classList.add('Tests-Hub-check-button');
+        button.textContent = this.t('check');
+        button.addEventListener('click', () => {
+            this.renderResults(this.grade());
+        });
+
+        if (toggle) {
+            toggle.parentNode.insertBefore(button, toggle);
+        } else {
+            (document.querySelector('.Tests-Hub-main-container, .Tests-Hub-content-container') || document.body).appendChild(button);
+        }
+    },
+
+    /**
+     * Refresh labels when the page language changes
+     */
+    updateLabels: function() {
+        const button = document.getElementById('checkAnswers');
+        if (button) button.textContent = this.t('check');
+        if (this.lastResult && document.getElementById('scorePanel')) {
+            this.renderResults(this.lastResult);
+        }
+    },
+
+    /**
+     * Add the styles used by the score panel and input marks
+     */
+    injectStyles: function() {
+        if (document.getElementById('scoring-engine-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'scoring-engine-styles';
+        style.textContent = `
+            .Tests-Hub-check-button { margin: 0 8px; }
+            .Tests-Hub-answer-correct { outline: 2px solid #2E8B57; background-color: rgba(46, 139, 87, 0.12); }
+            .Tests-Hub-answer-wrong { outline: 2px solid #e74c3c; background-color: rgba(231, 76, 60, 0.12); }
+            .Tests-Hub-score-panel { margin: 20px 0; padding: 15px 20px; border-radius: 8px; border: 1px solid #2E8B57; background: rgba(46, 139, 87, 0.06); }
+            .Tests-Hub-score-panel h3 { margin-bottom: 10px; color: #2E8B57; }
+            .Tests-Hub-score-table { width: 100%; border-collapse: collapse; }
+            .Tests-Hub-score-table td { padding: 6px 8px; border-bottom: 1px solid rgba(0, 0, 0, 0.08); }
+            .Tests-Hub-score-table td:last-child { text-align: end; white-space: nowrap; direction: ltr; }
+            .Tests-Hub-score-total td { font-weight: 700; font-size: 1.1em; border-bottom: none; }
+            .Tests-Hub-score-note { margin-top: 8px; font-size: 0.9em; opacity: 0.8; }
+        `;
+        document.head.appendChild(style);
+    },
+
+    /**
+     * Initialize scoring on a test page that ships an answer key
+     */
+    init: function() {
+        if (!this.loadAnswerKey()) return;
+
+        this.injectStyles();
+        this.addCheckButton();
+
+        TestsHubPage.onLanguageChange(() => this.updateLabels());
+
+        console.log('Tests Hub Scoring Engine initialized');
+    }
+};
+
+// Auto-initialize when DOM is ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => TestsHubScoringEngine.init());
+} else {
+    TestsHubScoringEngine.init();
+}
+
+// Make it globally available
+window.TestsHubScoringEngine = TestsHubScoringEngine;
@@ -0,0 +1,396 @@
+#!/usr/bin/env node
+/**
+ * Tests Hub - Answer Key Builder
+ * Builds the answer keys read by scoring-engine.js from the correction of the
+ * test pages. A multiple choice group or a dropdown is keyed when the
+ * correction names exactly one of its options: in bold, ticked with ✓, or as
+ * its item of a comma-separated answer list ("Ex1: characters, thrilling,
+ * attract, place."). Written answers are not keyed; the score panel shows
+ * their points as not auto-graded.
+ *
+ * Usage:
+ *   node scripts/build-answer-keys.js [options] [test_*.html ...]
+ *
+ * Options:
+ *   --force     Also replace answer keys written by hand
+ *   --dry-run   Report what would be keyed without writing anything
+ *
+ * Without file arguments every test_*.html page of the site is read. Keys
+ * built here are marked data-generated and rebuilt on every run, and the
+ * page gets scoring-engine.js if it does not load it yet.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const html = require('./lib/html-parser');
+const testPage = require('./lib/test-page');
+const { parsePoints } = require('./migrate-tests');
+
+// Same containers as the scoring engine's config
+const SECTION_SELECTOR = '.Tests-Hub-test-section';
+const QUESTION_SELECTOR = '.Tests-Hub-question-container, .Tests-Hub-question';
+const BADGE_SELECTOR = '.Tests-Hub-points-badge';
+const HEADING_SELECTOR = 'h2, h3';
+
+const FIELD_SELECTOR = 'input, select, textarea';
+const IGNORED_INPUT_TYPES = new Set(['button', 'submit', 'reset', 'hidden', 'image', 'file']);
+// Letter or number in front of an option: "a)", "b- ", "(c)", "أ)", "2. "
+const OPTION_MARKER = /^\(?\s*(?:[a-h]|[أبجدهو]|\d{1,2})\s*(?:\)|[.\-:]\s)\s*/i;
+const TICKS = /[✓✔☑]/;
+// Label in front of an answer list: "Ex1:", "2-", "Matching:"
+const LIST_LABEL = /^[^:]{0,20}:\s*|^\s*\d{1,2}\s*[-.)]\s*/;
+
+const KEY_PATTERN = /[ \t]*<script type="application\/json" id="answerKey"( data-generated)?>[\s\S]*?<\/script>\r?\n/;
+
+/**
+ * Text as it is compared: no diacritics, option marker or surrounding punctuation
+ */
+function normalize(text) {
+    return testPage.toAsciiDigits(String(text))
+        .replace(/[\u064B-\u0652\u0640]/g, '')
+        .replace(/[\u2018\u2019\u02BC]/g, "'")
+        .replace(/[\u2010-\u2015]/g, '-')
+        .replace(/[✓✔☑✗✘\uFE0F]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .replace(OPTION_MARKER, '')
+        .replace(/^["'«(\s]+|["'»).;:!?,\s]+$/g, '')
+        .toLowerCase();
+}
+
+/**
+ * Answers the correction stresses: bold text and the text in front of a tick
+ */
+function getStressedAnswers(correction) {
+    const answers = html.querySelectorAll(correction, 'strong, b').map(html.textContent);
+
+    const visit = node => {
+        if (node.type === 'text' && TICKS.test(node.value)) {
+            answers.push(...html.textContent(node).split(TICKS).slice(0, -1));
+        }
+        (node.children || []).forEach(visit);
+    };
+    visit(correction);
+
+    return new Set(answers.map(normalize).filter(Boolean));
+}
+
+/**
+ * Comma-separated answer lists of the correction, one per paragraph or list item
+ */
+function getAnswerLists(correction) {
+    return html.querySelectorAll(correction, 'p, li')
+        .map(element => html.textContent(element).replace(/\s+/g, ' ').trim().replace(LIST_LABEL, ''))
+        .filter(text => /[,،;]/.test(text))
+        .map(text => text.split(/\s*[,،;]\s*/).map(normalize));
+}
+
+/**
+ * Text of a choice: its label, or the text that follows it up to the next field
+ */
+function getChoiceText(input, labels) {
+    const label = html.closest(input, 'label') || labels.get(html.getAttribute(input, 'id'));
+    if (label) return html.textContent(label);
+
+    const siblings = input.parent.children;
+    let text = '';
+    for (let i = siblings.indexOf(input) + 1; i < siblings.length; i++) {
+        const node = siblings[i];
+        if (node.type === 'element' && ['input', 'select', 'textarea', 'br'].includes(node.name)) break;
+        text += html.textContent(node);
+    }
+    return text;
+}
+
+/**
+ * Answer fields of the page outside the correction, grouped the way they are
+ * answered: radio buttons and checkboxes by name, every other field alone
+ */
+function getFieldGroups(document, correction) {
+    const groups = [];
+    const byName = new Map();
+    const labels = new Map(html.querySelectorAll(document, 'label[for]').map(label => [html.getAttribute(label, 'for'), label]));
+    const allSelects = html.querySelectorAll(document, 'select');
+
+    html.querySelectorAll(document, FIELD_SELECTOR).forEach(field => {
+        const type = field.name === 'input' ? (html.getAttribute(field, 'type') || 'text').toLowerCase() : field.name;
+        if (IGNORED_INPUT_TYPES.has(type) || html.closest(field, '#correction, #correction-section')) return;
+
+        const name = html.getAttribute(field, 'name');
+        if ((type === 'radio' || type === 'checkbox') && name) {
+            if (!byName.has(name)) {
+                const group = { type, name, fields: [], options: [] };
+                byName.set(name, group);
+                groups.push(group);
+            }
+            byName.get(name).fields.push(field);
+            return;
+        }
+
+        const group = { type, name, fields: [field], options: [] };
+        if (type === 'select') {
+            group.id = html.getAttribute(field, 'id');
+            group.index = allSelects.indexOf(field);
+            group.options = html.querySelectorAll(field, 'option')
+                .map(option => {
+                    const value = html.getAttribute(option, 'value');
+                    return { text: normalize(html.textContent(option)), answer: value === null ? html.textContent(option).trim() : value };
+                })
+                .filter(option => option.answer !== '');
+        }
+        groups.push(group);
+    });
+
+    // The engine finds a radio group with getElementsByName, so the answer is an
+    // index among every element of that name and the correction must not reuse it
+    const named = html.querySelectorAll(document, '[name]');
+    groups.filter(group => group.type === 'radio').forEach(group => {
+        const all = named.filter(element => html.getAttribute(element, 'name') === group.name);
+        group.shared = all.length !== group.fields.length;
+        group.options = group.fields.map(field => ({ text: normalize(getChoiceText(field, labels)), answer: all.indexOf(field) }));
+    });
+
+    groups.forEach(group => {
+        group.question = html.closest(group.fields[0], QUESTION_SELECTOR);
+        group.section = html.closest(group.fields[0], SECTION_SELECTOR);
+    });
+
+    return groups;
+}
+
+/**
+ * Points of a section, from its badges or its heading, as the engine reads them
+ */
+function getSectionPoints(section) {
+    const badges = html.querySelectorAll(section, BADGE_SELECTOR);
+    if (badges.length) return badges.reduce((total, badge) => total + (parsePoints(html.textContent(badge)) || 0), 0);
+
+    const heading = html.querySelector(section, HEADING_SELECTOR);
+    return heading ? parsePoints(html.textContent(heading)) : null;
+}
+
+/**
+ * Points of one field group: its question's badge, or its section's points,
+ * shared between all the fields answered there, keyed or not
+ */
+function getGroupPoints(group, groups) {
+    const badge = group.question && html.querySelector(group.question, BADGE_SELECTOR);
+    const badgePoints = badge ? parsePoints(html.textContent(badge)) : null;
+    if (badgePoints) {
+        return badgePoints / groups.filter(other => other.question === group.question).length;
+    }
+
+    const sectionPoints = group.section ? getSectionPoints(group.section) : null;
+    if (sectionPoints) {
+        return sectionPoints / groups.filter(other => other.section === group.section).length;
+    }
+
+    return null;
+}
+
+/**
+ * Find the answer of every choice group the correction names without doubt
+ * @returns {Map} group -> answer
+ */
+function findAnswers(groups, correction) {
+    const answers = new Map();
+    const choices = groups.filter(group => (group.type === 'radio' && !group.shared) || group.type === 'select');
+
+    // Runs of dropdowns in one question, answered by a list of the same length
+    const lists = getAnswerLists(correction);
+    const runs = new Map();
+    choices.filter(group => group.type === 'select' && group.question).forEach(group => {
+        if (!runs.has(group.question)) runs.set(group.question, []);
+        runs.get(group.question).push(group);
+    });
+    runs.forEach(run => {
+        if (run.length < 2) return;
+        const fits = lists.filter(list => list.length === run.length &&
+            run.every((group, i) => group.options.some(option => option.text === list[i])));
+        if (new Set(fits.map(list => list.join('|'))).size !== 1) return;
+        run.forEach((group, i) => {
+            answers.set(group, group.options.find(option => option.text === fits[0][i]).answer);
+        });
+    });
+
+    // Options the correction stresses, unless the same text answers several groups
+    // (true/false questions all stress "True" and "False")
+    const stressed = getStressedAnswers(correction);
+    const claims = new Map();
+    choices.filter(group => !answers.has(group)).forEach(group => {
+        const matches = group.options.filter(option => option.text && stressed.has(option.text));
+        if (matches.length !== 1) return;
+        if (!claims.has(matches[0].text)) claims.set(matches[0].text, []);
+        claims.get(matches[0].text).push({ group, answer: matches[0].answer });
+    });
+    claims.forEach(claimants => {
+        if (claimants.length === 1) answers.set(claimants[0].group, claimants[0].answer);
+    });
+
+    return answers;
+}
+
+/**
+ * Build the answer key entries of a page
+ * @returns {Object} { entries, choices } - choices is the number of choice groups
+ */
+function buildKey(document) {
+    const correction = testPage.findCorrection(document);
+    if (!correction) return { entries: [], choices: 0 };
+
+    const groups = getFieldGroups(document, correction);
+    const answers = findAnswers(groups, correction);
+    const sections = html.querySelectorAll(document, SECTION_SELECTOR);
+    const counts = new Map();
+
+    const entries = groups.filter(group => answers.has(group)).map(group => {
+        const sectionIndex = sections.indexOf(group.section);
+        counts.set(sectionIndex, (counts.get(sectionIndex) || 0) + 1);
+
+        const entry = {
+            id: sectionIndex >= 0 ? `ex${sectionIndex + 1}-q${counts.get(sectionIndex)}` : `q${counts.get(sectionIndex)}`,
+            type: group.type
+        };
+        if (group.type === 'radio' || (!group.id && group.name)) {
+            entry.name = group.name;
+        } else if (group.id) {
+            entry.selector = `#${group.id}`;
+        } else {
+            entry.selector = 'select';
+            entry.index = group.index;
+        }
+        entry.answer = answers.get(group);
+
+        const points = getGroupPoints(group, groups);
+        if (points) entry.points = Math.round(points * 100) / 100;
+        return entry;
+    });
+
+    return {
+        entries,
+        choices: groups.filter(group => group.type === 'radio' || group.type === 'select').length
+    };
+}
+
+/**
+ * Answer key script, laid out like the keys written by hand
+ */
+function formatKey(entries, indent, eol) {
+    const lines = entries.map((entry, i) => {
+        const fields = Object.entries(entry).map(([name, value]) => `${JSON.stringify(name)}: ${JSON.stringify(value)}`);
+        return `${indent}        { ${fields.join(', ')} }${i < entries.length - 1 ? ',' : ''}`;
+    });
+    return [
+        `${indent}<script type="application/json" id="answerKey" data-generated>`,
+        `${indent}{`,
+        `${indent}    "questions": [`,
+        ...lines,
+        `${indent}    ]`,
+        `${indent}}`,
+        `${indent}</script>`,
+        ''
+    ].join(eol);
+}
+
+/**
+ * Write the key into the page's source, and load the scoring engine
+ */
+function insertKey(source, key) {
+    const eol = source.includes('\r\n') ? '\r\n' : '\n';
+    const helpers = /^([ \t]*)<script src="page-helpers\.js"><\/script>\r?$/m.exec(source);
+    if (!helpers) return null;
+
+    let result = KEY_PATTERN.test(source)
+        ? source.replace(KEY_PATTERN, () => formatKey(key, helpers[1], eol))
+        : source.replace(helpers[0], () => formatKey(key, helpers[1], eol) + helpers[0]);
+
+    if (!result.includes('<script src="scoring-engine.js"></script>')) {
+        // After the last of page-helpers.js and downloading-utils.js, as on the pages keyed by hand
+        const anchors = [...result.matchAll(/^([ \t]*)<script src="(?:page-helpers|downloading-utils)\.js"><\/script>\r?\n/gm)];
+        const anchor = anchors[anchors.length - 1];
+        const at = anchor.index + anchor[0].length;
+        result = `${result.slice(0, at)}${anchor[1]}<script src="scoring-engine.js"></script>${eol}${result.slice(at)}`;
+    }
+    return result;
+}
+
+/**
+ * Build and write the key of one page
+ * @returns {Object} { file, status, keyed, choices }
+ */
+function buildFile(filePath, options) {
+    const page = testPage.loadTestPage(filePath);
+    const existing = KEY_PATTERN.exec(page.source);
+
+    if (existing && !existing[1] && !options.force) {
+        return { file: page.file, status: 'kept', keyed: 0, choices: 0 };
+    }
+
+    const { entries, choices } = buildKey(page.document);
+    let status = entries.length ? 'keyed' : 'unkeyed';
+    let source = page.source;
+
+    if (entries.length) {
+        source = insertKey(page.source, entries);
+        if (source === null) return { file: page.file, status: 'failed', keyed: 0, choices };
+    } else if (existing) {
+        // A key this script built before, that no longer finds anything
+        source = page.source.replace(KEY_PATTERN, '');
+    }
+
+    if (source !== page.source && !options.dryRun) {
+        fs.writeFileSync(filePath, source);
+    }
+    if (entries.length && source === page.source) status = 'unchanged';
+
+    return { file: page.file, status, keyed: entries.length, choices };
+}
+
+function parseArgs(argv) {
+    const options = { force: false, dryRun: false, help: false, files: [] };
+    argv.forEach(arg => {
+        if (arg === '--force') options.force = true;
+        else if (arg === '--dry-run') options.dryRun = true;
+        else if (arg === '--help' || arg === '-h') options.help = true;
+        else options.files.push(arg);
+    });
+    return options;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+        console.log(fs.readFileSync(__filename, 'utf8').split('*/')[0].replace(/^#!.*\n\/\*\*\n/, '').replace(/^ \* ?/gm, ''));
+        return;
+    }
+
+    const files = options.files.length
+        ? options.files.map(file => path.resolve(file))
+        : testPage.listTestFiles().map(file => path.join(testPage.ROOT_DIR, file));
+
+    const results = files.map(file => {
+        const result = buildFile(file, options);
+        if (result.status !== 'unkeyed') {
+            console.log(`${result.status.padEnd(9)} ${result.file}${result.keyed ? ` (${result.keyed} of ${result.choices} choice questions)` : ''}`);
+        }
+        return result;
+    });
+
+    const summary = {};
+    results.forEach(result => {
+        summary[result.status] = (summary[result.status] || 0) + 1;
+    });
+    const keyed = results.reduce((total, result) => total + result.keyed, 0);
+    const choices = results.reduce((total, result) => total + result.choices, 0);
+
+    console.log(Object.entries(summary).map(([status, count]) => `${count} ${status}`).join(', '));
+    console.log(`${keyed} of ${choices} choice questions keyed${options.dryRun ? ' (dry run)' : ''}`);
+
+    if (results.some(result => result.status === 'failed')) process.exitCode = 1;
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { buildKey, normalize };
@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+/**
+ * Tests Hub - Asset Manifest Builder
+ * Lists the files the service worker (sw.js) keeps for offline use and
+ * writes asset-manifest.json: every page, script and data file of the site,
+ * the KaTeX scripts and fonts, lib/ with the PDF fonts of lib/fonts/, and
+ * the pictures and sounds of assets/, assets2/ and assets3/, each with a
+ * revision (a hash of its content) and its size. On an update the
+ * worker downloads again only the files whose revision changed.
+ *
+ * "files" is the app shell, cached when the worker installs. The test pages
+ * and the pictures and sounds only they use are in "content" and "tests"
+ * gives the ones of each test (by catalog id): they are cached by pack, when
+ * the student makes a year, subject or trimester available offline.
+ * "onDemand" groups the large files only some uses need (the PDF fonts, the
+ * search index): the worker caches them the first time a page asks for them.
+ *
+ * Usage:
+ *   node scripts/build-asset-manifest.js [options]
+ *
+ * Options:
+ *   --out <file>   Output file (default: asset-manifest.json at the site root)
+ *   --stdout       Print the manifest instead of writing it
+ *
+ * Run it again after changing any file of the site (Netlify runs it on deploy).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const testPage = require('./lib/test-page');
+const { collectReferences, resolveReference } = require('./check-links');
+
+const MANIFEST_VERSION = 3;
+const MANIFEST_FILE = 'asset-manifest.json';
+
+// Site root files: pages, scripts and data (not the worker itself, the manifest nor the npm files)
+const ROOT_FILE_PATTERN = /\.(html|js|json)$/;
+const ROOT_EXCLUDED = new Set(['sw.js', MANIFEST_FILE, 'package.json', 'package-lock.json']);
+
+// Folders kept offline, with the files of each that pages load
+const FOLDERS = {
+    'katex': file => /\.min\.(js|css)$/.test(file) || /^fonts\/.*\.woff2$/.test(file),
+    'lib': () => true,
+    'tests-data': file => file.endsWith('.json'),
+    'assets': () => true,
+    'assets2': () => true,
+    'assets3': () => true
+};
+
+// Folders whose files go with the test pages that use them
+const CONTENT_FOLDER_PATTERN = /^assets\d*\//;
+
+// Files left out of the app shell, by group: the PDF fonts are only read by the first
+// PDF export (pdf-text.js), the search index by the first search
+const ON_DEMAND = {
+    fonts: file => /^lib\/fonts\/.*\.ttf$/.test(file),
+    search: file => file === 'search-index.json'
+};
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+    const options = { out: path.join(testPage.ROOT_DIR, MANIFEST_FILE), stdout: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--out') options.out = path.resolve(argv[++i]);
+        else if (arg === '--stdout') options.stdout = true;
+        else if (arg === '--help' || arg === '-h') options.help = true;
+        else throw new Error(`Unknown argument: ${arg}`);
+    }
+    return options;
+}
+
+/**
+ * Files of a folder and its subfolders, as paths relative to it (hidden files left out)
+ */
+function listFiles(dir, prefix = '') {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir, { withFileTypes: true })
+        .filter(entry => !entry.name.startsWith('.'))
+        .flatMap(entry => entry.isDirectory()
+            ? listFiles(path.join(dir, entry.name), `${prefix}${entry.name}/`)
+            : [`${prefix}${entry.name}`]);
+}
+
+/**
+ * Manifest entry of one file
+ * @param {string} dir - Site root
+ * @param {string} file - Path from the site root, with forward slashes
+ * @returns {Object} { url, revision, size }
+ */
+function describeFile(dir, file) {
+    const bytes = fs.readFileSync(path.join(dir, file));
+    return {
+        url: `/${file}`,
+        revision: crypto.createHash('sha256').update(bytes).digest('hex').slice(0, 12),
+        size: bytes.length
+    };
+}
+
+/**
+ * Files of assets/, assets2/ and assets3/ a page refers to
+ * @param {string} dir - Site root
+ * @param {string} file - Page, from the site root
+ * @returns {string[]} Paths from the site root
+ */
+function listPageAssets(dir, file) {
+    const page = testPage.loadTestPage(path.join(dir, file));
+    const assets = new Set();
+    collectReferences(page).forEach(({ kind, reference }) => {
+        if (kind !== 'asset') return;
+        const target = resolveReference(reference, path.join(dir, file), dir);
+        if (!target) return;
+        const relative = path.relative(dir, target).split(path.sep).join('/');
+        if (CONTENT_FOLDER_PATTERN.test(relative) && fs.existsSync(target)) assets.add(relative);
+    });
+    return [...assets];
+}
+
+/**
+ * Scan the site and build the manifest
+ * @param {string} dir - Site root
+ * @returns {Object} { version, count, size, files, content, tests, onDemand }
+ */
+function buildAssetManifest(dir = testPage.ROOT_DIR) {
+    const files = fs.readdirSync(dir)
+        .filter(name => ROOT_FILE_PATTERN.test(name) && !ROOT_EXCLUDED.has(name) && fs.statSync(path.join(dir, name)).isFile());
+
+    Object.entries(FOLDERS).forEach(([folder, keep]) => {
+        listFiles(path.join(dir, folder))
+            .filter(file => keep(file))
+            .forEach(file => files.push(`${folder}/${file}`));
+    });
+
+    // Pictures and sounds the other pages also use stay in the shell
+    const testFiles = new Set(testPage.listTestFiles(dir));
+    const shellAssets = new Set(files
+        .filter(file => /\.html$/.test(file) && !testFiles.has(file))
+        .flatMap(file => listPageAssets(dir, file)));
+
+    const tests = {};
+    const content = new Set(testFiles);
+    testFiles.forEach(file => {
+        const assets = listPageAssets(dir, file).filter(asset => !shellAssets.has(asset));
+        assets.forEach(asset => content.add(asset));
+        const info = testPage.parseFileName(file);
+        if (info) tests[info.id] = [file, ...assets.sort()].map(name => `/${name}`);
+    });
+
+    const entries = files.sort().map(file => describeFile(dir, file));
+    const groupOf = entry => Object.keys(ON_DEMAND).find(group => ON_DEMAND[group](entry.url.slice(1)));
+    const onDemand = {};
+    Object.keys(ON_DEMAND).forEach(group => {
+        onDemand[group] = entries.filter(entry => groupOf(entry) === group);
+    });
+
+    return {
+        version: MANIFEST_VERSION,
+        count: entries.length,
+        size: entries.reduce((total, entry) => total + entry.size, 0),
+        files: entries.filter(entry => !content.has(entry.url.slice(1)) && !groupOf(entry)),
+        content: entries.filter(entry => content.has(entry.url.slice(1))),
+        tests,
+        onDemand
+    };
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+        console.log(fs.readFileSync(__filename, 'utf8').split('*/')[0].replace(/^#!.*\n\/\*\*\n/, '').replace(/^ \* ?/gm, ''));
+        return;
+    }
+
+    const manifest = buildAssetManifest();
+    const json = `${JSON.stringify(manifest, null, 4)}\n`;
+
+    if (options.stdout) {
+        process.stdout.write(json);
+    } else {
+        fs.writeFileSync(options.out, json);
+        const megabytes = entries => (entries.reduce((total, entry) => total + entry.size, 0) / 1024 / 1024).toFixed(1);
+        const onDemand = Object.values(manifest.onDemand).flat();
+        console.log(`${manifest.count} files written to ${path.relative(process.cwd(), options.out)}: ${manifest.files.length} in the shell (${megabytes(manifest.files)} MB), ${manifest.content.length} in the test packs (${megabytes(manifest.content)} MB), ${onDemand.length} on demand (${megabytes(onDemand)} MB)`);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { MANIFEST_FILE, buildAssetManifest };
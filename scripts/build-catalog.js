@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+/**
+ * Tests Hub - Catalog Builder
+ * Scans the test_*.html pages and writes catalog.json, the list of tests the
+ * home pages offer: real file names, titles, and the school, school year and
+ * duration read from each Tests-Hub-test-header block.
+ *
+ * Usage:
+ *   node scripts/build-catalog.js [options]
+ *
+ * Options:
+ *   --out <file>   Output file (default: catalog.json at the site root)
+ *   --stdout       Print the catalog instead of writing it
+ *
+ * Run it again after adding, renaming or removing a test page.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const html = require('./lib/html-parser');
+const testPage = require('./lib/test-page');
+
+const CATALOG_VERSION = 1;
+
+// Year in the file name -> year key used by the home pages
+const LEVELS = {
+    year7: '7th',
+    year8: '8th',
+    year9: '9th',
+    year1: '1st-secondary',
+    year2: '2nd-secondary',
+    year3: '3rd-secondary',
+    year4: '4th-secondary'
+};
+const LEVEL_ORDER = Object.keys(LEVELS);
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+    const options = { out: path.join(testPage.ROOT_DIR, 'catalog.json'), stdout: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--out') options.out = path.resolve(argv[++i]);
+        else if (arg === '--stdout') options.stdout = true;
+        else if (arg === '--help' || arg === '-h') options.help = true;
+        else throw new Error(`Unknown argument: ${arg}`);
+    }
+    return options;
+}
+
+/**
+ * Build the catalog entry of one page
+ * @param {string} filePath - Path to a test_*.html file
+ * @returns {Object|null} null when the page is not a test (file name off-convention)
+ */
+function describeTest(filePath) {
+    const page = testPage.loadTestPage(filePath);
+    if (!page.info || !LEVELS[page.info.year]) return null;
+
+    const header = testPage.readHeader(page.document) || {};
+    const titleElement = html.querySelector(page.document, 'title');
+    const pageTitle = titleElement ? testPage.cleanText(html.textContent(titleElement)) : '';
+    const body = html.querySelector(page.document, 'body');
+
+    return {
+        id: page.info.id,
+        file: page.info.file,
+        year: page.info.year,
+        level: LEVELS[page.info.year],
+        subject: page.info.subject,
+        trimester: page.info.trimester,
+        type: page.info.type,
+        number: page.info.number,
+        title: header.title || pageTitle,
+        school: header.school || null,
+        schoolYear: header.schoolYear || null,
+        duration: header.duration || null,
+        durationMinutes: header.durationMinutes || null,
+        lang: testPage.detectLanguage(body ? html.textContent(body) : page.source, page.info.subject)
+    };
+}
+
+/**
+ * Order entries by year, subject, trimester, type, then number
+ */
+function compareEntries(a, b) {
+    return LEVEL_ORDER.indexOf(a.year) - LEVEL_ORDER.indexOf(b.year)
+        || a.subject.localeCompare(b.subject)
+        || a.trimester - b.trimester
+        || a.type.localeCompare(b.type)
+        || a.number - b.number;
+}
+
+/**
+ * Scan a directory and build the catalog
+ * @param {string} dir - Site root
+ * @returns {Object} { catalog, skipped }
+ */
+function buildCatalog(dir = testPage.ROOT_DIR) {
+    const tests = [];
+    const skipped = [];
+
+    testPage.listTestFiles(dir).forEach(file => {
+        const entry = describeTest(path.join(dir, file));
+        if (entry) tests.push(entry);
+        else skipped.push(file);
+    });
+    tests.sort(compareEntries);
+
+    return {
+        catalog: { version: CATALOG_VERSION, count: tests.length, tests },
+        skipped
+    };
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+        console.log(fs.readFileSync(__filename, 'utf8').split('*/')[0].replace(/^#!.*\n\/\*\*\n/, '').replace(/^ \* ?/gm, ''));
+        return;
+    }
+
+    const { catalog, skipped } = buildCatalog();
+    const json = `${JSON.stringify(catalog, null, 4)}\n`;
+
+    if (options.stdout) {
+        process.stdout.write(json);
+    } else {
+        fs.writeFileSync(options.out, json);
+        console.log(`${catalog.count} tests written to ${path.relative(process.cwd(), options.out)}`);
+    }
+    skipped.forEach(file => console.warn(`skipped   ${file} (not a test page)`));
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { LEVELS, buildCatalog, describeTest };
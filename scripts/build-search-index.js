@@ -0,0 +1,205 @@
+#!/usr/bin/env node
+/**
+ * Tests Hub - Search Index Builder
+ * Writes search-index.json, the offline full-text index behind the home page
+ * search box (search.js): test titles, exercise headings, question and
+ * correction text, school, school year, subject and level, with the same
+ * normalization the browser applies to the query.
+ *
+ * Usage:
+ *   node scripts/build-search-index.js [options]
+ *
+ * Options:
+ *   --out <file>   Output file (default: search-index.json at the site root)
+ *
+ * Run it again whenever catalog.json is rebuilt.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const html = require('./lib/html-parser');
+const testPage = require('./lib/test-page');
+const { buildCatalog } = require('./build-catalog');
+const TestsHubSearch = require('../search');
+
+const INDEX_VERSION = 1;
+
+// How much a word counts, by where it appears
+const WEIGHTS = {
+    title: 10,
+    heading: 5,
+    school: 4,
+    labels: 3,
+    text: 1
+};
+// A word repeated all over a page still only counts this many times
+const MAX_TEXT_OCCURRENCES = 3;
+const MAX_HEADINGS = 12;
+const MAX_HEADING_LENGTH = 120;
+
+// Parts of a page that are not test content
+const SKIP_SELECTOR = [
+    'script', 'style', 'noscript', 'template', 'svg', 'button', 'select', 'header', 'footer', 'nav',
+    '.Tests-Hub-header-container', '.Tests-Hub-footer', '.Tests-Hub-download-section', '.Tests-Hub-download-buttons',
+    '.Tests-Hub-correction-toggle-container', testPage.CORRECTION_SELECTOR, testPage.HEADER_SELECTOR
+].join(', ');
+
+// Names students may type for a subject, in the three languages
+const SUBJECT_NAMES = {
+    arabic: 'العربية عربية arabe arabic',
+    french: 'الفرنسية français french',
+    english: 'الإنجليزية الانقليزية anglais english',
+    maths: 'الرياضيات رياضيات mathématiques maths math mathematics',
+    physics: 'العلوم الفيزيائية فيزياء كيمياء physique chimie sciences physiques physics chemistry',
+    naturalSciences: 'علوم الحياة والأرض svt sciences naturelles biologie natural sciences biology',
+    history: 'التاريخ تاريخ histoire history',
+    geography: 'الجغرافيا جغرافيا géographie geography',
+    islamic: 'التربية الإسلامية éducation islamique islamic education',
+    civicEducation: 'التربية المدنية éducation civique civic education',
+    technology: 'التكنولوجيا technologie technology',
+    informatics: 'الإعلامية informatique computer science',
+    philosophy: 'الفلسفة فلسفة philosophie philosophy',
+    economics: 'الاقتصاد économie economics',
+    management: 'التصرف gestion management'
+};
+
+const LEVEL_NAMES = {
+    year7: 'السابعة أساسي 7ème 7e 7th',
+    year8: 'الثامنة أساسي 8ème 8e 8th',
+    year9: 'التاسعة أساسي 9ème 9e 9th',
+    year1: 'الأولى ثانوي 1ère secondaire 1st secondary',
+    year2: 'الثانية ثانوي 2ème secondaire 2nd secondary',
+    year3: 'الثالثة ثانوي 3ème secondaire 3rd secondary',
+    year4: 'الرابعة ثانوي باكالوريا bac baccalauréat 4ème secondaire 4th secondary'
+};
+
+const TYPE_NAMES = {
+    Type1: 'فرض مراقبة devoir de contrôle mid-term test',
+    Type2: 'فرض تأليفي devoir de synthèse end-of-term exam'
+};
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+    const options = { out: path.join(testPage.ROOT_DIR, 'search-index.json') };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--out') options.out = path.resolve(argv[++i]);
+        else if (arg === '--help' || arg === '-h') options.help = true;
+        else throw new Error(`Unknown argument: ${arg}`);
+    }
+    return options;
+}
+
+/**
+ * Text of the test content, block by block, without the page chrome,
+ * the header block or the correction
+ */
+function contentText(node, parts = []) {
+    if (node.type === 'text') {
+        parts.push(html.decodeEntities(node.value));
+    } else if (node.type === 'element' || node.type === 'document') {
+        if (node.type === 'element' && html.matches(node, SKIP_SELECTOR)) return parts;
+        (node.children || []).forEach(child => contentText(child, parts));
+        // Keep words of neighbouring blocks apart
+        parts.push(' ');
+    }
+    return parts;
+}
+
+/**
+ * Exercise headings of a page, for ranking and for the result snippet
+ */
+function readHeadings(document) {
+    const headings = [];
+    html.querySelectorAll(document, 'h2, h3, h4').forEach(node => {
+        if (html.closest(node, SKIP_SELECTOR)) return;
+        const text = testPage.cleanText(html.textContent(node));
+        if (text && text.length <= MAX_HEADING_LENGTH && !headings.includes(text)) headings.push(text);
+    });
+    return headings.slice(0, MAX_HEADINGS);
+}
+
+/**
+ * Add the words of a text to a page's term weights
+ */
+function addTerms(weights, text, weight, maxOccurrences = Infinity) {
+    const counts = new Map();
+    TestsHubSearch.tokenize(text).forEach(term => {
+        // Bare numbers in the questions (marks, values) only add noise
+        if (maxOccurrences !== Infinity && /^\d+$/.test(term)) return;
+        const count = (counts.get(term) || 0) + 1;
+        counts.set(term, count);
+        if (count <= maxOccurrences) weights.set(term, (weights.get(term) || 0) + weight);
+    });
+}
+
+/**
+ * Build the search index from the catalog entries
+ * @param {Object[]} tests - Catalog entries (see build-catalog.js)
+ * @returns {Object} { version, count, tests, terms }
+ */
+function buildSearchIndex(tests) {
+    const terms = {};
+    const documents = tests.map((test, position) => {
+        const page = testPage.loadTestPage(path.join(testPage.ROOT_DIR, test.file));
+        const body = html.querySelector(page.document, 'body') || page.document;
+        const headings = readHeadings(body);
+        const weights = new Map();
+
+        addTerms(weights, test.title, WEIGHTS.title);
+        headings.forEach(heading => addTerms(weights, heading, WEIGHTS.heading));
+        addTerms(weights, [test.school, test.schoolYear].filter(Boolean).join(' '), WEIGHTS.school);
+        addTerms(weights, [SUBJECT_NAMES[test.subject], test.subject, LEVEL_NAMES[test.year], TYPE_NAMES[test.type]].join(' '), WEIGHTS.labels);
+        addTerms(weights, contentText(body).join(''), WEIGHTS.text, MAX_TEXT_OCCURRENCES);
+        // The correction often names the notion a question is about ("théorème de Pythagore")
+        const correction = testPage.findCorrection(page.document);
+        if (correction) {
+            addTerms(weights, contentText({ type: 'document', children: correction.children }).join(''), WEIGHTS.text, MAX_TEXT_OCCURRENCES);
+        }
+
+        weights.forEach((weight, term) => {
+            if (!terms[term]) terms[term] = [];
+            terms[term].push(position, weight);
+        });
+
+        return {
+            id: test.id,
+            file: test.file,
+            level: test.level,
+            subject: test.subject,
+            trimester: test.trimester,
+            type: test.type,
+            number: test.number,
+            title: test.title,
+            school: test.school,
+            schoolYear: test.schoolYear,
+            headings
+        };
+    });
+
+    return { version: INDEX_VERSION, count: documents.length, tests: documents, terms };
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+        console.log(fs.readFileSync(__filename, 'utf8').split('*/')[0].replace(/^#!.*\n\/\*\*\n/, '').replace(/^ \* ?/gm, ''));
+        return;
+    }
+
+    const { catalog } = buildCatalog();
+    const index = buildSearchIndex(catalog.tests);
+    // Kept compact: the home page downloads it
+    fs.writeFileSync(options.out, `${JSON.stringify(index)}\n`);
+
+    const size = fs.statSync(options.out).size;
+    console.log(`${index.count} tests, ${Object.keys(index.terms).length} terms written to ${path.relative(process.cwd(), options.out)} (${Math.round(size / 1024)} KB)`);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { buildSearchIndex };
@@ -0,0 +1,325 @@
+#!/usr/bin/env node
+/**
+ * Tests Hub - Link Checker
+ * Cross-references catalog.json (the list the home pages show) with the
+ * test pages on disk, and checks every local link and asset reference of
+ * the site pages (img src, audio source, scripts, styles, assets/ paths).
+ *
+ * Usage:
+ *   node scripts/check-links.js [options]
+ *
+ * Options:
+ *   --catalog <file>   Catalog to check (default: catalog.json)
+ *   --json             Print the report as JSON
+ *
+ * Reported problems:
+ *   broken-link       a catalog entry or a page link points at a missing page
+ *   orphaned          a test page the catalog does not list (the home pages never show it)
+ *   misnumbered       gaps or duplicates in test numbers, or off-convention file names
+ *   outdated-catalog  catalog.json no longer matches the pages (rerun build-catalog.js)
+ *   unreachable       catalog tests for a year or subject a home page does not offer
+ *   missing-asset     an image, audio file, script or assets/ path that does not exist
+ *
+ * Exits with status 1 when anything is reported.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const html = require('./lib/html-parser');
+const testPage = require('./lib/test-page');
+const { LEVELS, buildCatalog } = require('./build-catalog');
+
+const HOME_PAGES = ['index.html', 'new_index.html'];
+
+// Attributes holding a local reference, per element
+const REFERENCE_ATTRIBUTES = {
+    a: ['href'],
+    link: ['href'],
+    img: ['src'],
+    audio: ['src'],
+    video: ['src', 'poster'],
+    source: ['src'],
+    track: ['src'],
+    script: ['src'],
+    iframe: ['src'],
+    embed: ['src'],
+    object: ['data']
+};
+
+// assets/, assets2/, assets3/... paths written in styles or scripts
+const ASSET_PATH_PATTERN = /(?:\.{0,2}\/)?assets\d*\/[^\s"'`()<>,;{}\\]+/g;
+
+const TITLES = {
+    'broken-link': 'Broken links',
+    'orphaned': 'Orphaned test pages',
+    'misnumbered': 'Mis-numbered tests',
+    'outdated-catalog': 'Outdated catalog',
+    'unreachable': 'Tests the home pages cannot reach',
+    'missing-asset': 'Missing assets'
+};
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+    const options = { catalog: path.join(testPage.ROOT_DIR, 'catalog.json'), json: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--catalog') options.catalog = path.resolve(argv[++i]);
+        else if (arg === '--json') options.json = true;
+        else if (arg === '--help' || arg === '-h') options.help = true;
+        else throw new Error(`Unknown argument: ${arg}`);
+    }
+    return options;
+}
+
+/**
+ * Line number of the first occurrence of a text in a source
+ */
+function lineOf(source, text) {
+    const index = source.indexOf(text);
+    return index < 0 ? null : source.slice(0, index).split('\n').length;
+}
+
+/**
+ * Resolve a local reference to a path on disk
+ * @param {string} reference - Attribute value or assets path
+ * @param {string} fromFile - Page the reference appears in
+ * @param {string} rootDir - Site root
+ * @returns {string|null} null for external, anchor-only or script-built references
+ */
+function resolveReference(reference, fromFile, rootDir) {
+    const value = html.decodeEntities(reference).trim();
+    if (!value || value[0] === '#' || value.startsWith('//')) return null;
+    if (/^[a-z][a-z0-9+.-]*:/i.test(value)) return null;
+    if (/\$\{|\+|\{\{/.test(value)) return null;
+
+    let target = value.split('#')[0].split('?')[0];
+    try {
+        target = decodeURI(target);
+    } catch (error) {
+        // Keep the raw value: a malformed escape is reported as missing
+    }
+    if (!target) return null;
+
+    const resolved = target[0] === '/'
+        ? path.join(rootDir, target)
+        : path.join(path.dirname(fromFile), target);
+    return target.endsWith('/') ? path.join(resolved, 'index.html') : resolved;
+}
+
+/**
+ * List the local references of a page
+ * @returns {Object[]} { kind: 'link'|'asset', reference, line }
+ */
+function collectReferences(page) {
+    const references = [];
+    const seen = new Set();
+    const add = (kind, reference) => {
+        if (seen.has(reference)) return;
+        seen.add(reference);
+        references.push({ kind, reference, line: lineOf(page.source, reference) });
+    };
+
+    Object.keys(REFERENCE_ATTRIBUTES).forEach(tag => {
+        html.querySelectorAll(page.document, tag).forEach(node => {
+            REFERENCE_ATTRIBUTES[tag].forEach(name => {
+                const value = html.getAttribute(node, name);
+                if (value) add(tag === 'a' ? 'link' : 'asset', value);
+            });
+        });
+    });
+
+    // Paths in inline styles and scripts; commented-out markup is ignored
+    const source = page.source.replace(/<!--[\s\S]*?-->/g, '');
+    (source.match(ASSET_PATH_PATTERN) || []).forEach(reference => add('asset', reference.replace(/[.:]+$/, '')));
+    return references;
+}
+
+/**
+ * Read the year and subject keys a home page offers
+ * @returns {Object} { loadsCatalog, subjects: Set, levels: Set }
+ */
+function readHomePage(source) {
+    const subjectsBlock = /const subjectsData = \[([\s\S]*?)\n\s*\];/.exec(source);
+    const subjects = new Set();
+    if (subjectsBlock) {
+        const keyPattern = /\bkey: '([^']+)'/g;
+        let match;
+        while ((match = keyPattern.exec(subjectsBlock[1]))) subjects.add(match[1]);
+    }
+    const levels = new Set(Object.values(LEVELS).filter(level => source.includes(`'${level}'`)));
+    return { loadsCatalog: /fetch\(['"]catalog\.json['"]\)/.test(source), subjects, levels };
+}
+
+/**
+ * Compare catalog.json with a fresh build
+ * @returns {string[]} Ids of the entries that differ
+ */
+function diffCatalog(catalog, fresh) {
+    const byId = new Map(catalog.tests.map(test => [test.id, JSON.stringify(test)]));
+    const changed = fresh.tests
+        .filter(test => byId.get(test.id) !== JSON.stringify(test))
+        .map(test => test.id);
+    const freshIds = new Set(fresh.tests.map(test => test.id));
+    catalog.tests.forEach(test => {
+        if (!freshIds.has(test.id)) changed.push(test.id);
+    });
+    return changed;
+}
+
+/**
+ * Check the site
+ * @param {Object} options - { catalog: path to catalog.json }
+ * @returns {Object[]} Problems: { kind, file, line, detail }
+ */
+function checkSite(options = {}) {
+    const rootDir = testPage.ROOT_DIR;
+    const catalogFile = options.catalog || path.join(rootDir, 'catalog.json');
+    const problems = [];
+    const report = (kind, file, detail, line = null) => problems.push({ kind, file, line, detail });
+    const catalogName = path.relative(rootDir, catalogFile);
+
+    // Catalog entries
+    let catalog = { tests: [] };
+    if (!fs.existsSync(catalogFile)) {
+        report('outdated-catalog', catalogName, 'catalog not found: run node scripts/build-catalog.js');
+    } else {
+        try {
+            catalog = JSON.parse(fs.readFileSync(catalogFile, 'utf8'));
+            if (!Array.isArray(catalog.tests)) throw new Error('no "tests" list');
+        } catch (error) {
+            report('outdated-catalog', catalogName, `unreadable catalog: ${error.message}`);
+            catalog = { tests: [] };
+        }
+    }
+    const listed = new Set(catalog.tests.map(test => test.file));
+    catalog.tests.forEach(test => {
+        if (!fs.existsSync(path.join(rootDir, test.file))) {
+            report('broken-link', catalogName, `${test.file} (${test.level} ${test.subject} trim${test.trimester}) does not exist`);
+        }
+    });
+
+    const { catalog: fresh } = buildCatalog(rootDir);
+    const changed = diffCatalog(catalog, fresh);
+    if (changed.length && fs.existsSync(catalogFile)) {
+        report('outdated-catalog', catalogName, `${changed.length} entries differ from the pages (${changed.slice(0, 3).join(', ')}${changed.length > 3 ? ', ...' : ''}): run node scripts/build-catalog.js`);
+    }
+
+    // Home pages
+    HOME_PAGES.forEach(name => {
+        const file = path.join(rootDir, name);
+        if (!fs.existsSync(file)) return;
+        const home = readHomePage(fs.readFileSync(file, 'utf8'));
+        if (!home.loadsCatalog) {
+            report('unreachable', name, 'does not load catalog.json');
+            return;
+        }
+        const missing = new Map();
+        catalog.tests.forEach(test => {
+            const reason = !home.levels.has(test.level) ? `year ${test.level}`
+                : !home.subjects.has(test.subject) ? `subject ${test.subject}` : null;
+            if (reason) missing.set(reason, (missing.get(reason) || 0) + 1);
+        });
+        missing.forEach((count, reason) => report('unreachable', name, `no ${reason}: ${count} test(s) cannot be opened`));
+    });
+
+    // Site pages: links and assets
+    const pages = fs.readdirSync(rootDir).filter(name => /\.html$/.test(name)).sort();
+    const linkedFrom = new Map();
+    pages.forEach(name => {
+        const page = testPage.loadTestPage(path.join(rootDir, name));
+        collectReferences(page).forEach(({ kind, reference, line }) => {
+            const target = resolveReference(reference, path.join(rootDir, name), rootDir);
+            if (!target) return;
+            const relative = path.relative(rootDir, target);
+            if (kind === 'link' && /^test_.*\.html$/.test(relative) && relative !== name) {
+                if (!linkedFrom.has(relative)) linkedFrom.set(relative, []);
+                linkedFrom.get(relative).push(name);
+            }
+            if (!fs.existsSync(target)) {
+                report(kind === 'link' ? 'broken-link' : 'missing-asset', name, reference, line);
+            }
+        });
+    });
+
+    // Test pages the catalog does not list
+    testPage.listTestFiles(rootDir).forEach(name => {
+        if (listed.has(name)) return;
+        const from = linkedFrom.get(name);
+        report('orphaned', name, from
+            ? `not in ${catalogName}, only linked from ${[...new Set(from)].join(', ')}`
+            : `not in ${catalogName} and not linked from any page`);
+    });
+
+    // Numbering: each year/subject/trimester/type series runs 1..n
+    const series = new Map();
+    testPage.listTestFiles(rootDir).forEach(name => {
+        const info = testPage.parseFileName(name);
+        if (!info) return;
+        const expected = `test_${info.year}_${info.subject}_trim${info.trimester}_${info.type}_test${info.number}.html`;
+        if (name !== expected) report('misnumbered', name, `should be named ${expected}`);
+        const key = `${info.year}_${info.subject}_trim${info.trimester}_${info.type}`;
+        if (!series.has(key)) series.set(key, []);
+        series.get(key).push(info.number);
+    });
+    series.forEach((numbers, key) => {
+        numbers.sort((a, b) => a - b);
+        const max = numbers[numbers.length - 1];
+        const missing = [];
+        for (let n = 1; n <= max; n++) {
+            if (!numbers.includes(n)) missing.push(n);
+        }
+        const duplicates = numbers.filter((n, i) => numbers.indexOf(n) !== i);
+        if (missing.length) report('misnumbered', `test_${key}_test*.html`, `missing number(s) ${missing.join(', ')}`);
+        if (duplicates.length) report('misnumbered', `test_${key}_test*.html`, `number(s) used twice: ${duplicates.join(', ')}`);
+    });
+
+    return problems;
+}
+
+/**
+ * Format the problems as a readable report
+ */
+function formatReport(problems) {
+    if (!problems.length) return 'No problems found.';
+    const lines = [];
+    Object.keys(TITLES).forEach(kind => {
+        const group = problems.filter(problem => problem.kind === kind);
+        if (!group.length) return;
+        lines.push(`${TITLES[kind]} (${group.length})`);
+        group.forEach(problem => {
+            const where = problem.line ? `${problem.file}:${problem.line}` : problem.file;
+            lines.push(`  ${where}  ${problem.detail}`);
+        });
+        lines.push('');
+    });
+    lines.push(`${problems.length} problem(s) found.`);
+    return lines.join('\n');
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+        console.log(fs.readFileSync(__filename, 'utf8').split('*/')[0].replace(/^#!.*\n\/\*\*\n/, '').replace(/^ \* ?/gm, ''));
+        return;
+    }
+
+    const problems = checkSite(options);
+    if (options.json) {
+        const summary = {};
+        problems.forEach(problem => {
+            summary[problem.kind] = (summary[problem.kind] || 0) + 1;
+        });
+        console.log(JSON.stringify({ summary, problems }, null, 4));
+    } else {
+        console.log(formatReport(problems));
+    }
+    if (problems.length) process.exitCode = 1;
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { checkSite, collectReferences, resolveReference, formatReport };
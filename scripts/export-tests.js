@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+/**
+ * Tests Hub - Test Exporter
+ * Writes printable PDF, ODT or DOCX files of test pages without a browser:
+ * each page is loaded in jsdom with its own scripts (KaTeX, test.html's
+ * renderer), then read and written by the same document-model.js and
+ * writers as the download buttons.
+ *
+ * Usage:
+ *   node scripts/export-tests.js [options] [files ...]
+ *
+ * Files are test_*.html pages or tests-data/<id>.json documents; patterns
+ * such as 'test_year7_maths_*.html' are expanded (quote them on Windows).
+ * Without file arguments every test_*.html page of the site is exported.
+ *
+ * Options:
+ *   --format <list>      pdf, odt, docx or a comma-separated list (default: pdf)
+ *   --out <dir>          Output directory (default: exports)
+ *   --with-correction    The subject then the correction (default: the subject only)
+ *   --correction-only    The test header and the correction only
+ *   --blank              Blank answer lines (default: the answers written in the page)
+ *   --paper <size>       a4 or letter (default: a4)
+ *   --margin <mm>        Page margins in mm (default: the writer's own)
+ *   --font-size <pt>     Body text size in points (default: the writer's own)
+ *   --verbose            Show the messages of the pages' scripts
+ *
+ * Needs jsdom (npm install); the PDF fonts are read from lib/fonts/.
+ * Exits with status 1 when a file could not be exported.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const testPage = require('./lib/test-page');
+const exporter = require('./lib/page-exporter');
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+    const options = {
+        formats: ['pdf'],
+        out: path.resolve('exports'),
+        include: 'subject',
+        answers: 'student',
+        paper: 'a4',
+        margin: undefined,
+        fontSize: undefined,
+        verbose: false,
+        files: []
+    };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--format') options.formats = argv[++i].split(',').map(format => format.trim().toLowerCase());
+        else if (arg === '--out') options.out = path.resolve(argv[++i]);
+        else if (arg === '--with-correction') options.include = 'all';
+        else if (arg === '--correction-only') options.include = 'correction';
+        else if (arg === '--blank') options.answers = 'blank';
+        else if (arg === '--paper') options.paper = argv[++i];
+        else if (arg === '--margin') options.margin = parseFloat(argv[++i]);
+        else if (arg === '--font-size') options.fontSize = parseFloat(argv[++i]);
+        else if (arg === '--verbose') options.verbose = true;
+        else if (arg === '--help' || arg === '-h') options.help = true;
+        else if (arg.startsWith('--')) throw new Error(`Unknown argument: ${arg}`);
+        else options.files.push(arg);
+    }
+
+    const unknown = options.formats.filter(format => !exporter.FORMATS[format]);
+    if (unknown.length) throw new Error(`Unknown format: ${unknown.join(', ')} (pdf, odt or docx)`);
+    if (!['a4', 'letter'].includes(options.paper)) throw new Error(`Unknown paper size: ${options.paper} (a4 or letter)`);
+    return options;
+}
+
+/**
+ * Expand a file pattern: * and ? in the file name, {a,b} alternatives
+ * @returns {string[]} Sorted absolute paths; the pattern itself when it has no wildcard
+ */
+function expandPattern(pattern) {
+    if (!/[*?{]/.test(pattern)) return [path.resolve(pattern)];
+
+    const dir = path.resolve(path.dirname(pattern));
+    const source = path.basename(pattern)
+        .replace(/[.+^$()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        .replace(/\?/g, '.')
+        .replace(/\{([^}]*)\}/g, (match, list) => `(${list.split(',').join('|')})`);
+    const regex = new RegExp(`^${source}$`);
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+        .filter(name => regex.test(name))
+        .sort()
+        .map(name => path.join(dir, name));
+}
+
+/**
+ * Address a file is loaded from: a page as it is served, a test document through test.html
+ */
+function getPageUrl(filePath) {
+    const relative = path.relative(testPage.ROOT_DIR, filePath).split(path.sep).join('/');
+    if (relative.startsWith('..')) throw new Error('outside the site folder');
+    if (/^tests-data\/[^/]+\.json$/.test(relative)) {
+        return `${exporter.ORIGIN}/test.html?id=${encodeURIComponent(path.basename(relative, '.json'))}`;
+    }
+    if (!relative.endsWith('.html')) throw new Error('not an .html page or a tests-data document');
+    return `${exporter.ORIGIN}/${relative}`;
+}
+
+/**
+ * Load a page or a test document in jsdom, with its own scripts
+ * @returns {Promise<Window>}
+ */
+function loadPage(filePath, options) {
+    const url = getPageUrl(filePath);
+    const pagePath = path.join(testPage.ROOT_DIR, decodeURIComponent(new URL(url).pathname));
+    if (!fs.existsSync(filePath) || !fs.existsSync(pagePath)) throw new Error('file not found');
+    return exporter.openPage(fs.readFileSync(pagePath, 'utf8'), { url, verbose: options.verbose });
+}
+
+/**
+ * Output file name: the test's name, marked when it holds the correction
+ */
+function getOutputName(filePath, options, extension) {
+    const name = path.basename(filePath).replace(/\.(html|json)$/, '');
+    const suffix = { subject: '', all: '_with_correction', correction: '_correction' }[options.include];
+    return `${name}${suffix}.${extension}`;
+}
+
+/**
+ * Export one page in every chosen format
+ * @returns {Promise<string[]>} Paths of the files written
+ */
+function exportFile(filePath, options) {
+    return Promise.resolve().then(() => loadPage(filePath, options)).then(window => {
+        // One format after the other: the writers share the page
+        return options.formats.reduce((previous, format) => previous.then(written => {
+            return exporter.exportPage(window, format, options).then(bytes => {
+                const output = path.join(options.out, getOutputName(filePath, options, exporter.FORMATS[format].extension));
+                fs.writeFileSync(output, bytes);
+                return written.concat(output);
+            });
+        }), Promise.resolve([])).finally(() => window.close());
+    });
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+        console.log(fs.readFileSync(__filename, 'utf8').split('*/')[0].replace(/^#!.*\n\/\*\*\n/, '').replace(/^ \* ?/gm, ''));
+        return Promise.resolve();
+    }
+    exporter.loadJSDOM();
+
+    const files = options.files.length
+        ? [].concat(...options.files.map(pattern => {
+            const matches = expandPattern(pattern);
+            if (!matches.length) console.warn(`No file matches ${pattern}`);
+            return matches;
+        }))
+        : testPage.listTestFiles().map(file => path.join(testPage.ROOT_DIR, file));
+
+    fs.mkdirSync(options.out, { recursive: true });
+
+    let failed = 0;
+    return files.reduce((previous, file) => previous.then(() => exportFile(file, options)
+        .then(written => {
+            written.forEach(output => console.log(`exported  ${path.relative(process.cwd(), output)}`));
+        })
+        .catch(error => {
+            failed++;
+            console.log(`failed    ${path.basename(file)}: ${error.message}`);
+        })), Promise.resolve())
+        .then(() => {
+            console.log(`${files.length - failed} exported, ${failed} failed`);
+            if (failed) process.exitCode = 1;
+        });
+}
+
+if (require.main === module) {
+    Promise.resolve().then(main).catch(error => {
+        console.error(error.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { parseArgs, expandPattern, exportFile };
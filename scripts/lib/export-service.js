@@ -0,0 +1,249 @@
+/**
+ * Tests Hub - Export Service
+ * The /api/generate-pdf, /api/generate-odt and /api/generate-png endpoints, as
+ * Netlify function handlers (netlify/functions/) that scripts/serve.js also runs.
+ * The PNG one only runs in scripts/serve.js: a Netlify function cannot start a browser.
+ * They take the JSON the download buttons send, { html, filename, testId, title,
+ * options }, where html is a snapshot of the page with the student's answers and
+ * options the export choices, and answer with the file. GET answers
+ * { service, format, available } so that pages can check a generator is there.
+ *
+ * PDF and ODT files are written by the same writers as in the browser (jsdom);
+ * PNG captures need puppeteer (a development dependency in package.json), without
+ * it or its browser the endpoint answers 501. The capture browser keeps Chrome's
+ * sandbox: it opens pages sent by anyone, so it must not run as root or with --no-sandbox.
+ */
+
+const fs = require('fs');
+const exporter = require('./page-exporter');
+
+const SERVICE = 'tests-hub-export';
+const MAX_HTML_LENGTH = 5 * 1024 * 1024;
+const CAPTURE_WIDTH = 1000;
+
+const TYPES = {
+    pdf: exporter.FORMATS.pdf.type,
+    odt: exporter.FORMATS.odt.type,
+    png: 'image/png'
+};
+
+/**
+ * Error answered with its HTTP status
+ */
+class HttpError extends Error {
+    constructor(statusCode, message) {
+        super(message);
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Whether a package can be loaded
+ */
+function hasModule(name) {
+    try {
+        require.resolve(name);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Whether puppeteer and the browser it launches are installed
+ * (PUPPETEER_SKIP_DOWNLOAD installs the package without its browser)
+ */
+function hasBrowser() {
+    if (!hasModule('puppeteer')) return false;
+    try {
+        return fs.existsSync(require('puppeteer').executablePath());
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Whether the generator of a format can run here
+ */
+function isAvailable(format) {
+    return format === 'png' ? hasBrowser() : hasModule('jsdom');
+}
+
+/**
+ * Reader of the site files: from disk (the files deployed with the function), then from
+ * the site itself for the pictures that are not (Netlify sets URL to the site address)
+ */
+function siteReader() {
+    const disk = exporter.diskReader();
+    const siteUrl = process.env.URL;
+    return pathname => disk(pathname).then(bytes => {
+        if (bytes || !siteUrl || typeof fetch !== 'function') return bytes;
+        return fetch(new URL(pathname, siteUrl))
+            .then(response => response.ok ? response.arrayBuffer().then(buffer => Buffer.from(buffer)) : null)
+            .catch(() => null);
+    });
+}
+
+/**
+ * A JSON answer
+ */
+function jsonResponse(statusCode, data) {
+    return {
+        statusCode,
+        headers: { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' },
+        body: JSON.stringify(data)
+    };
+}
+
+/**
+ * Read and check the JSON body of a request
+ * @returns {Object} { html, filename, testId, title, options }
+ */
+function parseRequest(event) {
+    const body = event.isBase64Encoded ? Buffer.from(event.body || '', 'base64').toString('utf8') : event.body;
+    let payload;
+    try {
+        payload = JSON.parse(body || '');
+    } catch (error) {
+        throw new HttpError(400, 'The request body must be JSON');
+    }
+    if (!payload || typeof payload.html !== 'string' || !payload.html.trim()) {
+        throw new HttpError(400, 'html is required');
+    }
+    if (payload.html.length > MAX_HTML_LENGTH) {
+        throw new HttpError(413, 'The page is too large');
+    }
+    return payload;
+}
+
+/**
+ * Name of the file sent back: the one asked for, without paths or odd characters
+ */
+function getFilename(payload, format) {
+    const base = String(payload.filename || payload.testId || 'test').split(/[\\/]/).pop()
+        .replace(/\.[a-z0-9]+$/i, '')
+        .replace(/[\x00-\x1f"*:<>?|]+/g, '_').trim() || 'test';
+    return `${base}.${format}`;
+}
+
+/**
+ * Address the snapshot is read at, so that its relative links point at the site files
+ */
+function getPageUrl(payload) {
+    const testId = String(payload.testId || '');
+    return `${exporter.ORIGIN}/${/^[\w-]+$/.test(testId) && testId !== 'unknown' ? `${testId}.html` : ''}`;
+}
+
+/**
+ * Export choices of the request, as the writers take them
+ */
+function getExportOptions(payload) {
+    const options = payload.options || {};
+    return {
+        title: payload.title,
+        include: options.include,
+        answers: options.answers,
+        paper: options.paper,
+        margin: options.margin,
+        fontSize: options.fontSize
+    };
+}
+
+/**
+ * Write the snapshot as a PDF or ODT file
+ * @returns {Promise<Buffer>}
+ */
+function generateDocument(format, payload) {
+    return exporter.openPage(payload.html, {
+        url: getPageUrl(payload),
+        runScripts: false,
+        readFile: siteReader()
+    }).catch(error => {
+        throw new HttpError(422, error.message);
+    }).then(window => exporter.exportPage(window, format, getExportOptions(payload))
+        .finally(() => window.close()));
+}
+
+/**
+ * Capture the snapshot as a PNG picture in a headless browser
+ * @returns {Promise<Buffer>}
+ */
+function capturePNG(payload) {
+    if (!isAvailable('png')) return Promise.reject(new HttpError(501, 'PNG capture needs puppeteer and its browser on the server'));
+
+    const puppeteer = require('puppeteer');
+    const readFile = siteReader();
+    return puppeteer.launch().then(browser => browser.newPage()
+        .then(page => Promise.resolve()
+            // The snapshot is the page as the student sees it: its scripts must not run again
+            .then(() => page.setJavaScriptEnabled(false))
+            .then(() => page.setViewport({ width: CAPTURE_WIDTH, height: 800, deviceScaleFactor: 1.5 }))
+            .then(() => page.setRequestInterception(true))
+            .then(() => {
+                page.on('request', request => {
+                    const address = new URL(request.url());
+                    if (address.origin !== exporter.ORIGIN) {
+                        request.abort();
+                    } else if (request.isNavigationRequest()) {
+                        request.respond({ status: 200, contentType: 'text/html; charset=utf-8', body: payload.html });
+                    } else {
+                        // A file that cannot be read is answered as missing, so that the page does not wait for it
+                        readFile(address.pathname)
+                            .catch(() => null)
+                            .then(bytes => request.respond(bytes
+                                ? { status: 200, contentType: exporter.getMimeType(address.pathname), body: bytes }
+                                : { status: 404, body: '' }))
+                            .catch(error => console.warn(`Could not answer ${address.pathname}:`, error.message));
+                    }
+                });
+                return page.goto(getPageUrl(payload), { waitUntil: 'networkidle0', timeout: 30000 });
+            })
+            .then(() => page.$(exporter.CONTENT_SELECTOR))
+            .then(element => element
+                ? element.screenshot({ type: 'png' })
+                : page.screenshot({ type: 'png', fullPage: true })))
+        .then(bytes => Buffer.from(bytes))
+        .finally(() => browser.close()));
+}
+
+/**
+ * Netlify function handler of a generator
+ * @param {string} format - 'pdf', 'odt' or 'png'
+ * @returns {Function} event -> Promise<{ statusCode, headers, body, isBase64Encoded }>
+ */
+function createHandler(format) {
+    return event => {
+        if (event.httpMethod === 'GET') {
+            return Promise.resolve(jsonResponse(200, { service: SERVICE, format, available: isAvailable(format) }));
+        }
+        if (event.httpMethod !== 'POST') {
+            const response = jsonResponse(405, { error: 'Use GET or POST' });
+            response.headers.Allow = 'GET, POST';
+            return Promise.resolve(response);
+        }
+
+        let filename;
+        return Promise.resolve().then(() => {
+            const payload = parseRequest(event);
+            filename = getFilename(payload, format);
+            if (format === 'png') return capturePNG(payload);
+            if (!isAvailable(format)) throw new HttpError(501, 'jsdom is not installed on the server');
+            return generateDocument(format, payload);
+        }).then(bytes => ({
+            statusCode: 200,
+            headers: {
+                'Content-Type': TYPES[format],
+                'Content-Disposition': `attachment; filename="${filename.replace(/[^\x20-\x7e]/g, '_')}"; filename*=UTF-8''${encodeURIComponent(filename)}`,
+                'Cache-Control': 'no-store'
+            },
+            body: bytes.toString('base64'),
+            isBase64Encoded: true
+        })).catch(error => {
+            const statusCode = error.statusCode || 500;
+            if (statusCode === 500) console.error(`generate-${format} failed:`, error);
+            return jsonResponse(statusCode, { error: statusCode === 500 ? 'The file could not be generated' : error.message });
+        });
+    };
+}
+
+module.exports = { SERVICE, createHandler, isAvailable };
@@ -0,0 +1,396 @@
+/**
+ * Tests Hub - HTML Parser
+ * A small, dependency-free HTML parser and query helper for the Node scripts.
+ * It is tolerant of the markup found in the test pages (implied </p>, </li>,
+ * </td>...) and keeps text and attribute values exactly as written, so
+ * innerHTML() returns the original source of a fragment.
+ */
+
+const VOID_ELEMENTS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+    'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+// Elements whose content is not parsed as markup
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+
+// Opening one of these closes an open <p>
+const CLOSES_PARAGRAPH = new Set([
+    'address', 'article', 'aside', 'blockquote', 'div', 'dl', 'fieldset', 'figure',
+    'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'main',
+    'nav', 'ol', 'p', 'pre', 'section', 'table', 'ul'
+]);
+
+// Implied end tags: opening the key closes an open element of the listed
+// names, as long as none of the boundary elements is crossed
+const IMPLIED_END = {
+    li: { closes: ['li'], boundary: ['ul', 'ol'] },
+    dt: { closes: ['dt', 'dd'], boundary: ['dl'] },
+    dd: { closes: ['dt', 'dd'], boundary: ['dl'] },
+    option: { closes: ['option'], boundary: ['select', 'datalist'] },
+    tr: { closes: ['tr', 'td', 'th'], boundary: ['table', 'thead', 'tbody', 'tfoot'] },
+    td: { closes: ['td', 'th'], boundary: ['tr', 'table'] },
+    th: { closes: ['td', 'th'], boundary: ['tr', 'table'] },
+    thead: { closes: ['thead', 'tbody', 'tr', 'td', 'th'], boundary: ['table'] },
+    tbody: { closes: ['thead', 'tbody', 'tr', 'td', 'th'], boundary: ['table'] }
+};
+
+const NAMED_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+    laquo: '«', raquo: '»', hellip: '…', ndash: '–', mdash: '—',
+    rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“', times: '×',
+    divide: '÷', deg: '°', eacute: 'é', egrave: 'è', agrave: 'à',
+    ccedil: 'ç', ecirc: 'ê', rarr: '→', larr: '←', middot: '·'
+};
+
+/**
+ * Decode HTML character references
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+    return String(text).replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1] === 'x' || entity[1] === 'X'
+                ? parseInt(entity.slice(2), 16)
+                : parseInt(entity.slice(1), 10);
+            return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+        }
+        const named = NAMED_ENTITIES[entity.toLowerCase()];
+        return named !== undefined ? named : match;
+    });
+}
+
+function createElement(name, attrs, parent) {
+    return { type: 'element', name, attrs, children: [], parent };
+}
+
+/**
+ * Parse an HTML string into a tree of plain objects:
+ * { type: 'document' | 'element' | 'text' | 'comment', name, attrs, children, parent, value }
+ * @param {string} html - HTML source
+ * @returns {Object} Document node
+ */
+function parse(html) {
+    const source = String(html);
+    const document = { type: 'document', name: '#document', attrs: {}, children: [], parent: null };
+    const stack = [document];
+    const attrPattern = /\s*([^\s"'<>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/y;
+    let pos = 0;
+
+    const current = () => stack[stack.length - 1];
+    const append = node => {
+        node.parent = current();
+        current().children.push(node);
+    };
+    const closeTo = index => {
+        stack.length = index;
+    };
+    // Index of the outermost open element named in `names` that is not
+    // separated from the top of the stack by a boundary element
+    const findOpen = (names, boundary) => {
+        let found = -1;
+        for (let i = stack.length - 1; i > 0; i--) {
+            if (boundary && boundary.includes(stack[i].name)) break;
+            if (names.includes(stack[i].name)) {
+                found = i;
+                if (!boundary) break;
+            }
+        }
+        return found;
+    };
+
+    while (pos < source.length) {
+        const lt = source.indexOf('<', pos);
+        if (lt === -1) {
+            append({ type: 'text', value: source.slice(pos) });
+            break;
+        }
+        if (lt > pos) {
+            append({ type: 'text', value: source.slice(pos, lt) });
+        }
+        pos = lt;
+
+        // Comment
+        if (source.startsWith('<!--', pos)) {
+            const end = source.indexOf('-->', pos + 4);
+            const stop = end === -1 ? source.length : end;
+            append({ type: 'comment', value: source.slice(pos + 4, stop) });
+            pos = end === -1 ? source.length : end + 3;
+            continue;
+        }
+
+        // Doctype and processing instructions
+        if (source[pos + 1] === '!' || source[pos + 1] === '?') {
+            const end = source.indexOf('>', pos);
+            pos = end === -1 ? source.length : end + 1;
+            continue;
+        }
+
+        // End tag
+        const endMatch = /^<\/([a-zA-Z][\w:-]*)\s*>/.exec(source.slice(pos, pos + 64));
+        if (endMatch) {
+            const name = endMatch[1].toLowerCase();
+            const index = findOpen([name]);
+            if (index > 0) closeTo(index);
+            pos += endMatch[0].length;
+            continue;
+        }
+
+        // Start tag
+        const nameMatch = /^<([a-zA-Z][\w:-]*)/.exec(source.slice(pos, pos + 64));
+        if (!nameMatch) {
+            append({ type: 'text', value: '<' });
+            pos += 1;
+            continue;
+        }
+
+        const name = nameMatch[1].toLowerCase();
+        const attrs = {};
+        pos += nameMatch[0].length;
+        attrPattern.lastIndex = pos;
+        let attrMatch;
+        while ((attrMatch = attrPattern.exec(source))) {
+            const attrName = attrMatch[1].toLowerCase();
+            if (!(attrName in attrs)) {
+                const value = attrMatch[2] !== undefined ? attrMatch[2]
+                    : attrMatch[3] !== undefined ? attrMatch[3]
+                        : attrMatch[4] !== undefined ? attrMatch[4] : '';
+                attrs[attrName] = value;
+            }
+            pos = attrPattern.lastIndex;
+        }
+        const close = source.indexOf('>', pos);
+        const selfClosing = close > 0 && source[close - 1] === '/';
+        pos = close === -1 ? source.length : close + 1;
+
+        // Implied end tags
+        if (CLOSES_PARAGRAPH.has(name)) {
+            const index = findOpen(['p'], ['div', 'td', 'th', 'li', 'blockquote', 'section']);
+            if (index > 0) closeTo(index);
+        }
+        if (IMPLIED_END[name]) {
+            const index = findOpen(IMPLIED_END[name].closes, IMPLIED_END[name].boundary);
+            if (index > 0) closeTo(index);
+        }
+
+        const element = createElement(name, attrs, null);
+        append(element);
+
+        if (VOID_ELEMENTS.has(name) || selfClosing) continue;
+
+        if (RAW_TEXT_ELEMENTS.has(name)) {
+            const endPattern = new RegExp(`</${name}\\s*>`, 'ig');
+            endPattern.lastIndex = pos;
+            const endTag = endPattern.exec(source);
+            const stop = endTag ? endTag.index : source.length;
+            if (stop > pos) {
+                element.children.push({ type: 'text', value: source.slice(pos, stop), parent: element });
+            }
+            pos = endTag ? endTag.index + endTag[0].length : source.length;
+            continue;
+        }
+
+        stack.push(element);
+    }
+
+    return document;
+}
+
+/**
+ * Parse a selector list such as "div.a > p, #b [data-x='1']"
+ * into groups of compound selectors joined by combinators
+ */
+function parseSelector(selector) {
+    return selector.split(',').map(group => {
+        const parts = [];
+        const tokens = group.trim().replace(/\s*>\s*/g, ' > ').split(/\s+/);
+        let combinator = ' ';
+        tokens.forEach(token => {
+            if (token === '>') {
+                combinator = '>';
+                return;
+            }
+            const compound = { combinator, tag: null, id: null, classes: [], attrs: [] };
+            const pattern = /([#.]?)([\w-]+|\*)|\[([\w-]+)(?:([~^$*]?=)["']?([^\]"']*)["']?)?\]/g;
+            let match;
+            while ((match = pattern.exec(token))) {
+                if (match[3]) {
+                    compound.attrs.push({ name: match[3].toLowerCase(), op: match[4], value: match[5] });
+                } else if (match[1] === '#') {
+                    compound.id = match[2];
+                } else if (match[1] === '.') {
+                    compound.classes.push(match[2]);
+                } else if (match[2] !== '*') {
+                    compound.tag = match[2].toLowerCase();
+                }
+            }
+            parts.push(compound);
+            combinator = ' ';
+        });
+        return parts;
+    });
+}
+
+function matchesCompound(node, compound) {
+    if (!node || node.type !== 'element') return false;
+    if (compound.tag && node.name !== compound.tag) return false;
+    if (compound.id && node.attrs.id !== compound.id) return false;
+    if (compound.classes.length) {
+        const classes = getClasses(node);
+        if (!compound.classes.every(name => classes.includes(name))) return false;
+    }
+    return compound.attrs.every(({ name, op, value }) => {
+        const actual = node.attrs[name];
+        if (actual === undefined) return false;
+        switch (op) {
+            case '=': return actual === value;
+            case '~=': return actual.split(/\s+/).includes(value);
+            case '^=': return actual.startsWith(value);
+            case '$=': return actual.endsWith(value);
+            case '*=': return actual.includes(value);
+            default: return true;
+        }
+    });
+}
+
+function matchesParts(node, parts, index) {
+    if (!matchesCompound(node, parts[index])) return false;
+    if (index === 0) return true;
+
+    if (parts[index].combinator === '>') {
+        return matchesParts(node.parent, parts, index - 1);
+    }
+    for (let ancestor = node.parent; ancestor; ancestor = ancestor.parent) {
+        if (matchesParts(ancestor, parts, index - 1)) return true;
+    }
+    return false;
+}
+
+/**
+ * Check whether an element matches a selector
+ */
+function matches(node, selector) {
+    const groups = typeof selector === 'string' ? parseSelector(selector) : selector;
+    return groups.some(parts => matchesParts(node, parts, parts.length - 1));
+}
+
+/**
+ * Find all descendant elements matching a selector, in document order
+ * @param {Object} root - Node to search under
+ * @param {string} selector - CSS selector (tag, #id, .class, [attr], descendant and child combinators)
+ * @returns {Object[]}
+ */
+function querySelectorAll(root, selector) {
+    const groups = parseSelector(selector);
+    const results = [];
+    const walk = node => {
+        (node.children || []).forEach(child => {
+            if (child.type !== 'element') return;
+            if (matches(child, groups)) results.push(child);
+            walk(child);
+        });
+    };
+    walk(root);
+    return results;
+}
+
+/**
+ * Find the first descendant element matching a selector
+ */
+function querySelector(root, selector) {
+    return querySelectorAll(root, selector)[0] || null;
+}
+
+/**
+ * Find the nearest ancestor (or the node itself) matching a selector
+ */
+function closest(node, selector) {
+    const groups = parseSelector(selector);
+    for (let current = node; current && current.type === 'element'; current = current.parent) {
+        if (matches(current, groups)) return current;
+    }
+    return null;
+}
+
+function getClasses(node) {
+    return node && node.attrs && node.attrs.class ? node.attrs.class.trim().split(/\s+/) : [];
+}
+
+function hasClass(node, className) {
+    return getClasses(node).includes(className);
+}
+
+function getAttribute(node, name) {
+    return node && node.attrs && name in node.attrs ? node.attrs[name] : null;
+}
+
+/**
+ * Element children only (no text or comments)
+ */
+function elementChildren(node) {
+    return (node.children || []).filter(child => child.type === 'element');
+}
+
+/**
+ * Decoded text of a node and its descendants
+ */
+function textContent(node) {
+    if (node.type === 'text') {
+        const parentName = node.parent && node.parent.name;
+        return parentName === 'script' || parentName === 'style' ? node.value : decodeEntities(node.value);
+    }
+    if (node.type === 'comment') return '';
+    return (node.children || []).map(textContent).join('');
+}
+
+function serializeAttrs(attrs) {
+    return Object.keys(attrs).map(name => {
+        const value = attrs[name];
+        return value === '' && name !== 'value' && name !== 'alt' && name !== 'src'
+            ? ` ${name}`
+            : ` ${name}="${String(value).replace(/"/g, '&quot;')}"`;
+    }).join('');
+}
+
+/**
+ * Serialize a node back to HTML
+ */
+function outerHTML(node) {
+    switch (node.type) {
+        case 'text':
+            return node.value;
+        case 'comment':
+            return `<!--${node.value}-->`;
+        case 'document':
+            return innerHTML(node);
+        default:
+            if (VOID_ELEMENTS.has(node.name)) {
+                return `<${node.name}${serializeAttrs(node.attrs)}>`;
+            }
+            return `<${node.name}${serializeAttrs(node.attrs)}>${innerHTML(node)}</${node.name}>`;
+    }
+}
+
+/**
+ * Serialize the children of a node back to HTML
+ */
+function innerHTML(node) {
+    return (node.children || []).map(outerHTML).join('');
+}
+
+module.exports = {
+    parse,
+    decodeEntities,
+    matches,
+    querySelector,
+    querySelectorAll,
+    closest,
+    hasClass,
+    getClasses,
+    getAttribute,
+    elementChildren,
+    textContent,
+    innerHTML,
+    outerHTML
+};
@@ -0,0 +1,243 @@
+/**
+ * Tests Hub - Page Exporter
+ * Shared by export-tests.js and the server generators (netlify/functions/):
+ * loads a page in jsdom and writes it with the same document-model.js and
+ * writers as the download buttons. Site files (scripts, pictures, fonts,
+ * tests-data documents) are read through a reader function, so a server can
+ * take them from disk or from the deployed site. Needs jsdom.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const testPage = require('./test-page');
+
+const FORMATS = {
+    pdf: { writer: 'TestsHubPDFWriter', extension: 'pdf', type: 'application/pdf' },
+    odt: { writer: 'TestsHubODTWriter', extension: 'odt', type: 'application/vnd.oasis.opendocument.text' },
+    docx: { writer: 'TestsHubDOCXWriter', extension: 'docx', type: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' }
+};
+
+// Scripts the writers need, injected into pages that do not load them (in this order)
+const WRITER_SCRIPTS = [
+    ['jspdf', 'lib/jspdf.umd.min.js'],
+    ['TestsHubZipWriter', 'zip-writer.js'],
+    ['TestsHubDocumentModel', 'document-model.js'],
+    ['TestsHubODTWriter', 'odt-writer.js'],
+    ['TestsHubDOCXWriter', 'docx-writer.js'],
+    ['TestsHubPDFText', 'pdf-text.js'],
+    ['TestsHubPDFWriter', 'pdf-writer.js']
+];
+
+// Same content and readiness checks as the batch exporter (batch-export.js)
+const CONTENT_SELECTOR = '.Tests-Hub-main-container, .Tests-Hub-content-container';
+const READY_SELECTOR = '.Tests-Hub-test-header, .Tests-Hub-test-section';
+const LOADING_ROOT_ID = 'testRoot';
+const LOAD_TIMEOUT = 20000;
+
+// Pages are served from a made-up origin so that localStorage and relative URLs work
+const ORIGIN = 'http://localhost';
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.svg': 'image/svg+xml',
+    '.webp': 'image/webp',
+    '.ico': 'image/x-icon',
+    '.ttf': 'font/ttf',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2',
+    '.mp3': 'audio/mpeg'
+};
+
+/**
+ * Load jsdom, which only the exporters need
+ */
+function loadJSDOM() {
+    try {
+        return require('jsdom');
+    } catch (error) {
+        throw new Error('Exporting pages needs jsdom: run "npm install" first');
+    }
+}
+
+/**
+ * MIME type of a site file, from its extension
+ */
+function getMimeType(filePath) {
+    return MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Reader of the site files on disk
+ * @returns {Function} pathname -> Promise<Buffer|null>
+ */
+function diskReader(root = testPage.ROOT_DIR) {
+    return pathname => {
+        const filePath = path.join(root, decodeURIComponent(pathname));
+        if (!filePath.startsWith(root + path.sep)) return Promise.resolve(null);
+        return fs.promises.readFile(filePath).catch(() => null);
+    };
+}
+
+/**
+ * Path of an address of the made-up origin, or null for any other address
+ */
+function getSitePath(url) {
+    const address = new URL(url);
+    return address.origin === ORIGIN ? address.pathname : null;
+}
+
+/**
+ * Give a jsdom window what the writers use and jsdom lacks: fetch of the site files,
+ * Blob.arrayBuffer and TextEncoder
+ */
+function preparePage(window, readFile) {
+    window.TextEncoder = TextEncoder;
+    window.TextDecoder = TextDecoder;
+    window.matchMedia = window.matchMedia || (() => ({ matches: false, addListener() {}, removeListener() {} }));
+    if (!window.Blob.prototype.arrayBuffer) {
+        window.Blob.prototype.arrayBuffer = function() {
+            return new Promise((resolve, reject) => {
+                const reader = new window.FileReader();
+                reader.onload = () => resolve(reader.result);
+                reader.onerror = () => reject(reader.error);
+                reader.readAsArrayBuffer(this);
+            });
+        };
+    }
+
+    window.fetch = url => {
+        const pathname = getSitePath(new URL(String(url), window.location.href).href);
+        return (pathname ? readFile(pathname) : Promise.resolve(null)).then(bytes => {
+            if (!bytes) return { ok: false, status: 404 };
+            return {
+                ok: true,
+                status: 200,
+                json: () => Promise.resolve(JSON.parse(bytes.toString('utf8'))),
+                text: () => Promise.resolve(bytes.toString('utf8')),
+                arrayBuffer: () => Promise.resolve(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length)),
+                blob: () => Promise.resolve(new window.Blob([bytes], { type: getMimeType(pathname).split(';')[0] }))
+            };
+        });
+    };
+}
+
+/**
+ * Whether the test content is in the page: test.html shows a loading message in
+ * #testRoot until the renderer fills it and sets its lang
+ */
+function isRendered(document) {
+    const root = document.getElementById(LOADING_ROOT_ID);
+    return root ? root.hasAttribute('lang') : !!document.querySelector(READY_SELECTOR);
+}
+
+/**
+ * Load a page in jsdom and wait until its content is there
+ * @param {string} source - HTML of the page
+ * @param {Object} options - { url, runScripts, readFile, verbose }; without runScripts the
+ *   page is taken as it is (a snapshot sent by a browser), with them it renders itself
+ * @returns {Promise<Window>}
+ */
+function openPage(source, options = {}) {
+    const { JSDOM, ResourceLoader, VirtualConsole } = loadJSDOM();
+    const readFile = options.readFile || diskReader();
+    const runScripts = options.runScripts !== false;
+
+    // Scripts, styles and pictures come from the site; nothing else is fetched
+    class SiteLoader extends ResourceLoader {
+        fetch(url) {
+            const pathname = getSitePath(url);
+            const request = (pathname ? readFile(pathname) : Promise.resolve(null)).then(bytes => bytes || Buffer.from(''));
+            // jsdom aborts the requests still running when the window is closed
+            request.abort = () => {};
+            return request;
+        }
+    }
+
+    const virtualConsole = new VirtualConsole();
+    if (options.verbose) virtualConsole.sendTo(console, { omitJSDOMErrors: false });
+
+    const dom = new JSDOM(source, {
+        url: options.url || `${ORIGIN}/`,
+        runScripts: runScripts ? 'dangerously' : 'outside-only',
+        resources: runScripts ? new SiteLoader() : undefined,
+        pretendToBeVisual: true,
+        virtualConsole,
+        beforeParse: window => preparePage(window, readFile)
+    });
+
+    const window = dom.window;
+    return new Promise((resolve, reject) => {
+        const started = Date.now();
+        const check = () => {
+            const loaded = !runScripts || window.document.readyState === 'complete';
+            if (loaded && isRendered(window.document)) {
+                resolve(window);
+            } else if (!runScripts || Date.now() - started > LOAD_TIMEOUT) {
+                window.close();
+                reject(new Error(runScripts ? 'the test content did not render' : 'the page has no test content'));
+            } else {
+                setTimeout(check, 100);
+            }
+        };
+        check();
+    });
+}
+
+/**
+ * Load the writer scripts a page does not have
+ */
+function injectWriters(window) {
+    WRITER_SCRIPTS.forEach(([name, file]) => {
+        if (window[name]) return;
+        window.eval(fs.readFileSync(path.join(testPage.ROOT_DIR, file), 'utf8'));
+    });
+}
+
+/**
+ * Bytes of a Blob made in a jsdom window
+ */
+function readBlob(window, blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new window.FileReader();
+        reader.onload = () => resolve(Buffer.from(reader.result));
+        reader.onerror = () => reject(reader.error);
+        reader.readAsArrayBuffer(blob);
+    });
+}
+
+/**
+ * Write a loaded page in one format
+ * @param {Object} options - { title, include, answers, paper, margin, fontSize } as for the writers
+ * @returns {Promise<Buffer>}
+ */
+function exportPage(window, format, options = {}) {
+    injectWriters(window);
+    const document = window.document;
+    return window[FORMATS[format].writer].build({
+        element: document.querySelector(CONTENT_SELECTOR) || document.body,
+        title: options.title || document.title,
+        include: options.include,
+        answers: options.answers,
+        paper: options.paper,
+        margin: options.margin,
+        fontSize: options.fontSize
+    }).then(blob => readBlob(window, blob));
+}
+
+module.exports = {
+    FORMATS,
+    ORIGIN,
+    CONTENT_SELECTOR,
+    loadJSDOM,
+    getMimeType,
+    diskReader,
+    openPage,
+    exportPage
+};
@@ -0,0 +1,209 @@
+/**
+ * Tests Hub - Test Page Helpers
+ * Shared by the Node scripts: reads what a test page says about itself,
+ * from its file name (year, subject, trimester...) and from the
+ * Tests-Hub-test-header block (title, school, school year, duration).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const html = require('./html-parser');
+const TestsHubExamMode = require('../../exam-mode');
+
+const ROOT_DIR = path.resolve(__dirname, '..', '..');
+
+// test_year7_maths_trim1_Type2_test1.html (one file is named ..._tes1.html)
+const FILE_NAME_PATTERN = /^test_(year\d)_([A-Za-z]+)_trim(\d)_(Type\d)_tes?t?(\d+)\.html$/;
+
+const HEADER_SELECTOR = '.Tests-Hub-test-header, .Tests-Hub-presentation-card';
+const CORRECTION_SELECTOR = '#correction, #correction-section';
+
+// Labels used in the header lines, in the three languages of the library
+const LABELS = {
+    school: /^(المؤسسة|المدرسة|المعهد(?: الثانوي)?|الإعدادية|الاعدادية|[ÉE]tablissement|School|Lyc[ée]e)$/i,
+    schoolYear: /^(السنة الدراسية|Ann[ée]e scolaire|School year|Year)$/i,
+    duration: /^(المد[ّ]?ة|التوقيت|الزمن|الوقت|Dur[ée]e|Duration|Time allotted|Time)$/i,
+    teacher: /^(الأستاذ[ة]?|المعل[ّ]?م|Prof(?:esseur|\.)?|Teacher|Enseignant[e]?)$/i
+};
+
+const SCHOOL_WORDS = /(المدرسة|إعدادية|الإعدادية|الاعدادية|معهد|المعهد|Lyc[ée]e|Coll[èe]ge|School|[ÉE]cole|Institut|Centre|L\.S\.|C\.R\.E\.)/i;
+const UNKNOWN_VALUES = /(غير محد|non (pr[ée]cis|d[ée]fini)|\.{3,}|_{3,}|^N\/A$)/i;
+
+/**
+ * List the test page file names in a directory
+ * @param {string} dir - Directory to scan (defaults to the site root)
+ * @returns {string[]} Sorted file names
+ */
+function listTestFiles(dir = ROOT_DIR) {
+    return fs.readdirSync(dir)
+        .filter(name => /^test_.*\.html$/.test(name))
+        .sort();
+}
+
+/**
+ * Read year, subject, trimester, type and number from a test file name
+ * @param {string} fileName - e.g. test_year7_maths_trim1_Type2_test1.html
+ * @returns {Object|null} null when the name does not follow the convention
+ */
+function parseFileName(fileName) {
+    const name = path.basename(fileName);
+    const match = FILE_NAME_PATTERN.exec(name);
+    if (!match) return null;
+    return {
+        file: name,
+        id: name.replace(/^test_/, '').replace(/\.html$/, ''),
+        year: match[1],
+        subject: match[2],
+        trimester: Number(match[3]),
+        type: match[4],
+        number: Number(match[5])
+    };
+}
+
+/**
+ * Convert Arabic-Indic digits to ASCII digits
+ */
+function toAsciiDigits(text) {
+    return String(text).replace(/[٠-٩]/g, digit => String(digit.charCodeAt(0) - 0x0660));
+}
+
+/**
+ * Clean a header text: collapse whitespace and drop leading emoji
+ */
+function cleanText(text) {
+    return String(text)
+        .replace(/\s+/g, ' ')
+        .replace(/^[^\p{L}\p{N}(«"]+/u, '')
+        .trim();
+}
+
+/**
+ * Read a duration such as "1h30", "2 heures", "ساعة ونصف" or "60 دقيقة"
+ * with the rules of the exam mode timer (exam-mode.js)
+ * @param {string} text - Duration text
+ * @returns {number|null} Minutes
+ */
+function parseDuration(text) {
+    return TestsHubExamMode.parseDuration(text);
+}
+
+/**
+ * Normalize "2024/2023" or "2009 - 2010" to "2009-2010"
+ */
+function parseSchoolYear(text) {
+    const match = /(\d{4})\s*[-/–]\s*(\d{4})/.exec(toAsciiDigits(text));
+    if (!match) return null;
+    const years = [Number(match[1]), Number(match[2])].sort();
+    return `${years[0]}-${years[1]}`;
+}
+
+/**
+ * Read the test header block
+ * @param {Object} document - Parsed page (see html-parser.parse)
+ * @returns {Object|null} { element, title, lines, linesHtml, school, schoolYear, duration, durationMinutes, teacher }
+ */
+function readHeader(document) {
+    const element = html.querySelector(document, HEADER_SELECTOR);
+    if (!element) return null;
+
+    const children = html.elementChildren(element);
+    const titleElement = children.find(child => /^h[1-3]$/.test(child.name)) || children[0];
+    const lineElements = children.filter(child => child !== titleElement);
+    const header = {
+        element,
+        title: titleElement ? cleanText(html.textContent(titleElement)) : '',
+        lines: lineElements.map(child => cleanText(html.textContent(child))).filter(Boolean),
+        linesHtml: lineElements.map(child => html.innerHTML(child).trim()).filter(Boolean),
+        school: null,
+        schoolYear: null,
+        duration: null,
+        durationMinutes: null,
+        teacher: null
+    };
+
+    const known = value => value && !UNKNOWN_VALUES.test(value) ? value : null;
+
+    header.lines.forEach(line => {
+        line.split(/\s+[-–—|·]\s+|\s*\|\s*/).forEach(segment => {
+            const text = cleanText(segment);
+            const labelled = /^([^:：]{2,25}?)\s*[:：]\s*(.*)$/.exec(text);
+            if (labelled) {
+                const label = labelled[1].trim();
+                const value = known(labelled[2].trim());
+                if (LABELS.schoolYear.test(label)) {
+                    header.schoolYear = header.schoolYear || parseSchoolYear(labelled[2]);
+                } else if (LABELS.school.test(label)) {
+                    header.school = header.school || value;
+                } else if (LABELS.duration.test(label)) {
+                    header.duration = header.duration || value;
+                } else if (LABELS.teacher.test(label)) {
+                    header.teacher = header.teacher || value;
+                }
+                return;
+            }
+            if (!header.school && SCHOOL_WORDS.test(text)) {
+                header.school = known(text.replace(/\s*[-–]?\s*\d{4}\s*[-/–]\s*\d{4}\s*$/, '').trim());
+            }
+        });
+    });
+
+    header.schoolYear = header.schoolYear || parseSchoolYear([header.title, ...header.lines].join(' '));
+    header.durationMinutes = parseDuration(header.duration);
+    return header;
+}
+
+/**
+ * Find the correction block (#correction, or #correction-section on the card layout pages)
+ */
+function findCorrection(document) {
+    return html.querySelector(document, CORRECTION_SELECTOR);
+}
+
+/**
+ * Guess the language the test is written in
+ * @param {string} text - Test text
+ * @param {string} subject - Subject from the file name
+ * @returns {'ar'|'fr'|'en'}
+ */
+function detectLanguage(text, subject) {
+    const arabic = (text.match(/[؀-ۿ]/g) || []).length;
+    const latin = (text.match(/[A-Za-zÀ-ÿ]/g) || []).length;
+    if (arabic >= latin) return 'ar';
+    if (subject === 'english') return 'en';
+    if (subject === 'french') return 'fr';
+
+    const french = (text.match(/\b(le|la|les|des|est|une|du|et)\b|[éèàçê]/gi) || []).length;
+    const english = (text.match(/\b(the|and|of|is|are|to)\b/gi) || []).length;
+    return french > english ? 'fr' : 'en';
+}
+
+/**
+ * Parse a test page file
+ * @param {string} filePath - Path to a test_*.html file
+ * @returns {Object} { file, info, document, source }
+ */
+function loadTestPage(filePath) {
+    const source = fs.readFileSync(filePath, 'utf8');
+    return {
+        file: path.basename(filePath),
+        info: parseFileName(filePath),
+        document: html.parse(source),
+        source
+    };
+}
+
+module.exports = {
+    ROOT_DIR,
+    HEADER_SELECTOR,
+    CORRECTION_SELECTOR,
+    listTestFiles,
+    parseFileName,
+    parseDuration,
+    parseSchoolYear,
+    toAsciiDigits,
+    cleanText,
+    readHeader,
+    findCorrection,
+    detectLanguage,
+    loadTestPage
+};
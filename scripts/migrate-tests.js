@@ -0,0 +1,741 @@
+#!/usr/bin/env node
+/**
+ * Tests Hub - Test Migration
+ * Converts the hand-written test_*.html pages into structured test documents
+ * (tests-data/<id>.json, described by tests-data/schema.json) and writes a
+ * report of everything that could not be mapped to a block type.
+ *
+ * Usage:
+ *   node scripts/migrate-tests.js [options] [test_*.html ...]
+ *
+ * Options:
+ *   --out <dir>       Output directory (default: tests-data)
+ *   --report <file>   Report file (default: <out>/migration-report.json)
+ *   --force           Overwrite documents that already exist
+ *   --dry-run         Convert and report without writing anything
+ *
+ * Without file arguments every test_*.html page of the site is converted.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const html = require('./lib/html-parser');
+const testPage = require('./lib/test-page');
+
+// Containers mapped to a "question" block
+const QUESTION_CLASSES = ['Tests-Hub-question-container', 'Tests-Hub-question', 'Tests-Hub-question-list'];
+// Containers mapped to an "answer" block in the correction
+const ANSWER_CLASSES = ['Tests-Hub-correction-answer', 'Tests-Hub-answers'];
+// Wrappers with no meaning of their own: their children are mapped in place
+const WRAPPER_CLASSES = /^Tests-Hub-(m[tbrl]?-\d|p[tbrl]?-\d|sub-section|card|table-container|text-container|content|container|canvas-container)$/;
+// Page chrome that is not part of the test content
+const CHROME_SELECTOR = [
+    '.Tests-Hub-correction-container', '.Tests-Hub-correction-toggle-container',
+    '.Tests-Hub-download-section', '.Tests-Hub-download-buttons'
+].join(', ');
+
+const INLINE_ELEMENTS = new Set([
+    'a', 'abbr', 'b', 'bdi', 'bdo', 'br', 'cite', 'code', 'em', 'i', 'input', 'kbd', 'label',
+    'mark', 'q', 's', 'select', 'small', 'span', 'strong', 'sub', 'sup', 'u', 'var', 'wbr'
+]);
+const TEXT_INPUT_TYPES = new Set(['', 'text', 'number', 'search']);
+
+const POINTS_PATTERN = /([\d٠-٩]+(?:[.,][\d٠-٩]+)?)\s*(نقاط|نقطة|نقطتان|ن\b|points?|pts|marks?)/i;
+
+/**
+ * Read a point value from text such as "(4 نقاط)", "1,5 pts" or "(3 marks)"
+ * @returns {number|null}
+ */
+function parsePoints(text) {
+    const value = testPage.toAsciiDigits(text);
+    const match = POINTS_PATTERN.exec(value);
+    if (match) return parseFloat(match[1].replace(',', '.'));
+    if (/نقطتان/.test(value)) return 2;
+    return null;
+}
+
+/**
+ * Short CSS-like description of an element for the report
+ */
+function describe(node) {
+    if (!node || node.type !== 'element') return '#text';
+    const id = node.attrs.id ? `#${node.attrs.id}` : '';
+    const classes = html.getClasses(node).slice(0, 2).map(name => `.${name}`).join('');
+    return `${node.name}${id}${classes}`;
+}
+
+function isBlank(node) {
+    return (node.type === 'text' && !node.value.trim()) || node.type === 'comment';
+}
+
+function isTextInput(node) {
+    return node.type === 'element' && node.name === 'input' &&
+        TEXT_INPUT_TYPES.has((node.attrs.type || '').toLowerCase());
+}
+
+// Short answer field inside a sentence: a text input, or a small
+// textarea styled as Tests-Hub-answer-input
+function isInlineBlank(node) {
+    return isTextInput(node) ||
+        (node.type === 'element' && node.name === 'textarea' && html.hasClass(node, 'Tests-Hub-answer-input'));
+}
+
+/**
+ * Per-file conversion state: the page, its issues and generated ids
+ */
+class Migration {
+    constructor(page) {
+        this.page = page;
+        this.issues = [];
+        this.selectCount = 0;
+        this.selectPlaceholder = null;
+    }
+
+    /**
+     * Record something that could not be mapped
+     * @param {string} kind - Issue kind, listed in the README
+     * @param {Object} node - Element concerned
+     * @param {string} detail - Optional explanation
+     */
+    report(kind, node, detail = '') {
+        const where = typeof node === 'string' ? node : describe(node);
+        const existing = this.issues.find(issue => issue.kind === kind && issue.where === where && issue.detail === detail);
+        if (existing) {
+            existing.count++;
+        } else {
+            this.issues.push({ kind, where, detail, count: 1 });
+        }
+    }
+
+    /**
+     * Serialize nodes to HTML, turning short answer inputs into {{blank}}
+     * and dropdowns into {{select:id|...}} as understood by the renderer
+     */
+    inlineHtml(nodes) {
+        return nodes.map(node => this.serialize(node)).join('').replace(/\s+/g, ' ').trim();
+    }
+
+    serialize(node) {
+        if (node.type === 'text') return node.value;
+        if (node.type === 'comment') return '';
+
+        if (isInlineBlank(node)) {
+            const width = /width:\s*(\d+)px/.exec(node.attrs.style || '');
+            return width ? `{{blank:${width[1]}}}` : '{{blank}}';
+        }
+
+        if (node.name === 'select') {
+            const options = html.querySelectorAll(node, 'option');
+            const choices = options.filter(option => (option.attrs.value !== undefined ? option.attrs.value : html.textContent(option).trim()) !== '');
+            const empty = options.find(option => option.attrs.value === '');
+            if (empty && !this.selectPlaceholder) this.selectPlaceholder = html.textContent(empty).trim();
+            const values = choices.map(option => (option.attrs.value !== undefined ? option.attrs.value : html.textContent(option)).trim());
+            if (values.some(value => /[|}]/.test(value))) {
+                this.report('kept-as-html', node, 'dropdown option contains | or }');
+                return html.outerHTML(node);
+            }
+            const id = node.attrs.id || `select${++this.selectCount}`;
+            return `{{select:${id}|${values.join('|')}}}`;
+        }
+
+        // Radios and checkboxes keep working as plain HTML inside text
+        if (node.name === 'textarea' || (node.name === 'input' && !/^(radio|checkbox)$/i.test(node.attrs.type || ''))) {
+            this.report('inline-control', node, `${node.attrs.type || node.name} kept as HTML inside text`);
+        }
+        if (node.name === 'canvas') {
+            this.report('canvas', node, 'drawn by a page script, not migrated');
+            return '';
+        }
+        if (node.name === 'script' || node.name === 'button') {
+            this.report(node.name === 'script' ? 'script' : 'control', node, 'dropped');
+            return '';
+        }
+
+        // data-i18n keys belong to the page's own translation table
+        const attrs = Object.assign({}, node.attrs);
+        Object.keys(attrs).filter(name => name.startsWith('data-i18n')).forEach(name => delete attrs[name]);
+        const open = html.outerHTML({ type: 'element', name: node.name, attrs, children: [] });
+        if (open.endsWith(`</${node.name}>`)) {
+            return open.slice(0, -(node.name.length + 3)) + node.children.map(child => this.serialize(child)).join('') + `</${node.name}>`;
+        }
+        return open;
+    }
+
+    /**
+     * Map a list of sibling nodes to blocks. Runs of text and inline
+     * elements become paragraphs.
+     */
+    mapNodes(nodes) {
+        const blocks = [];
+        let run = [];
+
+        const flush = () => {
+            const content = this.inlineHtml(run);
+            run = [];
+            if (content && content.replace(/<br\s*\/?>/g, '').trim()) {
+                blocks.push({ type: 'paragraph', html: content });
+            }
+        };
+
+        nodes.forEach(node => {
+            if (node.type === 'comment') return;
+            if (node.type === 'text' || INLINE_ELEMENTS.has(node.name) || (isInlineBlank(node) && run.some(item => !isBlank(item)))) {
+                if (node.type === 'element' && node.name === 'input' && !isTextInput(node)) {
+                    flush();
+                    this.report('kept-as-html', node, `standalone ${node.attrs.type || 'input'}`);
+                    blocks.push({ type: 'html', html: html.outerHTML(node) });
+                    return;
+                }
+                run.push(node);
+                return;
+            }
+            flush();
+            const mapped = this.mapElement(node);
+            if (Array.isArray(mapped)) blocks.push(...mapped);
+            else if (mapped) blocks.push(mapped);
+        });
+        flush();
+        return blocks;
+    }
+
+    /**
+     * Map one block-level element to a block (or several)
+     */
+    mapElement(node) {
+        const classes = html.getClasses(node);
+        const has = list => classes.some(name => list.includes(name));
+
+        switch (node.name) {
+            case 'script':
+            case 'style':
+            case 'noscript':
+                if (node.name === 'script') this.report('script', node, 'inline script in the content, dropped');
+                return null;
+            case 'button':
+                this.report('control', node, 'button dropped');
+                return null;
+            case 'canvas':
+                this.report('canvas', node, 'drawn by a page script, not migrated');
+                return null;
+            case 'textarea':
+                return this.mapTextarea(node);
+            case 'img':
+                return this.mapImage(node, null);
+            case 'audio':
+                return this.mapAudio(node);
+            case 'table':
+                return this.mapTable(node);
+            case 'ul':
+            case 'ol':
+                return this.mapList(node);
+            case 'hr':
+                return { type: 'html', html: '<hr>' };
+            case 'p':
+                return this.mapParagraph(node);
+            case 'h1':
+            case 'h2':
+            case 'h3':
+            case 'h4':
+            case 'h5':
+            case 'h6':
+                return { type: 'heading', level: Math.max(2, Number(node.name[1])), html: this.inlineHtml(node.children) };
+        }
+
+        if (has(QUESTION_CLASSES)) return this.mapQuestion(node, 'question');
+        if (has(ANSWER_CLASSES)) return this.mapQuestion(node, 'answer');
+        if (classes.includes('Tests-Hub-text-passage')) return this.mapPassage(node, null);
+        if (classes.includes('Tests-Hub-math-formula')) return this.mapFormula(node);
+        if (classes.includes('Tests-Hub-answer-input')) return this.mapNodes(node.children);
+        if (classes.includes('Tests-Hub-image-container') || classes.includes('Tests-Hub-diagram-container')) {
+            const image = html.querySelector(node, 'img');
+            if (image && !html.querySelector(node, 'canvas, svg')) return this.mapImage(image, node);
+        }
+        if (this.isChoiceGroup(node)) return this.mapChoice(node);
+
+        // Wrappers: map the content in place
+        if (!classes.length || classes.every(name => WRAPPER_CLASSES.test(name)) ||
+            ['section', 'article', 'main', 'form', 'center'].includes(node.name)) {
+            return this.mapNodes(node.children);
+        }
+
+        // Styled boxes (notes, correction steps...) keep their class and content
+        if (node.name === 'div' && !html.querySelector(node, 'input, select, textarea, canvas, button, script')) {
+            return { type: 'html', className: classes.join(' '), html: this.inlineHtml(node.children) };
+        }
+
+        // Boxes holding answer fields: map the fields and note the lost container
+        if (node.name === 'div') {
+            this.report('unwrapped', node, 'container styling not migrated');
+            return this.mapNodes(node.children);
+        }
+
+        this.report('kept-as-html', node);
+        return { type: 'html', html: html.outerHTML(node) };
+    }
+
+    mapParagraph(node) {
+        // <p> wrapping a textarea or a table: map its content as separate blocks
+        const blocks = html.querySelectorAll(node, 'textarea, canvas, table, ul, ol, div').filter(child => !isInlineBlank(child));
+        if (blocks.length) {
+            return this.mapNodes(node.children);
+        }
+        const block = { type: 'paragraph', html: this.inlineHtml(node.children) };
+        if (node.attrs.class) block.className = node.attrs.class;
+        return block.html ? block : null;
+    }
+
+    mapTextarea(node) {
+        const block = { type: 'textarea' };
+        if (node.attrs.placeholder) block.placeholder = html.decodeEntities(node.attrs.placeholder);
+        const minHeight = /min-height:\s*(\d+)px/.exec(node.attrs.style || '');
+        if (minHeight) block.minHeight = Number(minHeight[1]);
+        else if (node.attrs.rows && Number(node.attrs.rows) > 3) block.minHeight = Number(node.attrs.rows) * 24;
+        return block;
+    }
+
+    mapImage(image, container) {
+        const block = { type: 'image', src: image.attrs.src || '' };
+        const caption = container && html.querySelector(container, '.Tests-Hub-image-caption, .Tests-Hub-diagram-title, figcaption');
+        if (image.attrs.alt) block.alt = html.decodeEntities(image.attrs.alt);
+        if (caption) block.caption = this.inlineHtml(caption.children);
+        if (!block.src) this.report('missing-asset', image, 'image without src');
+        return block;
+    }
+
+    mapAudio(node) {
+        const source = node.attrs.src ? node : html.querySelector(node, 'source');
+        if (!source || !source.attrs.src) {
+            this.report('kept-as-html', node, 'audio without source');
+            return { type: 'html', html: html.outerHTML(node) };
+        }
+        const block = { type: 'audio', src: source.attrs.src };
+        if (source.attrs.type) block.mimeType = source.attrs.type;
+        return block;
+    }
+
+    mapList(node) {
+        const items = html.elementChildren(node).filter(child => child.name === 'li');
+        const nested = items.some(item => item.children.some(child => child.type === 'element' && !INLINE_ELEMENTS.has(child.name)));
+        if (nested) {
+            this.report('kept-as-html', node, 'list with block content');
+            return { type: 'html', html: html.outerHTML(node) };
+        }
+        const block = { type: 'list', items: items.map(item => this.inlineHtml(item.children)) };
+        if (node.name === 'ol') block.ordered = true;
+        return block;
+    }
+
+    mapPassage(node, title) {
+        const children = html.elementChildren(node);
+        if (!children.length || children.some(child => child.name !== 'p')) {
+            const blocks = this.mapNodes(node.children);
+            return title ? [{ type: 'heading', level: 3, html: title }, ...blocks] : blocks;
+        }
+        const block = { type: 'passage', paragraphs: children.map(child => this.inlineHtml(child.children)) };
+        if (title) block.title = title;
+        return block;
+    }
+
+    mapFormula(node) {
+        const lines = html.elementChildren(node).filter(child => child.name === 'p');
+        return {
+            type: 'formula',
+            lines: lines.length ? lines.map(line => this.inlineHtml(line.children)) : [this.inlineHtml(node.children)]
+        };
+    }
+
+    /**
+     * A radio/checkbox group: inputs of one type sharing a name, each in its
+     * own option (a <label>, or a box holding the input and its label), with
+     * nothing else around them
+     */
+    choiceOptions(node) {
+        const inputs = html.querySelectorAll(node, 'input');
+        if (inputs.length < 2) return null;
+        const type = (inputs[0].attrs.type || '').toLowerCase();
+        if (type !== 'radio' && type !== 'checkbox') return null;
+        if (!inputs.every(input => (input.attrs.type || '').toLowerCase() === type && input.attrs.name === inputs[0].attrs.name)) return null;
+
+        // Option = the child of the group (or of a plain nested div) holding the input
+        const optionOf = input => {
+            let option = input;
+            while (option.parent && option.parent !== node &&
+                !(option.parent.name === 'div' && !option.parent.attrs.class && option.parent.parent === node)) {
+                option = option.parent;
+            }
+            return option;
+        };
+        const options = inputs.map(optionOf);
+        if (options.some(option => option === inputs[options.indexOf(option)]) || new Set(options).size !== options.length) return null;
+
+        const isOption = child => options.includes(child);
+        const clean = parent => parent.children.every(child => isBlank(child) || isOption(child) ||
+            (child.type === 'element' && child.name === 'br') ||
+            (child.type === 'element' && child.name === 'div' && !child.attrs.class && clean(child)));
+        return clean(node) ? { inputs, options, type } : null;
+    }
+
+    isChoiceGroup(node) {
+        return Boolean(this.choiceOptions(node));
+    }
+
+    mapChoice(node) {
+        const { inputs, options, type } = this.choiceOptions(node);
+        const block = {
+            type: 'choice',
+            name: inputs[0].attrs.name,
+            options: options.map((option, index) => {
+                const input = inputs[index];
+                let parts = option.children.filter(child => child !== input);
+                // <div><input><label for>text</label></div>: keep the label text only
+                const elements = parts.filter(child => !isBlank(child));
+                if (elements.length === 1 && elements[0].type === 'element' && elements[0].name === 'label') {
+                    parts = elements[0].children;
+                }
+                const content = this.inlineHtml(parts);
+                return input.attrs.value !== undefined ? { value: input.attrs.value, html: content } : content;
+            })
+        };
+        if (type === 'checkbox') block.multiple = true;
+        return block;
+    }
+
+    mapTable(node) {
+        const rows = html.querySelectorAll(node, 'tr').filter(row => html.closest(row, 'table') === node);
+        const cellsOf = row => html.elementChildren(row).filter(cell => cell.name === 'td' || cell.name === 'th');
+        const block = { type: 'table' };
+
+        const headerRow = rows.find(row => html.closest(row, 'thead')) ||
+            (rows.length && cellsOf(rows[0]).every(cell => cell.name === 'th') ? rows[0] : null);
+        if (headerRow) block.header = cellsOf(headerRow).map(cell => this.mapCell(cell));
+        block.rows = rows.filter(row => row !== headerRow).map(row => cellsOf(row).map(cell => this.mapCell(cell)));
+        return block;
+    }
+
+    mapCell(cell) {
+        const elements = html.elementChildren(cell);
+        const only = elements.length === 1 && cell.children.every(child => child === elements[0] || isBlank(child)) ? elements[0] : null;
+        const field = only && (isInlineBlank(only) ? only
+            : html.hasClass(only, 'Tests-Hub-answer-input') && html.elementChildren(only).length === 1 && isTextInput(html.elementChildren(only)[0]) ? only : null);
+        const spans = {};
+        if (cell.attrs.colspan) spans.colspan = Number(cell.attrs.colspan);
+        if (cell.attrs.rowspan) spans.rowspan = Number(cell.attrs.rowspan);
+
+        if (field) return Object.assign({ blank: true }, spans);
+
+        const textareas = html.querySelectorAll(cell, 'textarea');
+        if (textareas.length === 1 && !testPage.cleanText(html.textContent(cell)).replace(html.textContent(textareas[0]).trim(), '')) {
+            const textarea = { textarea: true };
+            if (textareas[0].attrs.placeholder) textarea.placeholder = html.decodeEntities(textareas[0].attrs.placeholder);
+            return Object.assign(textarea, spans);
+        }
+        const content = this.inlineHtml(cell.children);
+        return Object.keys(spans).length ? Object.assign({ html: content }, spans) : content;
+    }
+
+    /**
+     * Question or correction answer: the first paragraph is the prompt,
+     * with its number and points badge; the rest become nested blocks
+     */
+    mapQuestion(node, type) {
+        const block = { type };
+        const children = node.children.filter(child => !isBlank(child));
+        const first = children[0];
+        let rest = children;
+
+        if (first && first.type === 'element' && /^(p|h3|h4|h5)$/.test(first.name)) {
+            rest = children.slice(1);
+            const number = html.querySelector(first, '.Tests-Hub-question-number');
+            const badge = html.querySelector(first, '.Tests-Hub-points-badge');
+            const promptNodes = first.children.filter(child => child !== number && child !== badge);
+
+            if (number) block.number = html.textContent(number).trim();
+            if (badge && type === 'question') {
+                const points = parsePoints(html.textContent(badge));
+                if (points !== null) block.points = points;
+                else promptNodes.push(badge);
+            }
+            const prompt = this.inlineHtml(promptNodes);
+            if (/^h/.test(first.name) && prompt) {
+                block.html = `<strong>${prompt}</strong>`;
+            } else if (prompt) {
+                block.html = prompt;
+            }
+        }
+
+        const blocks = this.mapNodes(rest);
+        if (blocks.length) block.blocks = blocks;
+        return block;
+    }
+
+    /**
+     * Section title and points from its heading, e.g. "التمرين 1 (4 نقاط)"
+     */
+    readSectionTitle(heading) {
+        const title = this.inlineHtml(heading.children);
+        const match = /\s*\(([^()]*)\)\s*$/.exec(title);
+        if (match) {
+            const points = parsePoints(match[1]);
+            if (points !== null) return { title: title.slice(0, match.index).trim(), points };
+        }
+        return { title };
+    }
+
+    mapSection(node) {
+        const children = node.children.filter(child => !isBlank(child));
+        const first = children[0];
+        const section = {};
+        let rest = children;
+
+        if (first && first.type === 'element' && /^h[1-3]$/.test(first.name)) {
+            Object.assign(section, this.readSectionTitle(first));
+            rest = children.slice(1);
+        }
+
+        // Passages are introduced by an h3 inside their text container
+        section.blocks = this.mapNodes(rest);
+
+        const badgeTotal = this.sumPoints(section.blocks);
+        if (typeof section.points === 'number' && badgeTotal && Math.abs(badgeTotal - section.points) > 0.01) {
+            this.report('points-mismatch', node, `${section.title || 'section'}: heading says ${section.points}, badges add up to ${badgeTotal}`);
+        }
+        return section;
+    }
+
+    sumPoints(blocks) {
+        return (blocks || []).reduce((total, block) =>
+            total + (typeof block.points === 'number' ? block.points : this.sumPoints(block.blocks)), 0);
+    }
+
+    mapInstructions(node) {
+        const heading = html.querySelector(node, 'h2, h3, h4');
+        const items = html.querySelectorAll(node, 'li');
+        const paragraphs = items.length ? items : html.querySelectorAll(node, 'p');
+        const instructions = { items: paragraphs.map(item => this.inlineHtml(item.children)).filter(Boolean) };
+        if (heading) instructions.title = html.textContent(heading).trim();
+        return instructions;
+    }
+
+    mapCorrection(node) {
+        const correction = { sections: [] };
+        let current = null;
+        const children = node.children.filter(child => !isBlank(child));
+
+        children.forEach((child, index) => {
+            if (child.type === 'element' && index === 0 && child.name === 'h2') {
+                correction.title = this.inlineHtml(child.children);
+                return;
+            }
+            if (child.type === 'element' && child.name === 'h3') {
+                current = { title: this.inlineHtml(child.children), blocks: [] };
+                correction.sections.push(current);
+                return;
+            }
+            if (!current) {
+                current = { blocks: [] };
+                correction.sections.push(current);
+            }
+            current.blocks.push(...this.mapNodes([child]));
+        });
+        return correction;
+    }
+
+    /**
+     * Content of <main> that is outside any section, header or correction
+     */
+    checkLeftovers(container, known) {
+        container.children.forEach(child => {
+            if (isBlank(child)) return;
+            if (child.type === 'text') {
+                this.report('outside-section', container, child.value.trim().slice(0, 60));
+                return;
+            }
+            if (known.includes(child) || html.matches(child, CHROME_SELECTOR) || ['script', 'button'].includes(child.name)) return;
+            if (known.some(node => html.closest(node, describe(child)) === child && node !== child)) {
+                this.checkLeftovers(child, known);
+                return;
+            }
+            const text = testPage.cleanText(html.textContent(child));
+            if (text && !html.querySelector(child, 'button, #toggleCorrectionBtn')) {
+                this.report('outside-section', child, text.slice(0, 60));
+            }
+        });
+    }
+
+    /**
+     * Convert the page to a test document
+     */
+    convert() {
+        const { document, info } = this.page;
+        const main = html.querySelector(document, 'main') || html.querySelector(document, 'body') || document;
+        const header = testPage.readHeader(document);
+        const correctionNode = testPage.findCorrection(document);
+
+        if (!header) this.report('missing-header', main, 'no .Tests-Hub-test-header');
+        if (!correctionNode) this.report('missing-correction', main, 'no #correction');
+
+        const instructionNodes = html.querySelectorAll(main, '.Tests-Hub-instructions, .Tests-Hub-instructions-container');
+        const sectionNodes = html.querySelectorAll(main, '.Tests-Hub-test-section, section').filter(node =>
+            !instructionNodes.includes(node) &&
+            node !== correctionNode &&
+            !(correctionNode && html.closest(node, testPage.CORRECTION_SELECTOR)) &&
+            !html.querySelector(node, testPage.HEADER_SELECTOR) &&
+            !(header && html.closest(node, testPage.HEADER_SELECTOR)));
+        const topSections = sectionNodes.filter(node => !sectionNodes.some(other => other !== node && html.closest(node.parent, describe(other)) === other));
+
+        if (!topSections.length) this.report('no-sections', main, 'no .Tests-Hub-test-section or <section>');
+
+        const subtitle = html.querySelector(document, '.Tests-Hub-subtitle, .Tests-Hub-header-subtitle');
+        const contentText = topSections.map(node => html.textContent(node)).join(' ');
+        const titleTag = html.querySelector(document, 'title');
+
+        const doc = {
+            id: info.id,
+            title: (header && header.title) || (titleTag ? testPage.cleanText(html.textContent(titleTag)) : info.id),
+            lang: testPage.detectLanguage(contentText || html.textContent(main), info.subject)
+        };
+        if (subtitle) doc.subtitle = testPage.cleanText(html.textContent(subtitle));
+        doc.meta = {
+            year: info.year,
+            subject: info.subject,
+            trimester: info.trimester,
+            type: info.type,
+            number: info.number
+        };
+        if (header) {
+            ['school', 'schoolYear', 'duration', 'durationMinutes', 'teacher'].forEach(key => {
+                if (header[key] !== null) doc.meta[key] = header[key];
+            });
+            doc.header = { title: header.title, lines: header.linesHtml.map(line => line.replace(/\s+/g, ' ')) };
+        }
+        if (instructionNodes.length) doc.instructions = this.mapInstructions(instructionNodes[0]);
+
+        doc.sections = topSections.map(node => this.mapSection(node));
+        if (correctionNode) doc.correction = this.mapCorrection(correctionNode);
+        if (this.selectPlaceholder) doc.selectPlaceholder = this.selectPlaceholder;
+
+        const answerKey = html.querySelector(document, 'script#answerKey');
+        if (answerKey) {
+            try {
+                doc.answerKey = JSON.parse(html.textContent(answerKey));
+            } catch (error) {
+                this.report('answer-key', answerKey, `invalid JSON: ${error.message}`);
+            }
+        }
+
+        const known = [...topSections, ...instructionNodes];
+        if (header) known.push(header.element);
+        if (correctionNode) known.push(correctionNode);
+        this.checkLeftovers(main, known);
+
+        return doc;
+    }
+}
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+    const options = { out: path.join(testPage.ROOT_DIR, 'tests-data'), report: null, force: false, dryRun: false, files: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--out') options.out = path.resolve(argv[++i]);
+        else if (arg === '--report') options.report = path.resolve(argv[++i]);
+        else if (arg === '--force') options.force = true;
+        else if (arg === '--dry-run') options.dryRun = true;
+        else if (arg === '--help' || arg === '-h') options.help = true;
+        else options.files.push(arg);
+    }
+    options.report = options.report || path.join(options.out, 'migration-report.json');
+    return options;
+}
+
+/**
+ * Migrate one page
+ * @returns {Object} Report entry
+ */
+function migrateFile(filePath, options) {
+    const entry = { file: path.basename(filePath) };
+    const page = testPage.loadTestPage(filePath);
+
+    if (!page.info) {
+        entry.status = 'skipped';
+        entry.issues = [{ kind: 'not-a-test', where: entry.file, detail: 'file name does not follow test_<year>_<subject>_trim<n>_Type<n>_test<n>.html', count: 1 }];
+        return entry;
+    }
+
+    entry.id = page.info.id;
+    const output = path.join(options.out, `${page.info.id}.json`);
+    if (fs.existsSync(output) && !options.force) {
+        entry.status = 'exists';
+        entry.issues = [];
+        return entry;
+    }
+
+    const migration = new Migration(page);
+    try {
+        const doc = migration.convert();
+        if (!options.dryRun) {
+            fs.writeFileSync(output, `${JSON.stringify(doc, null, 4)}\n`);
+        }
+        entry.status = 'converted';
+        entry.output = path.relative(testPage.ROOT_DIR, output);
+    } catch (error) {
+        entry.status = 'failed';
+        migration.report('error', entry.file, error.message);
+    }
+    entry.issues = migration.issues;
+    return entry;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+        console.log(fs.readFileSync(__filename, 'utf8').split('*/')[0].replace(/^#!.*\n\/\*\*\n/, '').replace(/^ \* ?/gm, ''));
+        return;
+    }
+
+    const files = options.files.length
+        ? options.files.map(file => path.resolve(file))
+        : testPage.listTestFiles().map(file => path.join(testPage.ROOT_DIR, file));
+
+    if (!options.dryRun) fs.mkdirSync(options.out, { recursive: true });
+
+    const entries = files.map(file => {
+        const entry = migrateFile(file, options);
+        const count = entry.issues.reduce((total, issue) => total + issue.count, 0);
+        console.log(`${entry.status.padEnd(9)} ${entry.file}${count ? ` (${count} to review)` : ''}`);
+        return entry;
+    });
+
+    const totals = {};
+    entries.forEach(entry => entry.issues.forEach(issue => {
+        totals[issue.kind] = (totals[issue.kind] || 0) + issue.count;
+    }));
+    const summary = {};
+    entries.forEach(entry => {
+        summary[entry.status] = (summary[entry.status] || 0) + 1;
+    });
+
+    const report = {
+        generatedAt: new Date().toISOString(),
+        summary,
+        issues: totals,
+        files: entries.filter(entry => entry.issues.length || entry.status !== 'converted')
+    };
+
+    if (!options.dryRun) {
+        fs.writeFileSync(options.report, `${JSON.stringify(report, null, 4)}\n`);
+        console.log(`\nReport written to ${path.relative(process.cwd(), options.report)}`);
+    }
+    console.log(Object.entries(summary).map(([status, count]) => `${count} ${status}`).join(', '));
+    Object.entries(totals).forEach(([kind, count]) => console.log(`  ${kind}: ${count}`));
+
+    if (entries.some(entry => entry.status === 'failed')) process.exitCode = 1;
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { Migration, migrateFile, parsePoints };
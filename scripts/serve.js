@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+/**
+ * Tests Hub - Local Server
+ * Serves the site folder over http, with the /api/generate-pdf and
+ * /api/generate-odt endpoints of netlify/functions/ and the /api/generate-png
+ * capture, which only runs here, so that the download buttons can use the
+ * server generators locally.
+ *
+ * Usage:
+ *   node scripts/serve.js [options]
+ *
+ * Options:
+ *   --port <number>   Port to listen on (default: 8080)
+ *   --host <name>     Address to listen on (default: localhost)
+ *
+ * The PDF and ODT generators need jsdom, the PNG one puppeteer and its browser
+ * (npm install); without them the pages make the files themselves.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const testPage = require('./lib/test-page');
+const exporter = require('./lib/page-exporter');
+const exportService = require('./lib/export-service');
+
+const FUNCTIONS_DIR = path.join(testPage.ROOT_DIR, 'netlify', 'functions');
+const API_PATTERN = /^\/api\/(generate-(?:pdf|odt|png))\/?$/;
+const MAX_BODY_SIZE = 6 * 1024 * 1024;
+
+// Handlers of the local server only, in place of a Netlify function
+const LOCAL_HANDLERS = {
+    'generate-png': exportService.createHandler('png')
+};
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+    const options = { port: 8080, host: 'localhost' };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--port') options.port = parseInt(argv[++i], 10);
+        else if (arg === '--host') options.host = argv[++i];
+        else if (arg === '--help' || arg === '-h') options.help = true;
+        else throw new Error(`Unknown argument: ${arg}`);
+    }
+    if (!(options.port > 0)) throw new Error('--port needs a number');
+    return options;
+}
+
+/**
+ * Read the body of a request, up to the size the functions accept
+ */
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        request.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_SIZE) {
+                reject(Object.assign(new Error('The request is too large'), { statusCode: 413 }));
+                request.destroy();
+            } else {
+                chunks.push(chunk);
+            }
+        });
+        request.on('end', () => resolve(Buffer.concat(chunks)));
+        request.on('error', reject);
+    });
+}
+
+/**
+ * Run a Netlify function handler for a request, as Netlify calls it
+ */
+function callFunction(name, request, response) {
+    const handler = LOCAL_HANDLERS[name] || require(path.join(FUNCTIONS_DIR, `${name}.js`)).handler;
+    return readBody(request)
+        .then(body => handler({
+            httpMethod: request.method,
+            path: request.url,
+            headers: request.headers,
+            body: body.toString('base64'),
+            isBase64Encoded: true
+        }))
+        .then(result => {
+            response.writeHead(result.statusCode, result.headers);
+            response.end(result.body ? Buffer.from(result.body, result.isBase64Encoded ? 'base64' : 'utf8') : undefined);
+        })
+        .catch(error => {
+            response.writeHead(error.statusCode || 500, { 'Content-Type': 'application/json; charset=utf-8' });
+            response.end(JSON.stringify({ error: error.message }));
+        });
+}
+
+/**
+ * Send a file of the site folder (index.html for folders)
+ */
+function serveFile(pathname, response) {
+    const read = exporter.diskReader();
+    const filePath = pathname.endsWith('/') ? `${pathname}index.html` : pathname;
+    return read(filePath).then(bytes => {
+        if (!bytes) {
+            response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+            response.end('Not found');
+            return;
+        }
+        response.writeHead(200, { 'Content-Type': exporter.getMimeType(filePath), 'Cache-Control': 'no-cache' });
+        response.end(bytes);
+    });
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+        console.log(fs.readFileSync(__filename, 'utf8').split('*/')[0].replace(/^#!.*\n\/\*\*\n/, '').replace(/^ \* ?/gm, ''));
+        return;
+    }
+
+    const server = http.createServer((request, response) => {
+        const pathname = new URL(request.url, 'http://localhost').pathname;
+        const api = pathname.match(API_PATTERN);
+        if (api) {
+            callFunction(api[1], request, response);
+        } else if (request.method === 'GET' || request.method === 'HEAD') {
+            serveFile(pathname, response);
+        } else {
+            response.writeHead(405, { Allow: 'GET, HEAD' });
+            response.end();
+        }
+    });
+    server.listen(options.port, options.host, () => {
+        console.log(`Tests Hub served at http://${options.host}:${options.port}/`);
+    });
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { parseArgs };
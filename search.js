@@ -0,0 +1,419 @@
+/**
+ * Tests Hub - Search
+ * Searches every test from the home page with the prebuilt search-index.json
+ * (scripts/build-search-index.js), so it also works offline. Matching ignores
+ * case, accents, Arabic diacritics, tatweel, hamza forms and the Arabic
+ * article: "theoreme" finds "Théorème" and "كسور" finds "الكسور".
+ */
+
+const TestsHubSearch = {
+
+    // Configuration
+    config: {
+        indexUrl: 'search-index.json',
+        containerId: 'testsSearch',
+        maxResults: 20,
+        // Shorter words only match whole index terms, longer ones also match as a prefix
+        prefixMinLength: 3,
+        delay: 150
+    },
+
+    // UI strings, picked from the page's current language
+    translations: {
+        ar: {
+            label: 'البحث في الاختبارات',
+            placeholder: 'ابحث عن درس أو موضوع أو مؤسسة... (مثال: الكسور، Pythagore)',
+            loading: 'جارٍ تحميل فهرس البحث...',
+            unavailable: 'البحث غير متوفر حاليًا',
+            noResults: 'لا توجد نتائج',
+            results: 'نتيجة',
+            type1: 'فرض مراقبة',
+            type2: 'فرض تأليفي'
+        },
+        fr: {
+            label: 'Rechercher dans les tests',
+            placeholder: 'Chercher une notion, un thème, un établissement... (ex. Pythagore, الكسور)',
+            loading: "Chargement de l'index de recherche...",
+            unavailable: 'La recherche est indisponible pour le moment',
+            noResults: 'Aucun résultat',
+            results: 'résultat(s)',
+            type1: 'Devoir de contrôle',
+            type2: 'Devoir de synthèse'
+        },
+        en: {
+            label: 'Search the tests',
+            placeholder: 'Search a topic, a lesson, a school... (e.g. Pythagore, الكسور)',
+            loading: 'Loading the search index...',
+            unavailable: 'Search is not available right now',
+            noResults: 'No results',
+            results: 'result(s)',
+            type1: 'Mid-term test',
+            type2: 'End-of-term test'
+        }
+    },
+
+    // Words too common to help, in the three languages of the library
+    stopWordList: [
+        'le', 'la', 'les', 'de', 'des', 'du', 'et', 'en', 'un', 'une', 'est', 'au', 'aux', 'par', 'pour',
+        'sur', 'dans', 'que', 'qui', 'ce', 'ces', 'se', 'sa', 'son', 'ses', 'il', 'elle', 'ne', 'pas', 'ou', 'avec',
+        'the', 'and', 'of', 'to', 'in', 'is', 'are', 'for', 'on', 'with', 'an', 'be', 'by', 'this', 'that',
+        'it', 'as', 'at', 'from', 'or', 'your', 'you',
+        'في', 'من', 'على', 'إلى', 'عن', 'أن', 'إن', 'أو', 'ما', 'لا', 'هذا', 'هذه', 'ذلك', 'التي', 'الذي',
+        'ثم', 'كل', 'مع', 'بين', 'هو', 'هي', 'قد', 'لم', 'كان'
+    ],
+
+    stopWords: null,
+    index: null,
+    terms: null,
+    indexRequest: null,
+    container: null,
+    input: null,
+    results: null,
+    timer: null,
+
+    /**
+     * Get the page's current UI language
+     */
+    getLanguage: function() {
+        return TestsHubPage.getLanguage(this.translations);
+    },
+
+    /**
+     * Translate a UI string
+     */
+    t: function(key) {
+        return TestsHubPage.translate(this.translations, key);
+    },
+
+    /**
+     * Fold a text for matching: lower case, no accents, no Arabic diacritics
+     * or tatweel, one form of alef/ya/ha, ASCII digits
+     */
+    normalize: function(text) {
+        return String(text || '')
+            // NFKD splits accents and hamza marks (أ إ آ ؤ ئ) from their letter, and Arabic presentation forms
+            .normalize('NFKD')
+            .toLowerCase()
+            .replace(/[\u0300-\u036f\u064b-\u065f\u0670\u06d6-\u06ed\u0640]/g, '')
+            .replace(/ٱ/g, 'ا')
+            .replace(/ء/g, '')
+            .replace(/ى/g, 'ي')
+            .replace(/ة/g, 'ه')
+            .replace(/[٠-٩]/g, digit => String(digit.charCodeAt(0) - 0x0660))
+            .replace(/[۰-۹]/g, digit => String(digit.charCodeAt(0) - 0x06f0))
+            .replace(/œ/g, 'oe')
+            .replace(/æ/g, 'ae')
+            .replace(/ß/g, 'ss');
+    },
+
+    /**
+     * Light Arabic stemming: drop the article and the particles glued to it
+     * (وال، بال، لل...), common suffixes (ـي، ـية، ـات، ـون...), and fold the
+     * فعول plural onto its singular, so "الكسور" and "الكسرية" both give "كسر"
+     */
+    stem: function(token) {
+        if (!/^[؀-ۿ]+$/.test(token)) return token;
+        let stem = token.replace(/^(?:[وفبك]?ال|و?لل)(?=[؀-ۿ]{2})/, '');
+        stem = stem.replace(/^([؀-ۿ]{3,}?)(?:يين|يون|يات|ات|ون|ين|يه|ي|ه)$/, '$1');
+        return stem.replace(/^([؀-ۿ]{2})و([؀-ۿ])$/, '$1$2');
+    },
+
+    /**
+     * Split a text into normalized search terms
+     * @param {string} text - Any text, in any of the three languages
+     * @returns {string[]} Terms, in order, stop words removed
+     */
+    tokenize: function(text) {
+        if (!this.stopWords) {
+            this.stopWords = new Set(this.stopWordList.map(word => this.stem(this.normalize(word))));
+        }
+        return this.normalize(text)
+            .split(/[^\p{L}\p{N}]+/u)
+            .map(token => this.stem(token))
+            .filter(token => token.length > 1 && !this.stopWords.has(token));
+    },
+
+    /**
+     * Load the search index once
+     * @returns {Promise<Object>} The index
+     */
+    load: function() {
+        if (!this.indexRequest) {
+            this.indexRequest = fetch(this.config.indexUrl)
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.json();
+                })
+                .then(index => {
+                    this.index = index;
+                    this.terms = Object.keys(index.terms).sort();
+                    return index;
+                })
+                .catch(error => {
+                    this.indexRequest = null;
+                    throw error;
+                });
+        }
+        return this.indexRequest;
+    },
+
+    /**
+     * Index terms equal to a query term, or starting with it
+     */
+    matchTerms: function(token) {
+        if (token.length < this.config.prefixMinLength) {
+            return this.index.terms[token] ? [token] : [];
+        }
+        // Binary search for the first term >= token, then walk the prefix range
+        let low = 0;
+        let high = this.terms.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (this.terms[middle] < token) low = middle + 1;
+            else high = middle;
+        }
+        const matches = [];
+        for (let i = low; i < this.terms.length && this.terms[i].startsWith(token); i++) {
+            matches.push(this.terms[i]);
+        }
+        return matches;
+    },
+
+    /**
+     * Search the loaded index; every query word must match
+     * @param {string} query - What the student typed
+     * @returns {Object[]} { test, score } sorted by relevance
+     */
+    search: function(query) {
+        if (!this.index) return [];
+        const tokens = [...new Set(this.tokenize(query))];
+        if (!tokens.length) return [];
+
+        let scores = null;
+        tokens.forEach(token => {
+            const found = new Map();
+            this.matchTerms(token).forEach(term => {
+                // Whole words rank above prefix matches
+                const factor = term === token ? 1 : 0.5;
+                const postings = this.index.terms[term];
+                for (let i = 0; i < postings.length; i += 2) {
+                    const score = postings[i + 1] * factor;
+                    if (score > (found.get(postings[i]) || 0)) found.set(postings[i], score);
+                }
+            });
+
+            if (!scores) {
+                scores = found;
+                return;
+            }
+            scores.forEach((score, test) => {
+                if (found.has(test)) scores.set(test, score + found.get(test));
+                else scores.delete(test);
+            });
+        });
+
+        return [...scores.entries()]
+            .sort((a, b) => b[1] - a[1] || a[0] - b[0])
+            .map(([test, score]) => ({ test: this.index.tests[test], score }));
+    },
+
+    /**
+     * Read a label from the home page translations, when the page has them
+     */
+    pageLabel: function(key) {
+        return typeof getTranslation === 'function' ? getTranslation(key) : '';
+    },
+
+    /**
+     * One result line: level, subject, trimester and test type, then school and school year
+     */
+    describe: function(test) {
+        const yearKey = test.level.replace(/^(\d)(st|nd|rd|th)-secondary$/, '$1$2Secondary');
+        const trimester = ['first', 'second', 'third'][test.trimester - 1];
+        const typeLabel = this.t(test.type.toLowerCase());
+        return [
+            this.pageLabel(`TestsHub.cards.${yearKey}.title`) || test.level,
+            this.pageLabel(`TestsHub.subjects.${test.subject}.title`) || test.subject,
+            this.pageLabel(`TestsHub.trimesters.${trimester}`) || `T${test.trimester}`,
+            typeLabel ? `${typeLabel} ${test.number}` : test.number,
+            test.school,
+            test.schoolYear
+        ].filter(Boolean).join(' · ');
+    },
+
+    /**
+     * First exercise heading that contains one of the query words
+     */
+    findHeading: function(test, query) {
+        const tokens = this.tokenize(query);
+        return (test.headings || []).find(heading => {
+            const terms = this.tokenize(heading);
+            return tokens.some(token => terms.some(term => term.startsWith(token)));
+        }) || '';
+    },
+
+    /**
+     * Create an element with a class and text
+     */
+    createElement: function(tag, className, text) {
+        const element = document.createElement(tag);
+        if (className) element.className = className;
+        if (text !== undefined) element.textContent = text;
+        return element;
+    },
+
+    /**
+     * Show a message in place of the results
+     */
+    showMessage: function(key) {
+        this.results.replaceChildren(this.createElement('p', 'Tests-Hub-search-message', this.t(key)));
+        this.results.hidden = false;
+    },
+
+    /**
+     * Render the results as the same links the tests modal uses
+     */
+    renderResults: function(query) {
+        const found = this.search(query);
+        if (!found.length) {
+            this.showMessage('noResults');
+            return;
+        }
+
+        const list = this.createElement('div', 'Tests-Hub-tests-list');
+        found.slice(0, this.config.maxResults).forEach(({ test }) => {
+            const link = this.createElement('a', 'Tests-Hub-test-link');
+            link.href = test.file;
+            link.appendChild(this.createElement('div', `Tests-Hub-test-icon ${test.type === 'Type1' ? test.subject : 'composition'}`, String(test.number)));
+
+            const info = this.createElement('div', 'Tests-Hub-test-info');
+            info.appendChild(this.createElement('div', 'Tests-Hub-test-name', test.title));
+            const heading = this.findHeading(test, query);
+            if (heading) info.appendChild(this.createElement('div', 'Tests-Hub-search-heading', heading));
+            info.appendChild(this.createElement('div', 'Tests-Hub-test-details', this.describe(test)));
+            link.appendChild(info);
+
+            link.appendChild(this.createElement('div', 'Tests-Hub-test-arrow', '→'));
+            list.appendChild(link);
+        });
+
+        this.results.replaceChildren(
+            this.createElement('p', 'Tests-Hub-search-count', `${found.length} ${this.t('results')}`),
+            list
+        );
+        this.results.hidden = false;
+    },
+
+    /**
+     * Run the search for the current input value
+     */
+    update: function() {
+        const query = this.input.value.trim();
+        if (!this.tokenize(query).length) {
+            this.results.hidden = true;
+            this.results.replaceChildren();
+            return;
+        }
+        if (!this.index) this.showMessage('loading');
+        this.load()
+            .then(() => {
+                if (this.input.value.trim() === query) this.renderResults(query);
+            })
+            .catch(error => {
+                console.warn('Search index could not be loaded:', error);
+                this.showMessage('unavailable');
+            });
+    },
+
+    /**
+     * Refresh the labels after a language change
+     */
+    updateLabels: function() {
+        if (!this.input) return;
+        this.input.placeholder = this.t('placeholder');
+        this.input.setAttribute('aria-label', this.t('label'));
+        if (!this.results.hidden) this.update();
+    },
+
+    /**
+     * Add the search styles once
+     */
+    injectStyles: function() {
+        if (document.getElementById('search-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'search-styles';
+        style.textContent = `
+            .Tests-Hub-search { margin: -1rem 0 2.5rem; }
+            .Tests-Hub-search-input { width: 100%; padding: 0.9rem 1.2rem; font-size: 1rem; border: 2px solid #dfe6e9; border-radius: 12px; background: white; color: #2c3e50; font-family: inherit; }
+            .Tests-Hub-search-input:focus { outline: none; border-color: #3498db; box-shadow: 0 0 0 3px rgba(52, 152, 219, 0.2); }
+            .dark-theme .Tests-Hub-search-input { background: #2c3e50; border-color: #34495e; color: #e6e6e6; }
+            .Tests-Hub-search-results { margin-top: 1rem; }
+            .Tests-Hub-search-count, .Tests-Hub-search-message { margin-bottom: 0.8rem; color: #6c757d; font-size: 0.9rem; }
+            .Tests-Hub-search-heading { font-size: 0.9rem; color: #3a7bd5; margin-bottom: 0.2rem; }
+            .dark-theme .Tests-Hub-search-count, .dark-theme .Tests-Hub-search-message { color: #b0bec5; }
+        `;
+        document.head.appendChild(style);
+    },
+
+    /**
+     * Build the search box in #testsSearch (or right after the intro block)
+     */
+    init: function() {
+        this.container = document.getElementById(this.config.containerId);
+        if (!this.container) {
+            const intro = document.querySelector('.Tests-Hub-intro');
+            if (!intro) return;
+            this.container = this.createElement('div');
+            this.container.id = this.config.containerId;
+            intro.after(this.container);
+        }
+        this.container.classList.add('Tests-Hub-search');
+        this.container.setAttribute('role', 'search');
+
+        this.input = this.createElement('input', 'Tests-Hub-search-input');
+        this.input.type = 'search';
+        this.input.autocomplete = 'off';
+        this.input.spellcheck = false;
+        this.input.dir = 'auto';
+        this.results = this.createElement('div', 'Tests-Hub-search-results');
+        this.results.setAttribute('aria-live', 'polite');
+        this.results.hidden = true;
+        this.container.replaceChildren(this.input, this.results);
+
+        this.injectStyles();
+        this.updateLabels();
+
+        // Start loading the index as soon as the student reaches for the box
+        this.input.addEventListener('focus', () => this.load().catch(() => {}), { once: true });
+        this.input.addEventListener('input', () => {
+            clearTimeout(this.timer);
+            this.timer = setTimeout(() => this.update(), this.config.delay);
+        });
+        this.input.addEventListener('keydown', event => {
+            if (event.key === 'Escape') {
+                this.input.value = '';
+                this.update();
+            }
+        });
+
+        TestsHubPage.onLanguageChange(() => this.updateLabels());
+
+        console.log('Tests Hub Search initialized');
+    }
+};
+
+if (typeof document !== 'undefined') {
+    // Auto-initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => TestsHubSearch.init());
+    } else {
+        TestsHubSearch.init();
+    }
+
+    // Make it globally available
+    window.TestsHubSearch = TestsHubSearch;
+} else if (typeof module !== 'undefined') {
+    // scripts/build-search-index.js indexes with the same normalization
+    module.exports = TestsHubSearch;
+}
@@ -0,0 +1,513 @@
+/**
+ * Tests Hub - Storage Manager
+ * What the site keeps on the device (storage.html): the space used out of
+ * the browser quota, the app shell, the packs of tests made available
+ * offline grouped by year and subject, and the pages cached while browsing.
+ * Packs can be pinned, so that the service worker (sw.js) never evicts them
+ * to make room, or deleted, and the student can ask the browser to keep the
+ * offline tests even when the device runs out of space.
+ */
+
+const TestsHubStorageManager = {
+
+    // Configuration
+    config: {
+        rootId: 'storageRoot'
+    },
+
+    // UI strings, picked from the page's current language
+    translations: {
+        ar: {
+            loadFailed: 'تعذّرت قراءة المحتوى المحفوظ على هذا الجهاز.',
+            unsupported: 'هذا المتصفح لا يدعم الاستعمال دون اتصال، لا شيء محفوظ على هذا الجهاز.',
+            usage: 'المساحة المستعملة',
+            usageOf: '{usage} من {quota}',
+            persisted: 'الاختبارات المحفوظة محمية: لن يحذفها المتصفح',
+            notPersisted: 'قد يحذف المتصفح الاختبارات المحفوظة إذا امتلأت ذاكرة الجهاز',
+            persist: 'حماية الاختبارات المحفوظة',
+            persistDenied: 'رفض المتصفح الطلب. غالبًا ما يقبله بعد تثبيت الموقع أو زيارته بانتظام.',
+            shell: 'التطبيق',
+            shellDetails: '{count} ملفات ({size}) تُحفظ دائمًا ليعمل الموقع دون اتصال',
+            packs: 'الاختبارات المتاحة دون اتصال',
+            packsDetails: '{count} حزم ({size}). لا تُحذف الحزم المثبّتة لإفساح المجال أبدًا.',
+            noPacks: 'لم تقم بتنزيل أي اختبار بعد. استعمل أزرار ⬇️ في الصفحة الرئيسية.',
+            wholeYear: 'كل المواد',
+            wholeSubject: 'كل الثلاثيات',
+            packTests: '{count} اختبارات · {size}',
+            packDates: 'نُزّلت في {cached} · آخر استعمال {used}',
+            incomplete: 'لم تُنزّل كل الملفات، ستتم إعادة المحاولة عند التحديث القادم',
+            pinned: 'مثبّتة',
+            pin: 'تثبيت',
+            unpin: 'إلغاء التثبيت',
+            remove: 'حذف',
+            confirmRemove: 'حذف هذه الحزمة من هذا الجهاز؟ ستحتاج إلى الاتصال بالإنترنت لفتح اختباراتها من جديد.',
+            runtime: 'الصفحات المفتوحة عبر الإنترنت',
+            runtimeDetails: '{count} ملفات ({size}) تُحذف تلقائيًا بعد أسبوع دون استعمال',
+            clear: 'مسح',
+            confirmClear: 'مسح الصفحات المحفوظة أثناء التصفح؟ تبقى الحزم المنزّلة على الجهاز.',
+            failed: 'تعذّر إتمام العملية: {error}',
+            gigabytes: '{value} ج.ب',
+            trimesters: { 1: 'الثلاثي الأول', 2: 'الثلاثي الثاني', 3: 'الثلاثي الثالث' },
+            levels: {
+                '7th': 'السنة السابعة أساسي',
+                '8th': 'السنة الثامنة أساسي',
+                '9th': 'السنة التاسعة أساسي',
+                '1st-secondary': 'السنة الأولى ثانوي',
+                '2nd-secondary': 'السنة الثانية ثانوي',
+                '3rd-secondary': 'السنة الثالثة ثانوي',
+                '4th-secondary': 'السنة الرابعة ثانوي'
+            },
+            subjects: {
+                arabic: 'اللغة العربية',
+                french: 'اللغة الفرنسية',
+                english: 'اللغة الإنجليزية',
+                maths: 'الرياضيات',
+                physics: 'العلوم الفيزيائية',
+                naturalSciences: 'علوم الحياة والأرض',
+                history: 'التاريخ',
+                geography: 'الجغرافيا',
+                islamic: 'التربية الإسلامية',
+                civicEducation: 'التربية المدنية',
+                technology: 'التكنولوجيا',
+                philosophy: 'الفلسفة'
+            }
+        },
+        fr: {
+            loadFailed: 'Impossible de lire le contenu enregistré sur cet appareil.',
+            unsupported: "Ce navigateur ne permet pas l'utilisation hors ligne, rien n'est enregistré sur cet appareil.",
+            usage: 'Espace utilisé',
+            usageOf: '{usage} sur {quota}',
+            persisted: 'Les tests hors ligne sont protégés : le navigateur ne les supprimera pas',
+            notPersisted: "Le navigateur peut supprimer les tests hors ligne si l'appareil manque de place",
+            persist: 'Protéger les tests hors ligne',
+            persistDenied: "Le navigateur a refusé. Il accepte souvent une fois le site installé ou visité régulièrement.",
+            shell: 'Application',
+            shellDetails: '{count} fichiers ({size}) toujours gardés pour que le site marche hors ligne',
+            packs: 'Tests disponibles hors ligne',
+            packsDetails: '{count} packs ({size}). Les packs épinglés ne sont jamais supprimés pour faire de la place.',
+            noPacks: "Aucun test téléchargé pour l'instant. Utilisez les boutons ⬇️ de la page d'accueil.",
+            wholeYear: 'Toutes les matières',
+            wholeSubject: 'Tous les trimestres',
+            packTests: '{count} tests · {size}',
+            packDates: 'Téléchargé le {cached} · utilisé le {used}',
+            incomplete: 'Certains fichiers manquent, nouvel essai à la prochaine mise à jour',
+            pinned: 'Épinglé',
+            pin: 'Épingler',
+            unpin: 'Désépingler',
+            remove: 'Supprimer',
+            confirmRemove: 'Supprimer ce pack de cet appareil ? Il faudra une connexion pour rouvrir ses tests.',
+            runtime: 'Pages ouvertes en ligne',
+            runtimeDetails: "{count} fichiers ({size}) supprimés d'eux-mêmes après une semaine sans utilisation",
+            clear: 'Effacer',
+            confirmClear: 'Effacer les pages gardées pendant la navigation ? Les packs téléchargés restent sur l\'appareil.',
+            failed: 'Opération impossible : {error}',
+            gigabytes: '{value} Go',
+            trimesters: { 1: 'Premier Trimestre', 2: 'Deuxième Trimestre', 3: 'Troisième Trimestre' },
+            levels: {
+                '7th': '7ème Année de base',
+                '8th': '8ème Année de base',
+                '9th': '9ème Année de base',
+                '1st-secondary': '1ère Année secondaire',
+                '2nd-secondary': '2ème Année secondaire',
+                '3rd-secondary': '3ème Année secondaire',
+                '4th-secondary': '4ème Année secondaire'
+            },
+            subjects: {
+                arabic: 'Langue Arabe',
+                french: 'Langue Française',
+                english: 'Langue Anglaise',
+                maths: 'Mathématiques',
+                physics: 'Sciences Physiques',
+                naturalSciences: 'Sciences de la Vie et de la Terre',
+                history: 'Histoire',
+                geography: 'Géographie',
+                islamic: 'Éducation Islamique',
+                civicEducation: 'Éducation Civique',
+                technology: 'Technologie',
+                philosophy: 'Philosophie'
+            }
+        },
+        en: {
+            loadFailed: 'What is saved on this device could not be read.',
+            unsupported: 'This browser cannot keep tests for offline use, nothing is saved on this device.',
+            usage: 'Space used',
+            usageOf: '{usage} of {quota}',
+            persisted: 'Offline tests are protected: the browser will not delete them',
+            notPersisted: 'The browser may delete offline tests when the device runs out of space',
+            persist: 'Protect offline tests',
+            persistDenied: 'The browser said no. It often agrees once the site is installed or visited regularly.',
+            shell: 'Application',
+            shellDetails: '{count} files ({size}) always kept so that the site works offline',
+            packs: 'Tests available offline',
+            packsDetails: '{count} packs ({size}). Pinned packs are never removed to make room.',
+            noPacks: 'No tests downloaded yet. Use the ⬇️ buttons of the home page.',
+            wholeYear: 'All subjects',
+            wholeSubject: 'All trimesters',
+            packTests: '{count} tests · {size}',
+            packDates: 'Downloaded {cached} · last used {used}',
+            incomplete: 'Some files are missing, they will be tried again with the next update',
+            pinned: 'Pinned',
+            pin: 'Pin',
+            unpin: 'Unpin',
+            remove: 'Delete',
+            confirmRemove: 'Delete this pack from this device? Opening its tests will need a connection again.',
+            runtime: 'Pages opened online',
+            runtimeDetails: '{count} files ({size}) removed by themselves after a week without use',
+            clear: 'Clear',
+            confirmClear: 'Clear the pages kept while browsing? Downloaded packs stay on the device.',
+            failed: 'Could not complete the operation: {error}',
+            gigabytes: '{value} GB',
+            trimesters: { 1: 'First Trimester', 2: 'Second Trimester', 3: 'Third Trimester' },
+            levels: {
+                '7th': '7th Year',
+                '8th': '8th Year',
+                '9th': '9th Year',
+                '1st-secondary': '1st Year Secondary',
+                '2nd-secondary': '2nd Year Secondary',
+                '3rd-secondary': '3rd Year Secondary',
+                '4th-secondary': '4th Year Secondary'
+            },
+            subjects: {
+                arabic: 'Arabic Language',
+                french: 'French Language',
+                english: 'English Language',
+                maths: 'Mathematics',
+                physics: 'Physical Sciences',
+                naturalSciences: 'Natural Sciences',
+                history: 'History',
+                geography: 'Geography',
+                islamic: 'Islamic Education',
+                civicEducation: 'Civic Education',
+                technology: 'Technology',
+                philosophy: 'Philosophy'
+            }
+        }
+    },
+
+    // Last answer of the service worker: { shell, runtime, packs }
+    summary: null,
+    // navigator.storage.estimate(): { usage, quota }
+    estimate: null,
+    persisted: false,
+    // A pin, delete or clear is running
+    busy: false,
+    root: null,
+
+    /**
+     * Get the page's current UI language
+     */
+    getLanguage: function() {
+        return TestsHubPage.getLanguage(this.translations);
+    },
+
+    /**
+     * Translate a UI string, filling in {placeholders}
+     */
+    t: function(key, values) {
+        return TestsHubPage.translate(this.translations, key, values);
+    },
+
+    /**
+     * Create an element with a class name and optional text
+     */
+    createElement: function(tag, className, text) {
+        const element = document.createElement(tag);
+        if (className) element.className = className;
+        if (text !== undefined) element.textContent = text;
+        return element;
+    },
+
+    /**
+     * Size in KB or MB, worded like the offline buttons, or in GB for the quota
+     */
+    formatSize: function(bytes) {
+        if (bytes >= 1024 * 1024 * 1024) {
+            return this.t('gigabytes', { value: (bytes / 1024 / 1024 / 1024).toFixed(1) });
+        }
+        return TestsHubOfflinePacks.formatSize(bytes || 0);
+    },
+
+    /**
+     * Date in the page language
+     */
+    formatDate: function(timestamp) {
+        if (!timestamp) return '—';
+        const lang = this.getLanguage();
+        return new Date(timestamp).toLocaleDateString(lang === 'ar' ? 'ar-TN' : lang, {
+            day: 'numeric',
+            month: 'short',
+            year: 'numeric'
+        });
+    },
+
+    /**
+     * Ask the service worker what it keeps and the browser how much space the site uses
+     * @returns {Promise<void>}
+     */
+    load: function() {
+        const storage = navigator.storage || {};
+        const estimate = storage.estimate ? storage.estimate().catch(() => null) : Promise.resolve(null);
+        const persisted = storage.persisted ? storage.persisted().catch(() => false) : Promise.resolve(false);
+
+        return Promise.all([TestsHubOfflinePacks.send({ type: 'GET_STORAGE' }), estimate, persisted])
+            .then(([summary, usage, isPersisted]) => {
+                this.summary = summary;
+                this.estimate = usage;
+                this.persisted = isPersisted;
+            });
+    },
+
+    /**
+     * Packs by level then subject; packs of a whole year go under the level with no subject
+     * @returns {Map} level -> Map(subject or '' -> [{ id, trimester, pack }])
+     */
+    group: function(packs) {
+        const levels = new Map();
+        Object.keys(packs).sort().forEach(id => {
+            const [level, subject = '', trimester] = id.split('/');
+            if (!levels.has(level)) levels.set(level, new Map());
+            const subjects = levels.get(level);
+            if (!subjects.has(subject)) subjects.set(subject, []);
+            subjects.get(subject).push({ id, trimester: trimester ? Number(trimester.replace('trim', '')) : null, pack: packs[id] });
+        });
+        return levels;
+    },
+
+    /**
+     * Run a change through the service worker, then show the new state
+     * @param {Object} message - { type, ... } for sw.js
+     */
+    update: function(message) {
+        if (this.busy) return Promise.resolve();
+        this.busy = true;
+        this.render();
+
+        return TestsHubOfflinePacks.send(message)
+            .then(() => this.load())
+            .catch(error => {
+                console.error('Storage could not be updated:', error);
+                TestsHubOfflinePacks.notify(this.t('failed', { error: error.message }), 'error');
+            })
+            .then(() => {
+                this.busy = false;
+                this.render();
+            });
+    },
+
+    /**
+     * Ask the browser not to clear the site's storage under pressure
+     */
+    persist: function() {
+        navigator.storage.persist().then(granted => {
+            this.persisted = granted;
+            if (!granted) TestsHubOfflinePacks.notify(this.t('persistDenied'), 'warning');
+            this.render();
+        });
+    },
+
+    /**
+     * Button that runs an action, disabled while another one runs
+     */
+    renderButton: function(className, text, action) {
+        const button = this.createElement('button', `Tests-Hub-button Tests-Hub-storage-action ${className}`, text);
+        button.type = 'button';
+        button.disabled = this.busy;
+        button.addEventListener('click', action);
+        return button;
+    },
+
+    /**
+     * Space used, and whether the browser may clear it
+     */
+    renderUsage: function() {
+        const section = this.createElement('div', 'Tests-Hub-storage-usage');
+        if (this.estimate && this.estimate.quota) {
+            const { usage, quota } = this.estimate;
+            section.appendChild(this.createElement('div', 'Tests-Hub-storage-label', this.t('usage')));
+            section.appendChild(this.createElement('div', 'Tests-Hub-storage-value',
+                this.t('usageOf', { usage: this.formatSize(usage), quota: this.formatSize(quota) })));
+            const bar = this.createElement('div', 'Tests-Hub-storage-bar');
+            const fill = bar.appendChild(this.createElement('div', 'Tests-Hub-storage-bar-fill'));
+            fill.style.width = `${Math.min(100, usage / quota * 100).toFixed(1)}%`;
+            section.appendChild(bar);
+        }
+
+        const persistence = this.createElement('div', `Tests-Hub-storage-persistence${this.persisted ? ' is-persisted' : ''}`);
+        persistence.appendChild(this.createElement('span', null, this.t(this.persisted ? 'persisted' : 'notPersisted')));
+        if (!this.persisted && navigator.storage && navigator.storage.persist) {
+            persistence.appendChild(this.renderButton('', `🛡️ ${this.t('persist')}`, () => this.persist()));
+        }
+        section.appendChild(persistence);
+        return section;
+    },
+
+    /**
+     * Title line of a section, with an optional button
+     */
+    renderSection: function(title, details, button) {
+        const section = this.createElement('section', 'Tests-Hub-storage-section');
+        const header = this.createElement('div', 'Tests-Hub-storage-section-header');
+        const text = this.createElement('div');
+        text.appendChild(this.createElement('h3', 'Tests-Hub-heading-subsection', title));
+        text.appendChild(this.createElement('div', 'Tests-Hub-storage-details', details));
+        header.appendChild(text);
+        if (button) header.appendChild(button);
+        section.appendChild(header);
+        return section;
+    },
+
+    /**
+     * One pack: what it holds, when it was used, and its pin and delete buttons
+     */
+    renderPack: function(title, { id, pack }) {
+        const row = this.createElement('div', `Tests-Hub-storage-pack${pack.pinned ? ' is-pinned' : ''}`);
+        const text = this.createElement('div', 'Tests-Hub-storage-pack-text');
+        const name = text.appendChild(this.createElement('div', 'Tests-Hub-storage-pack-name', title));
+        if (pack.pinned) name.appendChild(this.createElement('span', 'Tests-Hub-storage-badge', `📌 ${this.t('pinned')}`));
+        text.appendChild(this.createElement('div', 'Tests-Hub-storage-details',
+            this.t('packTests', { count: pack.tests.length, size: this.formatSize(pack.size) })));
+        text.appendChild(this.createElement('div', 'Tests-Hub-storage-details',
+            this.t('packDates', { cached: this.formatDate(pack.cachedAt), used: this.formatDate(pack.lastAccess) })));
+        if (!pack.complete) text.appendChild(this.createElement('div', 'Tests-Hub-storage-warning', `⚠️ ${this.t('incomplete')}`));
+        row.appendChild(text);
+
+        const actions = this.createElement('div', 'Tests-Hub-storage-pack-actions');
+        actions.appendChild(this.renderButton('', pack.pinned ? this.t('unpin') : `📌 ${this.t('pin')}`,
+            () => this.update({ type: 'PIN_PACK', id, pinned: !pack.pinned })));
+        actions.appendChild(this.renderButton('is-danger', `🗑️ ${this.t('remove')}`, () => {
+            if (window.confirm(this.t('confirmRemove'))) this.update({ type: 'REMOVE_PACK', id });
+        }));
+        row.appendChild(actions);
+        return row;
+    },
+
+    /**
+     * Cached packs grouped by level and subject
+     */
+    renderPacks: function() {
+        const strings = this.translations[this.getLanguage()];
+        const packs = this.summary.packs || {};
+        const ids = Object.keys(packs);
+        const total = ids.reduce((size, id) => size + (packs[id].size || 0), 0);
+        const section = this.renderSection(this.t('packs'), this.t('packsDetails', { count: ids.length, size: this.formatSize(total) }));
+
+        if (!ids.length) {
+            section.appendChild(this.createElement('p', 'Tests-Hub-storage-details', this.t('noPacks')));
+            return section;
+        }
+
+        this.group(packs).forEach((subjects, level) => {
+            const levelGroup = this.createElement('details', 'Tests-Hub-storage-level');
+            levelGroup.open = true;
+            levelGroup.appendChild(this.createElement('summary')).appendChild(
+                this.createElement('span', 'Tests-Hub-storage-group-title', strings.levels[level] || level));
+
+            subjects.forEach((entries, subject) => {
+                if (!subject) {
+                    entries.forEach(entry => levelGroup.appendChild(this.renderPack(this.t('wholeYear'), entry)));
+                    return;
+                }
+                const subjectGroup = this.createElement('details', 'Tests-Hub-storage-subject');
+                subjectGroup.open = true;
+                subjectGroup.appendChild(this.createElement('summary')).appendChild(
+                    this.createElement('span', 'Tests-Hub-storage-group-title', strings.subjects[subject] || subject));
+                entries.forEach(entry => subjectGroup.appendChild(
+                    this.renderPack(entry.trimester ? strings.trimesters[entry.trimester] : this.t('wholeSubject'), entry)));
+                levelGroup.appendChild(subjectGroup);
+            });
+            section.appendChild(levelGroup);
+        });
+        return section;
+    },
+
+    /**
+     * Render the whole page
+     */
+    render: function() {
+        if (!this.summary) return;
+        const { shell, runtime } = this.summary;
+
+        this.root.replaceChildren(
+            this.renderUsage(),
+            this.renderSection(this.t('shell'), this.t('shellDetails', { count: shell.count, size: this.formatSize(shell.size) })),
+            this.renderPacks(),
+            this.renderSection(this.t('runtime'), this.t('runtimeDetails', { count: runtime.count, size: this.formatSize(runtime.size) }),
+                runtime.count ? this.renderButton('is-danger', `🧹 ${this.t('clear')}`, () => {
+                    if (window.confirm(this.t('confirmClear'))) this.update({ type: 'CLEAR_RUNTIME' });
+                }) : null)
+        );
+    },
+
+    /**
+     * Show a message in place of the page
+     */
+    showMessage: function(key) {
+        this.root.replaceChildren(this.createElement('p', 'Tests-Hub-text-center', this.t(key)));
+    },
+
+    /**
+     * Add the styles of the page (groups look like those of progress-dashboard.js)
+     */
+    injectStyles: function() {
+        if (document.getElementById('storage-manager-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'storage-manager-styles';
+        style.textContent = `
+            .Tests-Hub-storage-usage, .Tests-Hub-storage-section { background: rgba(255, 255, 255, 0.85); border-radius: 12px; padding: 16px; margin-bottom: 16px; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.08); }
+            .Tests-Hub-storage-label { font-size: 0.85rem; opacity: 0.8; }
+            .Tests-Hub-storage-value { font-size: 1.5rem; font-weight: 700; color: #0D9488; }
+            .Tests-Hub-storage-bar { height: 10px; border-radius: 5px; background: #E5E7EB; overflow: hidden; margin: 8px 0 12px; }
+            .Tests-Hub-storage-bar-fill { height: 100%; background: #14B8A6; }
+            .Tests-Hub-storage-persistence { display: flex; flex-wrap: wrap; gap: 8px 12px; align-items: center; color: #92400E; }
+            .Tests-Hub-storage-persistence.is-persisted { color: #065F46; }
+            .Tests-Hub-storage-section-header { display: flex; flex-wrap: wrap; gap: 8px 12px; align-items: center; justify-content: space-between; margin-bottom: 8px; }
+            .Tests-Hub-storage-details { font-size: 0.85rem; opacity: 0.8; }
+            .Tests-Hub-storage-warning { font-size: 0.85rem; color: #92400E; }
+            .Tests-Hub-storage-level, .Tests-Hub-storage-subject { border-radius: 12px; margin-top: 12px; padding: 4px 16px; border: 1px solid #99F6E4; }
+            .Tests-Hub-storage-subject { background: rgba(240, 253, 250, 0.9); }
+            .Tests-Hub-storage-level > summary, .Tests-Hub-storage-subject > summary { cursor: pointer; padding: 10px 0; }
+            .Tests-Hub-storage-level > summary { font-size: 1.2rem; }
+            .Tests-Hub-storage-group-title { font-weight: 700; }
+            .Tests-Hub-storage-pack { display: flex; flex-wrap: wrap; gap: 8px 12px; align-items: center; justify-content: space-between; padding: 10px 0; border-top: 1px solid rgba(0, 0, 0, 0.08); }
+            .Tests-Hub-storage-pack-name { font-weight: 600; display: flex; flex-wrap: wrap; gap: 8px; align-items: center; }
+            .Tests-Hub-storage-badge { display: inline-block; padding: 2px 10px; border-radius: 12px; font-size: 0.8rem; font-weight: 400; background: #D1FAE5; color: #065F46; }
+            .Tests-Hub-storage-pack-actions { display: flex; gap: 8px; }
+            .Tests-Hub-storage-action { font-size: 0.85rem; }
+            .Tests-Hub-storage-action:disabled { opacity: 0.5; cursor: progress; }
+            .Tests-Hub-storage-action.is-danger { color: #B91C1C; }
+            .Tests-Hub-dark-theme .Tests-Hub-storage-usage, .Tests-Hub-dark-theme .Tests-Hub-storage-section { background: rgba(19, 78, 74, 0.85); }
+            .Tests-Hub-dark-theme .Tests-Hub-storage-subject { background: rgba(15, 118, 110, 0.5); border-color: #14B8A6; }
+            .Tests-Hub-dark-theme .Tests-Hub-storage-value { color: #5EEAD4; }
+            .Tests-Hub-dark-theme .Tests-Hub-storage-persistence, .Tests-Hub-dark-theme .Tests-Hub-storage-warning { color: #FDE68A; }
+            .Tests-Hub-dark-theme .Tests-Hub-storage-persistence.is-persisted { color: #A7F3D0; }
+            .Tests-Hub-dark-theme .Tests-Hub-storage-action.is-danger { color: #FCA5A5; }
+        `;
+        document.head.appendChild(style);
+    },
+
+    /**
+     * Load and render the page
+     */
+    init: function() {
+        this.root = document.getElementById(this.config.rootId);
+        if (!this.root) return Promise.resolve();
+        if (!TestsHubOfflinePacks.isSupported()) {
+            this.showMessage('unsupported');
+            return Promise.resolve();
+        }
+        this.injectStyles();
+
+        TestsHubPage.onLanguageChange(() => this.render());
+
+        return this.load()
+            .then(() => this.render())
+            .catch(error => {
+                console.error('Storage manager failed:', error);
+                this.showMessage('loadFailed');
+            });
+    }
+};
+
+// Make it globally available
+window.TestsHubStorageManager = TestsHubStorageManager;
@@ -0,0 +1,254 @@
+/**
+ * Tests Hub - Update Banner
+ * A new version of the service worker (sw.js) downloads its files, then
+ * waits instead of taking over the open pages. This banner tells the student
+ * a version is ready, with what changed, and reloads onto it only when they
+ * click "Reload to update" (the SKIP_WAITING message), so that nothing
+ * changes in the middle of a test.
+ */
+
+const TestsHubUpdateBanner = {
+
+    // Configuration
+    config: {
+        bannerId: 'update-banner'
+    },
+
+    // UI strings, picked from the page's current language
+    translations: {
+        ar: {
+            available: 'يتوفّر إصدار جديد من Tests Hub',
+            availableVersion: 'يتوفّر الإصدار {version} من Tests Hub',
+            reload: 'أعد التحميل للتحديث',
+            later: 'لاحقًا',
+            hint: 'احفظ إجاباتك أولًا إذا كنت بصدد إنجاز اختبار'
+        },
+        fr: {
+            available: 'Une nouvelle version de Tests Hub est disponible',
+            availableVersion: 'La version {version} de Tests Hub est disponible',
+            reload: 'Recharger pour mettre à jour',
+            later: 'Plus tard',
+            hint: 'Enregistrez vos réponses avant si vous êtes en plein test'
+        },
+        en: {
+            available: 'A new version of Tests Hub is available',
+            availableVersion: 'Tests Hub {version} is available',
+            reload: 'Reload to update',
+            later: 'Later',
+            hint: 'Save your answers first if you are in the middle of a test'
+        }
+    },
+
+    // Worker installed and waiting, and what it answered to GET_VERSION
+    waiting: null,
+    info: null,
+    // What the worker running the page answered to GET_VERSION
+    current: null,
+    dismissed: false,
+    reloading: false,
+
+    /**
+     * Get the page's current UI language
+     */
+    getLanguage: function() {
+        return TestsHubPage.getLanguage(this.translations);
+    },
+
+    /**
+     * Translate a UI string, filling in {placeholders}
+     */
+    t: function(key, values) {
+        return TestsHubPage.translate(this.translations, key, values);
+    },
+
+    /**
+     * Ask a worker its version and changelog
+     * @returns {Promise<Object>} { version, cacheName, changelog }, or null when it does not answer
+     */
+    getVersion: function(worker) {
+        if (typeof MessageChannel === 'undefined') return Promise.resolve(null);
+        return new Promise(resolve => {
+            const channel = new MessageChannel();
+            channel.port1.onmessage = event => resolve(event.data || null);
+            worker.postMessage({ type: 'GET_VERSION' }, [channel.port2]);
+            // Workers older than the changelog do not answer with one; do not wait for them
+            setTimeout(() => resolve(null), 3000);
+        });
+    },
+
+    /**
+     * Show the banner for the waiting worker of a registration, if there is one
+     */
+    check: function(registration) {
+        // Without a controller this is the first install, which takes over by itself
+        if (!registration || !registration.waiting || !navigator.serviceWorker.controller) return;
+        if (this.waiting === registration.waiting) return;
+
+        this.waiting = registration.waiting;
+        this.info = null;
+        this.render();
+        this.getVersion(this.waiting).then(info => {
+            this.info = info;
+            this.render();
+        });
+    },
+
+    /**
+     * Changes of the versions newer than the one running the page, in the page language
+     */
+    getChanges: function() {
+        if (!this.info || !Array.isArray(this.info.changelog)) return [];
+        const lang = this.getLanguage();
+        const current = this.current && this.current.version;
+        const changes = [];
+        for (const entry of this.info.changelog) {
+            if (entry.version === current) break;
+            changes.push(...(entry.changes[lang] || entry.changes.en || []));
+        }
+        return changes;
+    },
+
+    /**
+     * Activate the waiting worker; the page reloads when it takes over
+     */
+    update: function() {
+        if (!this.waiting) return;
+        this.reloading = true;
+        this.waiting.postMessage({ type: 'SKIP_WAITING' });
+        this.render();
+    },
+
+    /**
+     * Draw or remove the banner
+     */
+    render: function() {
+        const existing = document.getElementById(this.config.bannerId);
+        if (existing) existing.remove();
+        if (!this.waiting || this.dismissed) return;
+
+        const banner = document.createElement('div');
+        banner.id = this.config.bannerId;
+        banner.className = 'Tests-Hub-update-banner';
+        banner.dir = this.getLanguage() === 'ar' ? 'rtl' : 'ltr';
+        banner.setAttribute('role', 'status');
+
+        const text = document.createElement('div');
+        text.className = 'Tests-Hub-update-banner-text';
+        const title = document.createElement('strong');
+        title.textContent = this.info && this.info.version
+            ? this.t('availableVersion', { version: this.info.version })
+            : this.t('available');
+        text.appendChild(title);
+
+        const changes = this.getChanges();
+        if (changes.length) {
+            const list = document.createElement('ul');
+            changes.forEach(change => {
+                const item = document.createElement('li');
+                item.textContent = change;
+                list.appendChild(item);
+            });
+            text.appendChild(list);
+        }
+
+        const hint = document.createElement('div');
+        hint.className = 'Tests-Hub-update-banner-hint';
+        hint.textContent = this.t('hint');
+        text.appendChild(hint);
+        banner.appendChild(text);
+
+        const actions = document.createElement('div');
+        actions.className = 'Tests-Hub-update-banner-actions';
+        const reload = document.createElement('button');
+        reload.type = 'button';
+        reload.className = 'Tests-Hub-update-banner-reload';
+        reload.textContent = `🔄 ${this.t('reload')}`;
+        reload.disabled = this.reloading;
+        reload.addEventListener('click', () => this.update());
+        actions.appendChild(reload);
+
+        const later = document.createElement('button');
+        later.type = 'button';
+        later.className = 'Tests-Hub-update-banner-later';
+        later.textContent = this.t('later');
+        later.addEventListener('click', () => {
+            this.dismissed = true;
+            this.render();
+        });
+        actions.appendChild(later);
+        banner.appendChild(actions);
+
+        document.body.appendChild(banner);
+    },
+
+    /**
+     * Add the banner styles once
+     */
+    injectStyles: function() {
+        if (document.getElementById('update-banner-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'update-banner-styles';
+        style.textContent = `
+            .Tests-Hub-update-banner { position: fixed; left: 50%; bottom: 20px; transform: translateX(-50%); width: min(560px, calc(100% - 32px)); display: flex; flex-wrap: wrap; gap: 12px; align-items: center; justify-content: space-between; padding: 14px 18px; border-radius: 12px; background: #134E4A; color: white; z-index: 10001; box-shadow: 0 4px 16px rgba(0, 0, 0, 0.25); }
+            .Tests-Hub-update-banner ul { margin: 6px 0 0; padding-inline-start: 20px; font-size: 0.9rem; }
+            .Tests-Hub-update-banner-hint { font-size: 0.8rem; opacity: 0.8; margin-top: 4px; }
+            .Tests-Hub-update-banner-actions { display: flex; gap: 8px; flex-shrink: 0; }
+            .Tests-Hub-update-banner button { border: none; border-radius: 8px; padding: 8px 14px; font: inherit; font-weight: 600; cursor: pointer; }
+            .Tests-Hub-update-banner-reload { background: #5EEAD4; color: #134E4A; }
+            .Tests-Hub-update-banner-reload:disabled { opacity: 0.6; cursor: progress; }
+            .Tests-Hub-update-banner-later { background: transparent; color: white; }
+        `;
+        document.head.appendChild(style);
+    },
+
+    /**
+     * Watch the registration for a new version, and reload once it takes over
+     */
+    init: function() {
+        if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+        this.injectStyles();
+
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            // Only the version the student chose to update to reloads the page
+            if (this.reloading) window.location.reload();
+        });
+
+        // Sent by a new version when it has finished installing
+        navigator.serviceWorker.addEventListener('message', event => {
+            if (event.data && event.data.type === 'UPDATE_AVAILABLE') {
+                navigator.serviceWorker.getRegistration().then(registration => this.check(registration));
+            }
+        });
+
+        // Resolves once the page has registered the worker (or right away when it already was)
+        navigator.serviceWorker.ready.then(registration => {
+            if (navigator.serviceWorker.controller) {
+                this.getVersion(navigator.serviceWorker.controller).then(info => {
+                    this.current = info;
+                    this.render();
+                });
+            }
+            this.check(registration);
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                if (!worker) return;
+                worker.addEventListener('statechange', () => {
+                    if (worker.state === 'installed') this.check(registration);
+                });
+            });
+        });
+
+        TestsHubPage.onLanguageChange(() => this.render());
+    }
+};
+
+// Auto-initialize when DOM is ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => TestsHubUpdateBanner.init());
+} else {
+    TestsHubUpdateBanner.init();
+}
+
+// Make it globally available
+window.TestsHubUpdateBanner = TestsHubUpdateBanner;
@@ -1,29 +1,70 @@
 /**
 	* Tests Hub - Service Worker
-	* Version: v2.5.1
+	* Version: v2.9.0
 	* Features: Offline support, Background sync, Push notifications, Periodic sync
+	* The files kept offline are listed in asset-manifest.json (scripts/build-asset-manifest.js)
 */
 
-const CACHE_NAME = 'tests-hub-v2.5.1';
-const STATIC_CACHE_NAME = 'tests-hub-static-v2.5.1';
-const DYNAMIC_CACHE_NAME = 'tests-hub-dynamic-v2.5.1';
-
-// Files to cache on install (app shell)
-const STATIC_ASSETS = [
-	'/',
-	'/index.html',
-	'/Tests_7th.html',
-	'/Tests_8th.html',
-	'/Tests_9th.html',
-	'/Tests_1st_secondary.html',
-	'/Tests_2nd_secondary.html',
-	'/Tests_3rd_secondary.html',
-	'/Tests_4th_secondary.html',
-	'/manifest.json',
-	'/sw.js',
-	// CSS and JS are inline in HTML files, so we don't need separate files
+// Version of the worker, answered to GET_VERSION and shown in the update banner (sw-update.js)
+const VERSION = '2.9.0';
+
+// What changed in each version, newest first, in the languages of the site
+const CHANGELOG = [
+	{
+		version: '2.9.0',
+		changes: {
+			ar: ['لا يتم التحديث إلا عند موافقتك، فلا يتغيّر شيء أثناء إنجاز اختبار'],
+			fr: ["Les mises à jour attendent votre accord, rien ne change pendant un test"],
+			en: ['Updates wait for your go-ahead, nothing changes in the middle of a test']
+		}
+	},
+	{
+		version: '2.8.0',
+		changes: {
+			ar: ['صفحة التخزين دون اتصال: تثبيت الحزم وحذفها وحماية الاختبارات المحفوظة'],
+			fr: ['Page de stockage hors ligne : épingler, supprimer et protéger les tests enregistrés'],
+			en: ['Offline storage page: pin, delete and protect the saved tests']
+		}
+	},
+	{
+		version: '2.7.0',
+		changes: {
+			ar: ['تنزيل اختبارات سنة أو مادة أو ثلاثي للاستعمال دون اتصال'],
+			fr: ["Téléchargement des tests d'une année, d'une matière ou d'un trimestre pour l'utilisation hors ligne"],
+			en: ['Download the tests of a year, subject or trimester for offline use']
+		}
+	}
 ];
 
+// The precache keeps its name across versions so that an update only downloads changed files
+const PRECACHE_NAME = 'tests-hub-precache';
+// Files a new version downloads while it waits, moved into the precache when it activates
+const STAGING_CACHE_NAME = 'tests-hub-precache-next';
+const DYNAMIC_CACHE_NAME = `tests-hub-dynamic-v${VERSION}`;
+
+// Files to cache on install, with the revision of each
+const ASSET_MANIFEST_URL = '/asset-manifest.json';
+
+// Revisions of the files in the precache, kept next to them
+const PRECACHE_RECORD_URL = '/asset-manifest.json?precached';
+
+// Packs of tests made available offline from the home pages (offline-packs.js)
+const PACKS_RECORD_URL = '/asset-manifest.json?packs';
+
+// Last time each cached file was served, for the least recently used eviction
+const ACCESS_RECORD_URL = '/asset-manifest.json?accessed';
+
+// Access times are written at most this often
+const ACCESS_FLUSH_DELAY = 5000;
+
+// Past this share of the quota, the least recently used files and packs are evicted
+const QUOTA_THRESHOLD = 0.9;
+// Eviction stops at this share
+const EVICTION_TARGET = 0.8;
+
+// Files downloaded at the same time while precaching
+const PRECACHE_CONCURRENCY = 6;
+
 // Time-based expiration for dynamic cache (7 days)
 const MAX_AGE_DAYS = 7;
 const MAX_AGE_MS = MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
@@ -35,24 +76,32 @@ const SYNC_QUEUE_NAME = 'sync-queue';
 const NOTIFICATION_ICON = '/assets/icons/icon-96x96.png';
 
 /**
-	* Install event - cache static assets
+	* Install event - download the new and changed files of the asset manifest
+	* A new version then waits: the pages offer to reload (sw-update.js), which sends SKIP_WAITING,
+	* so that a student in the middle of a test is never switched to it
 */
 self.addEventListener('install', (event) => {
 	console.log('[SW] Install event');
 	
 	event.waitUntil(
-		Promise.all([
-			// Cache static assets
-			caches.open(STATIC_CACHE_NAME).then((cache) => {
-				console.log('[SW] Caching static assets');
-				return cache.addAll(STATIC_ASSETS);
-			}),
-			// Skip waiting to activate immediately
-			self.skipWaiting()
-		])
+		// Downloaded next to the precache, which the current version keeps serving
+		queuePrecacheTask(() => precacheAssets(null, STAGING_CACHE_NAME)).catch((error) => {
+			console.error('[SW] Asset manifest unavailable, nothing precached:', error);
+		})
+		.then(() => notifyUpdateAvailable())
 	);
 });
 
+/**
+	* Tell the open pages that this version is installed and waits, unless it is the first one
+*/
+async function notifyUpdateAvailable() {
+	if (!self.registration.active) return;
+	
+	const clientList = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+	clientList.forEach((client) => client.postMessage({ type: 'UPDATE_AVAILABLE', version: VERSION }));
+}
+
 /**
 	* Activate event - clean up old caches
 */
@@ -65,8 +114,8 @@ self.addEventListener('activate', (event) => {
 			caches.keys().then((cacheNames) => {
 				return Promise.all(
 					cacheNames.map((cacheName) => {
-						if (cacheName !== CACHE_NAME && 
-							cacheName !== STATIC_CACHE_NAME && 
+						if (cacheName !== PRECACHE_NAME && 
+							cacheName !== STAGING_CACHE_NAME &&
 							cacheName !== DYNAMIC_CACHE_NAME) {
 							console.log('[SW] Deleting old cache:', cacheName);
 							return caches.delete(cacheName);
@@ -74,12 +123,493 @@ self.addEventListener('activate', (event) => {
 					})
 				);
 			}),
+			// Take the files downloaded on install, then remove the ones the manifest no longer lists
+			queuePrecacheTask(async () => {
+				await moveStagedAssets();
+				await deleteUnlistedPrecacheEntries();
+			}),
+			// Drop the pages not opened for a while
+			cleanupOldCacheEntries(),
 			// Claim clients immediately
 			self.clients.claim()
 		])
 	);
 });
 
+// Precache tasks run one at a time, so that each sees the record the previous one wrote
+let precacheQueue = Promise.resolve();
+
+/**
+	* Run a task that changes the precache after the ones already started
+*/
+function queuePrecacheTask(task) {
+	const run = precacheQueue.then(() => task());
+	precacheQueue = run.catch(() => {});
+	return run;
+}
+
+/**
+	* Cache the app shell and the files of the cached packs that are new or whose revision changed
+	* @param {Function} onProgress - Called with { done, total, loaded, size } of the files to download
+	* @param {string} target - Cache receiving the downloads, the manifest and the record (the precache by default)
+	* @returns {Promise<Object>} { updated, failed } numbers of files
+*/
+async function precacheAssets(onProgress, target = PRECACHE_NAME) {
+	const cache = await caches.open(PRECACHE_NAME);
+	const targetCache = await caches.open(target);
+	const manifest = await fetchAssetManifest(targetCache);
+	const packs = await readCachedJSON(cache, PACKS_RECORD_URL, {});
+	const record = await readCachedJSON(cache, PRECACHE_RECORD_URL, {});
+	const { revisions, updated, failed } = await downloadAssets(listWantedFiles(manifest, packs, record), record, targetCache, onProgress);
+	
+	await writeCachedJSON(targetCache, PRECACHE_RECORD_URL, revisions);
+	return { updated, failed };
+}
+
+/**
+	* Download the files that are not in the precache at their revision
+	* @param {Object[]} files - { url, revision, size } from the asset manifest
+	* @param {Object} record - Revisions of the files in the precache
+	* @param {Cache} targetCache - Cache receiving the downloads
+	* @param {Function} onProgress - Called with { done, total, loaded, size } of the files to download
+	* @returns {Promise<Object>} { revisions, updated, failed }: the revision of each file now cached
+	* (its previous one when the download failed), and numbers of files
+*/
+async function downloadAssets(files, record, targetCache, onProgress) {
+	const cache = await caches.open(PRECACHE_NAME);
+	const revisions = {};
+	const changed = [];
+	
+	for (const file of files) {
+		if (record[file.url] === file.revision && await cache.match(file.url)) {
+			revisions[file.url] = file.revision;
+			} else {
+			changed.push(file);
+		}
+	}
+	
+	console.log(`[SW] Precaching ${changed.length} of ${files.length} files`);
+	
+	const progress = {
+		done: 0,
+		total: changed.length,
+		loaded: 0,
+		size: changed.reduce((total, file) => total + file.size, 0)
+	};
+	if (onProgress) onProgress({ ...progress });
+	
+	let failed = 0;
+	for (let i = 0; i < changed.length; i += PRECACHE_CONCURRENCY) {
+		await Promise.all(changed.slice(i, i + PRECACHE_CONCURRENCY).map(async (file) => {
+			try {
+				const response = await fetch(file.url, { cache: 'reload' });
+				if (!response.ok) throw new Error(`HTTP ${response.status}`);
+				await targetCache.put(file.url, response);
+				revisions[file.url] = file.revision;
+				progress.loaded += file.size;
+				} catch (error) {
+				failed++;
+				console.warn(`[SW] Failed to precache ${file.url}:`, error);
+				
+				// Keep the previous copy, which the next update tries to replace again
+				if (record[file.url] && await cache.match(file.url)) {
+					revisions[file.url] = record[file.url];
+				}
+			}
+			progress.done++;
+			if (onProgress) onProgress({ ...progress });
+		}));
+	}
+	
+	if (failed) {
+		console.warn(`[SW] ${failed} files could not be precached`);
+	}
+	return { revisions, updated: changed.length - failed, failed };
+}
+
+/**
+	* Move the files a new version downloaded on install into the precache
+*/
+async function moveStagedAssets() {
+	if (!(await caches.has(STAGING_CACHE_NAME))) return;
+	
+	const staging = await caches.open(STAGING_CACHE_NAME);
+	const cache = await caches.open(PRECACHE_NAME);
+	
+	// Packs cached by the previous version while this one waited stay in the record
+	const record = {
+		...await readCachedJSON(cache, PRECACHE_RECORD_URL, {}),
+		...await readCachedJSON(staging, PRECACHE_RECORD_URL, {})
+	};
+	
+	for (const request of await staging.keys()) {
+		const address = new URL(request.url);
+		if (address.pathname + address.search === PRECACHE_RECORD_URL) continue;
+		await cache.put(request, await staging.match(request));
+	}
+	await writeCachedJSON(cache, PRECACHE_RECORD_URL, record);
+	await caches.delete(STAGING_CACHE_NAME);
+}
+
+/**
+	* Download the asset manifest and keep a copy, read when offline
+	* @returns {Promise<Object>} { files, content, tests }
+*/
+async function fetchAssetManifest(cache) {
+	const response = await fetch(ASSET_MANIFEST_URL, { cache: 'no-store' });
+	if (!response.ok) throw new Error(`HTTP ${response.status}`);
+	const manifest = await response.json();
+	await writeCachedJSON(cache, ASSET_MANIFEST_URL, manifest);
+	return manifest;
+}
+
+/**
+	* Files to keep: the app shell, the files of the tests in the cached packs and the
+	* on-demand files already cached once (in the record)
+	* @returns {Object[]} { url, revision, size }
+*/
+function listWantedFiles(manifest, packs, record) {
+	const content = new Map((manifest.content || []).map((file) => [file.url, file]));
+	const wanted = new Map(manifest.files.map((file) => [file.url, file]));
+	
+	for (const pack of Object.values(packs)) {
+		for (const url of listPackUrls(manifest, pack)) {
+			if (content.has(url)) wanted.set(url, content.get(url));
+		}
+	}
+	for (const file of listOnDemandFiles(manifest).values()) {
+		if (record[file.url]) wanted.set(file.url, file);
+	}
+	return [...wanted.values()];
+}
+
+/**
+	* Files of the on-demand groups of the manifest (the PDF fonts, the search index), cached when first used
+	* @returns {Map} url -> { url, revision, size }
+*/
+function listOnDemandFiles(manifest) {
+	const groups = Object.values(manifest.onDemand || {});
+	return new Map(groups.flat().map((file) => [file.url, file]));
+}
+
+/**
+	* On-demand file of the manifest this version installed that a request asks for, or null
+*/
+async function findOnDemandFile(url) {
+	const address = new URL(url);
+	if (address.origin !== self.location.origin || address.search) return null;
+	
+	const cache = await caches.open(PRECACHE_NAME);
+	const manifest = await readCachedJSON(cache, ASSET_MANIFEST_URL, null);
+	return manifest ? listOnDemandFiles(manifest).get(address.pathname) || null : null;
+}
+
+/**
+	* Keep an on-demand file in the precache at its revision, so that updates refresh it
+	* from then on. Runs in the precache queue.
+*/
+async function precacheOnDemandFile(file, response) {
+	const cache = await caches.open(PRECACHE_NAME);
+	await cache.put(file.url, response);
+	const record = await readCachedJSON(cache, PRECACHE_RECORD_URL, {});
+	record[file.url] = file.revision;
+	await writeCachedJSON(cache, PRECACHE_RECORD_URL, record);
+}
+
+/**
+	* Test pages, pictures and sounds of a pack
+	* @returns {string[]} URLs
+*/
+function listPackUrls(manifest, pack) {
+	const tests = manifest.tests || {};
+	return [...new Set(pack.tests.flatMap((id) => tests[id] || []))];
+}
+
+/**
+	* Read a JSON file kept in a cache
+*/
+async function readCachedJSON(cache, url, fallback) {
+	try {
+		const response = await cache.match(url);
+		return response ? await response.json() : fallback;
+		} catch (error) {
+		return fallback;
+	}
+}
+
+/**
+	* Keep a JSON file in a cache
+*/
+async function writeCachedJSON(cache, url, data) {
+	await cache.put(url, new Response(JSON.stringify(data), {
+		headers: { 'Content-Type': 'application/json' }
+	}));
+}
+
+/**
+	* Delete the precached files that are not in the record any more
+*/
+async function deleteUnlistedPrecacheEntries() {
+	const cache = await caches.open(PRECACHE_NAME);
+	const record = await readCachedJSON(cache, PRECACHE_RECORD_URL, {});
+	const requests = await cache.keys();
+	const kept = [ASSET_MANIFEST_URL, PRECACHE_RECORD_URL, PACKS_RECORD_URL, ACCESS_RECORD_URL];
+	
+	for (const request of requests) {
+		const url = new URL(request.url);
+		const path = url.pathname + url.search;
+		if (!kept.includes(path) && !record[path]) {
+			await cache.delete(request);
+			console.log('[SW] Deleted unlisted file:', path);
+		}
+	}
+}
+
+/**
+	* Cache the tests of a pack (a year, subject or trimester) with their pictures and sounds
+	* Only the files of the pack are downloaded, at their revisions in the manifest this version
+	* installed: a newer version waiting to take over must not reach the open pages
+	* @param {Object} pack - { id, tests }: catalog ids of the tests
+	* @param {Function} onProgress - Called with { done, total, loaded, size }
+	* @returns {Promise<Object>} { updated, failed } numbers of files
+*/
+async function cachePack(pack, onProgress) {
+	if (!pack || !pack.id || !Array.isArray(pack.tests)) {
+		throw new Error('Invalid pack');
+	}
+	
+	const cache = await caches.open(PRECACHE_NAME);
+	const packs = await readCachedJSON(cache, PACKS_RECORD_URL, {});
+	// Downloading a pack again keeps it pinned
+	const pinned = !!(packs[pack.id] && packs[pack.id].pinned);
+	packs[pack.id] = { tests: pack.tests, cachedAt: Date.now(), pinned };
+	await writeCachedJSON(cache, PACKS_RECORD_URL, packs);
+	
+	try {
+		// Uses the manifest of this version, like removePack
+		const manifest = await readCachedJSON(cache, ASSET_MANIFEST_URL, null);
+		if (!manifest) throw new Error('No asset manifest cached');
+		
+		const content = new Map((manifest.content || []).map((file) => [file.url, file]));
+		const files = listPackUrls(manifest, packs[pack.id])
+			.filter((url) => content.has(url))
+			.map((url) => content.get(url));
+		const record = await readCachedJSON(cache, PRECACHE_RECORD_URL, {});
+		const { revisions, updated, failed } = await downloadAssets(files, record, cache, onProgress);
+		if (failed && !updated) throw new Error('The files of the pack could not be downloaded');
+		
+		await writeCachedJSON(cache, PRECACHE_RECORD_URL, { ...record, ...revisions });
+		return { updated, failed };
+		} catch (error) {
+		// Offline or no manifest: nothing was downloaded, forget the pack
+		delete packs[pack.id];
+		await writeCachedJSON(cache, PACKS_RECORD_URL, packs);
+		throw error;
+	}
+}
+
+/**
+	* Remove a pack and delete the files no other pack needs
+*/
+async function removePack(id) {
+	const cache = await caches.open(PRECACHE_NAME);
+	const packs = await readCachedJSON(cache, PACKS_RECORD_URL, {});
+	delete packs[id];
+	await writeCachedJSON(cache, PACKS_RECORD_URL, packs);
+	
+	// Uses the last manifest downloaded, so that it also works offline
+	const manifest = await readCachedJSON(cache, ASSET_MANIFEST_URL, null);
+	if (manifest) {
+		const record = await readCachedJSON(cache, PRECACHE_RECORD_URL, {});
+		const wanted = new Set(listWantedFiles(manifest, packs, record).map((file) => file.url));
+		for (const url of Object.keys(record)) {
+			if (!wanted.has(url)) delete record[url];
+		}
+		await writeCachedJSON(cache, PRECACHE_RECORD_URL, record);
+	}
+	
+	await deleteUnlistedPrecacheEntries();
+}
+
+/**
+	* Cached packs, with the size of their files and whether all of them are there
+	* @returns {Promise<Object>} id -> { tests, cachedAt, pinned, size, complete, lastAccess }
+*/
+async function getPacks() {
+	const cache = await caches.open(PRECACHE_NAME);
+	const packs = await readCachedJSON(cache, PACKS_RECORD_URL, {});
+	const manifest = await readCachedJSON(cache, ASSET_MANIFEST_URL, null);
+	const record = await readCachedJSON(cache, PRECACHE_RECORD_URL, {});
+	const accesses = await readAccessTimes();
+	const sizes = new Map(manifest ? (manifest.content || []).map((file) => [file.url, file.size]) : []);
+	const result = {};
+	
+	for (const [id, pack] of Object.entries(packs)) {
+		const urls = manifest ? listPackUrls(manifest, pack) : [];
+		result[id] = {
+			...pack,
+			pinned: !!pack.pinned,
+			size: urls.reduce((total, url) => total + (sizes.get(url) || 0), 0),
+			complete: !!manifest && urls.every((url) => record[url]),
+			lastAccess: Math.max(pack.cachedAt || 0, ...urls.map((url) => accesses[url] || 0))
+		};
+	}
+	return result;
+}
+
+/**
+	* Pin a pack, which eviction then never removes, or unpin it
+*/
+async function pinPack(id, pinned) {
+	const cache = await caches.open(PRECACHE_NAME);
+	const packs = await readCachedJSON(cache, PACKS_RECORD_URL, {});
+	if (!packs[id]) throw new Error(`Unknown pack: ${id}`);
+	packs[id].pinned = !!pinned;
+	await writeCachedJSON(cache, PACKS_RECORD_URL, packs);
+}
+
+/**
+	* What the caches hold, for the storage page (storage-manager.js)
+	* @returns {Promise<Object>} { shell, runtime: { count, size }, packs }
+*/
+async function getStorageSummary() {
+	const cache = await caches.open(PRECACHE_NAME);
+	const manifest = await readCachedJSON(cache, ASSET_MANIFEST_URL, null);
+	const record = await readCachedJSON(cache, PRECACHE_RECORD_URL, {});
+	// The on-demand files count with the shell once cached: they are never evicted either
+	const shellFiles = manifest
+		? [...manifest.files, ...listOnDemandFiles(manifest).values()].filter((file) => record[file.url])
+		: [];
+	
+	const dynamicCache = await caches.open(DYNAMIC_CACHE_NAME);
+	const requests = await dynamicCache.keys();
+	let runtimeSize = 0;
+	for (const request of requests) {
+		runtimeSize += await getCachedSize(dynamicCache, request);
+	}
+	
+	return {
+		shell: { count: shellFiles.length, size: shellFiles.reduce((total, file) => total + file.size, 0) },
+		runtime: { count: requests.length, size: runtimeSize },
+		packs: await getPacks()
+	};
+}
+
+/**
+	* Size of a cached response
+*/
+async function getCachedSize(cache, request) {
+	const response = await cache.match(request);
+	if (!response) return 0;
+	const length = Number(response.headers.get('content-length'));
+	return length > 0 ? length : (await response.blob()).size;
+}
+
+/**
+	* Delete the pages and files cached while browsing
+*/
+async function clearRuntimeCache() {
+	const dynamicCache = await caches.open(DYNAMIC_CACHE_NAME);
+	const requests = await dynamicCache.keys();
+	await Promise.all(requests.map((request) => dynamicCache.delete(request)));
+}
+
+// Access times not written yet, and the pending write
+let pendingAccesses = new Map();
+let accessFlush = null;
+
+/**
+	* Note that a file was served; the times are written together a moment later
+	* @returns {Promise<void>} Resolves once written
+*/
+function recordAccess(url) {
+	const address = new URL(url);
+	pendingAccesses.set(address.pathname + address.search, Date.now());
+	
+	if (!accessFlush) {
+		accessFlush = new Promise((resolve) => setTimeout(resolve, ACCESS_FLUSH_DELAY)).then(async () => {
+			const accesses = pendingAccesses;
+			pendingAccesses = new Map();
+			accessFlush = null;
+			
+			const cache = await caches.open(PRECACHE_NAME);
+			const record = await readCachedJSON(cache, ACCESS_RECORD_URL, {});
+			accesses.forEach((time, path) => {
+				record[path] = time;
+			});
+			await writeCachedJSON(cache, ACCESS_RECORD_URL, record);
+		});
+	}
+	return accessFlush;
+}
+
+/**
+	* Last access time of each file, including the ones not written yet
+	* @returns {Promise<Object>} path -> time
+*/
+async function readAccessTimes() {
+	const cache = await caches.open(PRECACHE_NAME);
+	const record = await readCachedJSON(cache, ACCESS_RECORD_URL, {});
+	pendingAccesses.forEach((time, path) => {
+		record[path] = time;
+	});
+	return record;
+}
+
+// Whether an eviction is already waiting in the precache queue
+let evictionQueued = false;
+
+/**
+	* Check the quota after caching, without holding up the response
+*/
+function scheduleEviction() {
+	if (evictionQueued) return;
+	evictionQueued = true;
+	queuePrecacheTask(async () => {
+		evictionQueued = false;
+		await evictLeastRecentlyUsed();
+	}).catch((error) => console.error('[SW] Eviction failed:', error));
+}
+
+/**
+	* Above QUOTA_THRESHOLD of the quota, delete the least recently used pages cached while
+	* browsing, then the least recently used packs that are not pinned, until EVICTION_TARGET.
+	* The app shell is never evicted. Runs in the precache queue.
+*/
+async function evictLeastRecentlyUsed() {
+	if (!navigator.storage || !navigator.storage.estimate) return;
+	
+	const { usage, quota } = await navigator.storage.estimate();
+	if (!quota || usage / quota <= QUOTA_THRESHOLD) return;
+	
+	let excess = usage - quota * EVICTION_TARGET;
+	const accesses = await readAccessTimes();
+	const lastAccess = (url) => {
+		const address = new URL(url);
+		return accesses[address.pathname + address.search] || 0;
+	};
+	
+	const dynamicCache = await caches.open(DYNAMIC_CACHE_NAME);
+	const requests = await dynamicCache.keys();
+	requests.sort((a, b) => lastAccess(a.url) - lastAccess(b.url));
+	for (const request of requests) {
+		if (excess <= 0) return;
+		excess -= await getCachedSize(dynamicCache, request);
+		await dynamicCache.delete(request);
+		console.log('[SW] Evicted:', request.url);
+	}
+	
+	const packs = Object.entries(await getPacks())
+		.filter(([, pack]) => !pack.pinned)
+		.sort((a, b) => a[1].lastAccess - b[1].lastAccess);
+	for (const [id, pack] of packs) {
+		if (excess <= 0) return;
+		await removePack(id);
+		excess -= pack.size;
+		console.log('[SW] Evicted pack:', id);
+	}
+}
+
 /**
 	* Fetch event - serve from cache, fallback to network
 */
@@ -92,6 +622,11 @@ self.addEventListener('fetch', (event) => {
 	// Skip chrome-extension requests
 	if (request.url.startsWith('chrome-extension://')) return;
 	
+	// Remember when each file of the site was last used, for the eviction
+	if (new URL(request.url).origin === self.location.origin) {
+		event.waitUntil(recordAccess(request.url));
+	}
+	
 	// Handle API requests differently
 	if (request.url.includes('/api/')) {
 		event.respondWith(networkFirstStrategy(request));
@@ -108,13 +643,27 @@ self.addEventListener('fetch', (event) => {
 	event.respondWith(cacheFirstStrategy(request));
 });
 
+/**
+	* Find a request in the caches of this version: the precache, then the pages and files
+	* cached while browsing. Not caches.match(), which also looks in the staging cache of a
+	* newer version still waiting to take over
+*/
+async function matchCached(request) {
+	const cache = await caches.open(PRECACHE_NAME);
+	const cachedResponse = await cache.match(request);
+	if (cachedResponse) return cachedResponse;
+	
+	const dynamicCache = await caches.open(DYNAMIC_CACHE_NAME);
+	return dynamicCache.match(request);
+}
+
 /**
 	* Cache First Strategy
 */
 async function cacheFirstStrategy(request) {
 	try {
 		// Try to get from cache
-		const cachedResponse = await caches.match(request);
+		const cachedResponse = await matchCached(request);
 		
 		if (cachedResponse) {
 			// Check if cache is stale
@@ -134,9 +683,9 @@ async function cacheFirstStrategy(request) {
 		} catch (error) {
 		console.error('[SW] Cache first strategy failed:', error);
 		
-		// For HTML requests, return offline page
+		// For HTML requests, return the home page or the offline page
 		if (request.headers.get('Accept')?.includes('text/html')) {
-			return caches.match('/');
+			return (await matchCached('/index.html')) || offlineResponse(request);
 		}
 		
 		// For other requests, return a fallback
@@ -163,7 +712,7 @@ async function networkFirstStrategy(request) {
 		console.log('[SW] Network failed, trying cache:', error);
 		
 		// Try to get from cache
-		const cachedResponse = await caches.match(request);
+		const cachedResponse = await matchCached(request);
 		
 		if (cachedResponse) {
 			return cachedResponse;
@@ -171,7 +720,8 @@ async function networkFirstStrategy(request) {
 		
 		// For HTML pages, return the main page
 		if (request.headers.get('Accept')?.includes('text/html')) {
-			return caches.match('/');
+			const homePage = await matchCached('/index.html');
+			if (homePage) return homePage;
 		}
 		
 		// Otherwise, return offline response
@@ -194,24 +744,23 @@ async function fetchAndCache(request) {
 }
 
 /**
-	* Cache response
+	* Cache response: in the precache for an on-demand file, else with the pages and files
+	* cached while browsing
 */
 async function cacheResponse(request, response) {
-	const cache = await caches.open(DYNAMIC_CACHE_NAME);
-	
-	// Clean up old cache entries if we're running out of space
-	if (navigator.storage && navigator.storage.estimate) {
-		const estimate = await navigator.storage.estimate();
-		if (estimate.usage / estimate.quota > 0.9) {
-			const keys = await cache.keys();
-			const oldestKey = keys[0]; // Simple strategy: remove first
-			if (oldestKey) {
-				await cache.delete(oldestKey);
-			}
-		}
+	const file = await findOnDemandFile(request.url);
+	if (file) {
+		// Not awaited: an update may be holding the queue, and the page is waiting
+		queuePrecacheTask(() => precacheOnDemandFile(file, response))
+		.catch((error) => console.warn(`[SW] Failed to cache ${file.url}:`, error));
+		return;
 	}
 	
+	const cache = await caches.open(DYNAMIC_CACHE_NAME);
 	await cache.put(request, response);
+	
+	// Make room if the site now uses too much of its quota
+	scheduleEviction();
 }
 
 /**
@@ -353,38 +902,19 @@ async function updateCachedContent() {
 	console.log('[SW] Updating cached content');
 	
 	try {
-		// Update main pages
-		const pagesToUpdate = [
-			'/',
-			'/index.html',
-			'/Tests_7th.html',
-			'/Tests_8th.html',
-			'/Tests_9th.html',
-			'/Tests_1st_secondary.html',
-			'/Tests_2nd_secondary.html',
-			'/Tests_3rd_secondary.html',
-			'/Tests_4th_secondary.html'
-		];
-		
-		for (const url of pagesToUpdate) {
-			try {
-				const response = await fetch(url);
-				if (response.ok) {
-					const cache = await caches.open(DYNAMIC_CACHE_NAME);
-					await cache.put(url, response);
-					console.log(`[SW] Updated cache for: ${url}`);
-				}
-				} catch (error) {
-				console.error(`[SW] Failed to update ${url}:`, error);
-			}
-		}
+		// Download the files changed since the last update
+		const { updated } = await queuePrecacheTask(() => precacheAssets());
+		await queuePrecacheTask(deleteUnlistedPrecacheEntries);
+		await cleanupOldCacheEntries();
 		
 		// Send notification if updates were found
-		self.registration.showNotification('Tests Hub Updated', {
-			body: 'New content has been downloaded in background',
-			icon: NOTIFICATION_ICON,
-			tag: 'content-update'
-		});
+		if (updated > 0) {
+			self.registration.showNotification('Tests Hub Updated', {
+				body: 'New content has been downloaded in background',
+				icon: NOTIFICATION_ICON,
+				tag: 'content-update'
+			});
+		}
 		
 		} catch (error) {
 		console.error('[SW] Failed to update content:', error);
@@ -418,36 +948,88 @@ self.addEventListener('message', (event) => {
 	
 	if (event.data && event.data.type === 'GET_VERSION') {
 		event.ports[0].postMessage({
-			version: '2.0.0',
-			cacheName: CACHE_NAME
+			version: VERSION,
+			cacheName: DYNAMIC_CACHE_NAME,
+			changelog: CHANGELOG
 		});
 	}
+	
+	// Packs of tests made available offline: the answer goes to the port sent with the message
+	const port = event.ports && event.ports[0];
+	const reply = (message) => port && port.postMessage(message);
+	const replyWithPacks = async (result) => reply({ type: 'done', ...result, packs: await getPacks() });
+	const replyWithError = (error) => reply({ type: 'error', error: error.message });
+	
+	if (event.data && event.data.type === 'GET_PACKS') {
+		event.waitUntil(replyWithPacks({}).catch(replyWithError));
+	}
+	
+	if (event.data && event.data.type === 'CACHE_PACK') {
+		event.waitUntil(
+			queuePrecacheTask(() => cachePack(event.data.pack, (progress) => reply({ type: 'progress', ...progress })))
+			.then(replyWithPacks)
+			.catch(replyWithError)
+		);
+	}
+	
+	if (event.data && event.data.type === 'REMOVE_PACK') {
+		event.waitUntil(
+			queuePrecacheTask(() => removePack(event.data.id))
+			.then(() => replyWithPacks({}))
+			.catch(replyWithError)
+		);
+	}
+	
+	if (event.data && event.data.type === 'PIN_PACK') {
+		event.waitUntil(
+			queuePrecacheTask(() => pinPack(event.data.id, event.data.pinned))
+			.then(() => replyWithPacks({}))
+			.catch(replyWithError)
+		);
+	}
+	
+	// Storage page: what is cached, and clearing the pages cached while browsing
+	if (event.data && event.data.type === 'GET_STORAGE') {
+		event.waitUntil(
+			getStorageSummary()
+			.then((summary) => reply({ type: 'done', ...summary }))
+			.catch(replyWithError)
+		);
+	}
+	
+	if (event.data && event.data.type === 'CLEAR_RUNTIME') {
+		event.waitUntil(
+			clearRuntimeCache()
+			.then(getStorageSummary)
+			.then((summary) => reply({ type: 'done', ...summary }))
+			.catch(replyWithError)
+		);
+	}
 });
 
 /**
-	* Cache cleanup on startup
+	* Delete the pages cached while browsing that were not opened for MAX_AGE_DAYS
+	* (runs on activate and with the periodic update: a worker is not kept running for timers)
 */
 async function cleanupOldCacheEntries() {
 	const cache = await caches.open(DYNAMIC_CACHE_NAME);
 	const requests = await cache.keys();
+	const accesses = await readAccessTimes();
 	const now = Date.now();
 	
 	for (const request of requests) {
-		const response = await cache.match(request);
-		if (response) {
-			const dateHeader = response.headers.get('date');
-			if (dateHeader) {
-				const cachedDate = new Date(dateHeader).getTime();
-				if (now - cachedDate > MAX_AGE_MS) {
-					await cache.delete(request);
-					console.log('[SW] Deleted stale cache:', request.url);
-				}
-			}
+		const address = new URL(request.url);
+		let lastUsed = accesses[address.pathname + address.search];
+		if (!lastUsed) {
+			const response = await cache.match(request);
+			const dateHeader = response && response.headers.get('date');
+			lastUsed = dateHeader ? new Date(dateHeader).getTime() : now;
+		}
+		if (now - lastUsed > MAX_AGE_MS) {
+			await cache.delete(request);
+			console.log('[SW] Deleted stale cache:', request.url);
 		}
 	}
 }
 
-// Run cleanup periodically (every 24 hours)
-setInterval(cleanupOldCacheEntries, 24 * 60 * 60 * 1000);
-
 console.log('[SW] Service Worker loaded successfully');
\ No newline at end of file
@@ -0,0 +1,416 @@
+/**
+ * Tests Hub - Test Renderer
+ * Builds a test page from a JSON test document (tests-data/<id>.json)
+ * using the same Tests-Hub-* markup as the hand-written pages
+ */
+
+const TestsHubTestRenderer = {
+
+    // Configuration
+    config: {
+        dataPath: 'tests-data/',
+        rootId: 'testRoot',
+        correctionId: 'correction',
+        // Section heading suffix per content language, e.g. "(4 نقاط)"
+        pointsLabels: {
+            ar: 'نقاط',
+            fr: 'points',
+            en: 'marks'
+        },
+        katexDelimiters: [
+            { left: '$$', right: '$$', display: true },
+            { left: '$', right: '$', display: false },
+            { left: '\\(', right: '\\)', display: false },
+            { left: '\\[', right: '\\]', display: true }
+        ]
+    },
+
+    test: null,
+
+    /**
+     * Get the test id from the ?id= query parameter
+     */
+    getTestId: function() {
+        return new URLSearchParams(window.location.search).get('id');
+    },
+
+    /**
+     * Fetch a test document
+     * @param {string} id - Test id, e.g. year7_maths_trim1_Type2_test1
+     */
+    load: function(id) {
+        if (!id || !/^[A-Za-z0-9_-]+$/.test(id)) {
+            return Promise.reject(new Error(`Invalid test id: ${id}`));
+        }
+
+        return fetch(`${this.config.dataPath}${id}.json`)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Test not found: ${id}`);
+                }
+                return response.json();
+            });
+    },
+
+    /**
+     * Create an element with a class name and optional HTML content
+     */
+    createElement: function(tag, className, html) {
+        const element = document.createElement(tag);
+        if (className) element.className = className;
+        if (html !== undefined) element.innerHTML = html;
+        return element;
+    },
+
+    /**
+     * Format a point value in the test's language ("1,5" in Arabic and French)
+     */
+    formatPoints: function(points, lang) {
+        return lang === 'en' ? String(points) : String(points).replace('.', ',');
+    },
+
+    /**
+     * Expand inline blanks in HTML:
+     * {{blank}} or {{blank:120}} -> text input, {{select:id|a|b|c}} -> dropdown
+     */
+    expandInline: function(html, placeholder) {
+        return String(html)
+            .replace(/\{\{blank(?::(\d+))?\}\}/g, (match, width) => {
+                const style = width ? ` style="width:${width}px;"` : '';
+                return `<input type="text" class="Tests-Hub-answer-input"${style}>`;
+            })
+            .replace(/\{\{select:([A-Za-z0-9_-]+)\|([^}]*)\}\}/g, (match, id, options) => {
+                const items = options.split('|')
+                    .map(option => `<option value="${option}">${option}</option>`)
+                    .join('');
+                return `<select class="Tests-Hub-select" id="${id}"><option value="">${placeholder || '--'}</option>${items}</select>`;
+            });
+    },
+
+    /**
+     * Block renderers, keyed by block type. Each returns a DOM node.
+     * Add an entry here to support a new block type.
+     */
+    blockRenderers: {
+        paragraph: function(block) {
+            return this.createElement('p', block.className || 'Tests-Hub-paragraph', this.expandInline(block.html, this.test.selectPlaceholder));
+        },
+
+        heading: function(block) {
+            return this.createElement(`h${block.level || 3}`, 'Tests-Hub-heading-subsection', block.html);
+        },
+
+        list: function(block) {
+            const list = this.createElement(block.ordered ? 'ol' : 'ul', 'Tests-Hub-organized-list');
+            (block.items || []).forEach(item => {
+                list.appendChild(this.createElement('li', null, this.expandInline(item)));
+            });
+            return list;
+        },
+
+        passage: function(block) {
+            const container = this.createElement('div', 'Tests-Hub-text-container');
+            const passage = this.createElement('div', 'Tests-Hub-text-passage');
+            if (block.title) {
+                container.appendChild(this.createElement('h3', 'Tests-Hub-heading-subsection', block.title));
+            }
+            (block.paragraphs || []).forEach(paragraph => {
+                passage.appendChild(this.createElement('p', null, paragraph));
+            });
+            container.appendChild(passage);
+            return container;
+        },
+
+        question: function(block) {
+            const container = this.createElement('div', 'Tests-Hub-question-container');
+            const prompt = this.createElement('p');
+
+            if (block.number) {
+                prompt.appendChild(this.createElement('span', 'Tests-Hub-question-number', block.number));
+                prompt.appendChild(document.createTextNode(' '));
+            }
+            prompt.insertAdjacentHTML('beforeend', this.expandInline(block.html || '', this.test.selectPlaceholder));
+
+            if (typeof block.points === 'number') {
+                prompt.appendChild(document.createTextNode(' '));
+                prompt.appendChild(this.createElement('span', 'Tests-Hub-points-badge',
+                    `${this.formatPoints(block.points, this.test.lang)} ${this.config.pointsLabels[this.test.lang] || ''}`.trim()));
+            }
+
+            container.appendChild(prompt);
+            this.renderBlocks(block.blocks, container);
+            return container;
+        },
+
+        choice: function(block) {
+            const container = this.createElement('div', 'Tests-Hub-multiple-choice-container');
+            const type = block.multiple ? 'checkbox' : 'radio';
+            (block.options || []).forEach((option, index) => {
+                const label = this.createElement('label', 'Tests-Hub-choice-option');
+                const input = document.createElement('input');
+                input.type = type;
+                input.name = block.name;
+                input.value = typeof option === 'object' ? option.value : String(index);
+                label.appendChild(input);
+                label.insertAdjacentHTML('beforeend', ` ${typeof option === 'object' ? option.html : option}`);
+                container.appendChild(label);
+            });
+            return container;
+        },
+
+        textarea: function(block) {
+            const textarea = this.createElement('textarea', 'Tests-Hub-answer-textarea');
+            if (block.placeholder) textarea.placeholder = block.placeholder;
+            if (block.minHeight) textarea.style.minHeight = `${block.minHeight}px`;
+            return textarea;
+        },
+
+        table: function(block) {
+            const table = this.createElement('table', 'Tests-Hub-table');
+            const cell = (tag, content) => {
+                const element = document.createElement(tag);
+                if (content && typeof content === 'object') {
+                    if (content.blank) {
+                        element.innerHTML = this.expandInline('{{blank}}');
+                        element.firstChild.style.width = '100%';
+                    }
+                    if (content.textarea) {
+                        const textarea = this.createElement('textarea', 'Tests-Hub-table-textarea');
+                        if (content.placeholder) textarea.placeholder = content.placeholder;
+                        element.appendChild(textarea);
+                    }
+                    if (content.html) element.insertAdjacentHTML('beforeend', this.expandInline(content.html));
+                    if (content.colspan) element.colSpan = content.colspan;
+                    if (content.rowspan) element.rowSpan = content.rowspan;
+                } else {
+                    element.innerHTML = this.expandInline(content === undefined || content === null ? '' : content);
+                }
+                return element;
+            };
+
+            if (block.header) {
+                const thead = document.createElement('thead');
+                const row = document.createElement('tr');
+                block.header.forEach(content => row.appendChild(cell('th', content)));
+                thead.appendChild(row);
+                table.appendChild(thead);
+            }
+
+            const tbody = document.createElement('tbody');
+            (block.rows || []).forEach(rowData => {
+                const row = document.createElement('tr');
+                rowData.forEach(content => row.appendChild(cell('td', content)));
+                tbody.appendChild(row);
+            });
+            table.appendChild(tbody);
+            return table;
+        },
+
+        image: function(block) {
+            const container = this.createElement('div', 'Tests-Hub-image-container');
+            const image = document.createElement('img');
+            image.src = block.src;
+            image.alt = block.alt || block.caption || '';
+            container.appendChild(image);
+            if (block.caption) {
+                container.appendChild(this.createElement('div', 'Tests-Hub-image-caption', block.caption));
+            }
+            return container;
+        },
+
+        audio: function(block) {
+            const audio = document.createElement('audio');
+            audio.controls = true;
+            audio.className = 'Tests-Hub-audio';
+            const source = document.createElement('source');
+            source.src = block.src;
+            source.type = block.mimeType || 'audio/mpeg';
+            audio.appendChild(source);
+            return audio;
+        },
+
+        formula: function(block) {
+            const container = this.createElement('div', 'Tests-Hub-math-formula');
+            (block.lines || [block.tex]).forEach(line => {
+                container.appendChild(this.createElement('p', null, line.includes('\\(') || line.includes('$') ? line : `\\(${line}\\)`));
+            });
+            return container;
+        },
+
+        answer: function(block) {
+            const container = this.createElement('div', 'Tests-Hub-correction-answer');
+            if (block.number || block.html) {
+                const first = this.createElement('p');
+                if (block.number) {
+                    first.appendChild(this.createElement('span', 'Tests-Hub-question-number', block.number));
+                    first.appendChild(document.createTextNode(' '));
+                }
+                first.insertAdjacentHTML('beforeend', block.html || '');
+                container.appendChild(first);
+            }
+            this.renderBlocks(block.blocks, container);
+            return container;
+        },
+
+        html: function(block) {
+            const container = this.createElement('div', block.className || null, block.html);
+            return container;
+        }
+    },
+
+    /**
+     * Render a list of blocks into a parent node
+     */
+    renderBlocks: function(blocks, parent) {
+        (blocks || []).forEach(block => {
+            const renderer = this.blockRenderers[block.type];
+            if (!renderer) {
+                console.warn('Unknown block type:', block.type);
+                return;
+            }
+            parent.appendChild(renderer.call(this, block));
+        });
+    },
+
+    /**
+     * Render the test header (title, school, class, duration)
+     */
+    renderHeader: function(header) {
+        const container = this.createElement('div', 'Tests-Hub-test-header');
+        container.appendChild(this.createElement('h1', 'Tests-Hub-heading-primary', header.title || ''));
+        (header.lines || []).forEach(line => {
+            container.appendChild(this.createElement('p', null, line));
+        });
+        return container;
+    },
+
+    /**
+     * Render the general instructions box
+     */
+    renderInstructions: function(instructions) {
+        const container = this.createElement('div', 'Tests-Hub-test-section Tests-Hub-instructions-container');
+        if (instructions.title) {
+            container.appendChild(this.createElement('h3', 'Tests-Hub-heading-subsection', instructions.title));
+        }
+        const list = this.createElement('ul', 'Tests-Hub-organized-list');
+        (instructions.items || []).forEach(item => list.appendChild(this.createElement('li', null, item)));
+        container.appendChild(list);
+        return container;
+    },
+
+    /**
+     * Render one exercise section
+     */
+    renderSection: function(section) {
+        const container = this.createElement('div', 'Tests-Hub-test-section');
+        let title = section.title || '';
+        if (typeof section.points === 'number') {
+            title += ` (${this.formatPoints(section.points, this.test.lang)} ${this.config.pointsLabels[this.test.lang] || ''})`.replace(' )', ')');
+        }
+        if (title) {
+            container.appendChild(this.createElement('h2', 'Tests-Hub-heading-section', title));
+        }
+        this.renderBlocks(section.blocks, container);
+        return container;
+    },
+
+    /**
+     * Render the hidden correction section
+     */
+    renderCorrection: function(correction, target) {
+        target.innerHTML = '';
+        if (correction.title) {
+            target.appendChild(this.createElement('h2', 'Tests-Hub-heading-section', correction.title));
+        }
+        (correction.sections || []).forEach(section => {
+            if (section.title) {
+                target.appendChild(this.createElement('h3', 'Tests-Hub-heading-subsection', section.title));
+            }
+            this.renderBlocks(section.blocks, target);
+        });
+    },
+
+    /**
+     * Render a test document into the page
+     * @param {Object} test - Parsed test document
+     */
+    render: function(test) {
+        this.test = test;
+        test.lang = test.lang || 'ar';
+
+        const root = document.getElementById(this.config.rootId);
+        root.innerHTML = '';
+        root.setAttribute('lang', test.lang);
+        root.setAttribute('dir', test.dir || (test.lang === 'ar' ? 'rtl' : 'ltr'));
+
+        if (test.header) root.appendChild(this.renderHeader(test.header));
+        if (test.instructions) root.appendChild(this.renderInstructions(test.instructions));
+        (test.sections || []).forEach(section => root.appendChild(this.renderSection(section)));
+
+        const correction = document.getElementById(this.config.correctionId);
+        if (correction) {
+            if (test.correction) {
+                correction.setAttribute('dir', root.getAttribute('dir'));
+                this.renderCorrection(test.correction, correction);
+            } else {
+                const toggle = document.getElementById('toggleCorrection');
+                if (toggle) toggle.parentNode.style.display = 'none';
+            }
+        }
+
+        if (test.title) document.title = `Tests Hub - ${test.title}`;
+
+        this.renderMath(document.querySelector('main') || document.body);
+
+        // Hand the answer key to the scoring engine when both are present
+        if (test.answerKey && window.TestsHubScoringEngine) {
+            window.TestsHubAnswerKey = test.answerKey;
+            TestsHubScoringEngine.init();
+        }
+
+        document.dispatchEvent(new CustomEvent('testshub:rendered', { detail: test }));
+        return root;
+    },
+
+    /**
+     * Render KaTeX formulas once the auto-render extension is available
+     */
+    renderMath: function(element) {
+        if (typeof renderMathInElement !== 'function') return;
+        renderMathInElement(element, {
+            delimiters: this.config.katexDelimiters,
+            throwOnError: false,
+            strict: false
+        });
+    },
+
+    /**
+     * Show an error in place of the test
+     */
+    renderError: function(message) {
+        const root = document.getElementById(this.config.rootId);
+        if (!root) return;
+        root.innerHTML = '';
+        const box = this.createElement('div', 'Tests-Hub-test-section');
+        box.appendChild(this.createElement('p', 'Tests-Hub-text-error'));
+        box.firstChild.textContent = message;
+        root.appendChild(box);
+    },
+
+    /**
+     * Load and render the test named in the URL
+     * @param {Object} messages - { notFound } localized error text
+     */
+    init: function(messages = {}) {
+        const id = this.getTestId();
+        return this.load(id)
+            .then(test => this.render(test))
+            .catch(error => {
+                console.error('Test rendering failed:', error);
+                this.renderError(messages.notFound || error.message);
+            });
+    }
+};
+
+// Make it globally available
+window.TestsHubTestRenderer = TestsHubTestRenderer;
@@ -0,0 +1,59 @@
+/**
+ * Tests Hub - Answer key tests
+ * What scripts/build-answer-keys.js keys from a correction, and what it
+ * leaves to manual marking.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const html = require('../scripts/lib/html-parser');
+const { buildKey } = require('../scripts/build-answer-keys');
+
+const PAGE = `
+<div class="Tests-Hub-test-section">
+    <h2>Exercise 1 <span class="Tests-Hub-points-badge">4 marks</span></h2>
+    <div class="Tests-Hub-question-container">
+        <label><input type="radio" name="q1"> a) Descriptive</label>
+        <label><input type="radio" name="q1"> b) Narrative</label>
+    </div>
+    <div class="Tests-Hub-question-container">
+        <label><input type="radio" name="q2"> True</label>
+        <label><input type="radio" name="q2"> False</label>
+        <label><input type="radio" name="q3"> True</label>
+        <label><input type="radio" name="q3"> False</label>
+    </div>
+    <div class="Tests-Hub-question-container">
+        <select id="s1"><option value="">--</option><option value="live">live</option><option value="lives">lives</option></select>
+        <select><option value="">--</option><option>a</option><option>an</option></select>
+    </div>
+    <div class="Tests-Hub-question-container">
+        <input type="text" class="Tests-Hub-answer-input">
+    </div>
+</div>
+<div id="correction">
+    <p>1- <strong>b) Narrative</strong></p>
+    <p>2- <strong>True</strong>, <strong>False</strong></p>
+    <p>Answers: 1. live, 2. an</p>
+    <p>4- <strong>children</strong></p>
+</div>`;
+
+test('keys the choices the correction names without doubt', () => {
+    const { entries, choices } = buildKey(html.parse(PAGE));
+
+    assert.strictEqual(choices, 5);
+    assert.deepStrictEqual(entries.map(entry => [entry.name || entry.selector, entry.answer]), [
+        ['q1', 1],
+        ['#s1', 'live'],
+        ['select', 'an']
+    ]);
+});
+
+test('shares the section points between every answer field', () => {
+    const { entries } = buildKey(html.parse(PAGE));
+
+    entries.forEach(entry => assert.strictEqual(entry.points, 0.67));
+});
+
+test('keys nothing without a correction', () => {
+    assert.deepStrictEqual(buildKey(html.parse('<input type="radio" name="q1">')), { entries: [], choices: 0 });
+});
@@ -0,0 +1,46 @@
+/**
+ * Tests Hub - Duration tests
+ * The durations of the test headers that the exam mode timer and the catalog
+ * (scripts/lib/test-page.js) must read right, in minutes.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const TestsHubExamMode = require('../exam-mode');
+
+const SAMPLES = {
+    '1h30': 90,
+    '2h': 120,
+    '1 h 30 min': 90,
+    '2 heures': 120,
+    '1 heure 30 min': 90,
+    '1 Heure 30min': 90,
+    '1 heure et demie': 90,
+    '1H30mn': 90,
+    '1 hour': 60,
+    '45 minutes': 45,
+    '60 دقيقة': 60,
+    'ساعة واحدة': 60,
+    'ساعة و30 دقيقة': 90,
+    'ساعتان و15 دقيقة': 135,
+    'une heure': 60,
+    'une heure et demie': 90,
+    'an hour and a half': 90,
+    'ساعة ونصف': 90,
+    'ساعة ونصف الساعة': 90,
+    'ساعة وربع': 75,
+    'نصف ساعة': 30,
+    'ربع ساعة': 15,
+    'ساعتان': 120,
+    '٢ ساعات': 120
+};
+
+for (const [text, minutes] of Object.entries(SAMPLES)) {
+    test(`reads "${text}" as ${minutes} minutes`, () => {
+        assert.strictEqual(TestsHubExamMode.parseDuration(text), minutes);
+    });
+}
+
+test('reads text without a duration as null', () => {
+    assert.strictEqual(TestsHubExamMode.parseDuration('Devoir de synthèse'), null);
+});
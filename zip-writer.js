@@ -0,0 +1,173 @@
+/**
+ * Tests Hub - Zip Writer
+ * Builds zip archives in the browser (the container used by ODT and DOCX files)
+ */
+
+const TestsHubZipWriter = {
+
+    // Configuration
+    config: {
+        // Deflate entries when the browser supports CompressionStream
+        compress: true
+    },
+
+    crcTable: null,
+
+    /**
+     * CRC-32 of a byte array (zip polynomial 0xEDB88320)
+     */
+    crc32: function(bytes) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    },
+
+    /**
+     * Convert entry data (string, Blob, ArrayBuffer or Uint8Array) to bytes
+     */
+    toBytes: function(data) {
+        if (typeof data === 'string') {
+            return Promise.resolve(new TextEncoder().encode(data));
+        }
+        if (data instanceof Uint8Array) {
+            return Promise.resolve(data);
+        }
+        if (data instanceof ArrayBuffer) {
+            return Promise.resolve(new Uint8Array(data));
+        }
+        if (data && typeof data.arrayBuffer === 'function') {
+            return data.arrayBuffer().then(buffer => new Uint8Array(buffer));
+        }
+        return Promise.reject(new Error('Unsupported zip entry data'));
+    },
+
+    /**
+     * Raw-deflate bytes, or resolve null when the browser cannot
+     */
+    deflate: function(bytes) {
+        if (!this.config.compress || typeof CompressionStream === 'undefined') {
+            return Promise.resolve(null);
+        }
+        try {
+            const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+            return new Response(stream).arrayBuffer()
+                .then(buffer => new Uint8Array(buffer))
+                .catch(() => null);
+        } catch (error) {
+            return Promise.resolve(null);
+        }
+    },
+
+    /**
+     * MS-DOS time and date fields for a Date
+     */
+    dosDateTime: function(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: (Math.max(date.getFullYear(), 1980) - 1980) << 9 | (date.getMonth() + 1) << 5 | date.getDate()
+        };
+    },
+
+    /**
+     * Prepare one entry: bytes, CRC and (when it pays off) deflated data
+     */
+    prepareEntry: function(entry) {
+        return this.toBytes(entry.data).then(bytes => {
+            const prepared = {
+                name: new TextEncoder().encode(entry.name),
+                crc: this.crc32(bytes),
+                size: bytes.length,
+                data: bytes,
+                method: 0
+            };
+            if (entry.compress === false) return prepared;
+
+            return this.deflate(bytes).then(deflated => {
+                if (deflated && deflated.length < bytes.length) {
+                    prepared.data = deflated;
+                    prepared.method = 8;
+                }
+                return prepared;
+            });
+        });
+    },
+
+    /**
+     * Build a zip archive. Entries are written in the given order, which
+     * matters for formats such as ODT where "mimetype" must come first.
+     * @param {Array} entries - [{ name, data, compress }]; compress: false stores the entry as is
+     * @param {Object} options - { type } MIME type of the resulting Blob
+     * @returns {Promise<Blob>}
+     */
+    createArchive: function(entries, options = {}) {
+        const stamp = this.dosDateTime(options.date || new Date());
+
+        return entries.reduce((chain, entry) => chain.then(list =>
+            this.prepareEntry(entry).then(prepared => list.concat(prepared))
+        ), Promise.resolve([])).then(prepared => {
+            const parts = [];
+            const central = [];
+            let offset = 0;
+
+            prepared.forEach(entry => {
+                // Local file header; bit 11 marks UTF-8 names
+                const local = new DataView(new ArrayBuffer(30));
+                local.setUint32(0, 0x04034B50, true);
+                local.setUint16(4, 20, true);
+                local.setUint16(6, 0x0800, true);
+                local.setUint16(8, entry.method, true);
+                local.setUint16(10, stamp.time, true);
+                local.setUint16(12, stamp.date, true);
+                local.setUint32(14, entry.crc, true);
+                local.setUint32(18, entry.data.length, true);
+                local.setUint32(22, entry.size, true);
+                local.setUint16(26, entry.name.length, true);
+                local.setUint16(28, 0, true);
+                parts.push(local.buffer, entry.name, entry.data);
+
+                const header = new DataView(new ArrayBuffer(46));
+                header.setUint32(0, 0x02014B50, true);
+                header.setUint16(4, 20, true);
+                header.setUint16(6, 20, true);
+                header.setUint16(8, 0x0800, true);
+                header.setUint16(10, entry.method, true);
+                header.setUint16(12, stamp.time, true);
+                header.setUint16(14, stamp.date, true);
+                header.setUint32(16, entry.crc, true);
+                header.setUint32(20, entry.data.length, true);
+                header.setUint32(24, entry.size, true);
+                header.setUint16(28, entry.name.length, true);
+                header.setUint32(42, offset, true);
+                central.push(header.buffer, entry.name);
+
+                offset += 30 + entry.name.length + entry.data.length;
+            });
+
+            const centralSize = central.reduce((size, part) => size + part.byteLength, 0);
+            const end = new DataView(new ArrayBuffer(22));
+            end.setUint32(0, 0x06054B50, true);
+            end.setUint16(8, prepared.length, true);
+            end.setUint16(10, prepared.length, true);
+            end.setUint32(12, centralSize, true);
+            end.setUint32(16, offset, true);
+
+            return new Blob(parts.concat(central, [end.buffer]), { type: options.type || 'application/zip' });
+        });
+    }
+};
+
+// Make it globally available
+window.TestsHubZipWriter = TestsHubZipWriter;